@@ -5,7 +5,7 @@ import reactRefresh from 'eslint-plugin-react-refresh'
 import { defineConfig, globalIgnores } from 'eslint/config'
 
 export default defineConfig([
-  globalIgnores(['dist']),
+  globalIgnores(['dist', 'scripts/dist']),
   {
     files: ['**/*.{js,jsx}'],
     extends: [
@@ -26,4 +26,9 @@ export default defineConfig([
       'no-unused-vars': ['error', { varsIgnorePattern: '^[A-Z_]' }],
     },
   },
+  {
+    // Digest sender and its tests run under Node, not the browser
+    files: ['scripts/**/*.js'],
+    languageOptions: { globals: globals.node },
+  },
 ])
@@ -0,0 +1,34 @@
+// Delivery channels for alert digests. Each takes a digest from
+// src/lib/digest.js and throws on failure so the caller can record it.
+
+// Any nodemailer transport; send-digests builds one from SMTP_URL
+export async function deliverEmail(transport, { from, to, digest }) {
+  if (!to) throw new Error("no email address on the search owner");
+  await transport.sendMail({ from, to, subject: digest.subject, text: digest.text, html: digest.html });
+}
+
+// Slack-style incoming webhook: POST the blocks payload as JSON
+export async function deliverWebhook(url, digest, fetchImpl = fetch) {
+  if (!url) throw new Error("no webhook URL on the alert");
+  const res = await fetchImpl(url, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify(digest.slack),
+  });
+  if (!res.ok) throw new Error(`webhook responded ${res.status}`);
+}
+
+// In-app bell: a notification row the frontend lists and links from
+export async function deliverInApp(api, search, digest) {
+  await api("/notifications", {
+    method: "POST",
+    body: JSON.stringify({
+      user_id: search.user_id,
+      kind: "digest",
+      title: digest.subject,
+      body: digest.text,
+      search_id: search.id,
+      items: digest.items.map(({ id, title, value }) => ({ id, title, value })),
+    }),
+  });
+}
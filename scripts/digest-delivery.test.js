@@ -0,0 +1,116 @@
+// Delivery against local stand-ins: a throwaway HTTP server for the webhook
+// and a minimal SMTP listener for email, so no real service is touched.
+
+import { describe, it, expect, afterEach } from "vitest";
+import http from "node:http";
+import net from "node:net";
+import nodemailer from "nodemailer";
+import { deliverEmail, deliverWebhook, deliverInApp } from "./digest-delivery";
+import { buildDigest } from "../src/lib/digest";
+import { SOURCE_FIXTURES } from "../src/lib/__fixtures__/projects";
+
+const digest = buildDigest({
+  search: { id: 3, name: "Lowcountry hotels", alert: { frequency: "daily" } },
+  projects: SOURCE_FIXTURES["charleston-permits"].map((f) => f.project).slice(0, 2),
+  appUrl: "http://localhost:5173/",
+});
+
+const servers = [];
+afterEach(() => Promise.all(servers.splice(0).map((s) => new Promise((r) => s.close(r)))));
+
+function listen(server) {
+  servers.push(server);
+  return new Promise((resolve) => server.listen(0, "127.0.0.1", () => resolve(server.address().port)));
+}
+
+// Webhook stand-in: records each request body, answers with `status`
+async function webhookStandIn(status = 200) {
+  const received = [];
+  const port = await listen(http.createServer((req, res) => {
+    let body = "";
+    req.on("data", (c) => (body += c));
+    req.on("end", () => {
+      received.push({ method: req.method, type: req.headers["content-type"], body: JSON.parse(body) });
+      res.writeHead(status).end("ok");
+    });
+  }));
+  return { url: `http://127.0.0.1:${port}/hook`, received };
+}
+
+// SMTP stand-in: just enough of RFC 5321 for nodemailer to hand over a message
+async function smtpStandIn() {
+  const messages = [];
+  const port = await listen(net.createServer((sock) => {
+    let inData = false;
+    let buf = "";
+    sock.write("220 localhost ESMTP stand-in\r\n");
+    sock.on("data", (chunk) => {
+      buf += chunk;
+      if (inData) {
+        const end = buf.indexOf("\r\n.\r\n");
+        if (end === -1) return;
+        messages.push(buf.slice(0, end));
+        buf = buf.slice(end + 5);
+        inData = false;
+        sock.write("250 OK queued\r\n");
+      }
+      let nl;
+      while (!inData && (nl = buf.indexOf("\r\n")) !== -1) {
+        const line = buf.slice(0, nl);
+        buf = buf.slice(nl + 2);
+        const cmd = line.slice(0, 4).toUpperCase();
+        if (cmd === "EHLO" || cmd === "HELO") sock.write("250 localhost\r\n");
+        else if (cmd === "DATA") { inData = true; sock.write("354 End data with <CR><LF>.<CR><LF>\r\n"); }
+        else if (cmd === "QUIT") { sock.end("221 Bye\r\n"); }
+        else sock.write("250 OK\r\n");
+      }
+    });
+  }));
+  return { url: `smtp://127.0.0.1:${port}`, messages };
+}
+
+describe("deliverWebhook", () => {
+  it("posts the Slack-style payload as JSON", async () => {
+    const hook = await webhookStandIn();
+    await deliverWebhook(hook.url, digest);
+    expect(hook.received).toHaveLength(1);
+    expect(hook.received[0].method).toBe("POST");
+    expect(hook.received[0].type).toBe("application/json");
+    expect(hook.received[0].body.text).toBe('2 new matches for "Lowcountry hotels"');
+    expect(hook.received[0].body.blocks[1].text.text).toContain("#/project/201|New 6-story");
+  });
+
+  it("fails on a non-2xx response or a missing URL", async () => {
+    const hook = await webhookStandIn(500);
+    await expect(deliverWebhook(hook.url, digest)).rejects.toThrow("webhook responded 500");
+    await expect(deliverWebhook("", digest)).rejects.toThrow("no webhook URL");
+  });
+});
+
+describe("deliverEmail", () => {
+  it("hands the text and HTML digest to the SMTP server", async () => {
+    const smtp = await smtpStandIn();
+    const transport = nodemailer.createTransport(smtp.url);
+    await deliverEmail(transport, { from: "alerts@example.com", to: "estimator@example.com", digest });
+    expect(smtp.messages).toHaveLength(1);
+    const msg = smtp.messages[0];
+    expect(msg).toContain("To: estimator@example.com");
+    expect(msg).toMatch(/^Subject: .*2_new_matches_for/m);
+    expect(msg).toContain("text/html");
+    expect(msg).toContain("$42.0M");
+  });
+
+  it("refuses a search owner without an address", async () => {
+    await expect(deliverEmail({}, { from: "a@example.com", to: null, digest })).rejects.toThrow("no email address");
+  });
+});
+
+describe("deliverInApp", () => {
+  it("creates a notification with the linked projects", async () => {
+    const calls = [];
+    await deliverInApp(async (path, opts) => calls.push({ path, body: JSON.parse(opts.body) }), { id: 3, user_id: 9 }, digest);
+    expect(calls[0].path).toBe("/notifications");
+    expect(calls[0].body).toMatchObject({ user_id: 9, kind: "digest", search_id: 3, title: digest.subject });
+    expect(calls[0].body.items[0]).toEqual({ id: 201, title: "New 6-story, 150 key hotel with ground floor retail", value: "$42.0M" });
+  });
+});
@@ -1,35 +1,52 @@
 import { useState, useEffect, useCallback, useRef, useMemo } from "react";
 import { MapContainer, TileLayer, CircleMarker, Popup, GeoJSON, useMap, useMapEvents } from "react-leaflet";
 import "leaflet/dist/leaflet.css";
+import {
+  buildValueMedians, isSubpermit, linkSubpermits, subpermitsOf, getWorkClass, getDisplayTitle, getDescText,
+  getPrimaryPermit, groupByAddress, cleanAddress,
+} from "./lib/projects";
+import { SOURCES, ALL_SOURCES, sourceLabel, sourceColor, sourceIdsWhere } from "./lib/sources";
+import { CITIES, MARKETS, DEFAULT_MARKET, getMarket, marketSourceIds, bboxParams, marketBounds } from "./lib/markets";
+import { getNeighborhood, neighborhoodNames, NEIGHBORHOODS } from "./lib/neighborhoods";
+import { SITE_FETCH_BATCH, feedParams, hasMorePages, feedTotals, feedKeeps, mapInBatches } from "./lib/feed";
+import { DEFAULT_FILTERS, FILTER_MODES, matchesFilters, showsDefaultFeed, profileStatusMode } from "./lib/filters";
+import { parseHash, buildHash, routePath, projectLink } from "./lib/url";
+import { compactFilters, expandFilters, isActiveSearch, defaultSearch } from "./lib/searches";
+import { ALERT_FREQUENCIES, ALERT_CHANNELS } from "./lib/digest";
+import {
+  NOTIFICATION_KINDS, NOTIFICATION_LOG_MAX, notificationKeys, scanNotifications, diffSavedStatuses,
+  deadlineNotifications, digestNotifications, mergeNotifications,
+} from "./lib/notifications";
+import {
+  STAGES, CLOSE_REASONS, getStage, savedStage, isClosedStage, groupByStage, stageTotals, moveToStage,
+} from "./lib/pipeline";
+import {
+  ATTACHMENT_MAX_BYTES, ATTACHMENT_ACCEPT, REMINDER_OPTIONS, threadNotes, reminderAt, taskUrgency, sortTasks,
+  taskNotifications, fmtBytes,
+} from "./lib/worklog";
+import {
+  WORKSPACE_KEY, ROLES, can, pickWorkspace, workspaceRole, myLeads, inviteError, isLastAdmin, memberName, initials,
+} from "./lib/workspace";
+import { buildScoreContext, matchScore } from "./lib/score";
+import { SORT_KEYS, HOME_BASES, sortKeys, compareProjects } from "./lib/sort";
+import { leadSheetHtml } from "./lib/leadsheet";
+import {
+  SEARCH_FIELDS, parseQuery, highlightRanges, rememberSearch, searchSuggestions, RECENT_SEARCHES_KEY,
+} from "./lib/query";
+import { DEFAULT_RULES, RULE_FIELDS, RULE_ACTIONS, hidingRule, ruleImpact, newRule, ruleError } from "./lib/rules";
+import { PERSONAS, DEFAULT_PERSONA, applyPersona, gcByAddress, gcFor, personaStats } from "./lib/persona";
+import { LICENSE_FIELDS, contractorKeys, pulledBy, findContractor, valueByQuarter, gcsWorkedUnder } from "./lib/contractors";
+import { PHASES, SITE_STAGES, buildTimeline, siteStage } from "./lib/timeline";
+import { exportRows, toCsv, toXlsx, XLSX_MIME } from "./lib/export";
+import { EVENT_TYPES, dayKey, addDays, calendarEvents, eventsByDay, monthGrid, weekDays, buildIcs } from "./lib/calendar";
+import { DISMISS_REASONS, buildRelevanceModel, relevanceVerdict, isModelEmpty, groupDismissals } from "./lib/dismissals";
+import { fmt$, fmtEst, fmtDate } from "./lib/format";
+import { C } from "./lib/theme";
 
 const API = (import.meta.env.VITE_API_URL || "https://sitescan-backend-production-423e.up.railway.app") + "/api/v1";
 
-// ─── BRAND COLORS ────────────────────────────────────────────────────────────
-const C = {
-  bg:        "#080f1a",   // near-black navy
-  surface:   "#0c1524",  // card background
-  surfaceHi: "#101d30",  // elevated card
-  border:    "#1a2f50",  // subtle border
-  borderHi:  "#1e3a64",  // hover border
-  navy:      "#1e3a6e",  // deep navy
-  blue:      "#4a9fd4",  // mid blue
-  sky:       "#7ec8e3",  // sky blue (logo highlight)
-  orange:    "#f0a030",  // orange accent (logo)
-  orangeHi:  "#f7b84b",  // orange hover
-  text:      "#e8f0fa",  // primary text
-  textSub:   "#6b8aaa",  // secondary text
-  textMuted: "#3d5a7a",  // muted
-};
-
 // ─── HELPERS ────────────────────────────────────────────────────────────────
 
-const fmt$ = (v) => {
-  if (!v) return "—";
-  if (v >= 1e6) return `$${(v / 1e6).toFixed(1)}M`;
-  if (v >= 1e3) return `$${(v / 1e3).toFixed(0)}K`;
-  return `$${v.toLocaleString()}`;
-};
-
 // Returns { label, color } for how old a posted_date is, or null if unknown
 function postedAge(dateStr) {
   if (!dateStr) return null;
@@ -43,33 +60,20 @@ function postedAge(dateStr) {
   return           { label: `${Math.ceil(days/30)}mo ago`,       color: "#3d4f5e" }; // very old, dim
 }
 
-const fmtEst = (v) => {
-  if (!v) return null;
-  if (v >= 1e6) return `~$${(v / 1e6).toFixed(1)}M`;
-  if (v >= 1e3) return `~$${(v / 1e3).toFixed(0)}K`;
-  return `~$${v.toLocaleString()}`;
-};
-
-function buildValueMedians(projects) {
-  const buckets = {};
-  for (const p of projects) {
-    if (!p.value || p.value <= 0) continue;
-    const key = `${p.category || "unknown"}__${p.work_class || "unknown"}`;
-    if (!buckets[key]) buckets[key] = [];
-    buckets[key].push(p.value);
-  }
-  const medians = {};
-  for (const [key, vals] of Object.entries(buckets)) {
-    const sorted = [...vals].sort((a, b) => a - b);
-    medians[key] = sorted[Math.floor(sorted.length / 2)];
-  }
-  return medians;
+// JSON from localStorage, or `fallback` when it's missing or corrupt
+function readStored(key, fallback) {
+  try { return JSON.parse(localStorage.getItem(key)) ?? fallback; } catch { return fallback; }
 }
 
-const fmtDate = (d) => {
-  if (!d) return "—";
-  return new Date(d).toLocaleDateString("en-US", { month: "short", day: "numeric", year: "numeric" });
-};
+// Saves a Blob as a file through a throwaway link
+function downloadBlob(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = filename;
+  a.click();
+  URL.revokeObjectURL(url);
+}
 
 const matchColor = (s) => {
   if (s >= 90) return C.orange;
@@ -79,181 +83,26 @@ const matchColor = (s) => {
   return C.textMuted;
 };
 
-// Return a neighbourhood name from lat/lng using Charleston bounding boxes
-function getNeighborhood(lat, lng) {
-  if (!lat || !lng) return null;
-  if (lat >= 32.755 && lat <= 32.810 && lng >= -79.975 && lng <= -79.900) return "Downtown";
-  if (lat >= 32.730 && lat <= 32.790 && lng >= -80.075 && lng <= -79.970) return "West Ashley";
-  if (lat >= 32.700 && lat <= 32.762 && lng >= -80.005 && lng <= -79.910) return "James Island";
-  if (lat >= 32.830 && lat <= 32.960 && lng >= -80.110 && lng <= -79.870) return "North Charleston";
-  if (lat >= 32.775 && lat <= 32.920 && lng >= -79.910 && lng <= -79.730) return "Mt Pleasant";
-  if (lat >= 32.620 && lat <= 32.740 && lng >= -80.130 && lng <= -79.940) return "Johns Island";
-  if (lat >= 32.835 && lat <= 32.880 && lng >= -79.935 && lng <= -79.865) return "Daniel Island";
-  if (lat >= 32.640 && lat <= 32.680 && lng >= -79.975 && lng <= -79.920) return "Folly Beach";
-  return null;
-}
-
-// Strip trailing city/state from a raw address string
-function cleanAddress(address) {
-  if (!address) return null;
-  return address
-    .replace(/,?\s*charleston,?\s*sc\b.*$/i, "")
-    .replace(/,?\s*south carolina\b.*$/i, "")
-    .trim() || null;
-}
-
-// Group a sorted project list by normalised address.
-// Returns an array of { address, displayAddress, lat, lng, projects[] } objects.
-// Single-project "groups" are included — callers decide how to render them.
-// Charleston permit helpers
-function isSubpermit(project) {
-  if (project.source_id !== "charleston-permits") return false;
-  const text = `${project.title} ${project.description}`.toLowerCase();
-  return text.includes("subpermit") || text.includes("sub-permit") || text.includes("sub permit");
-}
-
-function getWorkClass(project) {
-  if (project.source_id !== "charleston-permits") return null;
-  // Description format: "description | work_class | permit_type"
-  const parts = (project.description || "").split(" | ");
-  if (parts.length >= 2) {
-    const wc = parts[1].trim();
-    if (wc) return wc;
-  }
-  return null;
-}
-
-// Generic permit descriptions that carry no useful info beyond the category
-const _GENERIC_TITLE = /^(new construction|building permit|commercial|residential|renovation|tenant improvement|addition|alteration|remodel|repair|demolition|interior|exterior|miscellaneous|other)[\s.]*$/i;
-
-function getDisplayTitle(project) {
-  if (!project.title) return project.title;
-
-  // For permit sources, strip the " — address" suffix the backend appends
-  // (address is already shown in the location tag)
-  const permitSources = new Set([
-    "charleston-permits","north-charleston-permits","mt-pleasant-permits",
-    "charlotte-permits","charlotte-land-dev",
-  ]);
-  let title = project.title;
-  if (permitSources.has(project.source_id)) {
-    title = title.split(" — ")[0].trim();
-    // Strip internal permit-office prefixes that precede the real project description
-    title = title.replace(/^(WILL\s+REQUIRE\s+GC\s+(INFO(?:RMATION)?)\s+BEFORE\s+ISSUANCE\s*[-=*]+\s*)/i, "").trim();
-    title = title.replace(/^NEED\s+(CONTRACTOR\s+)?INFORMATION\s*:\s*/i, "").trim();
-    title = title.replace(/^BAR\s+APP\s+REQUESTED\s*[–-]+\s*/i, "").trim();
-    title = title.replace(/^\(still\s+need\s+to\s+create[^)]*\)\s*/i, "").trim();
-    title = title.replace(/^BUILDING\s+\d+\s+/i, "").trim();
-    title = title.replace(/^MASTER:\s*/i, "").trim();
-    // Strip TRC/zoning/conditions boilerplate appended to the real project description
-    title = title.replace(/[.*]?\s*(ZONING CONDITIONS|TRC CONDITIONS|TRC CONDITION|CONDITIONS:)[^]*/i, "").trim();
-    title = title.replace(/\.\s*TRC[^]*$/i, "").trim();
-    // Strip administrative suffixes
-    title = title.replace(/\s*[.\s]*Fire\s+District\s*[-–]\s*ALT[\w-]+/i, "").trim();
-    title = title.replace(/\s*\(Replaced\s+CA\w+\)/i, "").trim();
-  }
-
-  // Fall back to category+workclass only if the description is truly generic
-  if (_GENERIC_TITLE.test(title)) {
-    const wc = getWorkClass(project);
-    const cat = project.category;
-    if (cat && cat !== "residential") {
-      const catLabel = cat.replace(/-/g, " ").replace(/\b\w/g, (c) => c.toUpperCase());
-      return wc ? `${catLabel} — ${wc}` : catLabel;
-    }
-  }
-
-  return title;
-}
-
-// Procurement boilerplate openers that add no useful info for a GC
-const _BID_BOILERPLATE = /^(this is (a |an )?(combined synopsis|sources sought|pre-?solicitation|request for (proposal|quote|information)|rfp|rfq|rfi|notice of intent|amendment)|the (government|department|agency|city|county|state) is (requesting|seeking|issuing|soliciting)|synopsis\/solicitation|pre-solicitation notice|combined synopsis\/solicitation|notice type:|set-aside:|naics code:|product service code:|response date:|solicitation number:)/i;
-
-function getDescText(project) {
-  if (!project.description) return null;
-
-  if (project.source_id === "charleston-permits") {
-    const text = project.description.split(" | ")[0].trim();
-    return text && text.length > 4 ? text : null;
-  }
-
-  // For bid sources: skip boilerplate opener sentences, show first meaningful content
-  const BID_SOURCES = new Set(["sam-gov", "scbo", "charleston-city-bids", "charlotte-cip", "charlotte-ncdot"]);
-  if (BID_SOURCES.has(project.source_id)) {
-    // Split on sentence boundaries and skip boilerplate openers
-    const sentences = project.description.split(/(?<=[.!?])\s+/);
-    const meaningful = sentences.find(s => s.length > 20 && !_BID_BOILERPLATE.test(s.trim()));
-    if (meaningful) {
-      // Return first ~300 chars of useful content
-      return meaningful.length > 300 ? meaningful.slice(0, 297) + "…" : meaningful;
-    }
-    // Fall back to first 300 chars if no clean sentence found
-    return project.description.slice(0, 300) + (project.description.length > 300 ? "…" : "");
-  }
-
-  return project.description.length > 4 ? project.description : null;
-}
-
-// Category priority for picking the most informative permit from a group
-const _CAT_PRIORITY = [
-  "office", "hotel", "multi-family", "restaurant", "industrial",
-  "institutional", "retail", "mixed-use", "commercial",
-  "structural", "masonry", "historic-restoration", "government",
-];
-
-function getPrimaryPermit(projects) {
-  const withValue = [...projects].sort((a, b) => (b.value || 0) - (a.value || 0));
-  if (withValue[0]?.value) return withValue[0];
-  return [...projects].sort((a, b) => {
-    const ai = _CAT_PRIORITY.indexOf(a.category);
-    const bi = _CAT_PRIORITY.indexOf(b.category);
-    return (ai === -1 ? 99 : ai) - (bi === -1 ? 99 : bi);
-  })[0];
-}
-
-function groupByAddress(projects) {
-  const order = [];
-  const map = new Map();
-
-  for (const p of projects) {
-    const raw = (p.address || "").trim();
-    const key = raw.toUpperCase().replace(/\s+/g, " ");
-    if (key.length > 3) {
-      if (map.has(key)) {
-        map.get(key).projects.push(p);
-      } else {
-        const grp = { address: key, displayAddress: raw, lat: p.latitude, lng: p.longitude, projects: [p] };
-        map.set(key, grp);
-        order.push(grp);
-      }
-    } else {
-      // No usable address — treat as its own group with null address
-      order.push({ address: null, displayAddress: null, lat: p.latitude, lng: p.longitude, projects: [p] });
-    }
-  }
-  return order;
-}
-
-// Group address-groups that share the same normalized title + source into one
-// card, so multi-building phased permits don't flood the feed.
-function groupByTitle(addressGroups) {
-  const order = [];
-  const map = new Map();
-  for (const grp of addressGroups) {
-    const primary = getPrimaryPermit(grp.projects);
-    const title = (getDisplayTitle(primary) || primary.title || "").toLowerCase().trim().replace(/\s+/g, " ");
-    const key = `${primary.source_id}||${title}`;
-    if (map.has(key)) {
-      const existing = map.get(key);
-      existing.projects = [...existing.projects, ...grp.projects];
-      existing.phaseCount += 1;
-    } else {
-      const sg = { ...grp, phaseCount: 1 };
-      map.set(key, sg);
-      order.push(sg);
-    }
-  }
-  return order;
+// Per-factor bars for a matchScore() result. `light` for Leaflet's white popups.
+function MatchBreakdown({ match, light = false }) {
+  const text = light ? "#333" : C.textSub;
+  const muted = light ? "#888" : C.textMuted;
+  return (
+    <div style={{ display: "grid", gap: 5 }}>
+      {match.factors.map((f) => (
+        <div key={f.id} title={f.detail}>
+          <div style={{ display: "flex", justifyContent: "space-between", fontSize: 11, color: text }}>
+            <span>{f.label}</span>
+            <span style={{ fontFamily: "'JetBrains Mono', monospace" }}>{f.points}/{f.weight}</span>
+          </div>
+          <div style={{ height: 4, borderRadius: 2, background: light ? "#eee" : C.border, overflow: "hidden" }}>
+            <div style={{ width: `${(f.points / f.weight) * 100}%`, height: "100%", background: matchColor(match.score) }} />
+          </div>
+          <div style={{ fontSize: 10, color: muted, marginTop: 1 }}>{f.detail}</div>
+        </div>
+      ))}
+    </div>
+  );
 }
 
 // ─── PARCEL OPPORTUNITY HELPERS ───────────────────────────────────────────────
@@ -322,6 +171,10 @@ function parcelToProject(feat) {
     permit_number: p.TMS || "",
     source_url: "",
     agency: "",
+    parcel: {
+      tms: p.TMS, use: p.GENUSE, owner: p.OWNER, yearBuilt: p.YRBUILT,
+      land: Number(p.LAND_APPR) || null, improvements: Number(p.IMP_APPR) || null, total: Number(p.APPRVAL) || null,
+    },
   };
 }
 
@@ -341,34 +194,6 @@ const catIcons = {
   institutional: "🏫",
 };
 
-const sourceLabels = {
-  "sam-gov": "SAM.gov",
-  "charleston-permits": "CHS Permits",
-  "north-charleston-permits": "N. Charleston",
-  "mt-pleasant-permits": "Mt. Pleasant",
-  scbo: "SCBO",
-  "charleston-city-bids": "CHS Bids",
-  "charlotte-permits": "Charlotte",
-  "charlotte-land-dev": "CLT Land Dev",
-  "charlotte-cip": "CLT CIP",
-  "charlotte-ncdot": "CLT NCDOT",
-  "parcel-opportunity": "Opportunity",
-};
-
-const sourceColors = {
-  "charleston-permits":        C.orange,
-  "north-charleston-permits":  C.orange,
-  "mt-pleasant-permits":       C.orange,
-  "charlotte-permits":         C.orange,
-  "charlotte-land-dev":        C.orange,
-  "sam-gov":                   C.blue,
-  "scbo":                      C.blue,
-  "charleston-city-bids":      C.blue,
-  "charlotte-cip":             C.sky,
-  "charlotte-ncdot":           C.sky,
-  "parcel-opportunity":        "#22c55e",
-};
-
 const statusColors = {
   Open: C.orange,
   Active: C.orange,
@@ -380,15 +205,44 @@ const statusColors = {
   Opportunities: "#22c55e",
 };
 
-async function api(path, opts = {}) {
+// Bearer token plus the active workspace, which scopes saved projects, the
+// pipeline and the company profile
+function authHeaders() {
+  const headers = {};
   const token = localStorage.getItem("sitescan_token");
-  const headers = { "Content-Type": "application/json", ...opts.headers };
+  const workspace = localStorage.getItem(WORKSPACE_KEY);
   if (token) headers["Authorization"] = `Bearer ${token}`;
+  if (workspace) headers["X-Workspace-Id"] = workspace;
+  return headers;
+}
+
+async function request(path, opts) {
+  const headers = { "Content-Type": "application/json", ...opts.headers, ...authHeaders() };
   const res = await fetch(`${API}${path}`, { ...opts, headers });
   if (res.status === 401) {
     localStorage.removeItem("sitescan_token");
     window.location.reload();
   }
+  return res;
+}
+
+async function api(path, opts = {}) {
+  return (await request(path, opts)).json();
+}
+
+// api() for writes the UI has to confirm or roll back: a non-2xx response
+// throws with the backend's `detail` instead of resolving to the error body
+async function apiStrict(path, opts = {}) {
+  const res = await request(path, opts);
+  const data = await res.json().catch(() => null);
+  if (!res.ok) throw new Error(typeof data?.detail === "string" ? data.detail : `Request failed (${res.status})`);
+  return data;
+}
+
+// Multipart variant of api() — the browser sets the boundary header itself
+async function upload(path, formData) {
+  const res = await fetch(`${API}${path}`, { method: "POST", body: formData, headers: authHeaders() });
+  if (!res.ok) throw new Error(`Upload failed (${res.status})`);
   return res.json();
 }
 
@@ -521,13 +375,121 @@ function StatusPill({ status }) {
 // ─── PROJECT CARD ─────────────────────────────────────────────────────────────
 // One card per project (address group). Shows the most informative permit.
 
-function ProjectCard({ group, onSave, savedIds, animDelay, onDismiss, valueMedians = {} }) {
+// Every permit at the card's address in lifecycle order, including the
+// sub-permits the feed hides. Loads the address's full history when opened.
+function SiteTimeline({ group }) {
+  const [open, setOpen] = useState(false);
+  const [extra, setExtra] = useState(null);
+
+  useEffect(() => {
+    if (!open) return;
+    const params = new URLSearchParams({ address: group.displayAddress, include_subpermits: "true", limit: "200" });
+    api(`/projects?${params}`)
+      .then((d) => setExtra(d.projects || []))
+      .catch(() => setExtra([]));
+  }, [open, group.displayAddress]);
+
+  const byId = new Map([...group.projects, ...(extra || [])].map((p) => [p.id, p]));
+  const timeline = buildTimeline([...byId.values()]);
+  const stage = SITE_STAGES[siteStage(timeline)];
+
+  return (
+    <div>
+      <div style={{ display: "flex", alignItems: "center", gap: 10 }}>
+        <button onClick={() => setOpen((v) => !v)} style={{ ...headerLink, ...styles.detailLabel, marginBottom: 0, cursor: "pointer" }}>
+          {open ? "▾" : "▸"} Site timeline
+        </button>
+        {open && extra && (
+          <span title={stage.detail} style={{
+            fontSize: 10, fontWeight: 700, padding: "1px 8px", borderRadius: 10,
+            background: `${stage.color}20`, color: stage.color, textTransform: "uppercase", letterSpacing: "0.05em",
+          }}>
+            {stage.label}
+          </span>
+        )}
+      </div>
+      {open && !extra && <div style={{ padding: 12 }}><div style={styles.spinner} /></div>}
+      {open && extra && (
+        <div style={{ marginTop: 8, borderLeft: `2px solid ${C.border}`, marginLeft: 5 }}>
+          {timeline.map(({ project, title, phase, events }) => (
+            <div key={project.id} style={{ position: "relative", padding: "0 0 10px 16px" }}>
+              <span style={{
+                position: "absolute", left: -6, top: 3, width: 10, height: 10, borderRadius: "50%",
+                background: PHASES[phase].color, border: `2px solid ${C.surface}`,
+              }} />
+              <div style={{ fontSize: 13, color: C.text }}>
+                <span style={{ fontSize: 10, fontWeight: 700, color: PHASES[phase].color, textTransform: "uppercase", letterSpacing: "0.05em", marginRight: 8 }}>
+                  {PHASES[phase].label}
+                </span>
+                {title}
+                {project.permit_number && <span style={{ color: C.textMuted, marginLeft: 8, fontSize: 12 }}>#{project.permit_number}</span>}
+              </div>
+              <div style={{ fontSize: 12, color: C.textSub, marginTop: 2 }}>
+                {events.map((e, i) => (
+                  <span key={i}>
+                    {i > 0 && " → "}
+                    <span style={{ color: statusColors[e.status] || C.textSub }}>{e.status}</span>
+                    {e.date && ` ${fmtDate(e.date)}`}
+                  </span>
+                ))}
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
+
+// `text` with the search query's matches for `field` marked
+function Highlight({ text, query, field }) {
+  const ranges = query.length ? highlightRanges(text, query, field) : [];
+  if (!ranges.length) return text;
+  const parts = [];
+  let at = 0;
+  for (const [start, end] of ranges) {
+    if (start > at) parts.push(text.slice(at, start));
+    parts.push(
+      <mark key={start} style={{ background: `${C.orange}40`, color: "inherit", borderRadius: 2, padding: "0 1px" }}>
+        {text.slice(start, end)}
+      </mark>,
+    );
+    at = end;
+  }
+  if (at < text.length) parts.push(text.slice(at));
+  return parts;
+}
+
+// Renders the lead sheet into a hidden frame and opens the print dialog, where
+// "Save as PDF" gives the one-page brief. Notes come along for saved projects.
+async function printLeadSheet(group, { savedId, estValue }) {
+  const primary = getPrimaryPermit(group.projects);
+  const notes = savedId ? await api(`/projects/saved/${savedId}/notes`).catch(() => []) : [];
+  const html = leadSheetHtml(group, {
+    notes: Array.isArray(notes) ? notes : [],
+    estValue,
+    projectUrl: SOURCES[primary.source_id]?.kind !== "parcel" ? projectLink(primary.id) : "",
+  });
+  const frame = document.createElement("iframe");
+  frame.style.cssText = "position:fixed;width:0;height:0;border:0;visibility:hidden";
+  frame.onload = () => {
+    frame.contentWindow.addEventListener("afterprint", () => frame.remove());
+    frame.contentWindow.print();
+  };
+  frame.srcdoc = html;
+  document.body.appendChild(frame);
+}
+
+function ProjectCard({ group, onSave, savedIds, animDelay, onDismiss, valueMedians = {}, defaultExpanded = false, canEdit = true, scoreContext = null, lineage = null, gcs = null, query = [] }) {
   const { lat, lng, projects } = group;
-  const [expanded, setExpanded] = useState(false);
+  const [expanded, setExpanded] = useState(defaultExpanded);
   const [hovered, setHovered] = useState(false);
+  const [copied, setCopied] = useState(false);
+  const [dismissing, setDismissing] = useState(false);
 
   const primary = getPrimaryPermit(projects);
   const displayTitle = getDisplayTitle(primary);
+  const match = scoreContext && SOURCES[primary.source_id]?.kind !== "parcel" ? matchScore(primary, scoreContext) : null;
   const workClass = getWorkClass(primary);
   const hood = getNeighborhood(lat, lng);
   const maxValue = Math.max(...projects.map((p) => p.value || 0)) || null;
@@ -535,11 +497,19 @@ function ProjectCard({ group, onSave, savedIds, animDelay, onDismiss, valueMedia
     ? valueMedians[`${primary.category || "unknown"}__${primary.work_class || "unknown"}`] || null
     : null;
   const isSaved = savedIds.has(primary.id);
+  const savedId = savedIds.get(primary.id);
   const descText = getDescText(primary);
-
-  // Location: neighborhood for CHS permits, else agency/location
-  const locationTag = primary.source_id === "charleston-permits"
-    ? hood
+  const subpermits = lineage
+    ? projects.flatMap((p) => lineage.children.get(p.id) || []).filter((sp) => !projects.includes(sp))
+    : [];
+  const master = lineage?.parentOf.get(primary.id);
+  // Trade subs: who holds the master permit here, unless it's this card's own
+  const gc = gcs && gcFor(gcs, primary);
+  const showGc = gc && !(primary.contractor || "").includes(gc);
+
+  // Location: neighborhood for permits, else agency/location
+  const locationTag = SOURCES[primary.source_id]?.kind === "permit"
+    ? hood || primary.location
     : primary.location || hood;
 
   // Deadline urgency
@@ -558,11 +528,31 @@ function ProjectCard({ group, onSave, savedIds, animDelay, onDismiss, valueMedia
         onClick={() => setExpanded(!expanded)}
         onMouseEnter={() => setHovered(true)}
         onMouseLeave={() => setHovered(false)}
-        style={{ ...styles.projectRow, borderLeft: `3px solid ${(maxValue || estValue) ? (sourceColors[primary.source_id] || C.border) : C.border}`, position: "relative", opacity: (maxValue || estValue) ? 1 : 0.65 }}
+        style={{ ...styles.projectRow, borderLeft: `3px solid ${(maxValue || estValue) ? (sourceColor(primary.source_id) || C.border) : C.border}`, position: "relative", opacity: (maxValue || estValue) ? 1 : 0.65 }}
       >
-        {hovered && (
+        {dismissing && (
+          <div onClick={(e) => e.stopPropagation()} style={{
+            position: "absolute", top: 6, right: 6, zIndex: 5, display: "flex", gap: 4, flexWrap: "wrap",
+            justifyContent: "flex-end", maxWidth: "80%", background: C.surface, border: `1px solid ${C.border}`,
+            borderRadius: 8, padding: 6, boxShadow: "0 4px 16px rgba(0,0,0,0.4)",
+          }}>
+            {Object.entries(DISMISS_REASONS).map(([id, label]) => (
+              <button key={id} onClick={() => { setDismissing(false); onDismiss(primary, id); }}
+                style={{ ...styles.linkBtn, padding: "3px 8px", fontSize: 11, cursor: "pointer", fontFamily: "inherit" }}>
+                {label}
+              </button>
+            ))}
+            <button onClick={() => { setDismissing(false); onDismiss(primary, null); }}
+              style={{ ...styles.linkBtn, padding: "3px 8px", fontSize: 11, cursor: "pointer", fontFamily: "inherit", color: C.textMuted }}>
+              Just hide
+            </button>
+            <button onClick={() => setDismissing(false)} title="Cancel"
+              style={{ background: "none", border: "none", color: C.textMuted, cursor: "pointer", fontSize: 12 }}>✕</button>
+          </div>
+        )}
+        {hovered && !dismissing && (
           <button
-            onClick={(e) => { e.stopPropagation(); onDismiss(primary.id); }}
+            onClick={(e) => { e.stopPropagation(); setDismissing(true); }}
             title="Hide this project"
             style={{
               position: "absolute", top: 8, right: 8, background: "none",
@@ -580,7 +570,7 @@ function ProjectCard({ group, onSave, savedIds, animDelay, onDismiss, valueMedia
           <div style={{ flex: 1, minWidth: 0 }}>
             <div style={styles.projectTitle}>
               <span style={{ marginRight: 8 }}>{catIcons[primary.category] || "📋"}</span>
-              {displayTitle}
+              <Highlight text={displayTitle} query={query} field="title" />
             </div>
             <div style={styles.projectMeta}>
               {primary.category && (
@@ -610,25 +600,40 @@ function ProjectCard({ group, onSave, savedIds, animDelay, onDismiss, valueMedia
                 const extra = names.length - shown.length;
                 return (
                   <span style={{ marginLeft: 12, color: C.textMuted }}>
-                    👷 {shown.join(", ")}{extra > 0 ? ` +${extra} more` : ""}
+                    👷 <Highlight text={shown.join(", ")} query={query} field="contractor" />{extra > 0 ? ` +${extra} more` : ""}
                   </span>
                 );
               })()}
               {primary.agency && (
                 <span style={{ marginLeft: locationTag ? 12 : 0, color: C.textSub }}>
-                  🏢 {primary.agency.split("|")[0]}
+                  🏢 <Highlight text={primary.agency.split("|")[0]} query={query} field="agency" />
                 </span>
               )}
               <span style={{ marginLeft: 8 }}>
                 <span style={{
                   fontSize: 10, padding: "1px 7px", borderRadius: 3,
-                  background: `${sourceColors[primary.source_id] || "#ffffff"}0f`,
-                  color: sourceColors[primary.source_id] || "#666",
+                  background: `${sourceColor(primary.source_id) || "#ffffff"}0f`,
+                  color: sourceColor(primary.source_id) || "#666",
                   fontWeight: 600, letterSpacing: "0.02em",
                 }}>
-                  {sourceLabels[primary.source_id] || primary.source_id}
+                  {sourceLabel(primary.source_id)}
                 </span>
               </span>
+              {showGc && (
+                <span style={{ marginLeft: 12, color: C.orange }} title="Contractor on the master permit at this address">
+                  🏗 GC: {gc}
+                </span>
+              )}
+              {subpermits.length > 0 && (
+                <span style={{ marginLeft: 8, fontSize: 11, color: C.textSub, whiteSpace: "nowrap" }}>
+                  🔗 {subpermits.length} sub-permit{subpermits.length !== 1 ? "s" : ""}
+                </span>
+              )}
+              {master && (
+                <span style={{ marginLeft: 8, fontSize: 11, color: C.textSub, whiteSpace: "nowrap" }}>
+                  ↳ sub-permit of {master.permit_number ? `#${master.permit_number}` : getDisplayTitle(master)}
+                </span>
+              )}
               {(() => { const age = postedAge(primary.posted_date); return age ? (
                 <span style={{ marginLeft: 8, fontSize: 11, color: age.color, whiteSpace: "nowrap" }}>
                   {age.label}
@@ -637,6 +642,15 @@ function ProjectCard({ group, onSave, savedIds, animDelay, onDismiss, valueMedia
             </div>
           </div>
           <div style={{ display: "flex", alignItems: "center", gap: 12, flexShrink: 0 }}>
+            {match && (
+              <span title="Match score — expand for the breakdown" style={{
+                fontSize: 11, fontWeight: 700, padding: "2px 8px", borderRadius: 10, whiteSpace: "nowrap",
+                background: `${matchColor(match.score)}22`, color: matchColor(match.score),
+                fontFamily: "'Space Mono', monospace",
+              }}>
+                {match.score}%
+              </span>
+            )}
             {deadlineTag && (
               <span style={{
                 fontSize: 11, fontWeight: 700, padding: "2px 8px", borderRadius: 4,
@@ -671,7 +685,13 @@ function ProjectCard({ group, onSave, savedIds, animDelay, onDismiss, valueMedia
             {descText && (
               <div style={{ marginBottom: 16 }}>
                 <div style={styles.detailLabel}>Description</div>
-                <div style={{ color: "#aaa", fontSize: 13, lineHeight: 1.6 }}>{descText}</div>
+                <div style={{ color: "#aaa", fontSize: 13, lineHeight: 1.6 }}><Highlight text={descText} query={query} field="description" /></div>
+              </div>
+            )}
+            {match && (
+              <div style={{ marginBottom: 16, maxWidth: 420 }}>
+                <div style={styles.detailLabel}>Match {match.score}% — why</div>
+                <MatchBreakdown match={match} />
               </div>
             )}
             <div style={{ display: "grid", gridTemplateColumns: "1fr 1fr 1fr", gap: 16, marginBottom: 16 }}>
@@ -688,22 +708,40 @@ function ProjectCard({ group, onSave, savedIds, animDelay, onDismiss, valueMedia
               {primary.permit_number && (
                 <div>
                   <div style={styles.detailLabel}>Permit #</div>
-                  <div style={styles.detailValue}>{primary.permit_number}</div>
+                  <div style={styles.detailValue}><Highlight text={primary.permit_number} query={query} field="permit" /></div>
                 </div>
               )}
               {primary.solicitation_number && (
                 <div>
                   <div style={styles.detailLabel}>Solicitation #</div>
-                  <div style={styles.detailValue}>{primary.solicitation_number}</div>
+                  <div style={styles.detailValue}><Highlight text={primary.solicitation_number} query={query} field="permit" /></div>
                 </div>
               )}
               {primary.contractor && (
                 <div>
                   <div style={styles.detailLabel}>Contractor</div>
-                  <div style={styles.detailValue}>{primary.contractor}</div>
+                  <div style={styles.detailValue}><Highlight text={primary.contractor} query={query} field="contractor" /></div>
                 </div>
               )}
             </div>
+            {subpermits.length > 0 && (
+              <div style={{ marginBottom: 16 }}>
+                <div style={styles.detailLabel}>Sub-permits</div>
+                {subpermits.map((sp) => (
+                  <div key={sp.id} style={{ display: "flex", gap: 10, alignItems: "baseline", fontSize: 13, padding: "3px 0", borderBottom: `1px solid ${C.border}` }}>
+                    <span style={{ color: C.textMuted, fontSize: 12, minWidth: 110 }}>{sp.permit_number || "—"}</span>
+                    <span style={{ color: C.text, flex: 1 }}>{getDisplayTitle(sp) || sp.title}</span>
+                    {sp.contractor && <span style={{ color: C.textSub, fontSize: 12 }}>👷 {sp.contractor.split("|")[0].trim()}</span>}
+                    <StatusPill status={sp.status} />
+                  </div>
+                ))}
+              </div>
+            )}
+            {group.address && SOURCES[primary.source_id]?.kind === "permit" && (
+              <div onClick={(e) => e.stopPropagation()} style={{ marginBottom: 16 }}>
+                <SiteTimeline group={group} />
+              </div>
+            )}
             <div style={{ display: "flex", gap: 8 }}>
               {primary.source_url && (
                 <a href={primary.source_url} target="_blank" rel="noopener"
@@ -711,13 +749,34 @@ function ProjectCard({ group, onSave, savedIds, animDelay, onDismiss, valueMedia
                   View Source →
                 </a>
               )}
-              {!isSaved && (
+              {!isSaved && canEdit && (
                 <button style={styles.saveBtn}
                   onClick={(e) => { e.stopPropagation(); onSave(primary.id); }}>
                   ★ Save
                 </button>
               )}
+              {SOURCES[primary.source_id]?.kind !== "parcel" && (
+                <button style={{ ...styles.linkBtn, cursor: "pointer", fontFamily: "inherit" }}
+                  onClick={(e) => {
+                    e.stopPropagation();
+                    navigator.clipboard?.writeText(projectLink(primary.id)).then(() => {
+                      setCopied(true);
+                      setTimeout(() => setCopied(false), 2000);
+                    });
+                  }}>
+                  {copied ? "✓ Link copied" : "🔗 Copy link"}
+                </button>
+              )}
+              <button style={{ ...styles.linkBtn, cursor: "pointer", fontFamily: "inherit" }}
+                onClick={(e) => { e.stopPropagation(); printLeadSheet(group, { savedId, estValue }); }}>
+                🖨 Print / PDF
+              </button>
             </div>
+            {isSaved && (
+              <div onClick={(e) => e.stopPropagation()} style={{ marginTop: 16 }}>
+                <SavedWork savedId={savedId} readOnly={!canEdit} />
+              </div>
+            )}
           </div>
         )}
       </div>
@@ -725,33 +784,58 @@ function ProjectCard({ group, onSave, savedIds, animDelay, onDismiss, valueMedia
   );
 }
 
+// Card for a /project/:id link, pinned above the feed whether or not the
+// project passes the current filters. Keyed by id so each link starts fresh.
+function LinkedProject({ projectId, onClose, ...cardProps }) {
+  const [state, setState] = useState({ loading: true, project: null });
+
+  useEffect(() => {
+    api(`/projects/${encodeURIComponent(projectId)}`)
+      .then((p) => setState({ loading: false, project: p?.id != null ? p : null }))
+      .catch(() => setState({ loading: false, project: null }));
+  }, [projectId]);
+
+  return (
+    <div style={{ marginBottom: 20 }}>
+      <div style={{ display: "flex", alignItems: "center", justifyContent: "space-between", marginBottom: 8 }}>
+        <span style={styles.detailLabel}>Shared project</span>
+        <button onClick={onClose}
+          style={{ background: "none", border: "none", color: C.blue, cursor: "pointer", fontSize: 13, fontFamily: "inherit" }}>
+          ✕ Back to feed
+        </button>
+      </div>
+      {state.loading ? (
+        <div style={{ textAlign: "center", padding: 24 }}><div style={styles.spinner} /></div>
+      ) : state.project ? (
+        <ProjectCard group={groupByAddress([state.project])[0]} animDelay={0} defaultExpanded {...cardProps} />
+      ) : (
+        <div style={{ color: C.textMuted, fontSize: 13, padding: "12px 0" }}>
+          That project is no longer in the feed.
+        </div>
+      )}
+    </div>
+  );
+}
 
 // ─── STATS BAR ──────────────────────────────────────────────────────────────
 
-function StatsBar({ stats, onBidsOpen }) {
-  if (!stats) return null;
+// Metrics come from personaStats; a metric with an `action` is clickable, a
+// `partial` one is a lower bound and gets a "+"
+function StatsBar({ metrics, onAction }) {
+  if (!metrics.length) return null;
   return (
     <div className="stats-grid">
-      <div style={{ ...styles.statBox, borderLeft: `3px solid ${C.blue}` }}>
-        <div style={styles.statNumber}>{stats.total_projects}</div>
-        <div style={styles.statLabel}>Active Projects</div>
-      </div>
-      <div style={{ ...styles.statBox, borderLeft: `3px solid ${C.orange}` }}>
-        <div style={{ ...styles.statNumber, color: C.orange }}>{fmt$(stats.total_pipeline_value)}</div>
-        <div style={styles.statLabel}>Pipeline Value</div>
-      </div>
-      <div style={{ ...styles.statBox, borderLeft: `3px solid ${C.sky}` }}>
-        <div style={{ ...styles.statNumber, color: C.sky }}>{stats.new_this_week}</div>
-        <div style={styles.statLabel}>New This Week</div>
-      </div>
-      <div
-        onClick={onBidsOpen}
-        style={{ ...styles.statBox, borderLeft: `3px solid #22c55e`, cursor: onBidsOpen ? "pointer" : "default" }}
-        title={onBidsOpen ? "Show open bids" : undefined}
-      >
-        <div style={{ ...styles.statNumber, color: "#22c55e" }}>{stats.bids_open}</div>
-        <div style={styles.statLabel}>Bids Open</div>
-      </div>
+      {metrics.map(({ id, label, value, color, valueColor, action, partial }) => (
+        <div
+          key={id}
+          onClick={action ? () => onAction?.(action) : undefined}
+          style={{ ...styles.statBox, borderLeft: `3px solid ${color}`, cursor: action ? "pointer" : "default" }}
+          title={partial ? "Counted from the projects loaded so far" : action === "bids" ? "Show open bids" : undefined}
+        >
+          <div style={{ ...styles.statNumber, color: valueColor || color }}>{value}{partial && "+"}</div>
+          <div style={styles.statLabel}>{label}</div>
+        </div>
+      ))}
     </div>
   );
 }
@@ -776,18 +860,6 @@ const ALL_CATEGORIES = [
   { id: "other", label: "Other" },
 ];
 const ALL_STATUSES = ["Applied", "Open", "Active", "Accepting Bids", "Issued", "In Review", "Under Review", "Finaled", "Opportunities"];
-const ALL_SOURCES = [
-  { id: "sam-gov", label: "SAM.gov" },
-  { id: "charleston-permits", label: "CHS Permits" },
-  { id: "north-charleston-permits", label: "N. Charleston" },
-  { id: "mt-pleasant-permits", label: "Mt. Pleasant" },
-  { id: "scbo", label: "SCBO" },
-  { id: "charleston-city-bids", label: "CHS City Bids" },
-  { id: "charlotte-permits", label: "Charlotte" },
-  { id: "charlotte-land-dev", label: "CLT Land Dev" },
-  { id: "charlotte-cip", label: "CLT CIP" },
-  { id: "charlotte-ncdot", label: "CLT NCDOT" },
-];
 const CLIENT_TYPES = [
   { id: "developer",    label: "Developer" },
   { id: "government",   label: "Government" },
@@ -795,54 +867,150 @@ const CLIENT_TYPES = [
   { id: "broker",       label: "Broker" },
   { id: "multi-family", label: "Multi Family" },
 ];
-const CLIENT_TYPE_SOURCES = {
-  developer:  new Set(["charleston-permits","north-charleston-permits","mt-pleasant-permits","charlotte-permits","charlotte-land-dev","parcel-opportunity"]),
-  government: new Set(["sam-gov","scbo","charleston-city-bids","charlotte-cip","charlotte-ncdot"]),
-};
-const CLIENT_TYPE_CATEGORIES = {
-  "higher-ed":    new Set(["institutional","healthcare","education"]),
-  broker:         new Set(["commercial","office","retail","renovation"]),
-  "multi-family": new Set(["multi-family","mixed-use"]),
-};
-function projectMatchesClientTypes(project, clientTypes) {
-  if (!clientTypes.length) return true;
-  return clientTypes.some(ct =>
-    CLIENT_TYPE_SOURCES[ct]?.has(project.source_id) ||
-    CLIENT_TYPE_CATEGORIES[ct]?.has(project.category)
+
+// "Only" / "Hide" switch for a chip row. Hide mode paints its chips red.
+const modeColor = (mode, color) => (mode === "exclude" ? "#e44" : color);
+
+function ModeToggle({ mode = "include", onChange }) {
+  return (
+    <span style={{ display: "inline-flex", border: `1px solid ${C.border}`, borderRadius: 6, overflow: "hidden", marginRight: 4 }}>
+      {Object.entries(FILTER_MODES).map(([id, { label }]) => (
+        <button key={id} onClick={() => onChange(id)} title={FILTER_MODES[id].verb}
+          style={{
+            padding: "4px 9px", border: "none", cursor: "pointer",
+            background: mode === id ? `${modeColor(id, C.blue)}25` : "transparent",
+            color: mode === id ? modeColor(id, C.blue) : C.textMuted,
+            fontSize: 11, fontWeight: 700, fontFamily: "'DM Sans', sans-serif",
+          }}>
+          {label}
+        </button>
+      ))}
+    </span>
+  );
+}
+
+// Settings editor for the feed rules in rules.js. Edits a draft; the counts
+// preview each rule against the loaded feed (saved projects aside, since rules
+// never hide them) before anything is saved.
+function FeedRulesEditor({ rules, previewRows, onSaved }) {
+  const [draft, setDraft] = useState(rules);
+  const [saving, setSaving] = useState(false);
+  const [savedMsg, setSavedMsg] = useState("");
+
+  const impact = ruleImpact(draft, previewRows);
+  const errors = Object.fromEntries(draft.map((r) => [r.id, ruleError(r)]));
+  const dirty = JSON.stringify(draft) !== JSON.stringify(rules);
+  const update = (id, patch) => setDraft((rs) => rs.map((r) => (r.id === id ? { ...r, ...patch } : r)));
+  const toggleValue = (rule, v) =>
+    update(rule.id, { values: rule.values.includes(v) ? rule.values.filter((x) => x !== v) : [...rule.values, v] });
+  const numberOrNull = (v) => (v === "" ? null : Number(v));
+
+  const save = async () => {
+    setSaving(true);
+    const cleaned = draft.map((r) => (r.field === "keyword" ? { ...r, terms: r.terms.map((t) => t.trim()).filter(Boolean) } : r));
+    try {
+      await apiStrict("/auth/me", { method: "PATCH", body: JSON.stringify({ feed_rules: cleaned }) });
+      setDraft(cleaned);
+      onSaved?.();
+      setSavedMsg("✓ Rules saved");
+    } catch (err) {
+      setSavedMsg(`Couldn't save rules: ${err.message}`);
+    }
+    setSaving(false);
+    setTimeout(() => setSavedMsg(""), 4000);
+  };
+
+  const small = { ...styles.searchInput, fontSize: 12, padding: "5px 8px" };
+  const chip = (active, color) => ({
+    padding: "4px 10px", borderRadius: 6, fontSize: 11, fontWeight: 600, cursor: "pointer",
+    border: `1px solid ${active ? color : C.border}`, background: active ? `${color}20` : "transparent",
+    color: active ? color : C.textSub, fontFamily: "'DM Sans', sans-serif",
+  });
+
+  return (
+    <div>
+      {draft.map((rule) => {
+        const color = rule.action === "include" ? "#22c55e" : "#e44";
+        return (
+          <div key={rule.id} style={{
+            border: `1px solid ${C.border}`, borderLeft: `3px solid ${color}`, borderRadius: 8, padding: 12, marginBottom: 10,
+            opacity: rule.enabled === false ? 0.55 : 1,
+          }}>
+            <div style={{ display: "flex", gap: 8, alignItems: "center", flexWrap: "wrap", marginBottom: 8 }}>
+              <input type="checkbox" checked={rule.enabled !== false} title="Enabled"
+                onChange={(e) => update(rule.id, { enabled: e.target.checked })} />
+              <select value={rule.action} onChange={(e) => update(rule.id, { action: e.target.value })} style={{ ...small, width: "auto" }}>
+                {Object.entries(RULE_ACTIONS).map(([id, label]) => <option key={id} value={id}>{label}</option>)}
+              </select>
+              <span style={{ fontSize: 12, color: C.textMuted }}>{RULE_FIELDS[rule.field]}</span>
+              <input value={rule.label} placeholder="Name this rule" onChange={(e) => update(rule.id, { label: e.target.value })}
+                style={{ ...small, flex: 1, minWidth: 140 }} />
+              <span style={{ fontSize: 12, color, whiteSpace: "nowrap" }}>
+                {rule.action === "include" ? "shows" : "hides"} {impact[rule.id]} of {previewRows.length}
+              </span>
+              <button onClick={() => setDraft((rs) => rs.filter((r) => r.id !== rule.id))} title="Delete rule"
+                style={{ background: "none", border: "none", color: C.textMuted, cursor: "pointer" }}>✕</button>
+            </div>
+            {rule.field === "keyword" && (
+              <>
+                <select value={rule.match} onChange={(e) => update(rule.id, { match: e.target.value })} style={{ ...small, width: "auto", marginBottom: 6 }}>
+                  <option value="contains">Title contains</option>
+                  <option value="starts">Title starts with</option>
+                </select>
+                <textarea value={rule.terms.join("\n")} rows={Math.min(8, rule.terms.length + 1)}
+                  placeholder={"One phrase per line, e.g.\nwater main\nlevel #"}
+                  onChange={(e) => update(rule.id, { terms: e.target.value.split("\n") })}
+                  style={{ ...small, width: "100%", fontFamily: "'Space Mono', monospace", resize: "vertical" }} />
+              </>
+            )}
+            {rule.field === "category" && (
+              <div style={{ display: "flex", gap: 6, flexWrap: "wrap" }}>
+                {ALL_CATEGORIES.map(({ id, label }) => (
+                  <button key={id} onClick={() => toggleValue(rule, id)} style={chip(rule.values.includes(id), color)}>{label}</button>
+                ))}
+              </div>
+            )}
+            {rule.field === "source" && (
+              <div style={{ display: "flex", gap: 6, flexWrap: "wrap" }}>
+                {ALL_SOURCES.map(({ id, label }) => (
+                  <button key={id} onClick={() => toggleValue(rule, id)} style={chip(rule.values.includes(id), color)}>{label}</button>
+                ))}
+              </div>
+            )}
+            {rule.field === "value" && (
+              <div style={{ display: "flex", gap: 8, alignItems: "center", fontSize: 12, color: C.textSub }}>
+                From $<input type="number" min="0" value={rule.min ?? ""} placeholder="any"
+                  onChange={(e) => update(rule.id, { min: numberOrNull(e.target.value) })} style={{ ...small, width: 120 }} />
+                to $<input type="number" min="0" value={rule.max ?? ""} placeholder="any"
+                  onChange={(e) => update(rule.id, { max: numberOrNull(e.target.value) })} style={{ ...small, width: 120 }} />
+              </div>
+            )}
+            {errors[rule.id] && <div style={{ color: "#e44", fontSize: 12, marginTop: 6 }}>{errors[rule.id]}</div>}
+          </div>
+        );
+      })}
+      <div style={{ display: "flex", gap: 6, flexWrap: "wrap", alignItems: "center", marginBottom: 16 }}>
+        <span style={{ fontSize: 12, color: C.textMuted }}>Add rule:</span>
+        {Object.entries(RULE_FIELDS).map(([field, label]) => (
+          <button key={field} onClick={() => setDraft((rs) => [...rs, newRule(field)])} style={chip(false, C.blue)}>+ {label}</button>
+        ))}
+        <button onClick={() => setDraft(DEFAULT_RULES)} style={{ ...headerLink, fontSize: 12, marginLeft: "auto" }}>Reset to defaults</button>
+      </div>
+      <button onClick={save} disabled={saving || !dirty || Object.values(errors).some(Boolean)}
+        style={{ ...styles.authBtn, opacity: dirty && !Object.values(errors).some(Boolean) ? 1 : 0.5 }}>
+        {saving ? "Saving..." : "Save Rules"}
+      </button>
+      {savedMsg && <span style={{ color: C.orange, fontSize: 13, marginLeft: 16 }}>{savedMsg}</span>}
+    </div>
   );
 }
 
-// Trade-only permit categories — subcontractor pulls, not GC-level projects.
-// Excluded from the default feed; shown only when explicitly filtered for.
-const TRADE_CATEGORIES = new Set([
-  "fire-sprinkler", "electrical", "plumbing", "mechanical", "painting", "roofing", "structural",
-]);
-
-// Civil/infrastructure and sub-permit titles to exclude from the default GC feed.
-const CIVIL_INFRA_RE = /\b(culvert|resurfacing|road\s+(resurface|widening|repair|improvement)|highway\s+construction|roundabout|bridge\s+(repair|replacement|construction|project)|pavement\s+(marking|replacement)|traffic\s+signal|water\s+main|sewer\s+main|utility\s+(relocation|undergrounding))\b|^(phasing\s+permit|phased\s+permit|phasing\s+floor\s+\d+|level\s+\d+[-–\s]|parking\s+garage\s+for\s|roof\s+permit\s+for\s|overall\s+master\s+permit|master\s+permit\s+for\s|retail\s+floor\s+[\d.]+|leasing\s+office\b|an?\s+internal\s+parking\s+garage|hotel\s+rooms\s+level\s+\d+|pool\s+area\s+and\s|test\s+permit|this\s+permit\s+to\s+serve\s+for|mockup\s+panel\s+for|site\s+i?o?mprovements?\s*[-–])/i;
-
-// Lowcountry region filtering
-const LOWCOUNTRY_RE = /\b(charleston|mt\.?\s*pleasant|mount\s+pleasant|goose\s+creek|summerville|hanahan|isle\s+of\s+palms|sullivan'?s\s+island|james\s+island|johns\s+island|daniel\s+island|folly\s+beach|ladson|moncks\s+corner|berkeley\s+county|dorchester\s+county|north\s+charleston|seabrook|kiawah)\b/i;
-const LOWCOUNTRY_PERMIT_SOURCES = new Set([
-  "charleston-permits", "north-charleston-permits", "mt-pleasant-permits", "charleston-city-bids",
-]);
-const PERMIT_SOURCES = new Set([
-  "charleston-permits", "north-charleston-permits", "mt-pleasant-permits",
-  "charlotte-permits", "charlotte-land-dev",
-]);
-const THREE_YEARS_MS = 3 * 365 * 24 * 60 * 60 * 1000;
-const CHARLOTTE_SOURCES = new Set([
-  "charlotte-permits", "charlotte-land-dev", "charlotte-cip", "charlotte-ncdot",
-]);
-function projectInLowcountry(project) {
-  if (LOWCOUNTRY_PERMIT_SOURCES.has(project.source_id)) return true;
-  if (CHARLOTTE_SOURCES.has(project.source_id)) return false;
-  const text = `${project.title || ""} ${project.description || ""}`;
-  return LOWCOUNTRY_RE.test(text);
-}
-
-function ProfileTab({ lastScanAt, onScan }) {
-  const [defaults, setDefaults] = useState({ clientTypes: [], minValue: 0, categories: [], statuses: [] });
+function ProfileTab({ lastScanAt, onScan, onDefaultsSaved, feedRules, previewRows, onRulesSaved }) {
+  const [defaults, setDefaults] = useState({
+    clientTypes: [], minValue: 0, categories: [], statuses: [], categoryMode: "include", statusMode: "include",
+    officeLat: "", officeLng: "", persona: DEFAULT_PERSONA,
+  });
+  const [locating, setLocating] = useState(false);
   const [saving, setSaving] = useState(false);
   const [savedMsg, setSavedMsg] = useState("");
   const [scanning, setScanning] = useState(false);
@@ -857,9 +1025,26 @@ function ProfileTab({ lastScanAt, onScan }) {
       minValue: data.criteria_min_value || 0,
       categories: data.criteria_categories || [],
       statuses: data.criteria_statuses || [],
+      categoryMode: data.criteria_category_mode || "include",
+      statusMode: profileStatusMode(data),
+      officeLat: data.office_lat ?? "",
+      officeLng: data.office_lng ?? "",
+      persona: data.persona || DEFAULT_PERSONA,
     }));
   }, []);
 
+  const locate = () => {
+    if (!navigator.geolocation) return;
+    setLocating(true);
+    navigator.geolocation.getCurrentPosition(
+      ({ coords }) => {
+        setDefaults((d) => ({ ...d, officeLat: coords.latitude.toFixed(5), officeLng: coords.longitude.toFixed(5) }));
+        setLocating(false);
+      },
+      () => setLocating(false),
+    );
+  };
+
   const toggle = (key, id) =>
     setDefaults((d) => {
       const arr = d[key] || [];
@@ -873,8 +1058,14 @@ function ProfileTab({ lastScanAt, onScan }) {
       criteria_min_value: defaults.minValue || null,
       criteria_categories: defaults.categories,
       criteria_statuses: defaults.statuses,
+      criteria_category_mode: defaults.categoryMode,
+      criteria_status_mode: defaults.statusMode,
+      office_lat: defaults.officeLat === "" ? null : Number(defaults.officeLat),
+      office_lng: defaults.officeLng === "" ? null : Number(defaults.officeLng),
+      persona: defaults.persona,
     }) });
     setSaving(false);
+    onDefaultsSaved?.();
     setSavedMsg("✓ Saved as defaults");
     setTimeout(() => setSavedMsg(""), 4000);
   };
@@ -925,7 +1116,20 @@ function ProfileTab({ lastScanAt, onScan }) {
       <div style={{ marginBottom: 36 }}>
         <h3 style={{ fontSize: 15, fontWeight: 700, color: C.text, marginBottom: 6 }}>Default Filters</h3>
         <p style={{ color: C.textSub, fontSize: 13, marginBottom: 20, lineHeight: 1.6 }}>
-          Applied automatically when you log in. Override any time in the filter bar.
+          Applied automatically when you log in, unless a saved search is starred as the default.
+          Override any time in the filter bar.
+        </p>
+
+        <span style={sectionLabel}>Your Role</span>
+        <div style={{ display: "flex", gap: 8, flexWrap: "wrap", marginBottom: 6 }}>
+          {Object.entries(PERSONAS).map(([id, { label }]) => (
+            <button key={id} onClick={() => setDefaults((d) => ({ ...d, persona: id }))} style={chip(defaults.persona === id, C.orange)}>
+              {label}
+            </button>
+          ))}
+        </div>
+        <p style={{ color: C.textSub, fontSize: 12, marginBottom: 20, lineHeight: 1.5 }}>
+          {PERSONAS[defaults.persona]?.detail} Sets the feed's starting filters and the stats shown above it.
         </p>
 
         <span style={sectionLabel}>Client Type</span>
@@ -948,8 +1152,9 @@ function ProfileTab({ lastScanAt, onScan }) {
 
         <span style={sectionLabel}>Project Type</span>
         <div style={{ display: "flex", gap: 8, flexWrap: "wrap", marginBottom: 20 }}>
+          <ModeToggle mode={defaults.categoryMode} onChange={(m) => setDefaults(d => ({ ...d, categoryMode: m }))} />
           {ALL_CATEGORIES.map(({ id, label }) => (
-            <button key={id} onClick={() => toggle("categories", id)} style={chip(defaults.categories.includes(id), C.blue)}>
+            <button key={id} onClick={() => toggle("categories", id)} style={chip(defaults.categories.includes(id), modeColor(defaults.categoryMode, C.blue))}>
               {label}
             </button>
           ))}
@@ -957,13 +1162,30 @@ function ProfileTab({ lastScanAt, onScan }) {
 
         <span style={sectionLabel}>Status</span>
         <div style={{ display: "flex", gap: 8, flexWrap: "wrap", marginBottom: 20 }}>
+          <ModeToggle mode={defaults.statusMode} onChange={(m) => setDefaults(d => ({ ...d, statusMode: m }))} />
           {ALL_STATUSES.map((s) => (
-            <button key={s} onClick={() => toggle("statuses", s)} style={chip(defaults.statuses.includes(s), C.sky)}>
+            <button key={s} onClick={() => toggle("statuses", s)} style={chip(defaults.statuses.includes(s), modeColor(defaults.statusMode, C.sky))}>
               {s}
             </button>
           ))}
         </div>
 
+        <span style={sectionLabel}>Office Location</span>
+        <p style={{ color: C.textSub, fontSize: 12, margin: "-4px 0 10px", lineHeight: 1.5 }}>
+          Match scores favor projects near here. Until it's set, distance is measured from the market center.
+        </p>
+        <div style={{ display: "flex", gap: 8, flexWrap: "wrap", alignItems: "center", marginBottom: 20 }}>
+          <input value={defaults.officeLat} placeholder="Latitude" inputMode="decimal"
+            onChange={(e) => setDefaults((d) => ({ ...d, officeLat: e.target.value }))}
+            style={{ ...styles.searchInput, width: 130, fontSize: 13 }} />
+          <input value={defaults.officeLng} placeholder="Longitude" inputMode="decimal"
+            onChange={(e) => setDefaults((d) => ({ ...d, officeLng: e.target.value }))}
+            style={{ ...styles.searchInput, width: 130, fontSize: 13 }} />
+          <button onClick={locate} disabled={locating} style={chip(false, C.sky)}>
+            {locating ? "Locating…" : "📍 Use my location"}
+          </button>
+        </div>
+
         <button onClick={saveDefaults} disabled={saving} style={styles.authBtn}>
           {saving ? "Saving..." : "Save Defaults"}
         </button>
@@ -972,6 +1194,18 @@ function ProfileTab({ lastScanAt, onScan }) {
 
       <div style={{ borderTop: `1px solid ${C.border}`, margin: "0 0 32px" }} />
 
+      {/* Feed rules */}
+      <div style={{ marginBottom: 36 }}>
+        <h3 style={{ fontSize: 15, fontWeight: 700, color: C.text, marginBottom: 6 }}>Feed Rules</h3>
+        <p style={{ color: C.textSub, fontSize: 13, marginBottom: 20, lineHeight: 1.6 }}>
+          Hide projects from the default feed by title keywords, category, source or value, or always show a match.
+          Picking project types in the filter bar bypasses these rules. Counts are over the projects loaded in the feed.
+        </p>
+        <FeedRulesEditor key={JSON.stringify(feedRules)} rules={feedRules} previewRows={previewRows} onSaved={onRulesSaved} />
+      </div>
+
+      <div style={{ borderTop: `1px solid ${C.border}`, margin: "0 0 32px" }} />
+
       {/* Manual scan */}
       <h3 style={{ fontSize: 15, fontWeight: 700, color: C.text, marginBottom: 8 }}>Data Refresh</h3>
       <p style={{ color: C.textSub, fontSize: 13, marginBottom: 16, lineHeight: 1.6 }}>
@@ -1063,59 +1297,7 @@ function ProfileTab({ lastScanAt, onScan }) {
 
 // ─── CITY SELECTOR ──────────────────────────────────────────────────────────
 
-const CITIES = [
-  // Southeast
-  { id: "charleston-sc",  label: "Charleston, SC",   icon: "🌊", active: true },
-  { id: "columbia-sc",    label: "Columbia, SC",     icon: "🏛️" },
-  { id: "greenville-sc",  label: "Greenville, SC",   icon: "🌿" },
-  { id: "charlotte-nc",   label: "Charlotte, NC",    icon: "🏙️", active: true },
-  { id: "raleigh-nc",     label: "Raleigh, NC",      icon: "🔬" },
-  { id: "atlanta-ga",     label: "Atlanta, GA",      icon: "🍑" },
-  { id: "savannah-ga",    label: "Savannah, GA",     icon: "🌳" },
-  { id: "jacksonville-fl",label: "Jacksonville, FL", icon: "🌞" },
-  { id: "orlando-fl",     label: "Orlando, FL",      icon: "🎡" },
-  { id: "tampa-fl",       label: "Tampa, FL",        icon: "⚡" },
-  { id: "miami-fl",       label: "Miami, FL",        icon: "🌴" },
-  { id: "nashville-tn",   label: "Nashville, TN",    icon: "🎸" },
-  { id: "memphis-tn",     label: "Memphis, TN",      icon: "🎵" },
-  { id: "birmingham-al",  label: "Birmingham, AL",   icon: "🔩" },
-  { id: "new-orleans-la", label: "New Orleans, LA",  icon: "🎷" },
-  // Northeast
-  { id: "new-york-ny",    label: "New York, NY",     icon: "🗽" },
-  { id: "boston-ma",      label: "Boston, MA",       icon: "🦞" },
-  { id: "philadelphia-pa",label: "Philadelphia, PA", icon: "🔔" },
-  { id: "washington-dc",  label: "Washington, DC",   icon: "🏛️" },
-  { id: "baltimore-md",   label: "Baltimore, MD",    icon: "🦀" },
-  // Midwest
-  { id: "chicago-il",     label: "Chicago, IL",      icon: "🌬️" },
-  { id: "detroit-mi",     label: "Detroit, MI",      icon: "🚗" },
-  { id: "columbus-oh",    label: "Columbus, OH",     icon: "🌰" },
-  { id: "indianapolis-in",label: "Indianapolis, IN", icon: "🏎️" },
-  { id: "minneapolis-mn", label: "Minneapolis, MN",  icon: "❄️" },
-  { id: "kansas-city-mo", label: "Kansas City, MO",  icon: "🥩" },
-  { id: "st-louis-mo",    label: "St. Louis, MO",    icon: "⚾" },
-  // South / Southwest
-  { id: "dallas-tx",      label: "Dallas, TX",       icon: "🤠" },
-  { id: "houston-tx",     label: "Houston, TX",      icon: "⭐" },
-  { id: "san-antonio-tx", label: "San Antonio, TX",  icon: "🌵" },
-  { id: "austin-tx",      label: "Austin, TX",       icon: "🎶" },
-  { id: "oklahoma-city-ok",label:"Oklahoma City, OK",icon: "🌪️" },
-  { id: "phoenix-az",     label: "Phoenix, AZ",      icon: "☀️" },
-  { id: "tucson-az",      label: "Tucson, AZ",       icon: "🌵" },
-  { id: "las-vegas-nv",   label: "Las Vegas, NV",    icon: "🎰" },
-  { id: "albuquerque-nm", label: "Albuquerque, NM",  icon: "🎈" },
-  // West
-  { id: "los-angeles-ca", label: "Los Angeles, CA",  icon: "🎬" },
-  { id: "san-diego-ca",   label: "San Diego, CA",    icon: "🌮" },
-  { id: "san-francisco-ca",label:"San Francisco, CA",icon: "🌉" },
-  { id: "sacramento-ca",  label: "Sacramento, CA",   icon: "🌾" },
-  { id: "portland-or",    label: "Portland, OR",     icon: "🌲" },
-  { id: "seattle-wa",     label: "Seattle, WA",      icon: "☕" },
-  { id: "denver-co",      label: "Denver, CO",       icon: "⛰️" },
-  { id: "salt-lake-city-ut",label:"Salt Lake City, UT",icon:"⛷️" },
-];
-
-function CitySelector() {
+function CitySelector({ market, onSelect }) {
   const [open, setOpen] = useState(false);
   const ref = useRef(null);
 
@@ -1146,8 +1328,8 @@ function CitySelector() {
           whiteSpace: "nowrap",
         }}
       >
-        <span style={{ fontSize: 13 }}>🌊</span>
-        Charleston, SC
+        <span style={{ fontSize: 13 }}>{market.icon}</span>
+        {market.label}
         <span style={{ color: C.textMuted, fontSize: 9, marginLeft: 2 }}>▾</span>
       </button>
 
@@ -1169,37 +1351,42 @@ function CitySelector() {
           <div style={{ padding: "4px 10px 8px", fontSize: 10, color: C.textMuted, textTransform: "uppercase", letterSpacing: "0.08em", fontWeight: 600, borderBottom: `1px solid ${C.border}`, marginBottom: 4 }}>
             Select Market
           </div>
-          {CITIES.map((city) => (
-            <div
-              key={city.id}
-              style={{
-                display: "flex",
-                alignItems: "center",
-                justifyContent: "space-between",
-                padding: "7px 10px",
-                borderRadius: 6,
-                background: city.active ? `${C.blue}12` : "transparent",
-                cursor: city.active ? "default" : "not-allowed",
-              }}
-            >
-              <span style={{ fontSize: 13, color: city.active ? C.text : C.textSub, fontWeight: city.active ? 600 : 400 }}>
-                {city.icon} {city.label}
-              </span>
-              {city.active ? (
-                <span style={{ fontSize: 9, fontWeight: 700, color: C.blue, textTransform: "uppercase", letterSpacing: "0.06em" }}>
-                  Active
-                </span>
-              ) : (
-                <span style={{
-                  fontSize: 9, fontWeight: 700, textTransform: "uppercase", letterSpacing: "0.06em",
-                  color: C.textMuted, background: `${C.textMuted}15`,
-                  border: `1px solid ${C.textMuted}25`, padding: "2px 6px", borderRadius: 4,
-                }}>
-                  Soon
+          {CITIES.map((city) => {
+            const active = !!MARKETS[city.id];
+            const selected = city.id === market.id;
+            return (
+              <div
+                key={city.id}
+                onClick={() => { if (active) { onSelect(city.id); setOpen(false); } }}
+                style={{
+                  display: "flex",
+                  alignItems: "center",
+                  justifyContent: "space-between",
+                  padding: "7px 10px",
+                  borderRadius: 6,
+                  background: selected ? `${C.orange}15` : active ? `${C.blue}12` : "transparent",
+                  cursor: active ? "pointer" : "not-allowed",
+                }}
+              >
+                <span style={{ fontSize: 13, color: active ? C.text : C.textSub, fontWeight: active ? 600 : 400 }}>
+                  {city.icon} {city.label}
                 </span>
-              )}
-            </div>
-          ))}
+                {active ? (
+                  <span style={{ fontSize: 9, fontWeight: 700, color: selected ? C.orange : C.blue, textTransform: "uppercase", letterSpacing: "0.06em" }}>
+                    {selected ? "✓ Selected" : "Active"}
+                  </span>
+                ) : (
+                  <span style={{
+                    fontSize: 9, fontWeight: 700, textTransform: "uppercase", letterSpacing: "0.06em",
+                    color: C.textMuted, background: `${C.textMuted}15`,
+                    border: `1px solid ${C.textMuted}25`, padding: "2px 6px", borderRadius: 4,
+                  }}>
+                    Soon
+                  </span>
+                )}
+              </div>
+            );
+          })}
         </div>
       )}
     </div>
@@ -1244,15 +1431,101 @@ function ScanButton({ onScan }) {
 
 // ─── FILTER BAR ─────────────────────────────────────────────────────────────
 
-function FilterBar({ filters, setFilters }) {
-  const [showMore, setShowMore] = useState(false);
+// Search input with the query syntax from query.js: field-name completion,
+// recent queries (kept per browser) and a syntax cheat sheet
+function SearchBox({ value, onChange }) {
+  const [open, setOpen] = useState(false);
+  const [active, setActive] = useState(-1);
+  const [recent, setRecent] = useState(() => {
+    try { return JSON.parse(localStorage.getItem(RECENT_SEARCHES_KEY)) || []; } catch { return []; }
+  });
+  const suggestions = open ? searchSuggestions(value, recent) : [];
 
-  const toggleDir = () =>
-    setFilters((f) => ({ ...f, sortDir: f.sortDir === "desc" ? "asc" : "desc" }));
-  const toggle = (key, id) =>
-    setFilters((f) => {
-      const arr = f[key] || [];
-      return { ...f, [key]: arr.includes(id) ? arr.filter(x => x !== id) : [...arr, id] };
+  const remember = () => {
+    const next = rememberSearch(recent, value);
+    if (next === recent) return;
+    setRecent(next);
+    localStorage.setItem(RECENT_SEARCHES_KEY, JSON.stringify(next));
+  };
+  const pick = (s) => {
+    onChange(s.value);
+    setActive(-1);
+    if (s.recent) setOpen(false);
+  };
+  const onKeyDown = (e) => {
+    if (e.key === "ArrowDown" && suggestions.length) {
+      e.preventDefault();
+      setActive((i) => (i + 1) % suggestions.length);
+    } else if (e.key === "ArrowUp" && suggestions.length) {
+      e.preventDefault();
+      setActive((i) => (i <= 0 ? suggestions.length - 1 : i - 1));
+    } else if (e.key === "Enter") {
+      if (active >= 0 && suggestions[active]) pick(suggestions[active]);
+      else { remember(); setOpen(false); }
+    } else if (e.key === "Escape") {
+      setOpen(false);
+    }
+  };
+
+  return (
+    <div style={{ position: "relative", flex: "1 1 200px" }}>
+      <input
+        style={{ ...styles.searchInput, width: "100%" }}
+        placeholder='Search projects…  e.g. contractor:"Choate" value>2M -roof'
+        value={value}
+        onChange={(e) => { onChange(e.target.value); setOpen(true); setActive(-1); }}
+        onFocus={() => setOpen(true)}
+        onBlur={() => { remember(); setOpen(false); }}
+        onKeyDown={onKeyDown}
+      />
+      {open && (
+        <div style={{
+          position: "absolute", top: "100%", left: 0, right: 0, zIndex: 20, marginTop: 4,
+          background: C.surface, border: `1px solid ${C.border}`, borderRadius: 8, boxShadow: "0 8px 24px rgba(0,0,0,0.4)",
+          overflow: "hidden",
+        }}>
+          {suggestions.map((s, i) => (
+            <div key={s.value}
+              onMouseDown={(e) => { e.preventDefault(); pick(s); }}
+              onMouseEnter={() => setActive(i)}
+              style={{
+                padding: "7px 12px", fontSize: 13, cursor: "pointer", color: C.text,
+                background: i === active ? `${C.blue}20` : "transparent",
+                fontFamily: s.recent ? "inherit" : "'Space Mono', monospace",
+              }}>
+              {s.recent && <span style={{ color: C.textMuted, marginRight: 8 }}>↺</span>}
+              {s.label}
+            </div>
+          ))}
+          <div style={{ padding: "7px 12px", fontSize: 11, color: C.textMuted, borderTop: suggestions.length ? `1px solid ${C.border}` : "none", lineHeight: 1.6 }}>
+            <code>field:word</code> · <code>"exact phrase"</code> · <code>-exclude</code> · <code>a OR b</code> · <code>value&gt;2M</code>
+            <br />Fields: {Object.keys(SEARCH_FIELDS).join(", ")}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+function FilterBar({ filters, setFilters, market }) {
+  const [showMore, setShowMore] = useState(false);
+
+  const toggleDir = () =>
+    setFilters((f) => ({ ...f, sortDir: f.sortDir === "desc" ? "asc" : "desc" }));
+  const keys = sortKeys(filters);
+  const unusedKeys = Object.keys(SORT_KEYS).filter((id) => !keys.some((k) => k.key === id));
+  const setThenBy = (rest) => setFilters((f) => ({ ...f, thenBy: rest.map((k) => `${k.key}:${k.dir}`) }));
+  const setPrimarySort = (key) =>
+    setFilters((f) => ({
+      ...f,
+      sortBy: key,
+      sortDir: SORT_KEYS[key].defaultDir,
+      thenBy: (f.thenBy || []).filter((t) => !t.startsWith(`${key}:`)),
+    }));
+  const toggle = (key, id) =>
+    setFilters((f) => {
+      const arr = f[key] || [];
+      return { ...f, [key]: arr.includes(id) ? arr.filter(x => x !== id) : [...arr, id] };
     });
 
   const btnBase = {
@@ -1272,7 +1545,16 @@ function FilterBar({ filters, setFilters }) {
   const rowLabel = { fontSize: 10, fontWeight: 700, color: C.textMuted, textTransform: "uppercase",
     letterSpacing: "0.08em", marginRight: 8, alignSelf: "center", whiteSpace: "nowrap" };
 
-  const moreCount = (filters.categories || []).length + (filters.statuses || []).length;
+  const moreCount = (filters.categories || []).length + (filters.statuses || []).length
+    + (filters.sources || []).length + (filters.neighborhoods || []).length;
+  const hoods = neighborhoodNames(market.id);
+  const setMode = (key) => (mode) => setFilters((f) => ({ ...f, [key]: mode }));
+  // Shown next to "More" so the active mode is visible with the rows collapsed
+  const modeSummary = [
+    ["Type", filters.categories, filters.categoryMode],
+    ["Status", filters.statuses, filters.statusMode],
+  ].filter(([, picked]) => picked?.length)
+    .map(([label, picked, mode]) => ({ label, picked, mode: mode || "include" }));
 
   return (
     <div style={{ ...styles.filterBar, flexWrap: "wrap", gap: 6 }}>
@@ -1285,9 +1567,14 @@ function FilterBar({ filters, setFilters }) {
           </button>
         ))}
         <span style={{ color: C.textMuted, alignSelf: "center", margin: "0 2px" }}>·</span>
-        <button onClick={() => setFilters(f => ({ ...f, lowcountry: !f.lowcountry }))}
-          style={chip(!!filters.lowcountry, C.sky)}>
-          Lowcountry
+        <button onClick={() => setFilters(f => ({ ...f, inRegion: !f.inRegion }))}
+          style={chip(!!filters.inRegion, C.sky)}>
+          {market.regionLabel}
+        </button>
+        <button onClick={() => setFilters(f => ({ ...f, tradeView: !f.tradeView }))}
+          title="Show sub-permits and trade permits as leads of their own"
+          style={chip(!!filters.tradeView, C.orange)}>
+          🔧 Trade view
         </button>
       </div>
       {/* Min value + More filters toggle on same row */}
@@ -1299,10 +1586,18 @@ function FilterBar({ filters, setFilters }) {
             {v === 0 ? "Any" : v >= 1000000 ? `$${v / 1000000}M+` : `$${v / 1000}K+`}
           </button>
         ))}
+        <span style={{ marginLeft: "auto", display: "flex", gap: 6, flexWrap: "wrap" }}>
+          {modeSummary.map(({ label, picked, mode }) => (
+            <span key={label} title={picked.join(", ")}
+              style={{ fontSize: 11, fontWeight: 600, color: modeColor(mode, C.blue), alignSelf: "center" }}>
+              {label}: {FILTER_MODES[mode].verb.toLowerCase()} {picked.length}
+            </span>
+          ))}
+        </span>
         <button
           onClick={() => setShowMore(v => !v)}
           style={{
-            marginLeft: "auto", padding: "6px 13px", borderRadius: 8, cursor: "pointer",
+            padding: "6px 13px", borderRadius: 8, cursor: "pointer",
             border: `1px solid ${showMore || moreCount > 0 ? C.blue : C.border}`,
             background: showMore ? `${C.blue}20` : "transparent",
             color: showMore || moreCount > 0 ? C.blue : C.textSub,
@@ -1313,21 +1608,43 @@ function FilterBar({ filters, setFilters }) {
           {showMore ? "▲ Less" : "▼ More"}{moreCount > 0 ? ` (${moreCount})` : ""}
         </button>
       </div>
-      {/* Project type + Status — collapsed by default */}
+      {/* Source + Neighborhood + Project type + Status — collapsed by default */}
       {showMore && (
         <>
+          <div style={{ display: "flex", gap: 6, flexWrap: "wrap", flex: "1 1 100%", alignItems: "center" }}>
+            <span style={rowLabel}>Source</span>
+            {marketSourceIds(market).map((id) => (
+              <button key={id} onClick={() => toggle("sources", id)} style={chip((filters.sources || []).includes(id), sourceColor(id))}>
+                {SOURCES[id].filterLabel || SOURCES[id].label}
+              </button>
+            ))}
+          </div>
+          {hoods.length > 0 && (
+            <div style={{ display: "flex", gap: 6, flexWrap: "wrap", flex: "1 1 100%", alignItems: "center" }}>
+              <span style={rowLabel}>Neighborhood</span>
+              {hoods.map((name) => (
+                <button key={name} onClick={() => toggle("neighborhoods", name)} style={chip((filters.neighborhoods || []).includes(name), C.sky)}>
+                  {name}
+                </button>
+              ))}
+            </div>
+          )}
           <div style={{ display: "flex", gap: 6, flexWrap: "wrap", flex: "1 1 100%", alignItems: "center" }}>
             <span style={rowLabel}>Type</span>
+            <ModeToggle mode={filters.categoryMode} onChange={setMode("categoryMode")} />
             {ALL_CATEGORIES.map(({ id, label }) => (
-              <button key={id} onClick={() => toggle("categories", id)} style={chip((filters.categories || []).includes(id), C.blue)}>
+              <button key={id} onClick={() => toggle("categories", id)}
+                style={chip((filters.categories || []).includes(id), modeColor(filters.categoryMode, C.blue))}>
                 {label}
               </button>
             ))}
           </div>
           <div style={{ display: "flex", gap: 6, flexWrap: "wrap", flex: "1 1 100%", alignItems: "center" }}>
-            <span style={rowLabel}>Hide Status</span>
+            <span style={rowLabel}>Status</span>
+            <ModeToggle mode={filters.statusMode} onChange={setMode("statusMode")} />
             {ALL_STATUSES.map((s) => (
-              <button key={s} onClick={() => toggle("statuses", s)} style={chip((filters.statuses || []).includes(s), "#e44")}>
+              <button key={s} onClick={() => toggle("statuses", s)}
+                style={chip((filters.statuses || []).includes(s), modeColor(filters.statusMode, C.blue))}>
                 {s}
               </button>
             ))}
@@ -1335,19 +1652,15 @@ function FilterBar({ filters, setFilters }) {
         </>
       )}
       {/* Search + sort */}
-      <input
-        style={{ ...styles.searchInput, flex: "1 1 200px" }}
-        placeholder="Search projects..."
-        value={filters.search || ""}
-        onChange={(e) => setFilters({ ...filters, search: e.target.value })}
-      />
+      <SearchBox value={filters.search || ""} onChange={(search) => setFilters({ ...filters, search })} />
       <select
         style={styles.select}
-        value={filters.sortBy || "value"}
-        onChange={(e) => setFilters({ ...filters, sortBy: e.target.value })}
+        value={keys[0].key}
+        onChange={(e) => setPrimarySort(e.target.value)}
       >
-        <option value="value">Sort: Value</option>
-        <option value="posted_date">Sort: Recent</option>
+        {Object.entries(SORT_KEYS).map(([id, { label }]) => (
+          <option key={id} value={id}>Sort: {label}</option>
+        ))}
       </select>
       <button
         onClick={toggleDir}
@@ -1358,13 +1671,680 @@ function FilterBar({ filters, setFilters }) {
       >
         {filters.sortDir === "desc" ? "↓" : "↑"}
       </button>
+      {/* Tie-breakers: click to flip direction, ✕ to drop */}
+      {keys.slice(1).map(({ key, dir }) => (
+        <span key={key} style={{ ...chip(true, C.sky), display: "inline-flex", alignItems: "center", gap: 6, padding: "6px 10px" }}>
+          <span onClick={() => setThenBy(keys.slice(1).map((k) => (k.key === key ? { key, dir: dir === "asc" ? "desc" : "asc" } : k)))}
+            title="Flip direction" style={{ cursor: "pointer" }}>
+            then {SORT_KEYS[key].label} {dir === "desc" ? "↓" : "↑"}
+          </span>
+          <span onClick={() => setThenBy(keys.slice(1).filter((k) => k.key !== key))} title="Remove" style={{ cursor: "pointer", opacity: 0.7 }}>✕</span>
+        </span>
+      ))}
+      {unusedKeys.length > 0 && (
+        <select
+          style={{ ...styles.select, color: C.textMuted }}
+          value=""
+          onChange={(e) => e.target.value && setThenBy([...keys.slice(1), { key: e.target.value, dir: SORT_KEYS[e.target.value].defaultDir }])}
+        >
+          <option value="">+ then by…</option>
+          {unusedKeys.map((id) => <option key={id} value={id}>{SORT_KEYS[id].label}</option>)}
+        </select>
+      )}
+      {keys.some((k) => k.key === "distance") && (
+        <select
+          style={styles.select}
+          value={filters.homeBase || "office"}
+          onChange={(e) => setFilters((f) => ({ ...f, homeBase: e.target.value }))}
+          title="Measure distance from"
+        >
+          {Object.entries(HOME_BASES).map(([id, label]) => <option key={id} value={id}>From: {label}</option>)}
+        </select>
+      )}
+    </div>
+  );
+}
+
+// Sits under the last card and asks for the next page as it scrolls into view
+function FeedSentinel({ onVisible, loading }) {
+  const ref = useRef(null);
+  useEffect(() => {
+    const el = ref.current;
+    if (!el) return;
+    const obs = new IntersectionObserver(
+      (entries) => { if (entries[0].isIntersecting) onVisible(); },
+      { rootMargin: "600px 0px" },
+    );
+    obs.observe(el);
+    return () => obs.disconnect();
+  }, [onVisible]);
+  return (
+    <div ref={ref} style={{ textAlign: "center", padding: 24, color: C.textMuted, fontSize: 13 }}>
+      {loading ? <div style={styles.spinner} /> : (
+        <button onClick={onVisible} style={{ background: "none", border: "none", color: C.blue, cursor: "pointer", fontSize: 13, fontFamily: "inherit" }}>
+          Load more
+        </button>
+      )}
+    </div>
+  );
+}
+
+// ─── SAVED SEARCHES ─────────────────────────────────────────────────────────
+
+// Named FilterBar presets. Each badge loads the search's first feed page and
+// counts it the way the feed would (feedKeeps with `keepOptions`, then
+// feedTotals), so applying a search shows the number its badge did. Pages
+// refresh whenever a scan lands.
+function SavedSearchBar({ searches, filters, market, refreshKey, keepOptions, onApply, onCreate, onDelete, onToggleDefault, onSaveAlert }) {
+  const [pages, setPages] = useState({});  // search id → { rows, total } or null
+  const [naming, setNaming] = useState(false);
+  const [name, setName] = useState("");
+  const [alertFor, setAlertFor] = useState(null);  // search id whose alert panel is open
+  const alertSearch = searches.find((s) => s.id === alertFor);
+
+  useEffect(() => {
+    let cancelled = false;
+    Promise.all(searches.map((s) =>
+      api(`/projects?${feedParams(expandFilters(s.filters), getMarket(s.market))}`)
+        .then((d) => [s.id, { rows: d.projects || [], total: d.total ?? null }])
+        .catch(() => [s.id, null])
+    )).then((pairs) => { if (!cancelled) setPages(Object.fromEntries(pairs)); });
+    return () => { cancelled = true; };
+  }, [searches, refreshKey]);
+
+  const countOf = (s) => {
+    const page = pages[s.id];
+    if (!page) return null;
+    const searchFilters = expandFilters(s.filters);
+    const searchMarket = getMarket(s.market);
+    const rows = page.rows.filter((p) => feedKeeps(p, searchFilters, searchMarket, keepOptions));
+    const hasMore = hasMorePages(page.rows.length, page.rows.length, page.total);
+    return feedTotals({ rows, loaded: page.rows.length, total: page.total, hasMore, search: searchFilters.search });
+  };
+
+  const submit = async () => {
+    if (!name.trim()) return;
+    if (!(await onCreate(name.trim()))) return;
+    setName("");
+    setNaming(false);
+  };
+
+  const pill = (active) => ({
+    display: "inline-flex", alignItems: "center", gap: 6,
+    padding: "5px 6px 5px 12px", borderRadius: 16,
+    border: `1px solid ${active ? C.orange : C.border}`,
+    background: active ? `${C.orange}18` : C.surface,
+    color: active ? C.orange : C.textSub,
+    fontSize: 12, fontWeight: 600, fontFamily: "'DM Sans', sans-serif",
+  });
+  const iconBtn = { background: "none", border: "none", cursor: "pointer", padding: "0 3px", fontSize: 12, color: C.textMuted };
+
+  return (
+    <div style={{ display: "flex", gap: 8, flexWrap: "wrap", alignItems: "center", marginBottom: 14 }}>
+      <span style={{ fontSize: 10, fontWeight: 700, color: C.textMuted, textTransform: "uppercase", letterSpacing: "0.08em" }}>
+        Saved searches
+      </span>
+      {searches.map((s) => {
+        const active = isActiveSearch(s, filters, market.id);
+        const count = countOf(s);
+        return (
+          <span key={s.id} style={pill(active)}>
+            <button onClick={() => onApply(s)} title={`Apply "${s.name}"`}
+              style={{ background: "none", border: "none", color: "inherit", font: "inherit", cursor: "pointer", padding: 0 }}>
+              {s.name}
+            </button>
+            <span style={{ fontFamily: "'JetBrains Mono', monospace", fontSize: 11, color: C.textMuted }}
+              title={count?.partial ? `At least ${count.count}: counted from the first ${pages[s.id].rows.length} matches` : undefined}>
+              {count ? `${count.count}${count.partial ? "+" : ""}` : "…"}
+            </span>
+            <button onClick={() => setAlertFor(alertFor === s.id ? null : s.id)}
+              title={s.alert?.frequency ? `${ALERT_FREQUENCIES[s.alert.frequency].label} digest` : "Set up new-match alerts"}
+              style={{ ...iconBtn, opacity: s.alert?.frequency ? 1 : 0.45 }}>
+              🔔
+            </button>
+            <button onClick={() => onToggleDefault(s)} title={s.is_default ? "Login default" : "Make login default"}
+              style={{ ...iconBtn, color: s.is_default ? C.orange : C.textMuted }}>
+              {s.is_default ? "★" : "☆"}
+            </button>
+            <button onClick={() => onDelete(s.id)} title="Delete search" style={iconBtn}>✕</button>
+          </span>
+        );
+      })}
+      {naming ? (
+        <span style={{ display: "inline-flex", gap: 6 }}>
+          <input autoFocus value={name} placeholder="Name this search"
+            onChange={(e) => setName(e.target.value)}
+            onKeyDown={(e) => { if (e.key === "Enter") submit(); if (e.key === "Escape") setNaming(false); }}
+            style={{ ...styles.searchInput, padding: "5px 10px", fontSize: 12, width: 180 }} />
+          <button onClick={submit} style={{ ...pill(true), padding: "5px 12px", cursor: "pointer" }}>Save</button>
+        </span>
+      ) : (
+        <button onClick={() => setNaming(true)} style={{ ...pill(false), padding: "5px 12px", cursor: "pointer", borderStyle: "dashed" }}>
+          + Save current filters
+        </button>
+      )}
+      {alertSearch && (
+        <AlertSettings
+          key={alertSearch.id}
+          search={alertSearch}
+          onSave={async (alert) => { if (await onSaveAlert(alertSearch, alert)) setAlertFor(null); }}
+          onClose={() => setAlertFor(null)}
+        />
+      )}
+    </div>
+  );
+}
+
+// Digest subscription for one saved search. Delivery runs server-side after
+// each scan (scripts/send-digests.js); this only edits the search's `alert`.
+function AlertSettings({ search, onSave, onClose }) {
+  const [frequency, setFrequency] = useState(search.alert?.frequency || "");
+  const [channels, setChannels] = useState(search.alert?.channels || ["in_app"]);
+  const [webhookUrl, setWebhookUrl] = useState(search.alert?.webhook_url || "");
+
+  const toggleChannel = (id) =>
+    setChannels((cs) => cs.includes(id) ? cs.filter((c) => c !== id) : [...cs, id]);
+  const needsUrl = frequency && channels.includes("webhook") && !/^https?:\/\//.test(webhookUrl);
+
+  const chip = (active) => ({
+    padding: "5px 12px", borderRadius: 8, cursor: "pointer",
+    border: `1px solid ${active ? C.orange : C.border}`,
+    background: active ? `${C.orange}18` : "transparent",
+    color: active ? C.orange : C.textSub,
+    fontSize: 12, fontWeight: 600, fontFamily: "'DM Sans', sans-serif",
+  });
+
+  return (
+    <div style={{ flex: "1 1 100%", background: C.surface, border: `1px solid ${C.border}`, borderRadius: 10, padding: 14 }}>
+      <div style={{ fontSize: 13, fontWeight: 700, color: C.text, marginBottom: 10 }}>
+        🔔 New-match alerts for “{search.name}”
+      </div>
+      <div style={{ display: "flex", gap: 6, flexWrap: "wrap", alignItems: "center", marginBottom: 10 }}>
+        <button onClick={() => setFrequency("")} style={chip(!frequency)}>Off</button>
+        {Object.entries(ALERT_FREQUENCIES).map(([id, { label }]) => (
+          <button key={id} onClick={() => setFrequency(id)} style={chip(frequency === id)}>{label}</button>
+        ))}
+        <span style={{ color: C.textMuted, margin: "0 4px" }}>·</span>
+        {Object.entries(ALERT_CHANNELS).map(([id, label]) => (
+          <button key={id} onClick={() => toggleChannel(id)} disabled={!frequency}
+            style={{ ...chip(!!frequency && channels.includes(id)), opacity: frequency ? 1 : 0.5 }}>
+            {label}
+          </button>
+        ))}
+      </div>
+      {frequency && channels.includes("webhook") && (
+        <input value={webhookUrl} onChange={(e) => setWebhookUrl(e.target.value)}
+          placeholder="https://hooks.slack.com/services/…"
+          style={{ ...styles.searchInput, width: "100%", fontSize: 12, marginBottom: 10 }} />
+      )}
+      <div style={{ display: "flex", gap: 8, alignItems: "center" }}>
+        <button disabled={needsUrl || (frequency && !channels.length)}
+          onClick={() => onSave(frequency ? { frequency, channels, webhook_url: webhookUrl || null } : null)}
+          style={{ ...chip(true), opacity: needsUrl || (frequency && !channels.length) ? 0.5 : 1 }}>
+          Save alert
+        </button>
+        <button onClick={onClose} style={chip(false)}>Cancel</button>
+        <span style={{ fontSize: 11, color: C.textMuted }}>
+          Digests list projects that newly match since the last one was sent.
+        </span>
+      </div>
+    </div>
+  );
+}
+
+// ─── NOTIFICATION CENTER ────────────────────────────────────────────────────
+
+// Header bell over scan results, scan failures, saved-project status changes,
+// bid deadlines, task reminders and digests. Only digests live server-side; the rest is
+// derived from history and the saved list (see lib/notifications), so their
+// read state is kept in localStorage under `readKey` (notificationKeys).
+function NotificationCenter({ history, saved, statusEvents, readKey }) {
+  const [digests, setDigests] = useState([]);
+  const [tasks, setTasks] = useState([]);
+  const [readIds, setReadIds] = useState(() => readStored(readKey, []));
+  const [open, setOpen] = useState(false);
+
+  useEffect(() => {
+    const load = () => {
+      api("/notifications?limit=20")
+        .then((data) => setDigests(Array.isArray(data) ? data : []))
+        .catch(() => {});
+      api("/tasks?status=open")
+        .then((data) => setTasks(Array.isArray(data) ? data : []))
+        .catch(() => {});
+    };
+    load();
+    const t = setInterval(load, 5 * 60 * 1000);
+    return () => clearInterval(t);
+  }, []);
+
+  const items = mergeNotifications([
+    scanNotifications(history),
+    statusEvents,
+    deadlineNotifications(saved),
+    taskNotifications(tasks),
+    digestNotifications(digests),
+  ], readIds);
+  const unread = items.filter((n) => !n.read);
+
+  const markRead = (ns) => {
+    if (!ns.length) return;
+    const next = [...new Set([...readIds, ...ns.map((n) => n.id)])].slice(-NOTIFICATION_LOG_MAX);
+    setReadIds(next);
+    localStorage.setItem(readKey, JSON.stringify(next));
+    const serverIds = ns.filter((n) => n.serverId != null).map((n) => n.serverId);
+    if (serverIds.length) {
+      setDigests((ds) => ds.map((d) => serverIds.includes(d.id) ? { ...d, read: true } : d));
+      api("/notifications/read", { method: "POST", body: JSON.stringify({ ids: serverIds }) }).catch(() => {});
+    }
+  };
+
+  const linkStyle = { display: "block", fontSize: 12, color: C.sky, textDecoration: "none", padding: "2px 0" };
+
+  return (
+    <div style={{ position: "relative" }}>
+      <button onClick={() => setOpen((v) => !v)} title="Notifications" style={{ ...styles.logoutBtn, position: "relative" }}>
+        🔔
+        {unread.length > 0 && (
+          <span style={{
+            position: "absolute", top: -6, right: -6, minWidth: 16, height: 16, borderRadius: 8,
+            background: C.orange, color: "#000", fontSize: 10, fontWeight: 800, lineHeight: "16px", padding: "0 4px",
+          }}>
+            {unread.length > 99 ? "99+" : unread.length}
+          </span>
+        )}
+      </button>
+      {open && (
+        <div style={{
+          position: "absolute", right: 0, top: "calc(100% + 8px)", width: 360, maxHeight: 460, overflowY: "auto",
+          background: C.surface, border: `1px solid ${C.border}`, borderRadius: 10, zIndex: 300,
+          boxShadow: "0 8px 32px rgba(0,0,0,0.4)",
+        }}>
+          <div style={{ display: "flex", alignItems: "center", padding: "10px 14px", borderBottom: `1px solid ${C.border}` }}>
+            <span style={{ fontSize: 13, fontWeight: 700, color: C.text }}>Notifications</span>
+            {unread.length > 0 && (
+              <button onClick={() => markRead(unread)}
+                style={{ marginLeft: "auto", background: "none", border: "none", color: C.sky, fontSize: 12, cursor: "pointer" }}>
+                Mark all read
+              </button>
+            )}
+          </div>
+          {items.length === 0 ? (
+            <div style={{ padding: 20, color: C.textMuted, fontSize: 13, textAlign: "center" }}>No notifications yet.</div>
+          ) : items.map((n) => {
+            const kind = NOTIFICATION_KINDS[n.kind] || NOTIFICATION_KINDS.digest;
+            const follow = () => { markRead([n]); setOpen(false); };
+            return (
+              <div key={n.id} style={{
+                padding: "12px 14px", borderBottom: `1px solid ${C.border}`,
+                borderLeft: `3px solid ${n.read ? "transparent" : kind.color}`,
+                background: n.read ? "transparent" : `${kind.color}0d`,
+              }}>
+                <div style={{ display: "flex", gap: 8, alignItems: "flex-start" }}>
+                  <span>{kind.icon}</span>
+                  <div style={{ flex: 1, minWidth: 0 }}>
+                    {n.href ? (
+                      <a href={n.href} onClick={follow}
+                        style={{ fontSize: 13, fontWeight: n.read ? 500 : 700, color: C.text, textDecoration: "none" }}>
+                        {n.title}
+                      </a>
+                    ) : (
+                      <div style={{ fontSize: 13, fontWeight: n.read ? 500 : 700, color: C.text }}>{n.title}</div>
+                    )}
+                    {n.body && <div style={{ fontSize: 12, color: C.textSub, marginTop: 2 }}>{n.body}</div>}
+                    <div style={{ fontSize: 11, color: C.textMuted, margin: "2px 0 4px" }}>{fmtDate(n.created_at)}</div>
+                    {(n.items || []).slice(0, 5).map((i) => (
+                      <a key={i.id} href={i.href} onClick={follow} style={linkStyle}>
+                        {i.title} <span style={{ color: C.orange }}>{i.value}</span>
+                      </a>
+                    ))}
+                    {(n.items || []).length > 5 && (
+                      <div style={{ fontSize: 11, color: C.textMuted }}>+{n.items.length - 5} more</div>
+                    )}
+                  </div>
+                  {!n.read && (
+                    <button onClick={() => markRead([n])} title="Mark read"
+                      style={{ background: "none", border: "none", color: C.textMuted, cursor: "pointer", fontSize: 12 }}>
+                      ✓
+                    </button>
+                  )}
+                </div>
+              </div>
+            );
+          })}
+        </div>
+      )}
+    </div>
+  );
+}
+
+// ─── HIDDEN PROJECTS ────────────────────────────────────────────────────────
+
+const headerLink = {
+  background: "none", border: "none", color: C.blue, cursor: "pointer", fontSize: 13, padding: 0, fontFamily: "inherit",
+};
+
+// Everything dismissed with ✕, grouped by reason, plus what the relevance
+// filter has learned from those reasons
+function HiddenView({ dismissals, model, relevanceOn, onToggleRelevance, onRestore }) {
+  const groups = groupDismissals(dismissals);
+  const learned = [
+    ...Object.entries(model.categories).map(([cat, n]) => `${cat} (${n})`),
+    ...Object.entries(model.areas).map(([area, n]) => `${area} (${n})`),
+    ...(model.minValue != null ? [`under ${fmt$(model.minValue)}`] : []),
+  ];
+
+  return (
+    <div>
+      <div style={{ background: C.surface, border: `1px solid ${C.border}`, borderRadius: 10, padding: 14, marginBottom: 16 }}>
+        <div style={{ display: "flex", alignItems: "center", gap: 10 }}>
+          <span style={{ fontSize: 13, fontWeight: 700, color: C.text }}>✨ Relevance filter</span>
+          <button onClick={onToggleRelevance} style={{
+            padding: "3px 10px", borderRadius: 6, fontSize: 11, fontWeight: 700, cursor: "pointer",
+            border: `1px solid ${relevanceOn ? C.orange : C.border}`,
+            background: relevanceOn ? `${C.orange}18` : "transparent",
+            color: relevanceOn ? C.orange : C.textMuted,
+          }}>
+            {relevanceOn ? "On" : "Off"}
+          </button>
+        </div>
+        <div style={{ fontSize: 12, color: C.textSub, marginTop: 6 }}>
+          {isModelEmpty(model)
+            ? "Give a reason when you hide projects — after a few alike, similar ones are filtered out of the feed automatically."
+            : `Learned from your reasons: filtering ${learned.join(", ")}. Anything like a project you've saved is never filtered.`}
+        </div>
+      </div>
+
+      {dismissals.length === 0 ? (
+        <div style={{ textAlign: "center", padding: 40, color: "#555" }}>Nothing hidden.</div>
+      ) : (
+        <>
+          <div style={{ display: "flex", justifyContent: "flex-end", marginBottom: 8 }}>
+            <button onClick={() => onRestore(dismissals.map((d) => d.project_id))} style={headerLink}>Restore all</button>
+          </div>
+          {Object.entries(groups).map(([reason, rows]) => (
+            <div key={reason} style={{ marginBottom: 16 }}>
+              <div style={{ ...styles.detailLabel, marginBottom: 6 }}>
+                {DISMISS_REASONS[reason] || "No reason given"} · {rows.length}
+              </div>
+              {rows.map((d) => (
+                <div key={d.project_id} style={{ ...styles.projectRow, display: "flex", alignItems: "center", gap: 12, marginBottom: 4 }}>
+                  <div style={{ flex: 1, minWidth: 0 }}>
+                    <div style={{ fontSize: 13, color: C.text, overflow: "hidden", textOverflow: "ellipsis", whiteSpace: "nowrap" }}>
+                      {d.project ? getDisplayTitle(d.project) : `Project ${d.project_id}`}
+                    </div>
+                    <div style={{ fontSize: 11, color: C.textMuted }}>
+                      {d.project?.location && `📍 ${d.project.location} · `}Hidden {fmtDate(d.dismissed_at)}
+                    </div>
+                  </div>
+                  {d.project?.value > 0 && (
+                    <span style={{ color: C.orange, fontSize: 13, fontFamily: "'JetBrains Mono', monospace" }}>{fmt$(d.project.value)}</span>
+                  )}
+                  <button onClick={() => onRestore([d.project_id])} style={headerLink}>Restore</button>
+                </div>
+              ))}
+            </div>
+          ))}
+        </>
+      )}
+    </div>
+  );
+}
+
+// ─── SAVED PROJECT WORK ─────────────────────────────────────────────────────
+
+const workInput = {
+  background: C.bg, color: C.text, border: `1px solid ${C.border}`, borderRadius: 6,
+  fontSize: 12, padding: "6px 8px", fontFamily: "'DM Sans', sans-serif",
+};
+
+const urgencyColors = { overdue: "#ef4444", today: "#f97316", soon: "#eab308" };
+
+// Notes, tasks and files on one saved row. Shown in the expanded ProjectCard
+// and in the pipeline card; `compact` drops the panel chrome, `readOnly` (viewers)
+// hides the editors.
+function SavedWork({ savedId, compact = false, readOnly = false }) {
+  const [section, setSection] = useState("notes");
+  const [data, setData] = useState({ notes: [], tasks: [], attachments: [] });
+  const [reloadKey, setReloadKey] = useState(0);
+  const base = `/projects/saved/${savedId}`;
+
+  useEffect(() => {
+    Promise.all([
+      api(`${base}/notes`).catch(() => []),
+      api(`${base}/tasks`).catch(() => []),
+      api(`${base}/attachments`).catch(() => []),
+    ]).then(([notes, tasks, attachments]) => setData({
+      notes: Array.isArray(notes) ? notes : [],
+      tasks: Array.isArray(tasks) ? tasks : [],
+      attachments: Array.isArray(attachments) ? attachments : [],
+    }));
+  }, [base, reloadKey]);
+
+  const reload = () => setReloadKey((k) => k + 1);
+  const openTasks = data.tasks.filter((t) => !t.done).length;
+  const sections = [
+    ["notes", `Notes (${data.notes.length})`],
+    ["tasks", `Tasks (${openTasks})`],
+    ["files", `Files (${data.attachments.length})`],
+  ];
+
+  return (
+    <div draggable={false} onDragStart={(e) => e.stopPropagation()}
+      style={{ background: compact ? "transparent" : C.surface, border: compact ? "none" : `1px solid ${C.border}`, borderRadius: 8, padding: compact ? 0 : 12 }}>
+      <div style={{ display: "flex", gap: 4, marginBottom: 10 }}>
+        {sections.map(([id, label]) => (
+          <button key={id} onClick={() => setSection(id)} style={{
+            padding: "4px 10px", borderRadius: 6, fontSize: 11, fontWeight: 600, cursor: "pointer",
+            border: `1px solid ${section === id ? C.orange : C.border}`,
+            background: section === id ? `${C.orange}18` : "transparent",
+            color: section === id ? C.orange : C.textSub,
+          }}>
+            {label}
+          </button>
+        ))}
+      </div>
+      {section === "notes" && <NotesThread base={base} notes={data.notes} onChange={reload} readOnly={readOnly} />}
+      {section === "tasks" && <TaskList base={base} tasks={data.tasks} onChange={reload} readOnly={readOnly} />}
+      {section === "files" && <AttachmentList base={base} attachments={data.attachments} onChange={reload} readOnly={readOnly} />}
+    </div>
+  );
+}
+
+function NoteComposer({ base, parentId = null, placeholder, onDone }) {
+  const [body, setBody] = useState("");
+  const [error, setError] = useState(null);
+  const post = async () => {
+    if (!body.trim()) return;
+    setError(null);
+    try {
+      await apiStrict(`${base}/notes`, { method: "POST", body: JSON.stringify({ body: body.trim(), parent_id: parentId }) });
+    } catch (err) {
+      setError(err.message);
+      return;
+    }
+    setBody("");
+    onDone();
+  };
+  return (
+    <div>
+      {error && <div style={{ fontSize: 12, color: "#ef4444", marginBottom: 6 }}>{error}</div>}
+      <div style={{ display: "flex", gap: 6 }}>
+        <textarea value={body} onChange={(e) => setBody(e.target.value)} placeholder={placeholder} rows={parentId ? 1 : 2}
+          onKeyDown={(e) => { if (e.key === "Enter" && (e.metaKey || e.ctrlKey)) post(); }}
+          style={{ ...workInput, flex: 1, resize: "vertical" }} />
+        <button onClick={post} disabled={!body.trim()} style={{ ...styles.saveBtn, padding: "4px 12px", fontSize: 12, opacity: body.trim() ? 1 : 0.5 }}>
+          {parentId ? "Reply" : "Add"}
+        </button>
+      </div>
+    </div>
+  );
+}
+
+function NotesThread({ base, notes, onChange, readOnly }) {
+  const [replyTo, setReplyTo] = useState(null);
+  const note = (n, reply = false) => (
+    <div style={{ padding: "6px 0", marginLeft: reply ? 16 : 0, borderLeft: reply ? `2px solid ${C.border}` : "none", paddingLeft: reply ? 8 : 0 }}>
+      <div style={{ fontSize: 11, color: C.textMuted }}>
+        <span style={{ color: C.textSub, fontWeight: 600 }}>{n.author || "You"}</span> · {fmtDate(n.created_at)}
+      </div>
+      <div style={{ fontSize: 12, color: C.text, whiteSpace: "pre-wrap", lineHeight: 1.5 }}>{n.body}</div>
+    </div>
+  );
+  return (
+    <div>
+      {!readOnly && <NoteComposer base={base} placeholder="Call notes, contacts, next steps…" onDone={onChange} />}
+      {threadNotes(notes).map((n) => (
+        <div key={n.id} style={{ borderBottom: `1px solid ${C.border}`, paddingBottom: 6 }}>
+          {note(n)}
+          {n.replies.map((r) => <div key={r.id}>{note(r, true)}</div>)}
+          {readOnly ? null : replyTo === n.id ? (
+            <div style={{ marginLeft: 16 }}>
+              <NoteComposer base={base} parentId={n.id} placeholder="Reply…" onDone={() => { setReplyTo(null); onChange(); }} />
+            </div>
+          ) : (
+            <button onClick={() => setReplyTo(n.id)}
+              style={{ background: "none", border: "none", color: C.sky, fontSize: 11, cursor: "pointer", padding: 0 }}>
+              Reply
+            </button>
+          )}
+        </div>
+      ))}
+    </div>
+  );
+}
+
+function TaskList({ base, tasks, onChange, readOnly }) {
+  const [title, setTitle] = useState("");
+  const [due, setDue] = useState("");
+  const [remind, setRemind] = useState(1);
+  const [error, setError] = useState(null);
+
+  const add = async () => {
+    if (!title.trim()) return;
+    setError(null);
+    try {
+      await apiStrict(`${base}/tasks`, {
+        method: "POST",
+        body: JSON.stringify({ title: title.trim(), due_date: due || null, remind_at: reminderAt(due, remind) }),
+      });
+    } catch (err) {
+      setError(err.message);
+      return;
+    }
+    setTitle("");
+    setDue("");
+    onChange();
+  };
+  const update = (t, patch) =>
+    apiStrict(`${base}/tasks/${t.id}`, { method: "PATCH", body: JSON.stringify(patch) }).then(onChange).catch((err) => setError(err.message));
+  const remove = (t) => apiStrict(`${base}/tasks/${t.id}`, { method: "DELETE" }).then(onChange).catch((err) => setError(err.message));
+
+  return (
+    <div>
+      {!readOnly && <div style={{ display: "flex", gap: 6, flexWrap: "wrap", marginBottom: 8 }}>
+        <input value={title} onChange={(e) => setTitle(e.target.value)} placeholder="Follow up with owner…"
+          onKeyDown={(e) => e.key === "Enter" && add()} style={{ ...workInput, flex: "1 1 160px" }} />
+        <input type="date" value={due} onChange={(e) => setDue(e.target.value)} style={workInput} />
+        <select value={remind ?? ""} onChange={(e) => setRemind(e.target.value === "" ? null : Number(e.target.value))}
+          disabled={!due} style={{ ...workInput, opacity: due ? 1 : 0.5 }}>
+          {REMINDER_OPTIONS.map((o) => <option key={o.label} value={o.days ?? ""}>{o.label}</option>)}
+        </select>
+        <button onClick={add} disabled={!title.trim()} style={{ ...styles.saveBtn, padding: "4px 12px", fontSize: 12, opacity: title.trim() ? 1 : 0.5 }}>
+          Add
+        </button>
+      </div>}
+      {error && <div style={{ fontSize: 12, color: "#ef4444", marginBottom: 6 }}>{error}</div>}
+      {sortTasks(tasks).map((t) => {
+        const urgency = taskUrgency(t);
+        return (
+          <div key={t.id} style={{ display: "flex", alignItems: "center", gap: 8, padding: "4px 0", borderBottom: `1px solid ${C.border}` }}>
+            <input type="checkbox" checked={!!t.done} disabled={readOnly} onChange={() => update(t, { done: !t.done })} />
+            <span style={{ flex: 1, fontSize: 12, color: t.done ? C.textMuted : C.text, textDecoration: t.done ? "line-through" : "none" }}>
+              {t.title}
+            </span>
+            {t.due_date && (
+              <span style={{ fontSize: 11, color: urgencyColors[urgency] || C.textSub }}
+                title={t.remind_at ? `Reminder ${fmtDate(t.remind_at)}` : "No reminder"}>
+                {t.remind_at && "🔔 "}{fmtDate(t.due_date)}
+              </span>
+            )}
+            {!readOnly && (
+              <button onClick={() => remove(t)} title="Delete task"
+                style={{ background: "none", border: "none", color: C.textMuted, cursor: "pointer", fontSize: 11 }}>✕</button>
+            )}
+          </div>
+        );
+      })}
+    </div>
+  );
+}
+
+function AttachmentList({ base, attachments, onChange, readOnly }) {
+  const [error, setError] = useState(null);
+  const [uploading, setUploading] = useState(false);
+
+  const add = async (files) => {
+    setError(null);
+    const tooBig = [...files].find((f) => f.size > ATTACHMENT_MAX_BYTES);
+    if (tooBig) {
+      setError(`${tooBig.name} is over ${fmtBytes(ATTACHMENT_MAX_BYTES)}`);
+      return;
+    }
+    setUploading(true);
+    try {
+      for (const file of files) {
+        const form = new FormData();
+        form.append("file", file);
+        await upload(`${base}/attachments`, form);
+      }
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setUploading(false);
+      onChange();
+    }
+  };
+  const remove = (a) => apiStrict(`${base}/attachments/${a.id}`, { method: "DELETE" }).then(onChange).catch((err) => setError(err.message));
+
+  return (
+    <div>
+      {!readOnly && (
+        <label style={{ ...styles.linkBtn, display: "inline-block", cursor: "pointer", marginBottom: 8 }}>
+          {uploading ? "Uploading…" : "📎 Attach plans, RFQs…"}
+          <input type="file" multiple accept={ATTACHMENT_ACCEPT} disabled={uploading} style={{ display: "none" }}
+            onChange={(e) => { add(e.target.files); e.target.value = ""; }} />
+        </label>
+      )}
+      {error && <div style={{ fontSize: 12, color: "#ef4444", marginBottom: 6 }}>{error}</div>}
+      {attachments.map((a) => (
+        <div key={a.id} style={{ display: "flex", alignItems: "center", gap: 8, padding: "4px 0", borderBottom: `1px solid ${C.border}` }}>
+          <a href={a.url} target="_blank" rel="noopener" style={{ flex: 1, fontSize: 12, color: C.sky, textDecoration: "none" }}>
+            📄 {a.filename}
+          </a>
+          <span style={{ fontSize: 11, color: C.textMuted }}>{fmtBytes(a.size)} · {fmtDate(a.created_at)}</span>
+          {!readOnly && (
+            <button onClick={() => remove(a)} title="Delete file"
+              style={{ background: "none", border: "none", color: C.textMuted, cursor: "pointer", fontSize: 11 }}>✕</button>
+          )}
+        </div>
+      ))}
     </div>
   );
 }
 
 // ─── SAVED PROJECTS TAB ─────────────────────────────────────────────────────
 
-function SavedTab({ saved, onUnsave }) {
+// Kanban over the workspace's saved projects. Cards drag between stage columns
+// (or use the stage picker); dropping on Won/Lost asks for the reason first.
+// Viewers get the board without drag or editing.
+function SavedTab({ saved, members = [], userId, readOnly = false, onUnsave, onMove, onAssign }) {
+  const [mineOnly, setMineOnly] = useState(false);
+  const [dragId, setDragId] = useState(null);
+  const [overStage, setOverStage] = useState(null);
+  const [closing, setClosing] = useState(null);   // { row, stage } awaiting a reason
+  const [openId, setOpenId] = useState(null);     // card showing its stage history
+
   if (!saved.length) {
     return (
       <div style={{ textAlign: "center", padding: 60, color: "#555" }}>
@@ -1373,33 +2353,201 @@ function SavedTab({ saved, onUnsave }) {
       </div>
     );
   }
+
+  const mine = myLeads(saved, userId);
+  const groups = groupByStage(mineOnly ? mine : saved);
+  const totals = stageTotals(groups);
+
+  const requestMove = (row, stage) => {
+    if (savedStage(row) === stage) return;
+    if (isClosedStage(stage)) setClosing({ row, stage });
+    else onMove(row, stage);
+  };
+
+  const drop = (stage) => {
+    const row = saved.find((s) => s.id === dragId);
+    setDragId(null);
+    setOverStage(null);
+    if (row) requestMove(row, stage);
+  };
+
+  const toggle = (active) => ({
+    padding: "5px 12px", borderRadius: 8, fontSize: 12, fontWeight: 600, cursor: "pointer",
+    border: `1px solid ${active ? C.orange : C.border}`,
+    background: active ? `${C.orange}18` : "transparent",
+    color: active ? C.orange : C.textSub,
+  });
+
   return (
     <div>
-      {saved.map((s) => (
-        <div key={s.id} style={styles.projectRow}>
-          <div style={styles.projectHeader}>
-            <div style={{ flex: 1 }}>
-              <div style={styles.projectTitle}>
-                {catIcons[s.project.category] || "📋"} {s.project.title}
-              </div>
-              <div style={styles.projectMeta}>
-                📍 {s.project.location} · Saved {fmtDate(s.saved_at)}
-              </div>
+      <div style={{ display: "flex", gap: 6, marginBottom: 12 }}>
+        <button onClick={() => setMineOnly(false)} style={toggle(!mineOnly)}>All leads ({saved.length})</button>
+        <button onClick={() => setMineOnly(true)} style={toggle(mineOnly)}>My leads ({mine.length})</button>
+      </div>
+      <div style={{ display: "flex", gap: 12, overflowX: "auto", paddingBottom: 12, alignItems: "flex-start" }}>
+        {STAGES.map((stage) => (
+          <div
+            key={stage.id}
+            onDragOver={(e) => { e.preventDefault(); setOverStage(stage.id); }}
+            onDragLeave={() => setOverStage((s) => (s === stage.id ? null : s))}
+            onDrop={(e) => { e.preventDefault(); drop(stage.id); }}
+            style={{
+              flex: "0 0 240px", minHeight: 200, borderRadius: 10, padding: 10,
+              background: overStage === stage.id ? `${stage.color}18` : C.surface,
+              border: `1px solid ${overStage === stage.id ? stage.color : C.border}`,
+              borderTop: `3px solid ${stage.color}`,
+            }}
+          >
+            <div style={{ display: "flex", alignItems: "baseline", gap: 6, marginBottom: 2 }}>
+              <span style={{ fontSize: 13, fontWeight: 700, color: C.text }}>{stage.label}</span>
+              <span style={{ fontSize: 12, color: C.textMuted }}>{totals[stage.id].count}</span>
             </div>
-            <div style={{ display: "flex", alignItems: "center", gap: 12 }}>
-              <div style={{ color: C.orange, fontWeight: 700, fontFamily: "'JetBrains Mono', monospace" }}>
-                {fmt$(s.project.value)}
-              </div>
-              <button
-                style={{ ...styles.saveBtn, background: "#dc2626" }}
-                onClick={() => onUnsave(s.id)}
-              >
-                Remove
-              </button>
+            <div style={{ fontSize: 12, color: C.orange, fontFamily: "'JetBrains Mono', monospace", marginBottom: 10 }}>
+              {fmt$(totals[stage.id].value)}
             </div>
+            {groups[stage.id].map((s) => (
+              <PipelineCard
+                key={s.id}
+                row={s}
+                members={members}
+                readOnly={readOnly}
+                onAssign={(assigneeId) => onAssign(s, assigneeId)}
+                dragging={dragId === s.id}
+                open={openId === s.id}
+                onToggle={() => setOpenId(openId === s.id ? null : s.id)}
+                onDragStart={() => setDragId(s.id)}
+                onDragEnd={() => { setDragId(null); setOverStage(null); }}
+                onStage={(id) => requestMove(s, id)}
+                onUnsave={() => onUnsave(s.id)}
+              />
+            ))}
           </div>
+        ))}
+      </div>
+      {closing && (
+        <CloseOutDialog
+          row={closing.row}
+          stage={closing.stage}
+          onConfirm={(reason) => { onMove(closing.row, closing.stage, reason); setClosing(null); }}
+          onCancel={() => setClosing(null)}
+        />
+      )}
+    </div>
+  );
+}
+
+function PipelineCard({ row, members, readOnly, dragging, open, onToggle, onDragStart, onDragEnd, onStage, onAssign, onUnsave }) {
+  const p = row.project;
+  const history = row.stage_history || [];
+  const assignee = members.find((m) => m.user_id === row.assignee_id);
+  return (
+    <div
+      draggable={!readOnly}
+      onDragStart={(e) => { e.dataTransfer.effectAllowed = "move"; onDragStart(); }}
+      onDragEnd={onDragEnd}
+      style={{
+        background: C.bg, border: `1px solid ${C.border}`, borderRadius: 8, padding: 10, marginBottom: 8,
+        cursor: readOnly ? "default" : "grab", opacity: dragging ? 0.4 : 1,
+      }}
+    >
+      <div onClick={onToggle} style={{ cursor: "pointer" }}>
+        <div style={{ fontSize: 13, fontWeight: 600, color: C.text, lineHeight: 1.3 }}>
+          {catIcons[p.category] || "📋"} {p.title}
         </div>
-      ))}
+        <div style={{ fontSize: 11, color: C.textMuted, marginTop: 4 }}>📍 {p.location}</div>
+        <div style={{ display: "flex", justifyContent: "space-between", marginTop: 6 }}>
+          <span style={{ fontSize: 12, color: C.orange, fontWeight: 700, fontFamily: "'JetBrains Mono', monospace" }}>
+            {fmt$(p.value)}
+          </span>
+          {p.deadline && <span style={{ fontSize: 11, color: C.textSub }}>⏱ {fmtDate(p.deadline)}</span>}
+          {assignee && (
+            <span title={`Assigned to ${memberName(assignee)}`} style={{
+              width: 20, height: 20, borderRadius: 10, background: C.navy, color: C.text,
+              fontSize: 9, fontWeight: 700, display: "inline-flex", alignItems: "center", justifyContent: "center",
+            }}>
+              {initials(assignee)}
+            </span>
+          )}
+        </div>
+        {row.close_reason && (
+          <div style={{ fontSize: 11, color: getStage(savedStage(row)).color, marginTop: 4 }}>
+            {getStage(savedStage(row)).label}: {row.close_reason}
+          </div>
+        )}
+      </div>
+      {open && (
+        <div style={{ marginTop: 8, paddingTop: 8, borderTop: `1px solid ${C.border}` }}>
+          <div style={{ fontSize: 11, color: C.textMuted, marginBottom: 4 }}>Saved {fmtDate(row.saved_at)}</div>
+          {history.map((h, i) => (
+            <div key={i} style={{ fontSize: 11, color: C.textSub, padding: "1px 0" }}>
+              <span style={{ color: getStage(h.stage).color }}>●</span> {getStage(h.stage).label} · {fmtDate(h.at)}
+              {h.reason && <span style={{ color: C.textMuted }}> — {h.reason}</span>}
+            </div>
+          ))}
+          <div style={{ marginTop: 8 }}>
+            <SavedWork savedId={row.id} compact readOnly={readOnly} />
+          </div>
+          {!readOnly && (
+            <select value={row.assignee_id ?? ""} onChange={(e) => onAssign(e.target.value === "" ? null : Number(e.target.value))}
+              style={{ width: "100%", marginTop: 8, background: C.surface, color: C.text, border: `1px solid ${C.border}`, borderRadius: 6, fontSize: 11, padding: 4 }}>
+              <option value="">Unassigned</option>
+              {members.map((m) => <option key={m.user_id} value={m.user_id}>{memberName(m)}</option>)}
+            </select>
+          )}
+          {!readOnly && <div style={{ display: "flex", gap: 6, marginTop: 8, alignItems: "center" }}>
+            <select value={savedStage(row)} onChange={(e) => onStage(e.target.value)}
+              style={{ flex: 1, background: C.surface, color: C.text, border: `1px solid ${C.border}`, borderRadius: 6, fontSize: 11, padding: 4 }}>
+              {STAGES.map((st) => <option key={st.id} value={st.id}>{st.label}</option>)}
+            </select>
+            <a href={buildHash({ projectId: p.id })} style={{ fontSize: 11, color: C.sky, textDecoration: "none" }}>Card →</a>
+            <button onClick={onUnsave}
+              style={{ background: "none", border: "none", color: "#ef4444", fontSize: 11, cursor: "pointer" }}>
+              Remove
+            </button>
+          </div>}
+          {readOnly && (
+            <a href={buildHash({ projectId: p.id })} style={{ display: "inline-block", marginTop: 8, fontSize: 11, color: C.sky, textDecoration: "none" }}>Card →</a>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
+function CloseOutDialog({ row, stage, onConfirm, onCancel }) {
+  const [reason, setReason] = useState("");
+  const st = getStage(stage);
+  return (
+    <div style={{ position: "fixed", inset: 0, background: "rgba(0,0,0,0.6)", zIndex: 400, display: "flex", alignItems: "center", justifyContent: "center" }}
+      onClick={onCancel}>
+      <div onClick={(e) => e.stopPropagation()}
+        style={{ width: 380, background: C.surface, border: `1px solid ${C.border}`, borderTop: `3px solid ${st.color}`, borderRadius: 10, padding: 18 }}>
+        <div style={{ fontSize: 15, fontWeight: 700, color: C.text, marginBottom: 4 }}>Mark as {st.label}</div>
+        <div style={{ fontSize: 12, color: C.textSub, marginBottom: 12 }}>{row.project.title}</div>
+        <div style={{ display: "flex", gap: 6, flexWrap: "wrap", marginBottom: 10 }}>
+          {CLOSE_REASONS[stage].map((r) => (
+            <button key={r} onClick={() => setReason(r)} style={{
+              padding: "4px 10px", borderRadius: 8, fontSize: 12, cursor: "pointer",
+              border: `1px solid ${reason === r ? st.color : C.border}`,
+              background: reason === r ? `${st.color}18` : "transparent",
+              color: reason === r ? st.color : C.textSub,
+            }}>
+              {r}
+            </button>
+          ))}
+        </div>
+        <input autoFocus value={reason} onChange={(e) => setReason(e.target.value)}
+          onKeyDown={(e) => e.key === "Enter" && reason.trim() && onConfirm(reason.trim())}
+          placeholder={stage === "won" ? "Why did we win?" : "Why did we lose?"}
+          style={{ ...styles.searchInput, width: "100%", fontSize: 13, marginBottom: 12 }} />
+        <div style={{ display: "flex", gap: 8, justifyContent: "flex-end" }}>
+          <button onClick={onCancel} style={{ ...styles.logoutBtn }}>Cancel</button>
+          <button disabled={!reason.trim()} onClick={() => onConfirm(reason.trim())}
+            style={{ ...styles.saveBtn, background: st.color, opacity: reason.trim() ? 1 : 0.5 }}>
+            Close out
+          </button>
+        </div>
+      </div>
     </div>
   );
 }
@@ -1441,13 +2589,20 @@ const MIN_VALUE_THRESHOLDS = [
   { label: "> $1M total",    value: 1000000 },
 ];
 
-function TradeContractorCard({ contractor }) {
+function TradeContractorCard({ contractor, onOpen }) {
   const pct = contractor.market_share_pct || 0;
   const shareColor = pct >= 25 ? C.orange : pct >= 10 ? C.blue : C.textMuted;
   const hasLicenses = contractor.licenses && contractor.licenses.length > 0;
   const hasAka = contractor.also_known_as && contractor.also_known_as.length > 0;
   return (
-    <div style={{ padding: "13px 16px", display: "flex", alignItems: "center", gap: 12, borderTop: `1px solid ${C.border}` }}>
+    <div
+      role="button"
+      tabIndex={0}
+      title="Open profile"
+      onClick={() => onOpen(contractor.name)}
+      onKeyDown={(e) => { if (e.key === "Enter") onOpen(contractor.name); }}
+      style={{ padding: "13px 16px", display: "flex", alignItems: "center", gap: 12, borderTop: `1px solid ${C.border}`, cursor: "pointer" }}
+    >
       <div style={{ flex: 1, minWidth: 0 }}>
         <div style={{ fontWeight: 700, fontSize: 13, color: C.text, marginBottom: 5 }}>
           {contractor.name}
@@ -1460,6 +2615,7 @@ function TradeContractorCard({ contractor }) {
               LLR
             </span>
           )}
+          <span style={{ float: "right", fontSize: 11, fontWeight: 400, color: C.blue }}>Profile →</span>
         </div>
 
         {/* Market share bar */}
@@ -1500,7 +2656,7 @@ function TradeContractorCard({ contractor }) {
   );
 }
 
-function PermitContractorsSection() {
+function PermitContractorsSection({ onOpen }) {
   const [tradeData, setTradeData] = useState(null);
   const [loading, setLoading] = useState(false);
   const [search, setSearch] = useState("");
@@ -1687,14 +2843,250 @@ function PermitContractorsSection() {
                 {isOpen && (
                   <div style={{ display: "flex", flexDirection: "column", gap: 0 }}>
                     {contractors.map((c) => (
-                      <TradeContractorCard key={c.name} contractor={c} />
+                      <TradeContractorCard key={c.name} contractor={c} onOpen={onOpen} />
                     ))}
                   </div>
                 )}
               </div>
-            );
-          })}
-        </div>
+            );
+          })}
+        </div>
+      )}
+    </div>
+  );
+}
+
+// Zooms to fit the job markers once they load
+function FitBounds({ points }) {
+  const map = useMap();
+  useEffect(() => {
+    if (points.length) map.fitBounds(points, { padding: [24, 24], maxZoom: 15 });
+  }, [map, points]);
+  return null;
+}
+
+// Sites whose permits are fetched to find the GC — one /projects call each
+const PROFILE_MAX_SITES = 40;
+// Permits loaded per contractor; past this the profile says it's truncated
+const PROFILE_MAX_PERMITS = 500;
+
+const quarterLabel = (key) => `${key.slice(5)} '${key.slice(2, 4)}`;
+
+// A trade directory entry in full: LLR licenses, every permit pulled, a map of
+// the jobs, value by quarter and the GCs they work under. Keyed by name.
+function ContractorProfile({ name, onClose }) {
+  const [state, setState] = useState({ loading: true, entry: null, permits: [], truncated: false });
+  const [sitePermits, setSitePermits] = useState(null);
+
+  // `cancelled` drops responses (and skips queued site lookups) once the
+  // profile closes or switches contractor
+  useEffect(() => {
+    let cancelled = false;
+    api("/directory/trades")
+      .then((d) => findContractor(d, name))
+      .catch(() => null)
+      .then((entry) => {
+        const contractor = entry?.contractor || { name };
+        const keys = contractorKeys(contractor);
+        const params = new URLSearchParams({
+          contractor: [contractor.name, ...(contractor.also_known_as || [])].join("|"),
+          include_subpermits: "true",
+          limit: String(PROFILE_MAX_PERMITS),
+        });
+        return api(`/projects?${params}`).then((d) => {
+          if (cancelled) return [];
+          const rows = d.projects || [];
+          const permits = rows
+            .filter((p) => pulledBy(p, keys))
+            .sort((a, b) => (Date.parse(b.posted_date) || 0) - (Date.parse(a.posted_date) || 0));
+          const truncated = d.total != null ? d.total > rows.length : rows.length >= PROFILE_MAX_PERMITS;
+          setState({ loading: false, entry, permits, truncated });
+          const addresses = [...new Set(permits.map((p) => p.address).filter(Boolean))].slice(0, PROFILE_MAX_SITES);
+          return mapInBatches(addresses, SITE_FETCH_BATCH, (address) =>
+            cancelled ? [] :
+            api(`/projects?${new URLSearchParams({ address, include_subpermits: "true", limit: "200" })}`)
+              .then((r) => r.projects || [])
+              .catch(() => [])
+          );
+        });
+      })
+      .then((sites) => {
+        if (!cancelled) setSitePermits(sites.flat());
+      })
+      .catch(() => {
+        if (cancelled) return;
+        setState((s) => ({ ...s, loading: false }));
+        setSitePermits([]);
+      });
+    return () => { cancelled = true; };
+  }, [name]);
+
+  const { loading, entry, permits, truncated } = state;
+  const contractor = entry?.contractor || { name };
+  const keys = contractorKeys(contractor);
+  const quarters = valueByQuarter(permits);
+  const peak = Math.max(...quarters.map((q) => q.value), 1);
+  const points = useMemo(
+    () => permits.filter((p) => p.latitude != null && p.longitude != null).map((p) => [p.latitude, p.longitude]),
+    [permits]
+  );
+  const siteCount = new Set(permits.map((p) => p.address).filter(Boolean)).size;
+  const gcs = sitePermits && gcsWorkedUnder(permits, gcByAddress(sitePermits, linkSubpermits(sitePermits)), keys);
+  const totalValue = permits.reduce((sum, p) => sum + (p.value || 0), 0);
+
+  const section = { background: C.surface, border: `1px solid ${C.border}`, borderRadius: 12, padding: "14px 16px", marginBottom: 16 };
+
+  return (
+    <div>
+      <button onClick={onClose} style={{ ...headerLink, marginBottom: 12 }}>← All contractors</button>
+
+      <div style={{ ...section, display: "flex", flexWrap: "wrap", alignItems: "baseline", gap: "6px 16px" }}>
+        <span style={{ fontSize: 20, fontWeight: 700, color: C.text }}>{contractor.name}</span>
+        {entry && (
+          <span style={{ fontSize: 12, color: C.textSub }}>
+            {TRADE_ICONS[entry.tradeId] || "\u{1F4CB}"} {entry.label}
+          </span>
+        )}
+        {contractor.market_share_pct > 0 && (
+          <span style={{ fontSize: 12, color: C.orange, fontWeight: 700 }}>{contractor.market_share_pct.toFixed(1)}% market share</span>
+        )}
+        {!loading && (
+          <span style={{ fontSize: 12, color: C.textMuted }}>
+            {permits.length}{truncated && "+"} permit{permits.length !== 1 ? "s" : ""} · {siteCount}{truncated && "+"} site{siteCount !== 1 ? "s" : ""}
+            {totalValue > 0 && ` · ${fmt$(totalValue)}`}
+          </span>
+        )}
+        {contractor.also_known_as?.length > 0 && (
+          <div style={{ width: "100%", fontSize: 11, color: C.textMuted, fontStyle: "italic" }}>
+            aka {contractor.also_known_as.join(", ")}
+          </div>
+        )}
+      </div>
+
+      <div style={section}>
+        <div style={styles.detailLabel}>LLR licenses</div>
+        {contractor.licenses?.length ? contractor.licenses.map((license, i) => (
+          <table key={license.license_number || i} style={{ borderCollapse: "collapse", fontSize: 12, marginBottom: 8 }}>
+            <tbody>
+              {LICENSE_FIELDS.filter(([key]) => [license[key]].flat().some((v) => v != null && v !== "")).map(([key, label]) => (
+                <tr key={key}>
+                  <td style={{ color: C.textMuted, padding: "2px 16px 2px 0" }}>{label}</td>
+                  <td style={{ color: C.text }}>
+                    {Array.isArray(license[key]) ? license[key].join(", ") : /_date$/.test(key) ? fmtDate(license[key]) : license[key]}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )) : (
+          <div style={{ fontSize: 12, color: C.textMuted }}>{entry ? "No SC LLR license on file." : "Not in the trade directory."}</div>
+        )}
+      </div>
+
+      {loading ? (
+        <div style={{ textAlign: "center", padding: 40 }}><div style={styles.spinner} /></div>
+      ) : (
+        <>
+          <div style={{ display: "grid", gridTemplateColumns: "repeat(auto-fit, minmax(380px, 1fr))", gap: 16 }}>
+            <div style={section}>
+              <div style={styles.detailLabel}>Value by quarter</div>
+              {quarters.length ? (
+                <div style={{ display: "flex", alignItems: "flex-end", gap: 4, height: 160, paddingTop: 8 }}>
+                  {quarters.map((q) => (
+                    <div key={q.quarter} title={`${quarterLabel(q.quarter)} · ${q.count} permit${q.count !== 1 ? "s" : ""} · ${fmt$(q.value)}`}
+                      style={{ flex: 1, minWidth: 0, display: "flex", flexDirection: "column", alignItems: "center", justifyContent: "flex-end", height: "100%" }}>
+                      <div style={{ width: "100%", height: `${(q.value / peak) * 100}%`, minHeight: q.count ? 2 : 0, background: C.orange, borderRadius: "3px 3px 0 0" }} />
+                      <span style={{ fontSize: 9, color: C.textMuted, marginTop: 4, whiteSpace: "nowrap" }}>{quarterLabel(q.quarter)}</span>
+                    </div>
+                  ))}
+                </div>
+              ) : (
+                <div style={{ fontSize: 12, color: C.textMuted }}>No dated permits.</div>
+              )}
+            </div>
+
+            <div style={section}>
+              <div style={styles.detailLabel}>GCs they work under</div>
+              {!gcs ? (
+                <div style={{ padding: 12 }}><div style={styles.spinner} /></div>
+              ) : gcs.length ? (
+                <>
+                  {gcs.slice(0, 12).map((gc) => (
+                    <div key={gc.name} style={{ display: "flex", gap: 12, fontSize: 13, padding: "4px 0", borderBottom: `1px solid ${C.border}` }}>
+                      <span style={{ flex: 1, color: C.text }}>{gc.name}</span>
+                      <span style={{ color: C.textMuted }}>{gc.sites} site{gc.sites !== 1 ? "s" : ""}</span>
+                      {gc.value > 0 && <span style={{ color: C.orange, fontFamily: "'JetBrains Mono', monospace", minWidth: 64, textAlign: "right" }}>{fmt$(gc.value)}</span>}
+                    </div>
+                  ))}
+                  {siteCount > PROFILE_MAX_SITES && (
+                    <div style={{ fontSize: 11, color: C.textMuted, marginTop: 6 }}>From their {PROFILE_MAX_SITES} most recent sites.</div>
+                  )}
+                </>
+              ) : (
+                <div style={{ fontSize: 12, color: C.textMuted }}>No GC found on a master permit at their sites.</div>
+              )}
+            </div>
+          </div>
+
+          {points.length > 0 && (
+            <div style={{ ...section, padding: 0, overflow: "hidden" }}>
+              <MapContainer center={points[0]} zoom={12} style={{ height: 320, width: "100%" }}>
+                <TileLayer
+                  url="https://{s}.basemaps.cartocdn.com/dark_all/{z}/{x}/{y}{r}.png"
+                  attribution='&copy; <a href="https://openstreetmap.org/copyright">OpenStreetMap</a> contributors &copy; <a href="https://carto.com/attributions">CARTO</a>'
+                  maxZoom={19}
+                />
+                <FitBounds points={points} />
+                {permits.filter((p) => p.latitude != null && p.longitude != null).map((p) => (
+                  <CircleMarker key={p.id} center={[p.latitude, p.longitude]} radius={7}
+                    pathOptions={{ fillColor: C.orange, fillOpacity: 0.8, color: "#fff", weight: 1.5, opacity: 0.6 }}>
+                    <Popup>
+                      <div style={{ fontFamily: "'DM Sans', sans-serif", fontSize: 13, color: "#111" }}>
+                        <div style={{ fontWeight: 700, marginBottom: 4 }}>{getDisplayTitle(p) || p.title}</div>
+                        <div style={{ fontSize: 11, color: "#777", marginBottom: 6 }}>{cleanAddress(p.address)}</div>
+                        <a href={buildHash({ projectId: p.id })} style={{ fontSize: 11, color: "#4a9fd4", textDecoration: "none", fontWeight: 600 }}>Open card →</a>
+                      </div>
+                    </Popup>
+                  </CircleMarker>
+                ))}
+              </MapContainer>
+            </div>
+          )}
+
+          <div style={{ ...section, overflow: "auto" }}>
+            <div style={styles.detailLabel}>Permits ({permits.length}{truncated && "+"})</div>
+            {truncated && (
+              <div style={{ fontSize: 11, color: C.textMuted, marginBottom: 8 }}>
+                Only the first {PROFILE_MAX_PERMITS} permits under this name were loaded; counts, value and charts cover those.
+              </div>
+            )}
+            {permits.length ? (
+              <table style={{ width: "100%", borderCollapse: "collapse" }}>
+                <thead>
+                  <tr>
+                    {["Posted", "Permit #", "Project", "Address", "Status", "Value"].map((h) => <th key={h} style={styles.th}>{h}</th>)}
+                  </tr>
+                </thead>
+                <tbody>
+                  {permits.map((p) => (
+                    <tr key={p.id} style={styles.tr}>
+                      <td style={styles.td}>{p.posted_date ? fmtDate(p.posted_date) : "—"}</td>
+                      <td style={styles.td}>{p.permit_number || "—"}</td>
+                      <td style={styles.td}>
+                        <a href={buildHash({ projectId: p.id })} style={{ color: C.blue, textDecoration: "none" }}>{getDisplayTitle(p) || p.title}</a>
+                      </td>
+                      <td style={styles.td}>{cleanAddress(p.address)}</td>
+                      <td style={styles.td}>{p.status && <StatusPill status={p.status} />}</td>
+                      <td style={{ ...styles.td, fontFamily: "'JetBrains Mono', monospace" }}>{p.value ? fmt$(p.value) : "—"}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            ) : (
+              <div style={{ fontSize: 12, color: C.textMuted }}>No permits found under this name.</div>
+            )}
+          </div>
+        </>
       )}
     </div>
   );
@@ -1913,7 +3305,9 @@ function ContractorSection({ type, label, contractors, onAdd, onEdit, onDelete }
   );
 }
 
-function ContractorsTab() {
+// `contractor` is the profile open from the hash route; the directory stays
+// mounted underneath so its search and open trades survive the round trip
+function ContractorsTab({ contractor, onOpen }) {
   const [contractors, setContractors] = useState([]);
   const [loading, setLoading] = useState(true);
 
@@ -1947,7 +3341,14 @@ function ContractorsTab() {
     return <div style={{ textAlign: "center", padding: 60, color: C.textMuted }}>Loading…</div>;
   }
 
-  return <PermitContractorsSection />;
+  return (
+    <>
+      {contractor && <ContractorProfile key={contractor} name={contractor} onClose={() => onOpen(null)} />}
+      <div style={{ display: contractor ? "none" : undefined }}>
+        <PermitContractorsSection onOpen={onOpen} />
+      </div>
+    </>
+  );
 }
 
 
@@ -1985,7 +3386,7 @@ function OrgInfoForm({ org, onSaved }) {
   const save = async () => {
     setSaving(true);
     const payload = { ...form, license_classifications: form.license_classifications.split(",").map((s) => s.trim()).filter(Boolean) };
-    await api("/profile/org", { method: "PUT", body: JSON.stringify(payload) });
+    await api("/workspace/org", { method: "PUT", body: JSON.stringify(payload) });
     setSaving(false);
     setMsg("✓ Saved");
     setTimeout(() => setMsg(""), 3000);
@@ -2064,12 +3465,12 @@ function PrincipalsSection({ org, onChanged }) {
 
   const save = async () => {
     setSaving(true);
-    if (form.id) await api(`/profile/org/principals/${form.id}`, { method: "PATCH", body: JSON.stringify(form) });
-    else await api("/profile/org/principals", { method: "POST", body: JSON.stringify(form) });
+    if (form.id) await api(`/workspace/org/principals/${form.id}`, { method: "PATCH", body: JSON.stringify(form) });
+    else await api("/workspace/org/principals", { method: "POST", body: JSON.stringify(form) });
     setSaving(false); setForm(null); onChanged();
   };
 
-  const del = async (id) => { await api(`/profile/org/principals/${id}`, { method: "DELETE" }); onChanged(); };
+  const del = async (id) => { await api(`/workspace/org/principals/${id}`, { method: "DELETE" }); onChanged(); };
 
   const inp = { width: "100%", padding: "9px 11px", background: C.bg, border: `1px solid ${C.border}`, borderRadius: 8, color: C.text, fontSize: 14, outline: "none", fontFamily: "'DM Sans', sans-serif", boxSizing: "border-box" };
   const lbl = { fontSize: 12, color: C.textSub, marginBottom: 4, display: "block" };
@@ -2118,12 +3519,12 @@ function ProjectRefsSection({ org, onChanged }) {
   const save = async () => {
     setSaving(true);
     const payload = { ...form, contract_value: form.contract_value ? parseFloat(form.contract_value) : null };
-    if (form.id) await api(`/profile/org/projects/${form.id}`, { method: "PATCH", body: JSON.stringify(payload) });
-    else await api("/profile/org/projects", { method: "POST", body: JSON.stringify(payload) });
+    if (form.id) await api(`/workspace/org/projects/${form.id}`, { method: "PATCH", body: JSON.stringify(payload) });
+    else await api("/workspace/org/projects", { method: "POST", body: JSON.stringify(payload) });
     setSaving(false); setForm(null); onChanged();
   };
 
-  const del = async (id) => { await api(`/profile/org/projects/${id}`, { method: "DELETE" }); onChanged(); };
+  const del = async (id) => { await api(`/workspace/org/projects/${id}`, { method: "DELETE" }); onChanged(); };
 
   const inp = { width: "100%", padding: "9px 11px", background: C.bg, border: `1px solid ${C.border}`, borderRadius: 8, color: C.text, fontSize: 14, outline: "none", fontFamily: "'DM Sans', sans-serif", boxSizing: "border-box" };
   const lbl = { fontSize: 12, color: C.textSub, marginBottom: 4, display: "block" };
@@ -2188,12 +3589,12 @@ function PersonnelSection({ org, onChanged }) {
 
   const save = async () => {
     setSaving(true);
-    if (editing.id) await api(`/profile/org/personnel/${editing.id}`, { method: "PATCH", body: JSON.stringify(editing) });
-    else await api("/profile/org/personnel", { method: "POST", body: JSON.stringify(editing) });
+    if (editing.id) await api(`/workspace/org/personnel/${editing.id}`, { method: "PATCH", body: JSON.stringify(editing) });
+    else await api("/workspace/org/personnel", { method: "POST", body: JSON.stringify(editing) });
     setSaving(false); setEditing(null); onChanged();
   };
 
-  const del = async (id) => { await api(`/profile/org/personnel/${id}`, { method: "DELETE" }); onChanged(); };
+  const del = async (id) => { await api(`/workspace/org/personnel/${id}`, { method: "DELETE" }); onChanged(); };
 
   const inp = { width: "100%", padding: "9px 11px", background: C.bg, border: `1px solid ${C.border}`, borderRadius: 8, color: C.text, fontSize: 14, outline: "none", fontFamily: "'DM Sans', sans-serif", boxSizing: "border-box" };
   const lbl = { fontSize: 12, color: C.textSub, marginBottom: 4, display: "block" };
@@ -2264,10 +3665,9 @@ function SOQSection({ org }) {
     if (!pmId || !superId) { setErr("Select a Project Manager and Superintendent first."); return; }
     setGenerating(true); setErr("");
     try {
-      const token = localStorage.getItem("sitescan_token");
-      const res = await fetch(`${API}/profile/soq/generate`, {
+      const res = await fetch(`${API}/workspace/soq/generate`, {
         method: "POST",
-        headers: { "Content-Type": "application/json", Authorization: `Bearer ${token}` },
+        headers: { "Content-Type": "application/json", ...authHeaders() },
         body: JSON.stringify({ pm_id: Number(pmId), super_id: Number(superId), general_project_ids: genIds, state_project_ids: stateIds }),
       });
       if (!res.ok) { const j = await res.json(); throw new Error(j.detail || "Generation failed"); }
@@ -2345,12 +3745,11 @@ function BidAssistSection() {
   const uploadPdf = async (fileList) => {
     setParsing(true); setErr("");
     try {
-      const token = localStorage.getItem("sitescan_token");
       const form = new FormData();
       Array.from(fileList).forEach((f) => form.append("files", f));
-      const res = await fetch(`${API}/profile/bid-assist/parse-pdf`, {
+      const res = await fetch(`${API}/workspace/bid-assist/parse-pdf`, {
         method: "POST",
-        headers: { Authorization: `Bearer ${token}` },
+        headers: authHeaders(),
         body: form,
       });
       const data = await res.json();
@@ -2364,7 +3763,7 @@ function BidAssistSection() {
     if (!rfqText.trim()) { setErr("Paste an RFQ or upload a PDF first."); return; }
     setLoading(true); setErr(""); setNarrative("");
     try {
-      const data = await api("/profile/bid-assist", {
+      const data = await api("/workspace/bid-assist", {
         method: "POST",
         body: JSON.stringify({ rfq_text: rfqText }),
       });
@@ -2427,13 +3826,15 @@ function BidAssistSection() {
   );
 }
 
-function CompanyTab() {
+// The company profile belongs to the workspace; only admins edit it, everyone
+// can still generate SOQs and bid narratives from it
+function CompanyTab({ canEdit = true }) {
   const [org, setOrg] = useState(null);
   const [loading, setLoading] = useState(true);
   const [openSection, setOpenSection] = useState("info");
 
   const loadOrg = async () => {
-    try { const data = await api("/profile/org"); setOrg(data); } catch (e) { /* ignore */ }
+    try { const data = await api("/workspace/org"); setOrg(data); } catch (e) { /* ignore */ }
     setLoading(false);
   };
 
@@ -2446,10 +3847,17 @@ function CompanyTab() {
 
   return (
     <div style={{ maxWidth: 860, margin: "0 auto", padding: "24px 16px" }}>
-      <ProfileSection id="info"       openSection={openSection} onToggle={toggle} title="Company Info"        icon="🏢"><OrgInfoForm       org={org} onSaved={loadOrg}   /></ProfileSection>
-      <ProfileSection id="principals" openSection={openSection} onToggle={toggle} title="Principals"          icon="👤"><PrincipalsSection org={org} onChanged={loadOrg} /></ProfileSection>
-      <ProfileSection id="projects"   openSection={openSection} onToggle={toggle} title="Project References"  icon="📋"><ProjectRefsSection org={org} onChanged={loadOrg} /></ProfileSection>
-      <ProfileSection id="personnel"  openSection={openSection} onToggle={toggle} title="Key Personnel"       icon="🧑‍💼"><PersonnelSection  org={org} onChanged={loadOrg} /></ProfileSection>
+      {!canEdit && (
+        <div style={{ fontSize: 12, color: C.textMuted, marginBottom: 12 }}>
+          Shared with your workspace. Only admins can edit the company profile.
+        </div>
+      )}
+      <fieldset disabled={!canEdit} style={{ border: "none", padding: 0, margin: 0, minWidth: 0 }}>
+        <ProfileSection id="info"       openSection={openSection} onToggle={toggle} title="Company Info"        icon="🏢"><OrgInfoForm       org={org} onSaved={loadOrg}   /></ProfileSection>
+        <ProfileSection id="principals" openSection={openSection} onToggle={toggle} title="Principals"          icon="👤"><PrincipalsSection org={org} onChanged={loadOrg} /></ProfileSection>
+        <ProfileSection id="projects"   openSection={openSection} onToggle={toggle} title="Project References"  icon="📋"><ProjectRefsSection org={org} onChanged={loadOrg} /></ProfileSection>
+        <ProfileSection id="personnel"  openSection={openSection} onToggle={toggle} title="Key Personnel"       icon="🧑‍💼"><PersonnelSection  org={org} onChanged={loadOrg} /></ProfileSection>
+      </fieldset>
       <ProfileSection id="soq"        openSection={openSection} onToggle={toggle} title="Generate SOQ"        icon="📄"><SOQSection         org={org} /></ProfileSection>
       <ProfileSection id="bid-assist" openSection={openSection} onToggle={toggle} title="Bid Assist"          icon="✨"><BidAssistSection /></ProfileSection>
     </div>
@@ -2457,6 +3865,301 @@ function CompanyTab() {
 }
 
 
+// ─── TEAM TAB ───────────────────────────────────────────────────────────────
+
+// Members and pending invites of the active workspace. Invitees join when they
+// sign in (or sign up) with the invited address.
+function TeamTab({ workspace, team, userId, onChanged }) {
+  const [email, setEmail] = useState("");
+  const [role, setRole] = useState("estimator");
+  const [error, setError] = useState(null);
+  const manage = can(workspace?.role, "manageTeam");
+
+  // Roles and invites render straight from `team`, so a failed change shows
+  // its error and the reload puts the old value back
+  const run = async (request, failure) => {
+    setError(null);
+    try {
+      await request();
+      return true;
+    } catch (err) {
+      setError(`${failure}: ${err.message}`);
+      return false;
+    } finally {
+      onChanged();
+    }
+  };
+
+  const invite = async () => {
+    const problem = inviteError(email, team);
+    if (problem) return setError(problem);
+    const ok = await run(
+      () => apiStrict("/workspace/invites", { method: "POST", body: JSON.stringify({ email: email.trim(), role }) }),
+      "Couldn't send the invite",
+    );
+    if (ok) setEmail("");
+  };
+  const setMemberRole = (m, next) =>
+    run(() => apiStrict(`/workspace/members/${m.user_id}`, { method: "PATCH", body: JSON.stringify({ role: next }) }),
+      `Couldn't change ${memberName(m)}'s role`);
+  const removeMember = (m) => {
+    if (!window.confirm(`Remove ${memberName(m)} from ${workspace.name}? Their leads become unassigned.`)) return;
+    run(() => apiStrict(`/workspace/members/${m.user_id}`, { method: "DELETE" }), `Couldn't remove ${memberName(m)}`);
+  };
+  const revokeInvite = (i) =>
+    run(() => apiStrict(`/workspace/invites/${i.id}`, { method: "DELETE" }), `Couldn't revoke the invite to ${i.email}`);
+
+  const cell = { ...styles.td, verticalAlign: "middle" };
+  const select = { background: C.surface, color: C.text, border: `1px solid ${C.border}`, borderRadius: 6, fontSize: 12, padding: "4px 6px" };
+
+  return (
+    <div style={{ maxWidth: 760, margin: "0 auto", padding: "24px 16px" }}>
+      <div style={{ fontSize: 18, fontWeight: 700, color: C.text, marginBottom: 4 }}>{workspace?.name || "Workspace"}</div>
+      <div style={{ fontSize: 12, color: C.textMuted, marginBottom: 20 }}>
+        Saved projects, the pipeline and the company profile are shared by everyone here.
+      </div>
+
+      {manage && (
+        <div style={{ display: "flex", gap: 8, flexWrap: "wrap", marginBottom: 8 }}>
+          <input value={email} onChange={(e) => setEmail(e.target.value)} placeholder="teammate@company.com"
+            onKeyDown={(e) => e.key === "Enter" && invite()}
+            style={{ ...styles.searchInput, flex: "1 1 220px", fontSize: 13 }} />
+          <select value={role} onChange={(e) => setRole(e.target.value)} style={select}>
+            {Object.entries(ROLES).map(([id, r]) => <option key={id} value={id}>{r.label}</option>)}
+          </select>
+          <button onClick={invite} style={styles.saveBtn}>Invite</button>
+        </div>
+      )}
+      {error && <div style={{ fontSize: 12, color: "#ef4444", marginBottom: 8 }}>{error}</div>}
+
+      <table style={{ width: "100%", borderCollapse: "collapse", marginTop: 12 }}>
+        <thead>
+          <tr>{["Member", "Role", ""].map((h) => <th key={h} style={styles.th}>{h}</th>)}</tr>
+        </thead>
+        <tbody>
+          {team.members.map((m) => (
+            <tr key={m.user_id} style={styles.tr}>
+              <td style={cell}>
+                <div style={{ color: C.text }}>{memberName(m)}{m.user_id === userId && <span style={{ color: C.textMuted }}> (you)</span>}</div>
+                {m.full_name && <div style={{ fontSize: 11, color: C.textMuted }}>{m.email}</div>}
+              </td>
+              <td style={cell}>
+                {manage && !isLastAdmin(m, team.members) ? (
+                  <select value={m.role} onChange={(e) => setMemberRole(m, e.target.value)} style={select}>
+                    {Object.entries(ROLES).map(([id, r]) => <option key={id} value={id}>{r.label}</option>)}
+                  </select>
+                ) : (
+                  <span title={ROLES[m.role]?.description} style={{ color: C.textSub }}>{ROLES[m.role]?.label || m.role}</span>
+                )}
+              </td>
+              <td style={{ ...cell, textAlign: "right" }}>
+                {manage && m.user_id !== userId && !isLastAdmin(m, team.members) && (
+                  <button onClick={() => removeMember(m)}
+                    style={{ background: "none", border: "none", color: "#ef4444", fontSize: 12, cursor: "pointer" }}>
+                    Remove
+                  </button>
+                )}
+              </td>
+            </tr>
+          ))}
+          {team.invites.map((i) => (
+            <tr key={`invite-${i.id}`} style={styles.tr}>
+              <td style={cell}>
+                <div style={{ color: C.textSub }}>{i.email}</div>
+                <div style={{ fontSize: 11, color: C.textMuted }}>Invited {fmtDate(i.created_at)}</div>
+              </td>
+              <td style={{ ...cell, color: C.textMuted }}>{ROLES[i.role]?.label || i.role} · pending</td>
+              <td style={{ ...cell, textAlign: "right" }}>
+                {manage && (
+                  <button onClick={() => revokeInvite(i)}
+                    style={{ background: "none", border: "none", color: C.textMuted, fontSize: 12, cursor: "pointer" }}>
+                    Revoke
+                  </button>
+                )}
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+
+      <div style={{ marginTop: 24, display: "grid", gap: 6 }}>
+        {Object.entries(ROLES).map(([id, r]) => (
+          <div key={id} style={{ fontSize: 12, color: C.textMuted }}>
+            <span style={{ color: C.textSub, fontWeight: 600 }}>{r.label}</span> — {r.description}
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
+
+// Only shown to people in more than one workspace. Switching reloads so every
+// workspace-scoped list is fetched fresh.
+function WorkspaceSwitcher({ workspaces, current }) {
+  if (!workspaces || workspaces.length < 2) return null;
+  return (
+    <select
+      value={current?.id ?? ""}
+      onChange={(e) => {
+        localStorage.setItem(WORKSPACE_KEY, e.target.value);
+        window.location.reload();
+      }}
+      style={{ ...styles.logoutBtn, cursor: "pointer" }}
+      title="Workspace"
+    >
+      {workspaces.map((w) => <option key={w.id} value={w.id}>{w.name}</option>)}
+    </select>
+  );
+}
+
+
+// ─── CALENDAR TAB ───────────────────────────────────────────────────────────
+
+const WEEKDAYS = ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"];
+
+// Bid solicitation feeds that apply to a market (statewide/federal included)
+const marketBidSources = (market) =>
+  sourceIdsWhere((s) => s.kind === "bid" && (!s.region || s.region === market.region) && (!s.state || s.state === market.state));
+
+// Due dates, pre-bid meetings and Q&A cutoffs for saved projects plus open
+// solicitations from the market's bid feeds. Exports the visible events as
+// .ics, or hands out the server's subscription URL for Outlook/Google.
+function CalendarTab({ saved, market }) {
+  const today = dayKey(new Date());
+  const [view, setView] = useState("month");
+  const [cursor, setCursor] = useState(today);
+  const [includeOpen, setIncludeOpen] = useState(true);
+  const [types, setTypes] = useState(Object.keys(EVENT_TYPES));
+  const [open, setOpen] = useState([]);
+  const [subscription, setSubscription] = useState(null);
+
+  const days = view === "month" ? monthGrid(cursor).flat() : weekDays(cursor);
+  const from = days[0];
+  const to = days.at(-1);
+
+  useEffect(() => {
+    const params = new URLSearchParams({
+      sources: marketBidSources(market).join(","),
+      date_from: from,
+      date_to: to,
+      sort_by: "deadline",
+      sort_dir: "asc",
+      limit: "500",
+    });
+    api(`/projects?${params}`)
+      .then((d) => setOpen(d.projects || []))
+      .catch(() => setOpen([]));
+  }, [market, from, to]);
+
+  const events = calendarEvents(saved.map((s) => s.project).filter(Boolean), includeOpen ? open : [])
+    .filter((e) => types.includes(e.type));
+  const byDay = eventsByDay(events);
+  const visible = events.filter((e) => e.day >= from && e.day <= to);
+
+  const step = (n) => {
+    if (view === "week") return setCursor(addDays(cursor, 7 * n));
+    const [y, m] = cursor.split("-").map(Number);
+    setCursor(dayKey(new Date(y, m - 1 + n, 1)));
+  };
+  const title = view === "month"
+    ? new Date(`${cursor}T12:00:00`).toLocaleDateString("en-US", { month: "long", year: "numeric" })
+    : `${fmtDate(`${from}T12:00:00`)} – ${fmtDate(`${to}T12:00:00`)}`;
+
+  const download = () => {
+    const appUrl = `${window.location.origin}${window.location.pathname}`;
+    downloadBlob(new Blob([buildIcs(visible, { appUrl })], { type: "text/calendar" }), `bids-${from}-to-${to}.ics`);
+  };
+  const subscribe = () =>
+    api("/calendar/subscription").then((d) => d?.url && setSubscription(d.url)).catch(() => {});
+
+  const chip = (active, color = C.orange) => ({
+    padding: "5px 12px", borderRadius: 8, fontSize: 12, fontWeight: 600, cursor: "pointer",
+    border: `1px solid ${active ? color : C.border}`,
+    background: active ? `${color}18` : "transparent",
+    color: active ? color : C.textSub, fontFamily: "'DM Sans', sans-serif",
+  });
+  const eventChip = (e) => (
+    <a key={e.id} href={buildHash({ projectId: e.projectId })} title={`${EVENT_TYPES[e.type].label} · ${e.title} · ${e.source}`}
+      style={{
+        display: "block", fontSize: 11, lineHeight: 1.3, padding: "2px 5px", marginBottom: 2, borderRadius: 4,
+        background: `${EVENT_TYPES[e.type].color}1f`, color: C.text, textDecoration: "none",
+        borderLeft: `2px solid ${EVENT_TYPES[e.type].color}`, fontWeight: e.saved ? 700 : 400,
+        overflow: "hidden", textOverflow: "ellipsis", whiteSpace: view === "month" ? "nowrap" : "normal",
+      }}>
+      {EVENT_TYPES[e.type].icon} {e.saved && "★ "}{e.title}
+    </a>
+  );
+
+  return (
+    <div>
+      <div style={{ display: "flex", alignItems: "center", gap: 8, flexWrap: "wrap", marginBottom: 12 }}>
+        <button onClick={() => step(-1)} style={chip(false)}>‹</button>
+        <button onClick={() => setCursor(today)} style={chip(false)}>Today</button>
+        <button onClick={() => step(1)} style={chip(false)}>›</button>
+        <span style={{ fontSize: 16, fontWeight: 700, color: C.text, margin: "0 8px" }}>{title}</span>
+        <button onClick={() => setView("month")} style={chip(view === "month")}>Month</button>
+        <button onClick={() => setView("week")} style={chip(view === "week")}>Week</button>
+        <span style={{ marginLeft: "auto", display: "flex", gap: 8 }}>
+          <button onClick={download} disabled={!visible.length} style={{ ...chip(false), opacity: visible.length ? 1 : 0.5 }}>
+            ⬇ Export .ics
+          </button>
+          <button onClick={subscribe} style={chip(false)}>📅 Subscribe</button>
+        </span>
+      </div>
+      <div style={{ display: "flex", gap: 6, flexWrap: "wrap", marginBottom: 12 }}>
+        {Object.entries(EVENT_TYPES).map(([id, t]) => (
+          <button key={id} style={chip(types.includes(id), t.color)}
+            onClick={() => setTypes((ts) => ts.includes(id) ? ts.filter((x) => x !== id) : [...ts, id])}>
+            {t.icon} {t.label}
+          </button>
+        ))}
+        <button onClick={() => setIncludeOpen((v) => !v)} style={chip(includeOpen, C.blue)}>
+          + Open solicitations
+        </button>
+        <span style={{ fontSize: 12, color: C.textMuted, alignSelf: "center" }}>★ = saved · {visible.length} events</span>
+      </div>
+      {subscription && (
+        <div style={{ background: C.surface, border: `1px solid ${C.border}`, borderRadius: 8, padding: 12, marginBottom: 12, fontSize: 12, color: C.textSub }}>
+          Add this URL in Outlook (Add calendar → Subscribe from web) or Google Calendar (From URL). It stays in sync with your saved projects:
+          <div style={{ display: "flex", gap: 8, marginTop: 6 }}>
+            <input readOnly value={subscription} onFocus={(e) => e.target.select()}
+              style={{ ...styles.searchInput, flex: 1, fontSize: 12 }} />
+            <a href={subscription.replace(/^https?:/, "webcal:")} style={{ ...styles.linkBtn, alignSelf: "center" }}>Open</a>
+          </div>
+        </div>
+      )}
+      <div style={{ display: "grid", gridTemplateColumns: "repeat(7, minmax(0, 1fr))", border: `1px solid ${C.border}`, borderRadius: 8, overflow: "hidden" }}>
+        {WEEKDAYS.map((d) => (
+          <div key={d} style={{ ...styles.th, textAlign: "center", borderBottom: `1px solid ${C.border}` }}>{d}</div>
+        ))}
+        {days.map((day) => {
+          const list = byDay[day] || [];
+          const outside = view === "month" && day.slice(0, 7) !== cursor.slice(0, 7);
+          const shown = view === "month" ? list.slice(0, 3) : list;
+          return (
+            <div key={day} style={{
+              minHeight: view === "month" ? 96 : 320, padding: 4,
+              borderRight: `1px solid ${C.border}`, borderBottom: `1px solid ${C.border}`,
+              background: day === today ? `${C.orange}0d` : "transparent", opacity: outside ? 0.45 : 1,
+            }}>
+              <div style={{ fontSize: 11, fontWeight: 700, color: day === today ? C.orange : C.textMuted, marginBottom: 3 }}>
+                {Number(day.slice(8))}
+              </div>
+              {shown.map(eventChip)}
+              {list.length > shown.length && (
+                <button onClick={() => { setCursor(day); setView("week"); }}
+                  style={{ background: "none", border: "none", color: C.blue, fontSize: 11, cursor: "pointer", padding: 0 }}>
+                  +{list.length - shown.length} more
+                </button>
+              )}
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+}
+
 // ─── SCAN HISTORY TAB ───────────────────────────────────────────────────────
 
 function HistoryTab({ history, onRefresh }) {
@@ -2500,7 +4203,7 @@ function HistoryTab({ history, onRefresh }) {
         <tbody>
           {history.map((h) => (
             <tr key={h.id} style={styles.tr}>
-              <td style={styles.td}>{sourceLabels[h.source_id] || h.source_id}</td>
+              <td style={styles.td}>{sourceLabel(h.source_id)}</td>
               <td style={styles.td}>
                 <span style={{ color: h.status === "success" ? "#22c55e" : h.status === "error" ? "#ef4444" : "#eab308" }}>
                   {h.status}
@@ -2803,12 +4506,23 @@ function AnalysisModal({ state, parcel, onClose }) {
 
 // ─── MAP TAB ────────────────────────────────────────────────────────────────
 
-const CHARLESTON_CENTER = [32.7765, -79.9311];
+// MapContainer only reads `center` and its bounds on mount — pan and re-fence
+// the map when the market changes
+function MarketView({ market }) {
+  const map = useMap();
+  useEffect(() => {
+    map.setMinZoom(market.minZoom);
+    map.setMaxBounds(marketBounds(market));
+    map.setView(market.center, market.zoom);
+  }, [map, market]);
+  return null;
+}
 
-function MapTab({ mapHeight = "calc(100vh - 230px)" }) {
+function MapTab({ market, mapHeight = "calc(100vh - 230px)", scoreContext }) {
   const [points, setPoints] = useState([]);
   const [mapLoading, setMapLoading] = useState(true);
   const [showParcels, setShowParcels] = useState(false);
+  const [showHoods, setShowHoods] = useState(false);
   const [parcelStatus, setParcelStatus] = useState({ count: 0, loading: false, zoom: 12 });
   const [analysisState, setAnalysisState] = useState(null);  // { loading, error, data }
   const [analysisParcel, setAnalysisParcel] = useState(null);
@@ -2874,8 +4588,25 @@ function MapTab({ mapHeight = "calc(100vh - 230px)" }) {
           )}
         </div>
 
-        {/* Right: toggle + legend */}
+        {/* Right: toggles + legend */}
         <div style={{ display: "flex", alignItems: "center", gap: 12 }}>
+          {NEIGHBORHOODS[market.id] && (
+            <button
+              onClick={() => setShowHoods((v) => !v)}
+              style={{
+                padding: "5px 12px",
+                background: showHoods ? `${C.sky}20` : "transparent",
+                border: `1px solid ${showHoods ? C.sky : C.border}`,
+                borderRadius: 6,
+                color: showHoods ? C.sky : C.textSub,
+                fontSize: 12, fontWeight: 600, cursor: "pointer",
+                fontFamily: "'DM Sans', sans-serif",
+                transition: "all 0.15s",
+              }}
+            >
+              🗺️ Neighborhoods {showHoods ? "on" : "off"}
+            </button>
+          )}
           <button
             onClick={() => setShowParcels((v) => !v)}
             style={{
@@ -2926,8 +4657,11 @@ function MapTab({ mapHeight = "calc(100vh - 230px)" }) {
       {/* Map */}
       <div style={{ borderRadius: 12, overflow: "hidden", border: `1px solid ${C.border}` }}>
         <MapContainer
-          center={CHARLESTON_CENTER}
-          zoom={12}
+          center={market.center}
+          zoom={market.zoom}
+          minZoom={market.minZoom}
+          maxBounds={marketBounds(market)}
+          maxBoundsViscosity={1}
           style={{ height: mapHeight, width: "100%" }}
         >
           <TileLayer
@@ -2935,16 +4669,26 @@ function MapTab({ mapHeight = "calc(100vh - 230px)" }) {
             attribution='&copy; <a href="https://openstreetmap.org/copyright">OpenStreetMap</a> contributors &copy; <a href="https://carto.com/attributions">CARTO</a>'
             maxZoom={19}
           />
+          <MarketView market={market} />
+          {/* Neighborhood outlines — GeoJSON layers ignore new `data`, so key by market */}
+          {showHoods && NEIGHBORHOODS[market.id] && (
+            <GeoJSON
+              key={market.id}
+              data={NEIGHBORHOODS[market.id]}
+              style={{ color: C.sky, weight: 1.5, opacity: 0.7, fillColor: C.sky, fillOpacity: 0.06, dashArray: "4 4" }}
+              onEachFeature={(feat, layer) => layer.bindTooltip(feat.properties.name, { sticky: true })}
+            />
+          )}
           {/* Parcel heat map layer (rendered below project dots) */}
           <ParcelLayer show={showParcels} onStatus={parcelStatusCb} />
           {/* Project dots on top */}
-          {points.map((p) => (
+          {points.map((p) => ({ p, match: matchScore(p, scoreContext) })).map(({ p, match }) => (
             <CircleMarker
               key={p.id}
               center={[p.latitude, p.longitude]}
               radius={9}
               pathOptions={{
-                fillColor: matchColor(p.match_score),
+                fillColor: matchColor(match.score),
                 fillOpacity: 0.85,
                 color: "#fff",
                 weight: 1.5,
@@ -2957,11 +4701,11 @@ function MapTab({ mapHeight = "calc(100vh - 230px)" }) {
                     {catIcons[p.category] || "📋"} {p.title}
                   </div>
                   <div style={{ fontSize: 11, color: "#777", marginBottom: 10 }}>
-                    📍 {p.location}
+                    📍 {getNeighborhood(p.latitude, p.longitude) || p.location}
                   </div>
                   <div style={{ display: "flex", alignItems: "center", gap: 8, flexWrap: "wrap", marginBottom: 8 }}>
                     <span style={{
-                      background: matchColor(p.match_score),
+                      background: matchColor(match.score),
                       color: "#fff",
                       borderRadius: 10,
                       padding: "2px 9px",
@@ -2969,23 +4713,34 @@ function MapTab({ mapHeight = "calc(100vh - 230px)" }) {
                       fontWeight: 700,
                       fontFamily: "'Space Mono', monospace",
                     }}>
-                      {p.match_score}%
+                      {match.score}%
                     </span>
                     <span style={{ color: "#c47d10", fontWeight: 700, fontSize: 12 }}>{fmt$(p.value)}</span>
                     <span style={{ fontSize: 10, color: "#888", background: "#f0f0f0", borderRadius: 4, padding: "1px 6px" }}>
                       {p.status}
                     </span>
                   </div>
-                  {p.source_url && (
+                  <div style={{ marginBottom: 10 }}>
+                    <MatchBreakdown match={match} light />
+                  </div>
+                  <div style={{ display: "flex", gap: 12 }}>
                     <a
-                      href={p.source_url}
-                      target="_blank"
-                      rel="noopener noreferrer"
+                      href={buildHash({ projectId: p.id })}
                       style={{ fontSize: 11, color: "#4a9fd4", textDecoration: "none", fontWeight: 600 }}
                     >
-                      View Source →
+                      Open card →
                     </a>
-                  )}
+                    {p.source_url && (
+                      <a
+                        href={p.source_url}
+                        target="_blank"
+                        rel="noopener noreferrer"
+                        style={{ fontSize: 11, color: "#4a9fd4", textDecoration: "none", fontWeight: 600 }}
+                      >
+                        View Source →
+                      </a>
+                    )}
+                  </div>
                 </div>
               </Popup>
             </CircleMarker>
@@ -3000,69 +4755,111 @@ function MapTab({ mapHeight = "calc(100vh - 230px)" }) {
 
 export default function SiteScanApp() {
   const [authed, setAuthed] = useState(!!localStorage.getItem("sitescan_token"));
-  const [tab, setTab] = useState("scanner");
-  const [showMap, setShowMap] = useState(false);
+  // A shared link wins over profile defaults and the remembered market
+  const [linked] = useState(() => parseHash(window.location.hash));
+  const [tab, setTab] = useState(linked.tab);
+  const [showMap, setShowMap] = useState(linked.showMap);
+  const [projectId, setProjectId] = useState(linked.projectId);
+  const [contractor, setContractor] = useState(linked.contractor);
   const [projects, setProjects] = useState([]);
+  const [siteSubpermits, setSiteSubpermits] = useState([]);  // children of loaded masters, fetched by address
   const [parcelOpportunities, setParcelOpportunities] = useState([]);
-  const [total, setTotal] = useState(0);
-  const [totalUnfiltered, setTotalUnfiltered] = useState(0);
+  const [total, setTotal] = useState(null);
+  const [totalValue, setTotalValue] = useState(null);
+  const [loaded, setLoaded] = useState(0);
+  const [hasMore, setHasMore] = useState(false);
+  const [loadingMore, setLoadingMore] = useState(false);
   const [stats, setStats] = useState(null);
   const [saved, setSaved] = useState([]);
+  const [me, setMe] = useState(null);
+  const meRef = useRef(null);
+  useEffect(() => { meRef.current = me; }, [me]);
+  const [team, setTeam] = useState({ members: [], invites: [] });
+  const [statusEvents, setStatusEvents] = useState([]);
   const [history, setHistory] = useState([]);
   const [loading, setLoading] = useState(false);
-  const [filters, setFilters] = useState({
-    search: "", category: "", source: "", clientTypes: [], minValue: 100000, categories: [], statuses: [], sortBy: "value", sortDir: "desc", lowcountry: false,
-  });
+  const [filters, setFilters] = useState(() => ({ ...DEFAULT_FILTERS, ...linked.filters }));
+  const [marketId, setMarketId] = useState(() =>
+    (MARKETS[linked.marketId] && linked.marketId) || localStorage.getItem("sitescan_market") || DEFAULT_MARKET);
+  const market = useMemo(() => getMarket(marketId), [marketId]);
   const [categories, setCategories] = useState([]);
   const [sources, setSources] = useState([]);
-  const [dismissedIds, setDismissedIds] = useState(new Set());
+  const [dismissals, setDismissals] = useState([]);
+  const [undoDismissal, setUndoDismissal] = useState(null);
+  const [actionError, setActionError] = useState(null);  // failed optimistic update, shown as a toast
+  const [showHidden, setShowHidden] = useState(false);
+  const [relevanceOn, setRelevanceOn] = useState(() => localStorage.getItem("sitescan_relevance") !== "0");
+  const [showIrrelevant, setShowIrrelevant] = useState(false);
   const [valueMedians, setValueMedians] = useState({});
+  const [searches, setSearches] = useState([]);
   const debounceRef = useRef(null);
 
-  const loadProjects = useCallback(async () => {
-    setLoading(true);
+  // Paged feed: offset 0 replaces the list, later offsets append. feedGenRef
+  // drops pages that land after the filters have changed underneath them.
+  const feedGenRef = useRef(0);
+  const nextOffsetRef = useRef(0);
+  const rawRowsRef = useRef([]);
+  const siteAddressesRef = useRef(new Set());
+
+  const loadProjects = useCallback(async (offset = 0) => {
+    const gen = offset === 0 ? ++feedGenRef.current : feedGenRef.current;
+    if (offset === 0) setLoading(true); else setLoadingMore(true);
     try {
-      const params = new URLSearchParams({
-        sort_by: filters.sortBy,
-        sort_dir: filters.sortDir || "desc",
-        limit: "1000",
-      });
-      if (filters.search) params.set("search", filters.search);
-      if (filters.category) params.set("categories", filters.category);
-      if (filters.source) params.set("sources", filters.source);
-
-      const data = await api(`/projects?${params}`);
-      const allProjects = data.projects || [];
-      const filtered = allProjects.filter(p => {
-        if (!projectMatchesClientTypes(p, filters.clientTypes || [])) return false;
-        if ((filters.minValue || 0) > 0 && p.value && p.value < filters.minValue) return false;
-        if ((filters.categories || []).length) {
-          if (!filters.categories.includes(p.category)) return false;
-        } else {
-          if (TRADE_CATEGORIES.has(p.category)) return false;
-          if (CIVIL_INFRA_RE.test(p.title || "")) return false;
-        }
-        if ((filters.statuses || []).length && filters.statuses.includes(p.status)) return false;
-        if (filters.lowcountry && !projectInLowcountry(p)) return false;
-        if (PERMIT_SOURCES.has(p.source_id) && p.posted_date &&
-            (Date.now() - new Date(p.posted_date)) > THREE_YEARS_MS) return false;
-        return true;
-      });
-      setProjects(filtered);
-      setTotal(filtered.length);
-      setTotalUnfiltered(allProjects.length);
-      setValueMedians(buildValueMedians(allProjects));
+      const data = await api(`/projects?${feedParams(filters, market, offset)}`);
+      if (gen !== feedGenRef.current) return;
+      const page = data.projects || [];
+      // Same rules as the query string; also catches what the backend can't
+      // evaluate (neighborhood polygons)
+      const kept = page.filter(p => matchesFilters(p, filters, market));
+      rawRowsRef.current = offset === 0 ? page : [...rawRowsRef.current, ...page];
+      nextOffsetRef.current = offset + page.length;
+      setProjects(prev => offset === 0 ? kept : [...prev, ...kept]);
+      setTotal(data.total ?? null);
+      setTotalValue(data.total_value ?? null);
+      setLoaded(rawRowsRef.current.length);
+      setHasMore(hasMorePages(nextOffsetRef.current, page.length, data.total));
+      setValueMedians(buildValueMedians(rawRowsRef.current));
 
       // Extract unique categories and sources
-      const cats = [...new Set((data.projects || []).map((p) => p.category))];
-      const srcs = [...new Set((data.projects || []).map((p) => p.source_id))];
+      const cats = [...new Set(rawRowsRef.current.map((p) => p.category))];
+      const srcs = [...new Set(rawRowsRef.current.map((p) => p.source_id))];
       if (cats.length) setCategories(cats);
       if (srcs.length) setSources(srcs);
+
+      // The feed leaves sub-permits out (Trade view aside); look the page's
+      // sites up so their master cards can list them
+      if (offset === 0) {
+        siteAddressesRef.current = new Set();
+        setSiteSubpermits([]);
+      }
+      if (!filters.tradeView) {
+        const masters = kept.filter((p) => !isSubpermit(p) && p.address?.trim());
+        const addresses = [...new Set(masters.map((p) => p.address.trim()))].filter((a) => !siteAddressesRef.current.has(a));
+        addresses.forEach((a) => siteAddressesRef.current.add(a));
+        mapInBatches(addresses, SITE_FETCH_BATCH, (address) =>
+          gen !== feedGenRef.current ? [] :
+          api(`/projects?${new URLSearchParams({ address, include_subpermits: "true", limit: "200" })}`)
+            .then((d) => d.projects || [])
+            .catch(() => [])
+        ).then((sites) => {
+          const inFeed = new Set(rawRowsRef.current.map((p) => p.id));
+          const children = subpermitsOf(masters, sites.flat()).filter((p) => !inFeed.has(p.id));
+          if (gen === feedGenRef.current && children.length) setSiteSubpermits((prev) => [...prev, ...children]);
+        });
+      }
     } catch (err) {
       console.error("Load projects failed:", err);
     }
-    setLoading(false);
-  }, [filters]);
+    if (gen === feedGenRef.current) {
+      setLoading(false);
+      setLoadingMore(false);
+    }
+  }, [filters, market]);
+
+  const loadMore = useCallback(() => {
+    if (loading || loadingMore || !hasMore) return;
+    loadProjects(nextOffsetRef.current);
+  }, [loading, loadingMore, hasMore, loadProjects]);
 
   const loadStats = async () => {
     try {
@@ -3071,21 +4868,24 @@ export default function SiteScanApp() {
     } catch (err) {}
   };
 
-  const loadParcelOpportunities = async () => {
-    try {
-      // Charleston metro bounding box — fetch commercial parcels only
-      const d = await api("/projects/map/parcels?west=-80.2&south=32.55&east=-79.7&north=33.05&limit=1000&genuse=commercial");
-      const opps = (d.features || [])
-        .filter(f => parcelOppScore(f.properties) >= 55)
-        .map(parcelToProject);
-      setParcelOpportunities(opps);
-    } catch (e) { /* supplementary data — fail silently */ }
-  };
-
-  const loadSaved = async () => {
+  // `user` is /auth/me; status changes are only tracked once it's known,
+  // since their snapshot is stored per user and workspace. The ref keeps the
+  // scan poller's copy of loadSaved current.
+  const loadSaved = async (user = meRef.current) => {
     try {
       const data = await api("/projects/saved/list");
-      setSaved(Array.isArray(data) ? data : []);
+      const list = Array.isArray(data) ? data : [];
+      if (user) {
+        // Status changes only show up by comparing with the last load
+        const keys = notificationKeys(user.id, pickWorkspace(user.workspaces, localStorage.getItem(WORKSPACE_KEY))?.id);
+        const prev = readStored(keys.statuses, {});
+        const { events, snapshot } = diffSavedStatuses(list, prev);
+        localStorage.setItem(keys.statuses, JSON.stringify(snapshot));
+        const next = [...events, ...readStored(keys.events, [])].slice(0, NOTIFICATION_LOG_MAX);
+        localStorage.setItem(keys.events, JSON.stringify(next));
+        setStatusEvents(next);
+      }
+      setSaved(list);
     } catch (err) {}
   };
 
@@ -3104,11 +4904,126 @@ export default function SiteScanApp() {
     loadSaved();
   };
 
+  // Optimistic: the card lands in its new column before the PATCH returns,
+  // and goes back to the old one if it fails
+  const moveSavedStage = async (row, stage, reason = null) => {
+    setSaved((list) => list.map((s) => (s.id === row.id ? moveToStage(s, stage, reason) : s)));
+    try {
+      await apiStrict(`/projects/saved/${row.id}`, { method: "PATCH", body: JSON.stringify({ stage, reason }) });
+    } catch (err) {
+      setSaved((list) => list.map((s) => (s.id === row.id ? row : s)));
+      setActionError(`Couldn't move the project: ${err.message}`);
+    }
+    loadSaved();
+  };
+
   const unsaveProject = async (savedId) => {
     await api(`/projects/saved/${savedId}`, { method: "DELETE" });
     loadSaved();
   };
 
+  const loadDismissals = () =>
+    api("/dismissals")
+      .then((data) => setDismissals(Array.isArray(data) ? data : []))
+      .catch(() => {});
+
+  // Optimistic so the card disappears at once; the toast offers an undo.
+  // Each POST is kept until it lands so Undo can wait for it — a DELETE that
+  // beats the POST would let the dismissal come back.
+  const pendingDismissalsRef = useRef(new Map());  // project id → POST promise
+
+  const dismissProject = async (project, reason) => {
+    const row = { project_id: project.id, reason, dismissed_at: new Date().toISOString(), project };
+    setDismissals((ds) => [row, ...ds.filter((d) => d.project_id !== project.id)]);
+    setUndoDismissal(row);
+    const post = apiStrict("/dismissals", { method: "POST", body: JSON.stringify({ project_id: project.id, reason, project }) });
+    pendingDismissalsRef.current.set(project.id, post);
+    try {
+      await post;
+    } catch (err) {
+      setUndoDismissal((u) => (u === row ? null : u));
+      setActionError(`Couldn't hide the project: ${err.message}`);
+    }
+    if (pendingDismissalsRef.current.get(project.id) === post) pendingDismissalsRef.current.delete(project.id);
+    loadDismissals();
+  };
+
+  const restoreDismissals = async (projectIds) => {
+    setDismissals((ds) => ds.filter((d) => !projectIds.includes(d.project_id)));
+    setUndoDismissal(null);
+    try {
+      await Promise.all(projectIds.map(async (id) => {
+        const pending = pendingDismissalsRef.current.get(id);
+        // A POST that failed left nothing to delete
+        if (pending && !(await pending.then(() => true, () => false))) return;
+        await apiStrict(`/dismissals/${encodeURIComponent(id)}`, { method: "DELETE" });
+      }));
+    } catch (err) {
+      setActionError(`Couldn't restore ${projectIds.length === 1 ? "the project" : "every project"}: ${err.message}`);
+    }
+    loadDismissals();
+  };
+
+  const toggleRelevance = () => {
+    localStorage.setItem("sitescan_relevance", relevanceOn ? "0" : "1");
+    setRelevanceOn(!relevanceOn);
+  };
+
+  const loadTeam = () =>
+    api("/workspace/members")
+      .then((data) => setTeam({ members: data?.members || [], invites: data?.invites || [] }))
+      .catch(() => {});
+
+  const assignSaved = async (row, assigneeId) => {
+    setSaved((list) => list.map((s) => (s.id === row.id ? { ...s, assignee_id: assigneeId } : s)));
+    try {
+      await apiStrict(`/projects/saved/${row.id}`, { method: "PATCH", body: JSON.stringify({ assignee_id: assigneeId }) });
+    } catch (err) {
+      setSaved((list) => list.map((s) => (s.id === row.id ? row : s)));
+      setActionError(`Couldn't assign the project: ${err.message}`);
+    }
+    loadSaved();
+  };
+
+  const loadSearches = () =>
+    api("/searches").then((data) => setSearches(Array.isArray(data) ? data : [])).catch(() => {});
+
+  // Saved-search writes resolve to whether they landed, so the bar can keep
+  // its naming field or alert dialog open after a failure
+  const searchWrite = async (path, opts, failure) => {
+    try {
+      await apiStrict(path, opts);
+      return true;
+    } catch (err) {
+      setActionError(`${failure}: ${err.message}`);
+      return false;
+    } finally {
+      loadSearches();
+    }
+  };
+
+  const createSearch = (name) =>
+    searchWrite("/searches", {
+      method: "POST",
+      body: JSON.stringify({ name, market: marketId, filters: compactFilters(filters) }),
+    }, "Couldn't save the search");
+
+  // Unlike selectMarket, keeps the preset's source/neighborhood chips
+  const applySearch = (search) => {
+    if (MARKETS[search.market]) setMarketId(search.market);
+    setFilters(expandFilters(search.filters));
+  };
+
+  const deleteSearch = (id) =>
+    searchWrite(`/searches/${id}`, { method: "DELETE" }, "Couldn't delete the search");
+
+  const toggleDefaultSearch = (search) =>
+    searchWrite(`/searches/${search.id}`, { method: "PATCH", body: JSON.stringify({ is_default: !search.is_default }) },
+      "Couldn't change the default search");
+
+  const saveSearchAlert = (search, alert) =>
+    searchWrite(`/searches/${search.id}`, { method: "PATCH", body: JSON.stringify({ alert }) }, "Couldn't save the alert");
+
   const handleScanComplete = () => {
     loadProjects();
     loadStats();
@@ -3120,28 +5035,96 @@ export default function SiteScanApp() {
     loadStats();
   };
 
+  const selectMarket = (id) => {
+    setMarketId(id);
+    localStorage.setItem("sitescan_market", id);
+    // Source and neighborhood chips are per-market; drop any that don't apply to the new one
+    setFilters((f) => ({ ...f, sources: [], neighborhoods: [] }));
+    api("/auth/me", { method: "PATCH", body: JSON.stringify({ market: id }) }).catch(() => {});
+  };
+
   const logout = () => {
     localStorage.removeItem("sitescan_token");
+    localStorage.removeItem(WORKSPACE_KEY);
     setAuthed(false);
   };
 
   useEffect(() => {
     if (!authed) return;
     loadStats();
-    loadSaved();
     loadHistory();
-    loadParcelOpportunities();
-    // Pre-populate filters from saved profile preferences
-    api("/auth/me").then((data) => {
-      setFilters((f) => ({
-        ...f,
-        clientTypes: data.criteria_client_types?.length ? data.criteria_client_types : f.clientTypes,
-        minValue: data.criteria_min_value || f.minValue,
-        categories: data.criteria_categories?.length ? data.criteria_categories : f.categories,
-        statuses: data.criteria_statuses?.length ? data.criteria_statuses : f.statuses,
-      }));
-    }).catch(() => {});
-  }, [authed]);
+    loadTeam();
+    loadDismissals();
+    // Pre-populate market and filters: a shared link wins, then the default
+    // saved search, then the profile's Settings defaults
+    Promise.all([api("/auth/me"), api("/searches").catch(() => [])]).then(([data, list]) => {
+      setMe(data);
+      const ws = pickWorkspace(data.workspaces, localStorage.getItem(WORKSPACE_KEY));
+      if (ws) localStorage.setItem(WORKSPACE_KEY, String(ws.id));
+      loadSaved(data);
+      const presets = Array.isArray(list) ? list : [];
+      setSearches(presets);
+      const preset = defaultSearch(presets);
+      const preferredMarket = preset?.market || data.market;
+      if (MARKETS[preferredMarket] && !linked.marketId) {
+        setMarketId(preferredMarket);
+        localStorage.setItem("sitescan_market", preferredMarket);
+      }
+      if (Object.keys(linked.filters).length) return;
+      if (preset) return setFilters(expandFilters(preset.filters));
+      setFilters((f) => {
+        const personaFilters = applyPersona(f, data.persona);
+        return {
+          ...personaFilters,
+          clientTypes: data.criteria_client_types?.length ? data.criteria_client_types : personaFilters.clientTypes,
+          minValue: data.criteria_min_value || f.minValue,
+          categories: data.criteria_categories?.length ? data.criteria_categories : f.categories,
+          statuses: data.criteria_statuses?.length ? data.criteria_statuses : f.statuses,
+          categoryMode: data.criteria_category_mode || f.categoryMode,
+          statusMode: (data.criteria_status_mode || data.criteria_statuses?.length) ? profileStatusMode(data) : f.statusMode,
+        };
+      });
+    }).catch(() => loadSaved(null));
+  }, [authed, linked]);
+
+  // Mirror tab/project/contractor/map/market/filters into the hash. Changing route adds a
+  // history entry; filter tweaks replace the current one.
+  useEffect(() => {
+    const hash = buildHash({ tab, projectId, contractor, showMap, marketId, filters });
+    if (hash === window.location.hash) return;
+    const push = routePath(hash) !== routePath(window.location.hash);
+    window.history[push ? "pushState" : "replaceState"](null, "", hash);
+  }, [tab, projectId, contractor, showMap, marketId, filters]);
+
+  // Back/forward and pasted links
+  useEffect(() => {
+    const onNavigate = () => {
+      const r = parseHash(window.location.hash);
+      setTab(r.tab);
+      setProjectId(r.projectId);
+      setContractor(r.contractor);
+      setShowMap(r.showMap);
+      if (MARKETS[r.marketId]) setMarketId(r.marketId);
+      // Only scanner links carry filters; other routes keep the current ones
+      if (r.tab === "scanner" && r.projectId == null && Object.keys(r.filters).length) {
+        setFilters({ ...DEFAULT_FILTERS, ...r.filters });
+      }
+    };
+    window.addEventListener("popstate", onNavigate);
+    return () => window.removeEventListener("popstate", onNavigate);
+  }, []);
+
+  // Parcel opportunities for the selected market's bounding box — commercial only
+  useEffect(() => {
+    if (!authed) return;
+    api(`/projects/map/parcels?${bboxParams(market.bbox)}&limit=1000&genuse=commercial`)
+      .then((d) => setParcelOpportunities(
+        (d.features || [])
+          .filter(f => parcelOppScore(f.properties) >= 55)
+          .map(parcelToProject)
+      ))
+      .catch(() => { /* supplementary data — fail silently */ });
+  }, [authed, market]);
 
   // Poll history every 30s — if the most recent entry has no finished_at, a scan
   // is in progress; reload projects/stats too once it completes.
@@ -3154,9 +5137,11 @@ export default function SiteScanApp() {
       setHistory(Array.isArray(data) ? data : []);
       const isRunning = data.some((h) => !h.finished_at || h.status === "running");
       if (prevRunningRef.current && !isRunning) {
-        // Scan just finished — reload projects and stats
+        // Scan just finished — reload projects and stats, and saved projects
+        // so status changes reach the notification center
         loadProjects();
         loadStats();
+        loadSaved();
       }
       prevRunningRef.current = isRunning;
     }, 30000);
@@ -3166,21 +5151,129 @@ export default function SiteScanApp() {
   useEffect(() => {
     if (!authed) return;
     if (debounceRef.current) clearTimeout(debounceRef.current);
-    debounceRef.current = setTimeout(loadProjects, 300);
+    debounceRef.current = setTimeout(() => loadProjects(0), 300);
     return () => clearTimeout(debounceRef.current);
   }, [filters, authed, loadProjects]);
 
+  useEffect(() => {
+    if (!undoDismissal) return;
+    const t = setTimeout(() => setUndoDismissal(null), 6000);
+    return () => clearTimeout(t);
+  }, [undoDismissal]);
+
+  useEffect(() => {
+    if (!actionError) return;
+    const t = setTimeout(() => setActionError(null), 8000);
+    return () => clearTimeout(t);
+  }, [actionError]);
+
+  const relevanceModel = useMemo(() => buildRelevanceModel(dismissals, saved), [dismissals, saved]);
+
+  // Match scores use the Settings criteria and office; until an office is set
+  // the market center stands in so distance still means something
+  const scoreContext = useMemo(() => buildScoreContext({
+    criteria: {
+      clientTypes: me?.criteria_client_types || [],
+      categories: me?.criteria_categories || [],
+      categoryMode: me?.criteria_category_mode || "include",
+      statuses: me?.criteria_statuses || [],
+      statusMode: profileStatusMode(me),
+      minValue: me?.criteria_min_value || 0,
+    },
+    saved,
+    dismissals,
+    office: me?.office_lat != null && me?.office_lng != null
+      ? { lat: me.office_lat, lng: me.office_lng, label: "the office" }
+      : { lat: market.center[0], lng: market.center[1], label: "the market center" },
+  }), [me, saved, dismissals, market]);
+
+  // Distance sorts measure from the FilterBar's home base. "My location" asks
+  // the browser once; until it answers (or if refused) the market center is used.
+  const [here, setHere] = useState(null);
+  const wantsHere = filters.homeBase === "here" && sortKeys(filters).some((k) => k.key === "distance");
+  useEffect(() => {
+    if (!wantsHere || here || !navigator.geolocation) return;
+    navigator.geolocation.getCurrentPosition(
+      ({ coords }) => setHere({ lat: coords.latitude, lng: coords.longitude }),
+      () => {},
+    );
+  }, [wantsHere, here]);
+  const marketCenter = { lat: market.center[0], lng: market.center[1] };
+  const homeBase =
+    filters.homeBase === "here" ? here || marketCenter :
+    filters.homeBase === "market" ? marketCenter :
+    me?.office_lat != null && me?.office_lng != null ? { lat: me.office_lat, lng: me.office_lng } : marketCenter;
+
   if (!authed) return <AuthScreen onAuth={() => setAuthed(true)} />;
 
-  const savedIds = new Set(saved.map((s) => s.project_id));
+  // project id → saved row id; cards use it both as "is saved" and to reach
+  // the saved row's notes, tasks and attachments
+  const savedIds = new Map(saved.map((s) => [s.project_id, s.id]));
+  const dismissedIds = new Set(dismissals.map((d) => String(d.project_id)));
+
+  // Sub-permits ride on their master's card, or stand alone in Trade view
+  const lineage = linkSubpermits([...projects, ...siteSubpermits]);
+  const persona = me?.persona || DEFAULT_PERSONA;
+  const searchQuery = parseQuery(filters.search);
+  const gcs = gcByAddress(projects, lineage);
+
+  // Feed rows after dismissals and feed rules; what the rules and the
+  // relevance filter catch is counted so the header can say so
+  const ruleCandidates = [
+    ...projects.filter((p) => (filters.tradeView || (!lineage.parentOf.has(p.id) && !isSubpermit(p))) && !dismissedIds.has(String(p.id))),
+    ...parcelOpportunities.filter((p) => matchesFilters(p, filters, market) && !dismissedIds.has(String(p.id))),
+  ];
+  // The user's feed rules; saved projects always stay
+  const feedRules = me?.feed_rules ?? DEFAULT_RULES;
+  const ruleHidden = new Set(showsDefaultFeed(filters)
+    ? ruleCandidates.filter((p) => !savedIds.has(p.id) && hidingRule(p, feedRules))
+    : []);
+  const visible = ruleCandidates.filter((p) => !ruleHidden.has(p));
+  const irrelevant = relevanceOn ? visible.filter((p) => !savedIds.has(p.id) && relevanceVerdict(p, relevanceModel)) : [];
+  const feedRows = showIrrelevant ? visible : visible.filter((p) => !irrelevant.includes(p));
+  // Full multi-key order over what's loaded; the backend only pages by the
+  // primary key, and not at all by distance or match
+  const activeSortKeys = sortKeys(filters);
+  const needsClientSort = activeSortKeys.length > 1 || !SORT_KEYS[activeSortKeys[0].key].server;
+  const scoreCache = new Map();
+  feedRows.sort(compareProjects(activeSortKeys, {
+    home: homeBase,
+    score: (p) => {
+      if (!scoreCache.has(p.id)) scoreCache.set(p.id, matchScore(p, scoreContext).score);
+      return scoreCache.get(p.id);
+    },
+  }));
+
+  // One card per address, or per permit in Trade view so each sub-permit is
+  // a lead of its own
+  const feedGroups = filters.tradeView ? feedRows.map((p) => groupByAddress([p])[0]) : groupByAddress(feedRows);
+
+  // The feed's cards exactly as shown, one spreadsheet row each
+  const exportFeed = (format) => {
+    const rows = exportRows(feedGroups, valueMedians);
+    const name = `${market.id}-projects-${dayKey(new Date())}`;
+    // The CSV gets a BOM so Excel reads it as UTF-8, not the system code page
+    if (format === "xlsx") downloadBlob(new Blob([toXlsx(rows)], { type: XLSX_MIME }), `${name}.xlsx`);
+    else downloadBlob(new Blob(["\uFEFF", toCsv(rows)], { type: "text/csv;charset=utf-8" }), `${name}.csv`);
+  };
+
+  // Role in the active workspace; the backend enforces roles either way
+  const workspace = pickWorkspace(me?.workspaces, localStorage.getItem(WORKSPACE_KEY));
+  const role = workspaceRole(me, workspace);
+  const canEditLeads = can(role, "editLeads");
+
+  // Loaded server rows that made it into the feed, sub-permits on a shown
+  // master's card included; parcels aren't in the server total
+  const feedIds = new Set(feedRows.map((p) => p.id));
+  const shownRows = projects.filter((p) => feedIds.has(p.id) || (!filters.tradeView && feedIds.has(lineage.parentOf.get(p.id)?.id)));
+  const totals = feedTotals({ rows: shownRows, loaded, total, totalValue, hasMore, search: filters.search });
 
-  // Compute live stats: project count and pipeline value from the filtered local
-  // list (reflects active filters); new_this_week and bids_open from the API
-  // stats (covers the full DB, not just the 1000-item page loaded in the list).
-  const liveStats = total > 0
+  // Compute live stats: project count and pipeline value from the feed totals
+  // above; new_this_week and bids_open from the API stats.
+  const liveStats = loaded > 0
     ? {
-        total_projects: total,
-        total_pipeline_value: projects.reduce((s, p) => s + (p.value || 0), 0),
+        total_projects: totals.count,
+        total_pipeline_value: totals.value,
         new_this_week: stats?.new_this_week ?? 0,
         bids_open: stats?.bids_open ?? 0,
         last_scan_at: stats?.last_scan_at,
@@ -3248,22 +5341,39 @@ export default function SiteScanApp() {
               { id: "scanner",      label: "Scanner",                    icon: "⚡" },
               { id: "map",          label: "Map",                        icon: "🗺️" },
               { id: "saved",        label: `Saved (${saved.length})`,    icon: "★" },
+              { id: "calendar",     label: "Calendar",                   icon: "📅" },
               { id: "contractors",  label: "Contractors",                icon: "🤝" },
               { id: "company",      label: "Profile",                    icon: "🏢" },
+              { id: "team",         label: "Team",                       icon: "👥" },
               { id: "history",      label: "History",                    icon: "📊" },
               { id: "profile",      label: "Settings",                   icon: "⚙" },
             ].map((t) => (
               <button
                 key={t.id}
                 style={{ ...styles.navBtn, ...((t.id === "map" ? showMap : tab === t.id) ? styles.navBtnActive : {}) }}
-                onClick={() => t.id === "map" ? setShowMap((v) => !v) : setTab(t.id)}
+                onClick={() => {
+                  if (t.id === "map") return setShowMap((v) => !v);
+                  setTab(t.id);
+                  setProjectId(null);
+                  setContractor(null);
+                }}
               >
                 {t.icon} {t.label}
               </button>
             ))}
           </nav>
           <div className="header-right" style={styles.headerRight}>
-            <CitySelector />
+            <WorkspaceSwitcher workspaces={me?.workspaces} current={workspace} />
+            <CitySelector market={market} onSelect={selectMarket} />
+            {me && (
+              <NotificationCenter
+                key={notificationKeys(me.id, workspace?.id).read}
+                readKey={notificationKeys(me.id, workspace?.id).read}
+                history={history}
+                saved={saved}
+                statusEvents={statusEvents}
+              />
+            )}
             <button style={styles.logoutBtn} onClick={logout}>Sign Out</button>
           </div>
         </div>
@@ -3273,32 +5383,88 @@ export default function SiteScanApp() {
       <main className="app-main">
         {tab === "scanner" && (
           <>
-            <StatsBar stats={liveStats} onBidsOpen={() => setFilters(f => ({ ...f, clientTypes: ["government"] }))} />
+            {projectId != null && (
+              <LinkedProject
+                key={projectId}
+                projectId={projectId}
+                onClose={() => setProjectId(null)}
+                onSave={saveProject}
+                savedIds={savedIds}
+                canEdit={canEditLeads}
+                scoreContext={scoreContext}
+                onDismiss={(p, reason) => { dismissProject(p, reason); setProjectId(null); }}
+                valueMedians={valueMedians}
+              />
+            )}
+            <SavedSearchBar
+              searches={searches}
+              filters={filters}
+              market={market}
+              refreshKey={stats?.last_scan_at}
+              keepOptions={{ savedIds, dismissedIds, rules: feedRules, relevance: relevanceOn ? relevanceModel : null }}
+              onApply={applySearch}
+              onCreate={createSearch}
+              onDelete={deleteSearch}
+              onToggleDefault={toggleDefaultSearch}
+              onSaveAlert={saveSearchAlert}
+            />
+            <StatsBar
+              metrics={personaStats(persona, { stats: liveStats, rows: feedRows, gcs, partial: loaded > 0 ? { totals: totals.partial, rows: hasMore } : {} })}
+              onAction={(action) => action === "bids" && setFilters(f => ({ ...f, clientTypes: ["government"] }))}
+            />
             <FilterBar
               filters={filters}
               setFilters={setFilters}
+              market={market}
             />
             <div style={styles.resultHeader}>
               <span style={{ color: "#888", fontSize: 13 }}>
-                {totalUnfiltered > 0 && total < totalUnfiltered
-                  ? <><span style={{ color: C.text, fontWeight: 600 }}>{total}</span> of {totalUnfiltered} projects</>
-                  : <>{total} project{total !== 1 ? "s" : ""}</>
-                }
+                <span style={{ color: C.text, fontWeight: 600 }}>{totals.count}{totals.partial && "+"}</span> project{totals.count !== 1 ? "s" : ""}
+                {totals.partial ? ` · counted from the ${loaded} loaded so far` : hasMore && ` · ${loaded} loaded`}
                 {filters.search && ` matching "${filters.search}"`}
+                {needsClientSort && hasMore && " · order settles as more pages load"}
               </span>
-              {dismissedIds.size > 0 && (
+              {dismissals.length > 0 && (
+                <span style={{ color: "#555", fontSize: 13, marginLeft: 12 }}>
+                  · {dismissals.length} hidden{" "}
+                  <button onClick={() => setShowHidden((v) => !v)} style={headerLink}>
+                    {showHidden ? "Back to feed" : "View"}
+                  </button>
+                </span>
+              )}
+              {ruleHidden.size > 0 && !showHidden && (
+                <span style={{ color: "#555", fontSize: 13, marginLeft: 12 }}>
+                  · {ruleHidden.size} hidden by feed rules{" "}
+                  <button onClick={() => setTab("profile")} style={headerLink}>Edit</button>
+                </span>
+              )}
+              {irrelevant.length > 0 && !showHidden && (
                 <span style={{ color: "#555", fontSize: 13, marginLeft: 12 }}>
-                  · {dismissedIds.size} hidden{" "}
-                  <button
-                    onClick={() => setDismissedIds(new Set())}
-                    style={{ background: "none", border: "none", color: C.blue, cursor: "pointer", fontSize: 13, padding: 0, fontFamily: "inherit" }}
-                  >
-                    Clear
+                  · {irrelevant.length} filtered as not relevant{" "}
+                  <button onClick={() => setShowIrrelevant((v) => !v)} style={headerLink}>
+                    {showIrrelevant ? "Hide" : "Show"}
                   </button>
                 </span>
               )}
+              {!showHidden && feedRows.length > 0 && (
+                <span style={{ float: "right", color: "#555", fontSize: 13 }}
+                  title={hasMore ? `More projects match than are loaded — scroll to load them before exporting` : undefined}>
+                  {hasMore ? `Export the ${feedGroups.length} loaded only` : "Export"}{" "}
+                  <button onClick={() => exportFeed("csv")} style={headerLink}>CSV</button>
+                  {" · "}
+                  <button onClick={() => exportFeed("xlsx")} style={headerLink}>Excel</button>
+                </span>
+              )}
             </div>
-            {loading ? (
+            {showHidden ? (
+              <HiddenView
+                dismissals={dismissals}
+                model={relevanceModel}
+                relevanceOn={relevanceOn}
+                onToggleRelevance={toggleRelevance}
+                onRestore={restoreDismissals}
+              />
+            ) : loading ? (
               <div style={{ textAlign: "center", padding: 60, color: "#555" }}>
                 <div style={styles.spinner} />
                 <div style={{ marginTop: 12 }}>Loading projects...</div>
@@ -3310,42 +5476,81 @@ export default function SiteScanApp() {
               </div>
             ) : (
               <div>
-                {groupByAddress([
-                  ...projects.filter((p) => !isSubpermit(p) && !dismissedIds.has(p.id)),
-                  ...parcelOpportunities.filter(p => {
-                    if (!projectMatchesClientTypes(p, filters.clientTypes || [])) return false;
-                    if ((filters.minValue || 0) > 0 && p.value && p.value < filters.minValue) return false;
-                    if ((filters.statuses || []).length && filters.statuses.includes("Opportunities")) return false;
-                    if (dismissedIds.has(p.id)) return false;
-                    return true;
-                  }),
-                ]).map((group, i) => (
+                {feedGroups.map((group, i) => (
                   <ProjectCard
-                    key={group.address ?? `noaddr-${i}`}
+                    key={filters.tradeView ? group.projects[0].id : group.address ?? `noaddr-${i}`}
                     group={group}
                     onSave={saveProject}
                     savedIds={savedIds}
+                    canEdit={canEditLeads}
+                    scoreContext={scoreContext}
                     animDelay={Math.min(i, 25) * 0.03}
-                    onDismiss={(id) => setDismissedIds(s => new Set([...s, id]))}
+                    onDismiss={dismissProject}
                     valueMedians={valueMedians}
+                    lineage={lineage}
+                    gcs={persona === "trade" ? gcs : null}
+                    query={searchQuery}
                   />
                 ))}
+                {hasMore && <FeedSentinel onVisible={loadMore} loading={loadingMore} />}
               </div>
             )}
           </>
         )}
-        {tab === "saved" && <SavedTab saved={saved} onUnsave={unsaveProject} />}
-        {tab === "contractors" && <ContractorsTab />}
-        {tab === "company" && <CompanyTab />}
+        {tab === "saved" && (
+          <SavedTab
+            saved={saved}
+            members={team.members}
+            userId={me?.id}
+            readOnly={!canEditLeads}
+            onUnsave={unsaveProject}
+            onMove={moveSavedStage}
+            onAssign={assignSaved}
+          />
+        )}
+        {tab === "contractors" && <ContractorsTab contractor={contractor} onOpen={setContractor} />}
+        {tab === "company" && <CompanyTab canEdit={can(role, "editCompany")} />}
+        {tab === "team" && <TeamTab workspace={workspace} team={team} userId={me?.id} onChanged={loadTeam} />}
+        {tab === "calendar" && <CalendarTab saved={saved} market={market} />}
         {tab === "history" && <HistoryTab history={history} onRefresh={loadHistory} />}
         {tab === "profile" && (
           <ProfileTab
             lastScanAt={stats?.last_scan_at}
             onScan={handleScanComplete}
+            onDefaultsSaved={() => api("/auth/me").then((data) => {
+              if ((data.persona || DEFAULT_PERSONA) !== persona) setFilters((f) => applyPersona(f, data.persona, persona));
+              setMe(data);
+            }).catch(() => {})}
+            feedRules={feedRules}
+            previewRows={ruleCandidates.filter((p) => !savedIds.has(p.id))}
+            onRulesSaved={() => api("/auth/me").then(setMe).catch(() => {})}
           />
         )}
       </main>
 
+      {undoDismissal && (
+        <div style={{
+          position: "fixed", bottom: 24, left: "50%", transform: "translateX(-50%)", zIndex: 250,
+          background: C.surface, border: `1px solid ${C.border}`, borderRadius: 10, padding: "10px 16px",
+          display: "flex", gap: 12, alignItems: "center", boxShadow: "0 8px 32px rgba(0,0,0,0.4)", fontSize: 13,
+        }}>
+          <span style={{ color: C.textSub }}>
+            Hidden{undoDismissal.reason ? ` · ${DISMISS_REASONS[undoDismissal.reason]}` : ""}
+          </span>
+          <button onClick={() => restoreDismissals([undoDismissal.project_id])} style={headerLink}>Undo</button>
+        </div>
+      )}
+      {actionError && (
+        <div role="alert" style={{
+          position: "fixed", bottom: undoDismissal ? 76 : 24, left: "50%", transform: "translateX(-50%)", zIndex: 250,
+          background: C.surface, border: "1px solid #ef444460", borderRadius: 10, padding: "10px 16px",
+          display: "flex", gap: 12, alignItems: "center", boxShadow: "0 8px 32px rgba(0,0,0,0.4)", fontSize: 13,
+        }}>
+          <span style={{ color: "#ef4444" }}>{actionError}</span>
+          <button onClick={() => setActionError(null)} style={headerLink}>Dismiss</button>
+        </div>
+      )}
+
       {/* MAP OVERLAY */}
       {showMap && (
         <div style={{
@@ -3363,7 +5568,7 @@ export default function SiteScanApp() {
             flexShrink: 0,
           }}>
             <span style={{ color: C.text, fontWeight: 700, fontSize: 15, fontFamily: "'DM Sans', sans-serif" }}>
-              🗺️ Project Map — Charleston, SC
+              🗺️ Project Map — {market.label}
             </span>
             <button
               onClick={() => setShowMap(false)}
@@ -3378,7 +5583,7 @@ export default function SiteScanApp() {
           </div>
           {/* Map content */}
           <div style={{ flex: 1, padding: "16px 24px", overflow: "hidden", minHeight: 0 }}>
-            <MapTab mapHeight="calc(100vh - 116px)" />
+            <MapTab market={market} mapHeight="calc(100vh - 116px)" scoreContext={scoreContext} />
           </div>
         </div>
       )}
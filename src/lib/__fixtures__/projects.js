@@ -0,0 +1,200 @@
+// Permit/bid rows as the backend returns them, one set per ALL_SOURCES entry.
+// Each entry pairs the raw `project` with the `title` / `desc` the feed should show.
+// When a permit office changes its wording, add the new example here first.
+
+export const SOURCE_FIXTURES = {
+  "sam-gov": [
+    {
+      project: {
+        id: 101, source_id: "sam-gov", category: "government", status: "Open",
+        title: "Y1DA--Construct Outpatient Clinic Addition, Ralph H. Johnson VAMC",
+        description: "This is a combined synopsis/solicitation for commercial items. The contractor shall construct a 12,000 SF two-story outpatient clinic addition at the Ralph H. Johnson VA Medical Center. Set-aside: SDVOSB.",
+        address: "109 Bee St, Charleston, SC 29401", value: 8500000,
+        solicitation_number: "36C24724B0012", agency: "Department of Veterans Affairs|VHA",
+        deadline: "2025-07-15", posted_date: "2025-06-01",
+      },
+      title: "Y1DA--Construct Outpatient Clinic Addition, Ralph H. Johnson VAMC",
+      // Sentence split breaks on the middle initial
+      desc: "The contractor shall construct a 12,000 SF two-story outpatient clinic addition at the Ralph H.",
+    },
+    {
+      project: {
+        id: 102, source_id: "sam-gov", category: "government", status: "Open",
+        title: "Sources Sought: Hangar Roof Replacement, JB Charleston",
+        description: "Notice type: Sources Sought. NAICS code: 238160.",
+        address: "", value: null,
+      },
+      title: "Sources Sought: Hangar Roof Replacement, JB Charleston",
+      desc: "Notice type: Sources Sought. NAICS code: 238160.",
+    },
+  ],
+  "charleston-permits": [
+    {
+      project: {
+        id: 201, source_id: "charleston-permits", category: "hotel", status: "In Review",
+        title: "WILL REQUIRE GC INFO BEFORE ISSUANCE --- New 6-story, 150 key hotel with ground floor retail — 288 MEETING ST",
+        description: "New 6-story, 150 key hotel with ground floor retail | New Construction | Commercial Building",
+        address: "288 MEETING ST", value: 42000000, permit_number: "BP-2025-01234",
+      },
+      title: "New 6-story, 150 key hotel with ground floor retail",
+      desc: "New 6-story, 150 key hotel with ground floor retail",
+    },
+    {
+      project: {
+        id: 202, source_id: "charleston-permits", category: "office", status: "Issued",
+        title: "NEED CONTRACTOR INFORMATION: Interior upfit of 2nd floor office suite. TRC CONDITIONS: provide stamped drawings — 40 CALHOUN ST",
+        description: "Interior upfit of 2nd floor office suite | Alteration | Commercial Building",
+        address: "40 CALHOUN ST", value: 350000,
+      },
+      title: "Interior upfit of 2nd floor office suite",
+      desc: "Interior upfit of 2nd floor office suite",
+    },
+    {
+      project: {
+        id: 203, source_id: "charleston-permits", category: "restaurant", status: "In Review",
+        title: "BAR APP REQUESTED -- Rooftop bar addition. Fire District - ALT-R2 (Replaced CA12345) — 5 FAIRCHILD ST",
+        description: "Rooftop bar addition | Addition | Commercial Building",
+        address: "5 FAIRCHILD ST", value: 600000,
+      },
+      title: "Rooftop bar addition",
+      desc: "Rooftop bar addition",
+    },
+    {
+      project: {
+        id: 204, source_id: "charleston-permits", category: "multi-family", status: "Applied",
+        title: "(still need to create sub permits) BUILDING 3 MASTER: 48-unit apartment building — 1600 SAVANNAH HWY",
+        description: "48-unit apartment building | New Construction | Multi-Family",
+        address: "1600 SAVANNAH HWY", value: 9600000,
+      },
+      title: "48-unit apartment building",
+      desc: "48-unit apartment building",
+    },
+    {
+      project: {
+        id: 205, source_id: "charleston-permits", category: "commercial", status: "Issued",
+        title: "Renovation — 12 KING ST",
+        description: "Renovation | Alteration | Commercial Building",
+        address: "12 KING ST", value: 0,
+      },
+      title: "Commercial — Alteration",
+      desc: "Renovation",
+    },
+    {
+      project: {
+        id: 206, source_id: "charleston-permits", category: "electrical", status: "Issued",
+        title: "Electrical subpermit for hotel — 288 MEETING ST",
+        description: "Electrical subpermit for hotel | Sub-Permit | Electrical",
+        address: "288 MEETING ST", value: 410000,
+      },
+      title: "Electrical subpermit for hotel",
+      desc: "Electrical subpermit for hotel",
+    },
+  ],
+  "north-charleston-permits": [
+    {
+      project: {
+        id: 301, source_id: "north-charleston-permits", category: "industrial", status: "Issued",
+        title: "New 220,000 SF distribution warehouse — 8500 PALMETTO COMMERCE PKWY",
+        description: "New 220,000 SF distribution warehouse",
+        address: "8500 PALMETTO COMMERCE PKWY", value: 18500000,
+      },
+      title: "New 220,000 SF distribution warehouse",
+      desc: "New 220,000 SF distribution warehouse",
+    },
+  ],
+  "mt-pleasant-permits": [
+    {
+      project: {
+        id: 401, source_id: "mt-pleasant-permits", category: "retail", status: "In Review",
+        title: "Tenant Improvement — 1230 BELK DR",
+        description: "Tenant Improvement",
+        address: "1230 BELK DR", value: 275000,
+      },
+      title: "Retail",
+      desc: "Tenant Improvement",
+    },
+    {
+      project: {
+        id: 402, source_id: "mt-pleasant-permits", category: "residential", status: "Issued",
+        title: "Addition — 44 PITT ST",
+        description: "Addition",
+        address: "44 PITT ST", value: 120000,
+      },
+      title: "Addition",
+      desc: "Addition",
+    },
+  ],
+  scbo: [
+    {
+      project: {
+        id: 501, source_id: "scbo", category: "institutional", status: "Accepting Bids",
+        title: "College of Charleston - Simons Center HVAC Renovation",
+        description: "The agency is soliciting sealed bids. Scope includes replacement of air handlers, chilled water piping and controls in the Simons Center for the Arts. Pre-bid meeting on site.",
+        address: "54 St Philip St, Charleston, SC", value: 2300000, solicitation_number: "H15-9591-JM",
+      },
+      title: "College of Charleston - Simons Center HVAC Renovation",
+      desc: "Scope includes replacement of air handlers, chilled water piping and controls in the Simons Center for the Arts.",
+    },
+  ],
+  "charleston-city-bids": [
+    {
+      project: {
+        id: 601, source_id: "charleston-city-bids", category: "government", status: "Open",
+        title: "RFP 25-B012 Fire Station 9 Replacement",
+        description: "The City is requesting proposals for design-build services. Work consists of demolition of the existing station and construction of a new 3-bay fire station on Azalea Drive.",
+        address: "", value: null, solicitation_number: "25-B012",
+      },
+      title: "RFP 25-B012 Fire Station 9 Replacement",
+      desc: "Work consists of demolition of the existing station and construction of a new 3-bay fire station on Azalea Drive.",
+    },
+  ],
+  "charlotte-permits": [
+    {
+      project: {
+        id: 701, source_id: "charlotte-permits", category: "mixed-use", status: "Issued",
+        title: "MASTER: 7-story mixed use podium with 310 units — 2100 S TRYON ST",
+        description: "7-story mixed use podium with 310 units",
+        address: "2100 S TRYON ST", value: 61000000,
+      },
+      title: "7-story mixed use podium with 310 units",
+      desc: "7-story mixed use podium with 310 units",
+    },
+  ],
+  "charlotte-land-dev": [
+    {
+      project: {
+        id: 801, source_id: "charlotte-land-dev", category: "commercial", status: "In Review",
+        title: "Ballantyne Reimagined Phase 2 site plan. ZONING CONDITIONS: see petition 2021-105 — 14201 BALLANTYNE CORPORATE PL",
+        description: "Ballantyne Reimagined Phase 2 site plan",
+        address: "14201 BALLANTYNE CORPORATE PL", value: null,
+      },
+      title: "Ballantyne Reimagined Phase 2 site plan",
+      desc: "Ballantyne Reimagined Phase 2 site plan",
+    },
+  ],
+  "charlotte-cip": [
+    {
+      project: {
+        id: 901, source_id: "charlotte-cip", category: "government", status: "Open",
+        title: "Eastway Police Division Station",
+        description: "Request for Qualifications. Construction manager at risk services for a new 25,000 SF police division station including site work and parking.",
+        address: "3505 N Sharon Amity Rd", value: 14000000,
+      },
+      title: "Eastway Police Division Station",
+      // "Request for Qualifications" isn't in the boilerplate list, so it wins
+      desc: "Request for Qualifications.",
+    },
+  ],
+  "charlotte-ncdot": [
+    {
+      project: {
+        id: 1001, source_id: "charlotte-ncdot", category: "government", status: "Open",
+        title: "I-485 / Weddington Rd Interchange Improvements",
+        description: "Pre-solicitation notice for letting C204912.",
+        address: "", value: 38000000,
+      },
+      title: "I-485 / Weddington Rd Interchange Improvements",
+      desc: "Pre-solicitation notice for letting C204912.",
+    },
+  ],
+};
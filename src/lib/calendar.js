@@ -0,0 +1,160 @@
+// Bid calendar: due dates, pre-bid meetings and Q&A cutoffs as dated events,
+// laid out in month/week grids and exported as iCalendar (RFC 5545).
+// Dates are "YYYY-MM-DD" day keys in local time; event dates may also carry a
+// time ("2025-07-15T14:00:00Z"), which the .ics keeps.
+
+import { getDisplayTitle } from "./projects";
+import { sourceLabel } from "./sources";
+
+//   field  project column holding the date
+export const EVENT_TYPES = {
+  deadline:  { label: "Bid due",         icon: "⏱", color: "#ef4444", field: "deadline" },
+  prebid:    { label: "Pre-bid meeting", icon: "🤝", color: "#38bdf8", field: "prebid_date" },
+  questions: { label: "Q&A cutoff",      icon: "❓", color: "#eab308", field: "questions_due" },
+};
+
+const pad = (n) => String(n).padStart(2, "0");
+
+export function dayKey(date) {
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+// Day key for an event date: date-only values are already local days;
+// timestamps are converted to the viewer's day
+export function eventDay(value) {
+  return /^\d{4}-\d{2}-\d{2}$/.test(value) ? value : dayKey(new Date(value));
+}
+
+function parseDay(key) {
+  const [y, m, d] = key.split("-").map(Number);
+  return new Date(y, m - 1, d);
+}
+
+export function addDays(key, n) {
+  const d = parseDay(key);
+  d.setDate(d.getDate() + n);
+  return dayKey(d);
+}
+
+// One event per dated field; `saved` marks projects on the pipeline
+export function projectEvents(project, saved = false) {
+  const events = [];
+  for (const [type, { field }] of Object.entries(EVENT_TYPES)) {
+    const value = project[field];
+    if (!value || Number.isNaN(Date.parse(value))) continue;
+    events.push({
+      id: `${project.id}:${type}`,
+      type,
+      date: value,
+      day: eventDay(value),
+      projectId: project.id,
+      title: getDisplayTitle(project) || project.title,
+      source: sourceLabel(project.source_id),
+      location: project.address || project.location || "",
+      url: project.source_url || null,
+      saved,
+    });
+  }
+  return events;
+}
+
+// Saved projects first so a project both saved and in the open feed keeps its
+// saved flag; sorted by date
+export function calendarEvents(savedProjects, openProjects = []) {
+  const seen = new Set();
+  const events = [];
+  for (const [list, saved] of [[savedProjects, true], [openProjects, false]]) {
+    for (const p of list) {
+      if (seen.has(p.id)) continue;
+      seen.add(p.id);
+      events.push(...projectEvents(p, saved));
+    }
+  }
+  return events.sort((a, b) => (a.day < b.day ? -1 : a.day > b.day ? 1 : Date.parse(a.date) - Date.parse(b.date)));
+}
+
+export function eventsByDay(events) {
+  const days = {};
+  for (const e of events) (days[e.day] ||= []).push(e);
+  return days;
+}
+
+// Weeks (Sunday first) covering the month of `key`, each an array of 7 day keys
+export function monthGrid(key) {
+  const first = parseDay(key);
+  first.setDate(1);
+  const start = addDays(dayKey(first), -first.getDay());
+  const month = first.getMonth();
+  const weeks = [];
+  let day = start;
+  do {
+    weeks.push(Array.from({ length: 7 }, (_, i) => addDays(day, i)));
+    day = addDays(day, 7);
+  } while (parseDay(day).getMonth() === month);
+  return weeks;
+}
+
+// The Sunday-first week containing `key`
+export function weekDays(key) {
+  const start = addDays(key, -parseDay(key).getDay());
+  return Array.from({ length: 7 }, (_, i) => addDays(start, i));
+}
+
+// ─── ICALENDAR ──────────────────────────────────────────────────────────────
+
+const icsText = (s) => String(s).replace(/\\/g, "\\\\").replace(/\n/g, "\\n").replace(/([,;])/g, "\\$1");
+
+const icsStamp = (d) => d.toISOString().replace(/[-:]/g, "").replace(/\.\d{3}/, "");
+
+// Content lines fold at 75 octets, continuation lines start with a space
+function fold(line) {
+  const bytes = new TextEncoder().encode(line);
+  if (bytes.length <= 75) return line;
+  const out = [];
+  let current = "";
+  let size = 0;
+  for (const ch of line) {
+    const n = new TextEncoder().encode(ch).length;
+    if (size + n > (out.length ? 74 : 75)) {
+      out.push(current);
+      current = "";
+      size = 0;
+    }
+    current += ch;
+    size += n;
+  }
+  out.push(current);
+  return out.join("\r\n ");
+}
+
+// `appUrl` is where each event links back to (the project card)
+export function buildIcs(events, { name = "Yabodle bids", appUrl = "", now = new Date() } = {}) {
+  const lines = [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    "PRODID:-//Yabodle//Bid Calendar//EN",
+    "CALSCALE:GREGORIAN",
+    "METHOD:PUBLISH",
+    `X-WR-CALNAME:${icsText(name)}`,
+  ];
+  for (const e of events) {
+    const type = EVENT_TYPES[e.type];
+    const allDay = /^\d{4}-\d{2}-\d{2}$/.test(e.date);
+    const link = appUrl ? `${appUrl}#/project/${encodeURIComponent(e.projectId)}` : e.url;
+    lines.push(
+      "BEGIN:VEVENT",
+      `UID:${e.id.replace(":", "-")}@yabodle`,
+      `DTSTAMP:${icsStamp(now)}`,
+      ...(allDay
+        ? [`DTSTART;VALUE=DATE:${e.day.replace(/-/g, "")}`, `DTEND;VALUE=DATE:${addDays(e.day, 1).replace(/-/g, "")}`]
+        : [`DTSTART:${icsStamp(new Date(e.date))}`, `DURATION:PT1H`]),
+      `SUMMARY:${icsText(`${type.label}: ${e.title}`)}`,
+      `DESCRIPTION:${icsText([e.source, e.url].filter(Boolean).join("\n"))}`,
+      ...(e.location ? [`LOCATION:${icsText(e.location)}`] : []),
+      ...(link ? [`URL:${link}`] : []),
+      "END:VEVENT",
+    );
+  }
+  lines.push("END:VCALENDAR");
+  return lines.map(fold).join("\r\n") + "\r\n";
+}
@@ -0,0 +1,56 @@
+import { describe, it, expect } from "vitest";
+import { projectEvents, calendarEvents, eventsByDay, monthGrid, weekDays, addDays, buildIcs } from "./calendar";
+
+const bid = {
+  id: 101, source_id: "sam-gov", title: "Clinic Addition, VAMC; Phase 2", address: "109 Bee St, Charleston, SC",
+  deadline: "2025-07-15", prebid_date: "2025-07-01T14:00:00Z", questions_due: "2025-07-08",
+  source_url: "https://sam.gov/opp/1",
+};
+
+describe("projectEvents / calendarEvents", () => {
+  it("makes one event per dated field", () => {
+    const events = projectEvents(bid, true);
+    expect(events.map((e) => e.type)).toEqual(["deadline", "prebid", "questions"]);
+    expect(events[0]).toMatchObject({ id: "101:deadline", day: "2025-07-15", saved: true, source: "SAM.gov" });
+  });
+
+  it("merges saved and open projects once each, by date", () => {
+    const open = [{ ...bid }, { id: 102, source_id: "scbo", title: "Dorm", deadline: "2025-06-20" }, { id: 103, title: "No dates" }];
+    const events = calendarEvents([bid], open);
+    expect(events.map((e) => e.id)).toEqual(["102:deadline", "101:prebid", "101:questions", "101:deadline"]);
+    expect(events.find((e) => e.projectId === 101).saved).toBe(true);
+    expect(eventsByDay(events)["2025-07-15"]).toHaveLength(1);
+  });
+});
+
+describe("monthGrid / weekDays", () => {
+  it("covers the month in Sunday-first weeks", () => {
+    const weeks = monthGrid("2025-07-15");
+    expect(weeks).toHaveLength(5);
+    expect(weeks[0][0]).toBe("2025-06-29");
+    expect(weeks.at(-1).at(-1)).toBe("2025-08-02");
+    expect(weekDays("2025-07-15")).toEqual(["2025-07-13", "2025-07-14", "2025-07-15", "2025-07-16", "2025-07-17", "2025-07-18", "2025-07-19"]);
+    expect(addDays("2025-12-31", 1)).toBe("2026-01-01");
+  });
+});
+
+describe("buildIcs", () => {
+  const ics = buildIcs(projectEvents(bid), { appUrl: "https://app.example.com/", now: new Date("2025-06-10T12:00:00Z") });
+  const unfolded = ics.replace(/\r\n /g, "");
+
+  it("writes all-day and timed events with CRLF line endings", () => {
+    expect(ics.startsWith("BEGIN:VCALENDAR\r\nVERSION:2.0\r\n")).toBe(true);
+    expect(ics.endsWith("END:VCALENDAR\r\n")).toBe(true);
+    expect(unfolded).toContain("DTSTART;VALUE=DATE:20250715\r\nDTEND;VALUE=DATE:20250716");
+    expect(unfolded).toContain("DTSTART:20250701T140000Z\r\nDURATION:PT1H");
+    expect(unfolded).toContain("UID:101-deadline@yabodle");
+    expect(unfolded).toContain("DTSTAMP:20250610T120000Z");
+    expect(unfolded).toContain("URL:https://app.example.com/#/project/101");
+  });
+
+  it("escapes text and folds long lines", () => {
+    expect(unfolded).toContain("SUMMARY:Bid due: Clinic Addition\\, VAMC\\; Phase 2");
+    expect(unfolded).toContain("DESCRIPTION:SAM.gov\\nhttps://sam.gov/opp/1");
+    for (const line of ics.split("\r\n")) expect(new TextEncoder().encode(line).length).toBeLessThanOrEqual(75);
+  });
+});
@@ -0,0 +1,93 @@
+// Contractor profiles (Contractors → a trade directory entry): every permit a
+// contractor has pulled, their value by quarter, and the GCs they work under —
+// the contractor on the master permit at each of their sites.
+
+import { gcFor } from "./persona";
+
+const ENTITY_SUFFIX = /\s+(LLC|L L C|INC|INCORPORATED|CO|COMPANY|CORP|CORPORATION|LTD|LP|LLP|PLLC|PC)$/;
+
+// "Acme Builders, Inc." and "ACME BUILDERS INC" are the same contractor
+export function normalizeName(name) {
+  let s = (name || "").toUpperCase().replace(/&/g, " AND ").replace(/[^A-Z0-9 ]+/g, " ").replace(/\s+/g, " ").trim();
+  while (ENTITY_SUFFIX.test(s)) s = s.replace(ENTITY_SUFFIX, "");
+  return s;
+}
+
+// Directory entry's name plus its aka names, normalized
+export const contractorKeys = (contractor) =>
+  new Set([contractor.name, ...(contractor.also_known_as || [])].map(normalizeName).filter(Boolean));
+
+// A permit's contractor field lists everyone on it, "|"-separated
+export const pulledBy = (project, keys) =>
+  (project.contractor || "").split("|").some((n) => keys.has(normalizeName(n)));
+
+// { contractor, tradeId, label } from a /directory/trades response, matching
+// the name or any aka
+export function findContractor(tradeData, name) {
+  const key = normalizeName(name);
+  for (const [tradeId, group] of Object.entries(tradeData?.trades || {})) {
+    const contractor = (group.contractors || []).find((c) => contractorKeys(c).has(key));
+    if (contractor) return { contractor, tradeId, label: group.label };
+  }
+  return null;
+}
+
+export function quarterKey(date) {
+  const d = new Date(date);
+  if (!date || isNaN(d)) return null;
+  return `${d.getUTCFullYear()}-Q${Math.floor(d.getUTCMonth() / 3) + 1}`;
+}
+
+const nextQuarter = (key) => {
+  const [y, q] = key.split("-Q").map(Number);
+  return q === 4 ? `${y + 1}-Q1` : `${y}-Q${q + 1}`;
+};
+
+// [{ quarter, value, count }] by posted date, oldest first, with empty
+// quarters filled in so the chart's gaps are real
+export function valueByQuarter(projects) {
+  const buckets = new Map();
+  for (const p of projects) {
+    const key = quarterKey(p.posted_date);
+    if (!key) continue;
+    const b = buckets.get(key) || { quarter: key, value: 0, count: 0 };
+    b.value += p.value || 0;
+    b.count += 1;
+    buckets.set(key, b);
+  }
+  if (!buckets.size) return [];
+  const keys = [...buckets.keys()].sort();
+  const out = [];
+  for (let k = keys[0]; k <= keys.at(-1); k = nextQuarter(k)) out.push(buckets.get(k) || { quarter: k, value: 0, count: 0 });
+  return out;
+}
+
+// [{ name, sites, value }] — GCs on the master permit at the contractor's
+// sites, most shared sites first. `gcs` is gcByAddress over those sites'
+// permits; sites where the contractor is the GC don't count.
+export function gcsWorkedUnder(projects, gcs, keys) {
+  const byGc = new Map();
+  for (const p of projects) {
+    const gc = gcFor(gcs, p);
+    if (!gc || keys.has(normalizeName(gc))) continue;
+    const key = normalizeName(gc);
+    const entry = byGc.get(key) || { name: gc, addresses: new Set(), value: 0 };
+    entry.addresses.add((p.address || "").trim().toUpperCase());
+    entry.value += p.value || 0;
+    byGc.set(key, entry);
+  }
+  return [...byGc.values()]
+    .map(({ name, addresses, value }) => ({ name, sites: addresses.size, value }))
+    .sort((a, b) => b.sites - a.sites || b.value - a.value);
+}
+
+// SC LLR license record fields, in display order
+export const LICENSE_FIELDS = [
+  ["license_number", "License #"],
+  ["license_type", "Type"],
+  ["classifications", "Classifications"],
+  ["status", "Status"],
+  ["issue_date", "Issued"],
+  ["expiration_date", "Expires"],
+  ["city", "City"],
+];
@@ -0,0 +1,64 @@
+import { describe, it, expect } from "vitest";
+import { normalizeName, contractorKeys, pulledBy, findContractor, valueByQuarter, gcsWorkedUnder } from "./contractors";
+import { gcByAddress } from "./persona";
+import { linkSubpermits } from "./projects";
+
+const pipeCo = { name: "Pipe Co", also_known_as: ["Pipe Company of SC, LLC"] };
+const keys = contractorKeys(pipeCo);
+
+describe("normalizeName", () => {
+  it("ignores case, punctuation and entity suffixes", () => {
+    expect(normalizeName("Acme Builders, Inc.")).toBe("ACME BUILDERS");
+    expect(normalizeName("ACME BUILDERS INC")).toBe("ACME BUILDERS");
+    expect(normalizeName("Smith & Sons Co LLC")).toBe("SMITH AND SONS");
+  });
+});
+
+describe("pulledBy / findContractor", () => {
+  it("matches any name on the permit, including aka names", () => {
+    expect(pulledBy({ contractor: "Rodgers Builders | PIPE CO." }, keys)).toBe(true);
+    expect(pulledBy({ contractor: "Pipe Company of SC" }, keys)).toBe(true);
+    expect(pulledBy({ contractor: "Pipeline Partners" }, keys)).toBe(false);
+    expect(pulledBy({}, keys)).toBe(false);
+  });
+
+  it("finds a directory entry by name or aka", () => {
+    const tradeData = { trades: { plumbing: { label: "Plumbing", contractors: [pipeCo] } } };
+    expect(findContractor(tradeData, "pipe company of sc")).toEqual({ contractor: pipeCo, tradeId: "plumbing", label: "Plumbing" });
+    expect(findContractor(tradeData, "Nobody")).toBeNull();
+    expect(findContractor(null, "Pipe Co")).toBeNull();
+  });
+});
+
+describe("valueByQuarter", () => {
+  it("buckets by posted date and fills empty quarters", () => {
+    expect(valueByQuarter([
+      { posted_date: "2025-11-03", value: 100 },
+      { posted_date: "2025-02-10", value: 50 },
+      { posted_date: "2025-03-30", value: 25 },
+      { posted_date: null, value: 999 },
+    ])).toEqual([
+      { quarter: "2025-Q1", value: 75, count: 2 },
+      { quarter: "2025-Q2", value: 0, count: 0 },
+      { quarter: "2025-Q3", value: 0, count: 0 },
+      { quarter: "2025-Q4", value: 100, count: 1 },
+    ]);
+    expect(valueByQuarter([])).toEqual([]);
+  });
+});
+
+describe("gcsWorkedUnder", () => {
+  it("counts shared sites per GC on the master permit", () => {
+    const sites = [
+      { id: 1, source_id: "charlotte-permits", permit_number: "B25-100", address: "1 Trade St", category: "office", contractor: "Rodgers Builders" },
+      { id: 2, source_id: "charlotte-permits", permit_number: "B25-100-P1", address: "1 Trade St", category: "plumbing", contractor: "Pipe Co", value: 40000 },
+      { id: 3, source_id: "charlotte-permits", permit_number: "B25-200", address: "9 Elm St", category: "retail", contractor: "Rodgers Builders, Inc." },
+      { id: 4, source_id: "charlotte-permits", permit_number: "B25-200-P1", address: "9 Elm St", category: "plumbing", contractor: "Pipe Co", value: 10000 },
+      { id: 5, source_id: "charlotte-permits", permit_number: "B25-300", address: "5 Oak St", category: "office", contractor: "Pipe Co" },
+      { id: 6, source_id: "charlotte-permits", permit_number: "B25-300-P1", address: "5 Oak St", category: "plumbing", contractor: "Pipe Co", value: 5000 },
+    ];
+    const gcs = gcByAddress(sites, linkSubpermits(sites));
+    const pulled = sites.filter((p) => pulledBy(p, keys) && p.category === "plumbing");
+    expect(gcsWorkedUnder(pulled, gcs, keys)).toEqual([{ name: "Rodgers Builders", sites: 2, value: 50000 }]);
+  });
+});
@@ -0,0 +1,123 @@
+// New-match digests for saved-search alerts. Built here rather than on the
+// backend so a digest line reads exactly like the card it links to — same
+// getDisplayTitle, same fmt$. scripts/send-digests.js does the delivery.
+//
+// A search's `alert` is { frequency, channels[], webhook_url, last_sent_at,
+// channel_sent_at }. `channel_sent_at` maps each channel to its own last
+// successful send, so a failed channel is retried without the others
+// resending what they already delivered.
+
+import { getDisplayTitle, cleanAddress } from "./projects";
+import { sourceLabel } from "./sources";
+import { fmt$ } from "./format";
+import { buildHash } from "./url";
+
+export const ALERT_FREQUENCIES = {
+  daily:  { label: "Daily",  days: 1 },
+  weekly: { label: "Weekly", days: 7 },
+};
+
+export const ALERT_CHANNELS = {
+  email:   "Email",
+  webhook: "Webhook",
+  in_app:  "In-app",
+};
+
+// Digests list at most this many projects; the rest are summarised as a count
+export const DIGEST_MAX_ITEMS = 25;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Scans land once a day — an hour of slack keeps a digest sent at 12:05
+// yesterday from skipping today's 12:00 run
+const GRACE_MS = 60 * 60 * 1000;
+
+// ─── SCHEDULING ─────────────────────────────────────────────────────────────
+
+export function alertDue(alert, now = new Date()) {
+  const freq = ALERT_FREQUENCIES[alert?.frequency];
+  if (!freq || !alert.channels?.length) return false;
+  if (!alert.last_sent_at) return true;
+  return now - new Date(alert.last_sent_at) >= freq.days * DAY_MS - GRACE_MS;
+}
+
+// Start of the digest window: the last digest, or one period back for a new alert
+export function digestSince(alert, now = new Date()) {
+  if (alert.last_sent_at) return new Date(alert.last_sent_at);
+  return new Date(now - (ALERT_FREQUENCIES[alert.frequency]?.days || 1) * DAY_MS);
+}
+
+// The alert as one channel sees it: its own last send, or the alert's
+const channelAlert = (alert, channel) =>
+  ({ ...alert, last_sent_at: alert.channel_sent_at?.[channel] ?? alert.last_sent_at });
+
+export function dueChannels(alert, now = new Date()) {
+  return (alert?.channels || []).filter((channel) => alertDue(channelAlert(alert, channel), now));
+}
+
+export const channelSince = (alert, channel, now = new Date()) => digestSince(channelAlert(alert, channel), now);
+
+// ─── CONTENT ────────────────────────────────────────────────────────────────
+
+export function digestItems(projects, appUrl) {
+  return [...projects]
+    .sort((a, b) => (b.value || 0) - (a.value || 0))
+    .slice(0, DIGEST_MAX_ITEMS)
+    .map((p) => ({
+      id: p.id,
+      title: getDisplayTitle(p) || "Untitled project",
+      value: fmt$(p.value),
+      source: sourceLabel(p.source_id),
+      location: cleanAddress(p.address) || p.location || null,
+      url: `${appUrl}${buildHash({ projectId: p.id })}`,
+    }));
+}
+
+const escapeHtml = (s) => String(s)
+  .replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;").replace(/"/g, "&quot;");
+
+// Slack mrkdwn treats these three as control characters inside link text
+const escapeSlack = (s) => String(s).replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;");
+
+// `total` is the full match count when the caller only fetched a page
+export function buildDigest({ search, projects, total = projects.length, appUrl }) {
+  const items = digestItems(projects, appUrl);
+  const more = total - items.length;
+  const period = ALERT_FREQUENCIES[search.alert?.frequency]?.label || "New";
+  const subject = `${total} new match${total === 1 ? "" : "es"} for "${search.name}"`;
+  const moreLine = more > 0 ? `…and ${more} more in Yabodle` : null;
+  const meta = (i) => [i.value, i.source, i.location].filter(Boolean).join(" · ");
+
+  const text = [
+    `${period} digest — ${subject}`,
+    "",
+    ...items.flatMap((i) => [`• ${i.title} — ${meta(i)}`, `  ${i.url}`]),
+    ...(moreLine ? ["", moreLine] : []),
+  ].join("\n");
+
+  const html = [
+    `<h2 style="font-family:sans-serif">${escapeHtml(subject)}</h2>`,
+    `<table style="font-family:sans-serif;font-size:14px;border-collapse:collapse">`,
+    ...items.map((i) =>
+      `<tr><td style="padding:6px 12px 6px 0"><a href="${escapeHtml(i.url)}">${escapeHtml(i.title)}</a></td>` +
+      `<td style="padding:6px 12px 6px 0;font-weight:bold">${escapeHtml(i.value)}</td>` +
+      `<td style="padding:6px 0;color:#666">${escapeHtml([i.source, i.location].filter(Boolean).join(" · "))}</td></tr>`),
+    `</table>`,
+    ...(moreLine ? [`<p style="font-family:sans-serif;color:#666">${escapeHtml(moreLine)}</p>`] : []),
+  ].join("\n");
+
+  // Slack-compatible incoming-webhook body; `text` is the notification fallback
+  const slack = {
+    text: subject,
+    blocks: [
+      { type: "header", text: { type: "plain_text", text: subject } },
+      // One section per project keeps each under Slack's 3,000-character limit
+      ...items.map((i) => ({
+        type: "section",
+        text: { type: "mrkdwn", text: `<${i.url}|${escapeSlack(i.title)}>\n${escapeSlack(meta(i))}` },
+      })),
+      ...(moreLine ? [{ type: "context", elements: [{ type: "mrkdwn", text: escapeSlack(moreLine) }] }] : []),
+    ],
+  };
+
+  return { subject, text, html, slack, items };
+}
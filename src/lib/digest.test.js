@@ -0,0 +1,103 @@
+import { describe, it, expect } from "vitest";
+import { alertDue, digestSince, dueChannels, channelSince, digestItems, buildDigest, DIGEST_MAX_ITEMS } from "./digest";
+import { SOURCE_FIXTURES } from "./__fixtures__/projects";
+
+const APP = "https://app.example.com/";
+const now = new Date("2025-06-10T12:00:00Z");
+const hoursAgo = (h) => new Date(now - h * 3600 * 1000).toISOString();
+const permits = SOURCE_FIXTURES["charleston-permits"].map((f) => f.project);
+const search = { id: 7, name: "Lowcountry hotels", alert: { frequency: "daily", channels: ["email"] } };
+
+describe("alertDue", () => {
+  it("needs a frequency and at least one channel", () => {
+    expect(alertDue(null, now)).toBe(false);
+    expect(alertDue({ frequency: "daily", channels: [] }, now)).toBe(false);
+    expect(alertDue({ frequency: "hourly", channels: ["email"] }, now)).toBe(false);
+  });
+
+  it("sends a new alert straight away", () => {
+    expect(alertDue({ frequency: "weekly", channels: ["webhook"] }, now)).toBe(true);
+  });
+
+  it("waits a full period, give or take the grace hour", () => {
+    expect(alertDue({ frequency: "daily", channels: ["email"], last_sent_at: hoursAgo(23.5) }, now)).toBe(true);
+    expect(alertDue({ frequency: "daily", channels: ["email"], last_sent_at: hoursAgo(20) }, now)).toBe(false);
+    expect(alertDue({ frequency: "weekly", channels: ["email"], last_sent_at: hoursAgo(48) }, now)).toBe(false);
+    expect(alertDue({ frequency: "weekly", channels: ["email"], last_sent_at: hoursAgo(24 * 7) }, now)).toBe(true);
+  });
+});
+
+describe("digestSince", () => {
+  it("starts at the last digest, or one period back", () => {
+    expect(digestSince({ frequency: "daily", last_sent_at: hoursAgo(30) }, now).toISOString()).toBe(hoursAgo(30));
+    expect(digestSince({ frequency: "weekly" }, now).toISOString()).toBe(hoursAgo(24 * 7));
+  });
+});
+
+describe("dueChannels / channelSince", () => {
+  it("retries a failed channel without resending to the others", () => {
+    const alert = {
+      frequency: "daily", channels: ["email", "webhook"], last_sent_at: hoursAgo(48),
+      channel_sent_at: { email: hoursAgo(2) },
+    };
+    expect(dueChannels(alert, now)).toEqual(["webhook"]);
+    expect(channelSince(alert, "webhook", now).toISOString()).toBe(hoursAgo(48));
+    expect(channelSince(alert, "email", now).toISOString()).toBe(hoursAgo(2));
+  });
+
+  it("falls back to the alert's own schedule", () => {
+    expect(dueChannels({ frequency: "daily", channels: ["email", "in_app"] }, now)).toEqual(["email", "in_app"]);
+    expect(dueChannels({ frequency: "daily", channels: ["email"], last_sent_at: hoursAgo(3) }, now)).toEqual([]);
+    expect(dueChannels(null, now)).toEqual([]);
+  });
+});
+
+describe("digestItems", () => {
+  it("renders titles and values the way the cards do, largest first", () => {
+    const items = digestItems(permits, APP);
+    expect(items[0]).toEqual({
+      id: 201,
+      title: "New 6-story, 150 key hotel with ground floor retail",
+      value: "$42.0M",
+      source: "CHS Permits",
+      location: "288 MEETING ST",
+      url: "https://app.example.com/#/project/201",
+    });
+    expect(items.find((i) => i.id === 205).title).toBe("Commercial — Alteration");
+    expect(items.find((i) => i.id === 205).value).toBe("—");
+  });
+
+  it("caps the list", () => {
+    const many = Array.from({ length: 40 }, (_, i) => ({ ...permits[0], id: i }));
+    expect(digestItems(many, APP)).toHaveLength(DIGEST_MAX_ITEMS);
+  });
+});
+
+describe("buildDigest", () => {
+  it("builds matching email, text and webhook bodies", () => {
+    const d = buildDigest({ search, projects: permits.slice(0, 2), appUrl: APP });
+    expect(d.subject).toBe('2 new matches for "Lowcountry hotels"');
+    expect(d.text).toContain("Daily digest");
+    expect(d.text).toContain("• New 6-story, 150 key hotel with ground floor retail — $42.0M · CHS Permits · 288 MEETING ST");
+    expect(d.html).toContain('<a href="https://app.example.com/#/project/202">Interior upfit of 2nd floor office suite</a>');
+    expect(d.slack.text).toBe(d.subject);
+    expect(d.slack.blocks).toHaveLength(3);
+    expect(d.slack.blocks[1].text.text).toContain("<https://app.example.com/#/project/201|New 6-story");
+  });
+
+  it("notes matches beyond the page it was given", () => {
+    const d = buildDigest({ search, projects: permits.slice(0, 1), total: 30, appUrl: APP });
+    expect(d.subject).toBe('30 new matches for "Lowcountry hotels"');
+    expect(d.text).toContain("…and 29 more");
+    expect(d.slack.blocks.at(-1).type).toBe("context");
+  });
+
+  it("escapes markup in titles", () => {
+    const d = buildDigest({
+      search, appUrl: APP,
+      projects: [{ id: 1, source_id: "sam-gov", title: "Dock <A> & <B>", value: 1 }],
+    });
+    expect(d.html).toContain("Dock &lt;A&gt; &amp; &lt;B&gt;");
+    expect(d.slack.blocks[1].text.text).toContain("Dock &lt;A&gt; &amp; &lt;B&gt;");
+  });
+});
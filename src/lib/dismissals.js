@@ -0,0 +1,91 @@
+// Dismissed projects (/dismissals) and the relevance filter trained on them.
+// A dismissal row carries a snapshot of the project so the Hidden view can
+// list it without refetching, and so the model can learn from its features.
+
+import { getNeighborhood } from "./neighborhoods";
+
+export const DISMISS_REASONS = {
+  not_trade:       "Not our trade",
+  too_small:       "Too small",
+  out_of_area:     "Out of area",
+  already_bidding: "Already bidding",
+};
+
+// Dismissals needed before a pattern hides anything on its own
+export const MIN_EVIDENCE = 3;
+
+// API rows carry latitude/longitude; feed groups and parcels lat/lng
+function areaOf(p) {
+  const lat = p.latitude ?? p.lat;
+  const lng = p.longitude ?? p.lng;
+  return (lat != null && lng != null && getNeighborhood(lat, lng)) || p.location || null;
+}
+
+function median(values) {
+  const v = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(v.length / 2);
+  return v.length % 2 ? v[mid] : (v[mid - 1] + v[mid]) / 2;
+}
+
+function countBy(rows, key) {
+  const counts = {};
+  for (const r of rows) {
+    const k = key(r);
+    if (k) counts[k] = (counts[k] || 0) + 1;
+  }
+  return counts;
+}
+
+// Learns, from reasoned dismissals, which categories aren't our trade, which
+// areas are out of reach and what "too small" means. Anything we've saved
+// counts against a pattern: a category or area with a saved project is never
+// hidden, and the size floor stays below our smallest saved project.
+// "Already bidding" is about one project, not a pattern, so it isn't learned.
+export function buildRelevanceModel(dismissals, saved = []) {
+  const projects = (reason) => dismissals.filter((d) => d.reason === reason && d.project).map((d) => d.project);
+  const savedProjects = saved.map((s) => s.project).filter(Boolean);
+  const savedCategories = new Set(savedProjects.map((p) => p.category));
+  const savedAreas = new Set(savedProjects.map(areaOf));
+
+  const categories = {};
+  for (const [cat, n] of Object.entries(countBy(projects("not_trade"), (p) => p.category))) {
+    if (n >= MIN_EVIDENCE && !savedCategories.has(cat)) categories[cat] = n;
+  }
+  const areas = {};
+  for (const [area, n] of Object.entries(countBy(projects("out_of_area"), areaOf))) {
+    if (n >= MIN_EVIDENCE && !savedAreas.has(area)) areas[area] = n;
+  }
+  const small = projects("too_small").map((p) => p.value).filter((v) => v > 0);
+  let minValue = small.length >= MIN_EVIDENCE ? median(small) : null;
+  const smallestSaved = Math.min(...savedProjects.map((p) => p.value).filter((v) => v > 0));
+  if (minValue != null && minValue >= smallestSaved) minValue = null;
+
+  return { categories, areas, minValue };
+}
+
+// Why the model would hide a project, or null to keep it
+export function relevanceVerdict(project, model) {
+  if (model.categories[project.category]) {
+    return { reason: "not_trade", detail: `${model.categories[project.category]} ${project.category} projects dismissed as not your trade` };
+  }
+  const area = areaOf(project);
+  if (area && model.areas[area]) {
+    return { reason: "out_of_area", detail: `${model.areas[area]} projects in ${area} dismissed as out of area` };
+  }
+  if (model.minValue != null && project.value > 0 && project.value < model.minValue) {
+    return { reason: "too_small", detail: "Smaller than projects you usually dismiss as too small" };
+  }
+  return null;
+}
+
+export function isModelEmpty(model) {
+  return !Object.keys(model.categories).length && !Object.keys(model.areas).length && model.minValue == null;
+}
+
+// Hidden view groups: reason id (or "none") → dismissals, newest first
+export function groupDismissals(dismissals) {
+  const groups = {};
+  const sorted = [...dismissals].sort((a, b) => new Date(b.dismissed_at) - new Date(a.dismissed_at));
+  for (const d of sorted) (groups[d.reason || "none"] ||= []).push(d);
+  return groups;
+}
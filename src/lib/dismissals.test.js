@@ -0,0 +1,63 @@
+import { describe, it, expect } from "vitest";
+import { buildRelevanceModel, relevanceVerdict, isModelEmpty, groupDismissals } from "./dismissals";
+
+const d = (reason, project, dismissed_at = "2025-06-01T00:00:00Z") => ({ project_id: project.id, reason, dismissed_at, project });
+const p = (id, extra) => ({ id, category: "office", value: 1e6, location: "Summerville", ...extra });
+
+describe("buildRelevanceModel", () => {
+  it("learns nothing from too little evidence or unreasoned dismissals", () => {
+    const model = buildRelevanceModel([
+      d("not_trade", p(1, { category: "roofing" })),
+      d("not_trade", p(2, { category: "roofing" })),
+      d(null, p(3, { category: "roofing" })),
+      d("already_bidding", p(4)),
+    ]);
+    expect(isModelEmpty(model)).toBe(true);
+  });
+
+  it("learns categories, areas and a size floor", () => {
+    const model = buildRelevanceModel([
+      ...[1, 2, 3].map((i) => d("not_trade", p(i, { category: "roofing" }))),
+      ...[4, 5, 6].map((i) => d("out_of_area", p(i, { location: "Moncks Corner" }))),
+      ...[2e5, 4e5, 9e5].map((value, i) => d("too_small", p(10 + i, { value }))),
+    ]);
+    expect(model).toEqual({ categories: { roofing: 3 }, areas: { "Moncks Corner": 3 }, minValue: 4e5 });
+    expect(relevanceVerdict(p(20, { category: "roofing" }), model).reason).toBe("not_trade");
+    expect(relevanceVerdict(p(21, { location: "Moncks Corner" }), model).reason).toBe("out_of_area");
+    expect(relevanceVerdict(p(22, { value: 3e5 }), model).reason).toBe("too_small");
+    expect(relevanceVerdict(p(23, { value: null }), model)).toBeNull();
+    expect(relevanceVerdict(p(24), model)).toBeNull();
+  });
+
+  it("places API rows by their coordinates", () => {
+    // /projects rows: latitude/longitude, and a location that names the city
+    const westAshley = (id) => p(id, { latitude: 32.79, longitude: -80.02, location: "Charleston, SC" });
+    const model = buildRelevanceModel([4, 5, 6].map((i) => d("out_of_area", westAshley(i))));
+    expect(model.areas).toEqual({ "West Ashley": 3 });
+    expect(relevanceVerdict(westAshley(7), model).reason).toBe("out_of_area");
+    expect(relevanceVerdict(p(8, { latitude: 32.78, longitude: -79.935, location: "Charleston, SC" }), model)).toBeNull();
+  });
+
+  it("never hides what we've saved", () => {
+    const model = buildRelevanceModel(
+      [
+        ...[1, 2, 3].map((i) => d("not_trade", p(i, { category: "roofing" }))),
+        ...[2e5, 4e5, 9e5].map((value, i) => d("too_small", p(10 + i, { value }))),
+      ],
+      [{ project: p(30, { category: "roofing", value: 3e5 }) }],
+    );
+    expect(isModelEmpty(model)).toBe(true);
+  });
+});
+
+describe("groupDismissals", () => {
+  it("groups by reason, newest first", () => {
+    const groups = groupDismissals([
+      d("too_small", p(1), "2025-06-01T00:00:00Z"),
+      d(null, p(2)),
+      d("too_small", p(3), "2025-06-03T00:00:00Z"),
+    ]);
+    expect(Object.keys(groups)).toEqual(["too_small", "none"]);
+    expect(groups.too_small.map((x) => x.project_id)).toEqual([3, 1]);
+  });
+});
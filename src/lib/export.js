@@ -0,0 +1,227 @@
+// Feed export: one row per feed card (an address group, as rendered), written
+// as CSV or as a single-sheet XLSX workbook. The XLSX is built by hand — a
+// stored (uncompressed) zip of the minimal OOXML parts — so there's no
+// spreadsheet dependency in the bundle.
+
+import { cleanAddress, getDisplayTitle, getPrimaryPermit } from "./projects";
+import { getNeighborhood } from "./neighborhoods";
+import { sourceLabel } from "./sources";
+
+//   type  "money" / "date" cells get number formats in XLSX
+export const EXPORT_COLUMNS = [
+  { id: "title",        label: "Title" },
+  { id: "address",      label: "Address" },
+  { id: "neighborhood", label: "Neighborhood" },
+  { id: "value",        label: "Value", type: "money" },
+  { id: "valueBasis",   label: "Value basis" },
+  { id: "status",       label: "Status" },
+  { id: "category",     label: "Category" },
+  { id: "source",       label: "Source" },
+  { id: "contractor",   label: "Contractor" },
+  { id: "permits",      label: "Permit #" },
+  { id: "solicitation", label: "Solicitation #" },
+  { id: "posted",       label: "Posted", type: "date" },
+  { id: "deadline",     label: "Deadline", type: "date" },
+  { id: "count",        label: "Permits in group" },
+  { id: "url",          label: "Source URL" },
+];
+
+const unique = (values) => [...new Set(values.filter(Boolean))];
+
+// Mirrors what ProjectCard shows: the primary permit's fields, the group's
+// largest declared value, else the category/work-class median as an estimate
+export function exportRows(groups, valueMedians = {}) {
+  return groups.map((group) => {
+    const { projects } = group;
+    const primary = getPrimaryPermit(projects);
+    const maxValue = Math.max(...projects.map((p) => p.value || 0)) || null;
+    const estValue = maxValue ? null : valueMedians[`${primary.category || "unknown"}__${primary.work_class || "unknown"}`] || null;
+    return {
+      title: getDisplayTitle(primary) || "",
+      address: cleanAddress(group.displayAddress ?? primary.address) || "",
+      neighborhood: getNeighborhood(group.lat, group.lng) || "",
+      value: maxValue || estValue,
+      valueBasis: maxValue ? "Declared" : estValue ? "Estimated" : "",
+      status: primary.status || "",
+      category: primary.category || "",
+      source: sourceLabel(primary.source_id),
+      contractor: unique(projects.flatMap((p) => (p.contractor || "").split("|").map((s) => s.trim()))).join("; "),
+      permits: unique(projects.map((p) => p.permit_number)).join("; "),
+      solicitation: unique(projects.map((p) => p.solicitation_number)).join("; "),
+      posted: primary.posted_date ? primary.posted_date.slice(0, 10) : null,
+      deadline: primary.deadline ? primary.deadline.slice(0, 10) : null,
+      count: projects.length,
+      url: primary.source_url || "",
+    };
+  });
+}
+
+// ─── CSV ────────────────────────────────────────────────────────────────────
+
+// Quote per RFC 4180; text that a spreadsheet would run as a formula gets a
+// leading apostrophe
+function csvCell(v) {
+  if (v == null) return "";
+  let s = String(v);
+  if (typeof v === "string" && /^[=+\-@\t\r]/.test(s)) s = `'${s}`;
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+export function toCsv(rows, columns = EXPORT_COLUMNS) {
+  const lines = [columns.map((c) => csvCell(c.label)).join(",")];
+  for (const row of rows) lines.push(columns.map((c) => csvCell(row[c.id])).join(","));
+  return lines.join("\r\n") + "\r\n";
+}
+
+// ─── XLSX ───────────────────────────────────────────────────────────────────
+
+const xml = (s) => String(s)
+  .replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;").replace(/"/g, "&quot;")
+  // eslint-disable-next-line no-control-regex
+  .replace(/[\u0000-\u0008\u000b\u000c\u000e-\u001f]/g, "");
+
+// A1-style column letters
+function colName(i) {
+  let s = "";
+  for (let n = i + 1; n > 0; n = Math.floor((n - 1) / 26)) s = String.fromCharCode(65 + ((n - 1) % 26)) + s;
+  return s;
+}
+
+// Excel serial day for a "YYYY-MM-DD" date (1900 date system)
+function serialDay(key) {
+  const [y, m, d] = key.split("-").map(Number);
+  return Date.UTC(y, m - 1, d) / 86400000 + 25569;
+}
+
+// Style indexes into cellXfs below
+const STYLE = { header: 1, money: 2, date: 3 };
+
+function sheetCell(ref, v, type) {
+  if (v == null || v === "") return "";
+  if (type === "money" && typeof v === "number") return `<c r="${ref}" s="${STYLE.money}"><v>${v}</v></c>`;
+  if (type === "date" && /^\d{4}-\d{2}-\d{2}$/.test(v)) return `<c r="${ref}" s="${STYLE.date}"><v>${serialDay(v)}</v></c>`;
+  if (typeof v === "number") return `<c r="${ref}"><v>${v}</v></c>`;
+  return `<c r="${ref}" t="inlineStr"><is><t xml:space="preserve">${xml(v)}</t></is></c>`;
+}
+
+function sheetXml(rows, columns) {
+  const header = columns.map((c, i) => `<c r="${colName(i)}1" t="inlineStr" s="${STYLE.header}"><is><t>${xml(c.label)}</t></is></c>`).join("");
+  const body = rows.map((row, r) =>
+    `<row r="${r + 2}">${columns.map((c, i) => sheetCell(`${colName(i)}${r + 2}`, row[c.id], c.type)).join("")}</row>`,
+  ).join("");
+  return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+    + '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">'
+    + '<sheetViews><sheetView workbookViewId="0"><pane ySplit="1" topLeftCell="A2" state="frozen"/></sheetView></sheetViews>'
+    + `<sheetData><row r="1">${header}</row>${body}</sheetData>`
+    + (rows.length ? `<autoFilter ref="A1:${colName(columns.length - 1)}${rows.length + 1}"/>` : "")
+    + "</worksheet>";
+}
+
+const STYLES_XML = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+  + '<styleSheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">'
+  + '<numFmts count="2"><numFmt numFmtId="164" formatCode="&quot;$&quot;#,##0"/><numFmt numFmtId="165" formatCode="yyyy-mm-dd"/></numFmts>'
+  + '<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font></fonts>'
+  + '<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>'
+  + '<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>'
+  + '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>'
+  + '<cellXfs count="4"><xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/>'
+  + '<xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/>'
+  + '<xf numFmtId="164" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>'
+  + '<xf numFmtId="165" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/></cellXfs>'
+  + "</styleSheet>";
+
+function workbookParts(rows, columns, sheetName) {
+  return {
+    "[Content_Types].xml": '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+      + '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">'
+      + '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>'
+      + '<Default Extension="xml" ContentType="application/xml"/>'
+      + '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>'
+      + '<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>'
+      + '<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>'
+      + "</Types>",
+    "_rels/.rels": '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+      + '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">'
+      + '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>'
+      + "</Relationships>",
+    "xl/workbook.xml": '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+      + '<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">'
+      + `<sheets><sheet name="${xml(sheetName.replace(/[\\/?*[\]:]/g, " ").slice(0, 31))}" sheetId="1" r:id="rId1"/></sheets>`
+      + "</workbook>",
+    "xl/_rels/workbook.xml.rels": '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+      + '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">'
+      + '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet1.xml"/>'
+      + '<Relationship Id="rId2" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>'
+      + "</Relationships>",
+    "xl/styles.xml": STYLES_XML,
+    "xl/worksheets/sheet1.xml": sheetXml(rows, columns),
+  };
+}
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+
+export function crc32(bytes) {
+  let c = 0xffffffff;
+  for (const b of bytes) c = CRC_TABLE[(c ^ b) & 0xff] ^ (c >>> 8);
+  return (c ^ 0xffffffff) >>> 0;
+}
+
+// Stored zip archive of { path: string } entries
+function zip(files) {
+  const enc = new TextEncoder();
+  const local = [];
+  const central = [];
+  let offset = 0;
+  for (const [path, content] of Object.entries(files)) {
+    const name = enc.encode(path);
+    const data = enc.encode(content);
+    const crc = crc32(data);
+    const header = new DataView(new ArrayBuffer(30));
+    header.setUint32(0, 0x04034b50, true);
+    header.setUint16(4, 20, true);             // version needed
+    header.setUint16(6, 0x0800, true);         // UTF-8 names
+    header.setUint16(12, 0x21, true);          // 1980-01-01
+    header.setUint32(14, crc, true);
+    header.setUint32(18, data.length, true);
+    header.setUint32(22, data.length, true);
+    header.setUint16(26, name.length, true);
+    local.push(new Uint8Array(header.buffer), name, data);
+
+    const entry = new DataView(new ArrayBuffer(46));
+    entry.setUint32(0, 0x02014b50, true);
+    entry.setUint16(4, 20, true);
+    entry.setUint16(6, 20, true);
+    entry.setUint16(8, 0x0800, true);
+    entry.setUint16(14, 0x21, true);
+    entry.setUint32(16, crc, true);
+    entry.setUint32(20, data.length, true);
+    entry.setUint32(24, data.length, true);
+    entry.setUint16(28, name.length, true);
+    entry.setUint32(42, offset, true);
+    central.push(new Uint8Array(entry.buffer), name);
+    offset += 30 + name.length + data.length;
+  }
+  const size = central.reduce((s, b) => s + b.length, 0);
+  const end = new DataView(new ArrayBuffer(22));
+  end.setUint32(0, 0x06054b50, true);
+  end.setUint16(8, central.length / 2, true);
+  end.setUint16(10, central.length / 2, true);
+  end.setUint32(12, size, true);
+  end.setUint32(16, offset, true);
+
+  const parts = [...local, ...central, new Uint8Array(end.buffer)];
+  const out = new Uint8Array(parts.reduce((s, b) => s + b.length, 0));
+  let at = 0;
+  for (const b of parts) { out.set(b, at); at += b.length; }
+  return out;
+}
+
+export function toXlsx(rows, { columns = EXPORT_COLUMNS, sheetName = "Projects" } = {}) {
+  return zip(workbookParts(rows, columns, sheetName));
+}
+
+export const XLSX_MIME = "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet";
@@ -0,0 +1,54 @@
+import { describe, it, expect } from "vitest";
+import { exportRows, toCsv, toXlsx, crc32, EXPORT_COLUMNS } from "./export";
+import { groupByAddress } from "./projects";
+
+const projects = [
+  {
+    id: 1, source_id: "charleston-permits", title: "New hotel", address: "10 King St, Charleston, SC 29401",
+    value: 2500000, status: "Issued", category: "hotel", contractor: "Acme Builders | Beta Electric",
+    permit_number: "BP-1", posted_date: "2025-06-01T00:00:00Z", source_url: "https://example.com/1",
+  },
+  { id: 2, source_id: "charleston-permits", title: "Hotel electrical", address: "10 King St, Charleston, SC 29401", permit_number: "EL-2", contractor: "Beta Electric", category: "electrical" },
+  { id: 3, source_id: "sam-gov", title: "=HYPERLINK(\"x\")", category: "government", solicitation_number: "W912-25", deadline: "2025-07-15" },
+];
+
+describe("exportRows", () => {
+  it("flattens each feed card into a row", () => {
+    const rows = exportRows(groupByAddress(projects), { "government__unknown": 400000 });
+    expect(rows).toHaveLength(2);
+    expect(rows[0]).toMatchObject({
+      title: "New hotel", address: "10 King St", value: 2500000, valueBasis: "Declared",
+      contractor: "Acme Builders; Beta Electric", permits: "BP-1; EL-2", posted: "2025-06-01", count: 2, source: "CHS Permits",
+    });
+    expect(rows[1]).toMatchObject({ value: 400000, valueBasis: "Estimated", solicitation: "W912-25", deadline: "2025-07-15", address: "" });
+  });
+});
+
+describe("toCsv", () => {
+  it("quotes and neutralizes formulas", () => {
+    const csv = toCsv(exportRows(groupByAddress(projects)));
+    const lines = csv.split("\r\n");
+    expect(lines[0]).toBe(EXPORT_COLUMNS.map((c) => c.label).join(","));
+    expect(lines[2].startsWith(`"'=HYPERLINK(""x"")",`)).toBe(true);
+    expect(csv.endsWith("\r\n")).toBe(true);
+  });
+});
+
+describe("toXlsx", () => {
+  it("writes a zip with the workbook parts", () => {
+    const bytes = toXlsx(exportRows(groupByAddress(projects)));
+    const view = new DataView(bytes.buffer);
+    expect(view.getUint32(0, true)).toBe(0x04034b50);
+    const end = bytes.length - 22;
+    expect(view.getUint32(end, true)).toBe(0x06054b50);
+    expect(view.getUint16(end + 10, true)).toBe(6);
+    const text = new TextDecoder().decode(bytes);
+    expect(text).toContain("xl/worksheets/sheet1.xml");
+    expect(text).toContain('<c r="D2" s="2"><v>2500000</v></c>');
+    expect(text).toContain("=HYPERLINK(&quot;x&quot;)");
+  });
+
+  it("checksums entries with CRC-32", () => {
+    expect(crc32(new TextEncoder().encode("123456789"))).toBe(0xcbf43926);
+  });
+});
@@ -0,0 +1,95 @@
+// Query-string side of the scanner feed. /projects is paged server-side, so
+// every filter the backend can evaluate goes into the request — that way
+// `total` and `total_value` in the response describe the whole match set,
+// not just the pages loaded so far.
+
+import { neighborhoodBounds } from "./neighborhoods";
+import { TRADE_CATEGORIES, PERMIT_MAX_AGE_DAYS, showsDefaultFeed, matchesFilters } from "./filters";
+import { DEFAULT_RULES, hidingRule } from "./rules";
+import { relevanceVerdict } from "./dismissals";
+import { serverSort } from "./sort";
+import { parseQuery, serverSearch, serverCoversQuery, queryMinValue } from "./query";
+
+export const PAGE_SIZE = 100;
+
+// `limit` 1 is enough when only the response's total is wanted (saved-search counts)
+export function feedParams(filters, market, offset = 0, limit = PAGE_SIZE) {
+  const params = new URLSearchParams({
+    ...serverSort(filters),
+    limit: String(limit),
+    offset: String(offset),
+    permit_max_age_days: String(PERMIT_MAX_AGE_DAYS),
+  });
+  const list = (key, values) => { if (values?.length) params.set(key, values.join(",")); };
+
+  // The search box's full syntax is applied client-side (matchesFilters)
+  const query = parseQuery(filters.search);
+  const minValue = Math.max(filters.minValue || 0, queryMinValue(query));
+  if (serverSearch(query)) params.set("search", serverSearch(query));
+  if (minValue > 0) params.set("min_value", String(minValue));
+  if (filters.category) params.set("categories", filters.category);
+  else if (!showsDefaultFeed(filters)) list("categories", filters.categories);
+  else list("exclude_categories", [...(filters.tradeView ? [] : TRADE_CATEGORIES), ...(filters.categories || [])]);
+  list(filters.statusMode === "exclude" ? "exclude_statuses" : "statuses", filters.statuses);
+  list("sources", filters.sources);
+  list("client_types", filters.clientTypes);
+  if (filters.inRegion && market?.region) params.set("region", market.region);
+  // Neighborhoods are our polygons, not the backend's — send their bbox and
+  // let the caller do the exact point-in-polygon test on each page
+  const box = market && neighborhoodBounds(market.id, filters.neighborhoods);
+  if (box) for (const k of ["west", "south", "east", "north"]) params.set(k, String(box[k]));
+  return params;
+}
+
+// The feed's client-side pass over one server row, for whatever counts feed
+// rows without rendering them (saved-search badges, digests): the FilterBar
+// rules the backend can't evaluate, dismissals, then the user's feed rules and
+// the relevance filter, which saved projects skip — as in SiteScanApp.
+//   savedIds      saved project ids (Set or Map)
+//   dismissedIds  dismissed project ids, as strings
+//   rules         feed rules (rules.js)
+//   relevance     relevance model (dismissals.js), or null when it's off
+export function feedKeeps(project, filters, market, { savedIds = new Set(), dismissedIds = new Set(), rules = DEFAULT_RULES, relevance = null } = {}) {
+  if (!matchesFilters(project, filters, market)) return false;
+  if (dismissedIds.has(String(project.id))) return false;
+  if (savedIds.has(project.id)) return true;
+  if (showsDefaultFeed(filters) && hidingRule(project, rules)) return false;
+  return !(relevance && relevanceVerdict(project, relevance));
+}
+
+// Whether another page exists after `loaded` rows. Falls back to "the last
+// page came back full" for backends that don't report a total.
+export function hasMorePages(loaded, lastPageSize, total) {
+  if (total != null) return loaded < total;
+  return lastPageSize === PAGE_SIZE;
+}
+
+// Headline count and pipeline value. The server's total covers the whole match
+// set but only the filters it can evaluate; rows the client drops from loaded
+// pages (neighborhood polygons, feed rules, relevance, dismissals, the full
+// search syntax) make it an overcount. So:
+//   nothing dropped so far   server total, when it reports one and the
+//                            backend saw the whole search query
+//   every page loaded        exact, from the rows
+//   otherwise                from the loaded rows, `partial` — a lower bound
+//   rows    loaded server rows that made it into the feed
+//   loaded  server rows loaded so far, before client-side filters
+//   search  the filters' search box query
+export function feedTotals({ rows, loaded, total = null, totalValue = null, hasMore, search = "" }) {
+  const rowValue = rows.reduce((sum, p) => sum + (p.value || 0), 0);
+  if (total != null && rows.length === loaded && serverCoversQuery(parseQuery(search))) {
+    return { count: total, value: totalValue ?? rowValue, partial: false };
+  }
+  return { count: rows.length, value: rowValue, partial: hasMore };
+}
+
+// Per-address lookups (sub-permits, contractor sites) run this many at a time
+export const SITE_FETCH_BATCH = 6;
+
+// Maps `items` through async `fn`, at most `size` in flight at once; results
+// come back in item order
+export async function mapInBatches(items, size, fn) {
+  const out = [];
+  for (let i = 0; i < items.length; i += size) out.push(...await Promise.all(items.slice(i, i + size).map(fn)));
+  return out;
+}
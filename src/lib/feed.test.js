@@ -0,0 +1,151 @@
+import { describe, it, expect } from "vitest";
+import { PAGE_SIZE, feedParams, hasMorePages, feedTotals, feedKeeps, mapInBatches } from "./feed";
+import { DEFAULT_FILTERS } from "./filters";
+import { PERMIT_MAX_AGE_DAYS } from "./filters";
+import { getMarket } from "./markets";
+
+const base = { search: "", category: "", sources: [], clientTypes: [], minValue: 0, categories: [], categoryMode: "include", statuses: [], statusMode: "include", sortBy: "value", sortDir: "desc", inRegion: false };
+const charlotte = getMarket("charlotte-nc");
+
+describe("feedParams", () => {
+  it("pages and sorts", () => {
+    const p = feedParams(base, charlotte, 200);
+    expect(p.get("limit")).toBe(String(PAGE_SIZE));
+    expect(p.get("offset")).toBe("200");
+    expect(p.get("sort_by")).toBe("value");
+    expect(p.get("sort_dir")).toBe("desc");
+    expect(p.get("permit_max_age_days")).toBe(String(PERMIT_MAX_AGE_DAYS));
+    expect(feedParams(base, charlotte, 0, 1).get("limit")).toBe("1");
+  });
+
+  it("asks the backend for value order when only the client can sort", () => {
+    expect(feedParams({ ...base, sortBy: "match" }, charlotte).get("sort_by")).toBe("value");
+    const byDeadline = feedParams({ ...base, sortBy: "deadline", sortDir: "asc" }, charlotte);
+    expect(byDeadline.get("sort_by")).toBe("deadline");
+    expect(byDeadline.get("sort_dir")).toBe("asc");
+  });
+
+  it("sends the backend the plain words and value floor of a search query", () => {
+    const p = feedParams({ ...base, search: 'hotel contractor:"Choate" value>2M -roof', minValue: 100000 }, charlotte);
+    expect(p.get("search")).toBe("hotel");
+    expect(p.get("min_value")).toBe("2000000");
+    expect(feedParams({ ...base, search: "-roof" }, charlotte).has("search")).toBe(false);
+  });
+
+  it("hides trade categories unless categories are picked", () => {
+    expect(feedParams(base, charlotte).get("exclude_categories")).toContain("electrical");
+    const picked = feedParams({ ...base, categories: ["hotel", "office"] }, charlotte);
+    expect(picked.get("categories")).toBe("hotel,office");
+    expect(picked.has("exclude_categories")).toBe(false);
+    expect(feedParams({ ...base, tradeView: true }, charlotte).has("exclude_categories")).toBe(false);
+  });
+
+  it("adds excluded categories to the trade list in exclude mode", () => {
+    const p = feedParams({ ...base, categories: ["hotel"], categoryMode: "exclude" }, charlotte);
+    expect(p.get("exclude_categories").split(",")).toEqual(expect.arrayContaining(["electrical", "hotel"]));
+    expect(p.has("categories")).toBe(false);
+  });
+
+  it("sends statuses as an include or exclude list by mode", () => {
+    const only = feedParams({ ...base, statuses: ["Issued", "Open"] }, charlotte);
+    expect(only.get("statuses")).toBe("Issued,Open");
+    expect(only.has("exclude_statuses")).toBe(false);
+    const hide = feedParams({ ...base, statuses: ["Finaled"], statusMode: "exclude" }, charlotte);
+    expect(hide.get("exclude_statuses")).toBe("Finaled");
+    expect(hide.has("statuses")).toBe(false);
+  });
+
+  it("pushes value, source, client type and region filters", () => {
+    const p = feedParams({
+      ...base, minValue: 500000, sources: ["charlotte-cip"],
+      clientTypes: ["government"], inRegion: true, search: "hotel",
+    }, charlotte);
+    expect(p.get("min_value")).toBe("500000");
+    expect(p.get("sources")).toBe("charlotte-cip");
+    expect(p.get("client_types")).toBe("government");
+    expect(p.get("region")).toBe("charlotte");
+    expect(p.get("search")).toBe("hotel");
+  });
+
+  it("leaves unset filters off the query", () => {
+    const p = feedParams(base, charlotte);
+    for (const key of ["min_value", "statuses", "exclude_statuses", "sources", "client_types", "region", "search", "west"]) {
+      expect(p.has(key), key).toBe(false);
+    }
+  });
+
+  it("narrows to the bbox of the selected neighborhoods", () => {
+    const p = feedParams({ ...base, neighborhoods: ["Uptown"] }, charlotte);
+    expect(p.get("west")).toBe("-80.86");
+    expect(p.get("north")).toBe("35.242");
+  });
+});
+
+describe("feedKeeps", () => {
+  const row = (id, title, extra = {}) => ({ id, source_id: "charleston-permits", title, category: "office", value: 500000, ...extra });
+  const culvert = row(1, "Culvert replacement");
+  const office = row(2, "New office building");
+  const hotel = row(3, "Hotel renovation", { category: "hotel" });
+
+  it("applies dismissals, feed rules and the relevance filter", () => {
+    const opts = { dismissedIds: new Set(["2"]), relevance: { categories: { hotel: 3 }, areas: {}, minValue: null } };
+    expect([culvert, office, hotel].filter((p) => feedKeeps(p, DEFAULT_FILTERS, charlotte, opts))).toEqual([]);
+    expect(feedKeeps(office, DEFAULT_FILTERS, charlotte)).toBe(true);
+    expect(feedKeeps(office, { ...DEFAULT_FILTERS, search: "-office" }, charlotte)).toBe(false);
+  });
+
+  it("keeps saved projects past rules and relevance", () => {
+    const opts = { savedIds: new Set([1, 3]), relevance: { categories: { hotel: 3 }, areas: {}, minValue: null } };
+    expect(feedKeeps(culvert, DEFAULT_FILTERS, charlotte, opts)).toBe(true);
+    expect(feedKeeps(hotel, DEFAULT_FILTERS, charlotte, opts)).toBe(true);
+  });
+});
+
+describe("hasMorePages", () => {
+  it("uses the server total when there is one", () => {
+    expect(hasMorePages(100, 100, 250)).toBe(true);
+    expect(hasMorePages(250, 50, 250)).toBe(false);
+  });
+
+  it("falls back to a full last page", () => {
+    expect(hasMorePages(100, PAGE_SIZE, undefined)).toBe(true);
+    expect(hasMorePages(140, 40, null)).toBe(false);
+  });
+});
+
+describe("feedTotals", () => {
+  const rows = [{ value: 100 }, { value: 50 }, {}];
+
+  it("trusts the server total until the client drops a row", () => {
+    expect(feedTotals({ rows, loaded: 3, total: 900, totalValue: 1e6, hasMore: true }))
+      .toEqual({ count: 900, value: 1e6, partial: false });
+  });
+
+  it("counts the rows once client-side filters drop some", () => {
+    expect(feedTotals({ rows, loaded: 5, total: 900, totalValue: 1e6, hasMore: true }))
+      .toEqual({ count: 3, value: 150, partial: true });
+    expect(feedTotals({ rows, loaded: 5, total: 5, totalValue: 1e6, hasMore: false }))
+      .toEqual({ count: 3, value: 150, partial: false });
+    expect(feedTotals({ rows, loaded: 3, hasMore: true })).toEqual({ count: 3, value: 150, partial: true });
+  });
+
+  it("counts the rows when the search has terms only the client applies", () => {
+    expect(feedTotals({ rows, loaded: 3, total: 900, totalValue: 1e6, hasMore: true, search: "hotel -roof" }))
+      .toEqual({ count: 3, value: 150, partial: true });
+    expect(feedTotals({ rows, loaded: 3, total: 900, totalValue: 1e6, hasMore: true, search: "hotel" }).count).toBe(900);
+  });
+});
+
+describe("mapInBatches", () => {
+  it("keeps item order and caps how many run at once", async () => {
+    let running = 0, peak = 0;
+    const out = await mapInBatches([1, 2, 3, 4, 5], 2, async (n) => {
+      peak = Math.max(peak, ++running);
+      await new Promise((r) => setTimeout(r, 6 - n));
+      running--;
+      return n * 10;
+    });
+    expect(out).toEqual([10, 20, 30, 40, 50]);
+    expect(peak).toBe(2);
+  });
+});
@@ -0,0 +1,97 @@
+// Client-side evaluation of the FilterBar state. The backend applies the same
+// rules through feedParams (feed.js); this copy covers rows the backend never
+// sees (parcel opportunities) and anything it can't evaluate (polygons, the
+// search box's query syntax).
+
+import { SOURCES, projectInRegion } from "./sources";
+import { getNeighborhood } from "./neighborhoods";
+import { parseQuery, matchesQuery } from "./query";
+
+// FilterBar state for a fresh session, before profile defaults or a shared link
+export const DEFAULT_FILTERS = {
+  search: "", category: "", sources: [], clientTypes: [], minValue: 100000,
+  categories: [], categoryMode: "include", statuses: [], statusMode: "include",
+  neighborhoods: [], inRegion: false, sortBy: "value", sortDir: "desc", thenBy: [], homeBase: "office",
+  tradeView: false,
+};
+
+// ─── CHIP MODES ─────────────────────────────────────────────────────────────
+
+// Status and category chips either narrow the feed to the picked values
+// ("include") or drop them ("exclude"). No chips picked means no filter.
+export const FILTER_MODES = {
+  include: { label: "Only", verb: "Showing only" },
+  exclude: { label: "Hide", verb: "Hiding" },
+};
+
+// Profile status chips predate the toggle and meant "Hide", so a profile
+// saved without a mode keeps excluding them
+export function profileStatusMode(profile) {
+  if (profile?.criteria_status_mode) return profile.criteria_status_mode;
+  return profile?.criteria_statuses?.length ? "exclude" : "include";
+}
+
+export function chipMatch(selected, mode, value) {
+  if (!selected?.length) return true;
+  const hit = selected.includes(value);
+  return mode === "exclude" ? !hit : hit;
+}
+
+// ─── DEFAULT FEED RULES ─────────────────────────────────────────────────────
+
+// Trade-only permit categories — subcontractor pulls, not GC-level projects.
+// Excluded from the default feed; shown when explicitly filtered for or in
+// Trade view.
+export const TRADE_CATEGORIES = new Set([
+  "fire-sprinkler", "electrical", "plumbing", "mechanical", "painting", "roofing", "structural",
+]);
+
+// Permits older than this are closed out and drop from the feed
+export const PERMIT_MAX_AGE_DAYS = 3 * 365;
+
+// Picking categories in "include" mode is the only way to see trade rows, or
+// rows the user's feed rules (rules.js) hide
+export function showsDefaultFeed(filters) {
+  return !(filters.categories?.length && filters.categoryMode !== "exclude");
+}
+
+// ─── CLIENT TYPES ───────────────────────────────────────────────────────────
+
+// Source kinds each client type cares about (see SOURCES in sources.js)
+const CLIENT_TYPE_KINDS = {
+  developer:  new Set(["permit", "parcel"]),
+  government: new Set(["bid"]),
+};
+const CLIENT_TYPE_CATEGORIES = {
+  "higher-ed":    new Set(["institutional","healthcare","education"]),
+  broker:         new Set(["commercial","office","retail","renovation"]),
+  "multi-family": new Set(["multi-family","mixed-use"]),
+};
+
+export function projectMatchesClientTypes(project, clientTypes) {
+  if (!clientTypes.length) return true;
+  return clientTypes.some(ct =>
+    CLIENT_TYPE_KINDS[ct]?.has(SOURCES[project.source_id]?.kind) ||
+    CLIENT_TYPE_CATEGORIES[ct]?.has(project.category)
+  );
+}
+
+// ─── EVALUATION ─────────────────────────────────────────────────────────────
+
+export function matchesFilters(project, filters, market) {
+  const kind = SOURCES[project.source_id]?.kind;
+  if (!projectMatchesClientTypes(project, filters.clientTypes || [])) return false;
+  if (filters.search && !matchesQuery(project, parseQuery(filters.search))) return false;
+  if ((filters.minValue || 0) > 0 && project.value && project.value < filters.minValue) return false;
+  if (!chipMatch(filters.statuses, filters.statusMode, project.status)) return false;
+  if (!chipMatch(filters.categories, filters.categoryMode, project.category)) return false;
+  if (showsDefaultFeed(filters) && TRADE_CATEGORIES.has(project.category) && !filters.tradeView) return false;
+  if ((filters.sources || []).length && !filters.sources.includes(project.source_id)) return false;
+  // Parcel opportunities are fetched for the market's bbox, so they're in-region by construction
+  if (filters.inRegion && kind !== "parcel" && !projectInRegion(project, market?.region)) return false;
+  if ((filters.neighborhoods || []).length &&
+      !filters.neighborhoods.includes(getNeighborhood(project.latitude, project.longitude))) return false;
+  if (kind === "permit" && project.posted_date &&
+      (Date.now() - new Date(project.posted_date)) > PERMIT_MAX_AGE_DAYS * 86400000) return false;
+  return true;
+}
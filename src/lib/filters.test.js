@@ -0,0 +1,106 @@
+import { describe, it, expect } from "vitest";
+import { chipMatch, profileStatusMode, matchesFilters, projectMatchesClientTypes, showsDefaultFeed } from "./filters";
+import { getMarket } from "./markets";
+import { SOURCE_FIXTURES } from "./__fixtures__/projects";
+
+const base = { clientTypes: [], minValue: 0, categories: [], categoryMode: "include", statuses: [], statusMode: "include", sources: [], inRegion: false };
+const charleston = getMarket("charleston-sc");
+const hotel = SOURCE_FIXTURES["charleston-permits"][0].project;
+const parcel = {
+  id: "parcel-1", source_id: "parcel-opportunity", category: "commercial", status: "Opportunities",
+  title: "Vacant Commercial lot", value: 800000, latitude: 32.79, longitude: -80.02,
+};
+
+describe("profileStatusMode", () => {
+  it("reads statuses saved before the mode toggle as hidden", () => {
+    expect(profileStatusMode({ criteria_statuses: ["Finaled"] })).toBe("exclude");
+    expect(profileStatusMode({ criteria_statuses: ["Issued"], criteria_status_mode: "include" })).toBe("include");
+    expect(profileStatusMode({ criteria_statuses: [] })).toBe("include");
+    expect(profileStatusMode(null)).toBe("include");
+  });
+});
+
+describe("chipMatch", () => {
+  it("passes everything when nothing is picked", () => {
+    expect(chipMatch([], "include", "Issued")).toBe(true);
+    expect(chipMatch(undefined, "exclude", "Issued")).toBe(true);
+  });
+
+  it("keeps only picked values in include mode", () => {
+    expect(chipMatch(["Issued"], "include", "Issued")).toBe(true);
+    expect(chipMatch(["Issued"], "include", "Applied")).toBe(false);
+  });
+
+  it("drops picked values in exclude mode", () => {
+    expect(chipMatch(["Issued"], "exclude", "Issued")).toBe(false);
+    expect(chipMatch(["Issued"], "exclude", "Applied")).toBe(true);
+  });
+
+  it("treats a missing mode as include", () => {
+    expect(chipMatch(["Issued"], undefined, "Applied")).toBe(false);
+  });
+});
+
+describe("matchesFilters", () => {
+  it("shows only the picked status", () => {
+    expect(matchesFilters(hotel, { ...base, statuses: ["In Review"] }, charleston)).toBe(true);
+    expect(matchesFilters(hotel, { ...base, statuses: ["Issued"] }, charleston)).toBe(false);
+  });
+
+  it("applies the same status rules to parcel opportunities", () => {
+    expect(matchesFilters(parcel, { ...base, statuses: ["Opportunities"] }, charleston)).toBe(true);
+    expect(matchesFilters(parcel, { ...base, statuses: ["Issued"] }, charleston)).toBe(false);
+    expect(matchesFilters(parcel, { ...base, statuses: ["Opportunities"], statusMode: "exclude" }, charleston)).toBe(false);
+  });
+
+  it("hides picked categories in exclude mode but keeps the default feed rules", () => {
+    const f = { ...base, categories: ["hotel"], categoryMode: "exclude" };
+    expect(matchesFilters(hotel, f, charleston)).toBe(false);
+    expect(matchesFilters({ ...hotel, category: "office" }, f, charleston)).toBe(true);
+    expect(matchesFilters({ ...hotel, category: "electrical" }, f, charleston)).toBe(false);
+  });
+
+  it("lets trade categories through only when picked in include mode", () => {
+    const electrical = { ...hotel, category: "electrical" };
+    expect(matchesFilters(electrical, base, charleston)).toBe(false);
+    expect(matchesFilters(electrical, { ...base, categories: ["electrical"] }, charleston)).toBe(true);
+  });
+
+  it("applies the search query syntax", () => {
+    expect(matchesFilters(parcel, { ...base, search: "vacant -hotel value>500k" }, charleston)).toBe(true);
+    expect(matchesFilters(parcel, { ...base, search: "category:hotel" }, charleston)).toBe(false);
+  });
+
+  it("lets trade categories through in Trade view", () => {
+    const electrical = { ...hotel, category: "electrical" };
+    expect(matchesFilters(electrical, { ...base, tradeView: true }, charleston)).toBe(true);
+  });
+
+  it("keeps parcel opportunities in-region and filters them by neighborhood", () => {
+    expect(matchesFilters(parcel, { ...base, inRegion: true }, charleston)).toBe(true);
+    expect(matchesFilters(parcel, { ...base, neighborhoods: ["West Ashley"] }, charleston)).toBe(true);
+    expect(matchesFilters(parcel, { ...base, neighborhoods: ["Downtown"] }, charleston)).toBe(false);
+  });
+
+  it("applies the minimum value only to rows that have one", () => {
+    expect(matchesFilters(parcel, { ...base, minValue: 1000000 }, charleston)).toBe(false);
+    expect(matchesFilters({ ...parcel, value: null }, { ...base, minValue: 1000000 }, charleston)).toBe(true);
+  });
+});
+
+describe("showsDefaultFeed", () => {
+  it("is off only for an include-mode category pick", () => {
+    expect(showsDefaultFeed(base)).toBe(true);
+    expect(showsDefaultFeed({ ...base, categories: ["hotel"] })).toBe(false);
+    expect(showsDefaultFeed({ ...base, categories: ["hotel"], categoryMode: "exclude" })).toBe(true);
+  });
+});
+
+describe("projectMatchesClientTypes", () => {
+  it("matches on source kind or category", () => {
+    expect(projectMatchesClientTypes(parcel, ["developer"])).toBe(true);
+    expect(projectMatchesClientTypes(hotel, ["government"])).toBe(false);
+    expect(projectMatchesClientTypes({ ...hotel, category: "office" }, ["broker"])).toBe(true);
+    expect(projectMatchesClientTypes(hotel, [])).toBe(true);
+  });
+});
@@ -0,0 +1,21 @@
+// Display formatting shared by the cards and the alert digests.
+
+export const fmt$ = (v) => {
+  if (!v) return "—";
+  if (v >= 1e6) return `$${(v / 1e6).toFixed(1)}M`;
+  if (v >= 1e3) return `$${(v / 1e3).toFixed(0)}K`;
+  return `$${v.toLocaleString()}`;
+};
+
+// Estimated values (from valueMedians) get a "~" so they never pass for real ones
+export const fmtEst = (v) => {
+  if (!v) return null;
+  if (v >= 1e6) return `~$${(v / 1e6).toFixed(1)}M`;
+  if (v >= 1e3) return `~$${(v / 1e3).toFixed(0)}K`;
+  return `~$${v.toLocaleString()}`;
+};
+
+export const fmtDate = (d) => {
+  if (!d) return "—";
+  return new Date(d).toLocaleDateString("en-US", { month: "short", day: "numeric", year: "numeric" });
+};
@@ -0,0 +1,161 @@
+// One-page project brief for site walks, printed (or saved as PDF) by the
+// browser. Everything is rendered locally: the "map" is an SVG drawn from the
+// bundled neighborhood outlines, so no tile server or PDF service is involved.
+
+import { cleanAddress, getDisplayTitle, getDescText, getPrimaryPermit, getWorkClass } from "./projects";
+import { NEIGHBORHOODS, getNeighborhood } from "./neighborhoods";
+import { sourceLabel } from "./sources";
+import { threadNotes } from "./worklog";
+import { fmt$, fmtEst, fmtDate } from "./format";
+
+const esc = (s) => String(s ?? "")
+  .replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;").replace(/"/g, "&quot;");
+
+// ─── MAP SNAPSHOT ───────────────────────────────────────────────────────────
+
+const MI_PER_DEG_LAT = 69.05;
+
+// SVG map centred on the project: neighborhood outlines within `radiusMi`
+// (else a grid and the coordinates), the pin, a north arrow and a one-mile
+// scale bar
+export function mapSnapshotSvg({ lat, lng }, { width = 320, height = 220, radiusMi = 2 } = {}) {
+  if (lat == null || lng == null) return "";
+  lat = Number(lat); lng = Number(lng);
+  const miPerDegLng = MI_PER_DEG_LAT * Math.cos((lat * Math.PI) / 180);
+  const scale = Math.min(width, height) / 2 / radiusMi; // px per mile
+  const x = (ln) => width / 2 + (ln - lng) * miPerDegLng * scale;
+  const y = (la) => height / 2 - (la - lat) * MI_PER_DEG_LAT * scale;
+  const ring = (r) => `M${r.map(([ln, la]) => `${x(ln).toFixed(1)},${y(la).toFixed(1)}`).join("L")}Z`;
+
+  const shapes = [];
+  for (const collection of Object.values(NEIGHBORHOODS)) {
+    for (const { properties, geometry } of collection.features) {
+      const polys = geometry.type === "Polygon" ? [geometry.coordinates] : geometry.coordinates;
+      const pts = polys.flat(2);
+      const visible = pts.some(([ln, la]) => x(ln) >= 0 && x(ln) <= width && y(la) >= 0 && y(la) <= height);
+      if (!visible) continue;
+      shapes.push(`<path d="${polys.map((rings) => rings.map(ring).join("")).join("")}" fill="#e8eef5" stroke="#8aa0b8" stroke-width="1" fill-rule="evenodd"><title>${esc(properties.name)}</title></path>`);
+    }
+  }
+  // Nothing mapped nearby: a half-mile grid and the coordinates instead, so
+  // the box still reads as a map rather than a blank
+  if (!shapes.length) {
+    const step = scale / 2;
+    const lines = [];
+    for (let gx = (width / 2) % step; gx <= width; gx += step) lines.push(`M${gx.toFixed(1)},0V${height}`);
+    for (let gy = (height / 2) % step; gy <= height; gy += step) lines.push(`M0,${gy.toFixed(1)}H${width}`);
+    shapes.push(`<path d="${lines.join("")}" stroke="#dde4ec" stroke-width="1"/>`);
+    shapes.push(`<text x="${width / 2}" y="${height / 2 + 22}" font-size="10" text-anchor="middle" fill="#555">${lat.toFixed(4)}, ${lng.toFixed(4)}</text>`);
+  }
+  const bar = scale; // one mile
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" class="map">`
+    + `<rect width="${width}" height="${height}" fill="#f7f9fb"/>`
+    + shapes.join("")
+    + `<circle cx="${width / 2}" cy="${height / 2}" r="7" fill="#f0a030" stroke="#fff" stroke-width="2"/>`
+    + `<text x="${width - 14}" y="20" font-size="12" text-anchor="middle" font-weight="700">N</text>`
+    + `<path d="M${width - 14},24 l-4,10 h8 z" fill="#333"/>`
+    + `<path d="M10,${height - 12} h${bar.toFixed(1)}" stroke="#333" stroke-width="2"/>`
+    + `<text x="10" y="${height - 16}" font-size="10">1 mi</text>`
+    + "</svg>";
+}
+
+// ─── SHEET ──────────────────────────────────────────────────────────────────
+
+const row = (label, value) => (value ? `<tr><th>${esc(label)}</th><td>${value}</td></tr>` : "");
+
+// Full HTML document for the print frame.
+//   group        feed card group ({ displayAddress, lat, lng, projects, phaseCount? })
+//   notes        saved-project notes, when the project is saved
+//   estValue     median-based estimate when no permit declares a value
+//   projectUrl   link back to the card in the app
+export function leadSheetHtml(group, { notes = [], estValue = null, projectUrl = "", now = new Date() } = {}) {
+  const { projects } = group;
+  const primary = getPrimaryPermit(projects);
+  const title = getDisplayTitle(primary) || "Untitled project";
+  const address = cleanAddress(group.displayAddress ?? primary.address);
+  const hood = getNeighborhood(group.lat, group.lng);
+  const maxValue = Math.max(...projects.map((p) => p.value || 0)) || null;
+  const parcel = projects.find((p) => p.parcel)?.parcel;
+  const others = projects.filter((p) => p !== primary);
+
+  const facts = [
+    row("Value", maxValue ? esc(fmt$(maxValue)) : estValue ? `${esc(fmtEst(estValue))} <small>(estimated from similar projects)</small>` : ""),
+    row("Status", esc(primary.status)),
+    row("Category", esc([primary.category, getWorkClass(primary)].filter(Boolean).join(" · "))),
+    row("Source", esc(sourceLabel(primary.source_id))),
+    row("Permit #", esc(primary.permit_number)),
+    row("Solicitation #", esc(primary.solicitation_number)),
+    row("Posted", primary.posted_date ? esc(fmtDate(primary.posted_date)) : ""),
+    row("Deadline", primary.deadline ? esc(fmtDate(primary.deadline)) : ""),
+    row("Contractor", esc((primary.contractor || "").split("|").map((s) => s.trim()).filter(Boolean).join(", "))),
+    row("Agency", esc((primary.agency || "").split("|")[0])),
+  ].join("");
+
+  const parcelRows = parcel ? [
+    row("TMS", esc(parcel.tms)),
+    row("Use", esc(parcel.use)),
+    row("Owner", esc(parcel.owner)),
+    row("Land", parcel.land ? esc(fmt$(parcel.land)) : ""),
+    row("Improvements", parcel.improvements ? esc(fmt$(parcel.improvements)) : ""),
+    row("Total appraisal", parcel.total ? esc(fmt$(parcel.total)) : ""),
+    row("Year built", esc(parcel.yearBuilt)),
+  ].join("") : "";
+
+  const permitRows = others.map((p) => `<tr>
+    <td>${esc(p.permit_number || p.solicitation_number || "—")}</td>
+    <td>${esc(getDisplayTitle(p) || p.title)}</td>
+    <td>${esc(p.category || "")}</td>
+    <td>${esc(p.status || "")}</td>
+    <td class="num">${p.value ? esc(fmt$(p.value)) : "—"}</td>
+    <td>${p.posted_date ? esc(fmtDate(p.posted_date)) : ""}</td>
+  </tr>`).join("");
+
+  const noteItems = threadNotes(notes).map((n) => `<li>
+    <div class="meta">${esc(n.author || "You")} · ${esc(fmtDate(n.created_at))}</div>${esc(n.body)}
+    ${n.replies.length ? `<ul>${n.replies.map((r) => `<li><div class="meta">${esc(r.author || "You")} · ${esc(fmtDate(r.created_at))}</div>${esc(r.body)}</li>`).join("")}</ul>` : ""}
+  </li>`).join("");
+
+  const description = getDescText(primary);
+  const map = mapSnapshotSvg({ lat: group.lat, lng: group.lng });
+
+  return `<!doctype html>
+<html><head><meta charset="utf-8"><title>${esc(title)}</title>
+<style>
+  @page { size: letter; margin: 0.5in; }
+  body { font: 11px/1.4 -apple-system, "Segoe UI", Helvetica, Arial, sans-serif; color: #111; margin: 0; }
+  h1 { font-size: 18px; margin: 0 0 2px; }
+  h2 { font-size: 12px; text-transform: uppercase; letter-spacing: .06em; color: #555; border-bottom: 1px solid #ccc; margin: 14px 0 6px; padding-bottom: 2px; }
+  .sub { color: #555; margin-bottom: 10px; }
+  .top { display: flex; gap: 16px; align-items: flex-start; }
+  .top > div { flex: 1; }
+  .map { border: 1px solid #ccc; flex-shrink: 0; }
+  table { border-collapse: collapse; width: 100%; }
+  th, td { text-align: left; vertical-align: top; padding: 2px 6px 2px 0; }
+  .facts th { color: #555; font-weight: 600; width: 110px; }
+  .permits th { border-bottom: 1px solid #ccc; font-size: 10px; text-transform: uppercase; color: #555; }
+  .permits td { border-bottom: 1px solid #eee; }
+  .num { text-align: right; }
+  ul { margin: 0; padding-left: 16px; }
+  li { margin-bottom: 4px; white-space: pre-wrap; }
+  .meta { color: #777; font-size: 10px; white-space: normal; }
+  footer { margin-top: 14px; color: #777; font-size: 10px; word-break: break-all; }
+</style></head>
+<body>
+  <h1>${esc(title)}</h1>
+  <div class="sub">${esc([address, hood].filter(Boolean).join(" · ") || "No address")}</div>
+  <div class="top">
+    <div><table class="facts">${facts}</table></div>
+    ${map}
+  </div>
+  ${description ? `<h2>Description</h2><div>${esc(description)}</div>` : ""}
+  ${parcelRows ? `<h2>Parcel</h2><table class="facts">${parcelRows}</table>` : ""}
+  ${permitRows ? `<h2>Related permits${group.phaseCount > 1 ? ` · ${group.phaseCount} phases` : ""} (${others.length})</h2>
+  <table class="permits"><tr><th>Number</th><th>Title</th><th>Category</th><th>Status</th><th class="num">Value</th><th>Posted</th></tr>${permitRows}</table>` : ""}
+  ${noteItems ? `<h2>Notes</h2><ul>${noteItems}</ul>` : ""}
+  <footer>
+    ${primary.source_url ? `Source: ${esc(primary.source_url)}<br>` : ""}
+    ${projectUrl ? `Yabodle: ${esc(projectUrl)}<br>` : ""}
+    Printed ${esc(fmtDate(now))}
+  </footer>
+</body></html>`;
+}
@@ -0,0 +1,58 @@
+import { describe, it, expect } from "vitest";
+import { leadSheetHtml, mapSnapshotSvg } from "./leadsheet";
+import { groupByAddress } from "./projects";
+
+const hotel = {
+  id: 1, source_id: "charleston-permits", title: "New hotel <5 story>", address: "10 King St, Charleston, SC",
+  latitude: 32.776, longitude: -79.931, value: 2500000, status: "Issued", category: "hotel",
+  contractor: "Acme Builders | Beta Electric", permit_number: "BP-1", source_url: "https://example.com/1",
+};
+const electrical = { ...hotel, id: 2, title: "Hotel electrical", value: 90000, permit_number: "EL-2", category: "electrical" };
+
+describe("mapSnapshotSvg", () => {
+  it("draws nearby outlines around a centred pin", () => {
+    const svg = mapSnapshotSvg({ lat: 32.776, lng: -79.931 }, { width: 200, height: 100 });
+    expect(svg).toContain('<circle cx="100" cy="50"');
+    expect(svg).toMatch(/<path d="M[\d.-]+,[\d.-]+L/);
+    expect(mapSnapshotSvg({ lat: null, lng: null })).toBe("");
+  });
+
+  it("falls back to a grid and the coordinates away from any outline", () => {
+    const svg = mapSnapshotSvg({ lat: 33.5, lng: -81.5 }, { width: 200, height: 100 });
+    expect(svg).not.toContain("<title>");
+    expect(svg).toContain("M100.0,0V100");
+    expect(svg).toContain("33.5000, -81.5000");
+    expect(mapSnapshotSvg({ lat: 32.776, lng: -79.931 })).not.toContain("32.7760, -79.9310");
+  });
+});
+
+describe("leadSheetHtml", () => {
+  const [group] = groupByAddress([hotel, electrical]);
+
+  it("lists the primary permit, related permits and notes", () => {
+    const html = leadSheetHtml(group, {
+      notes: [
+        { id: 1, body: "Met the super", author: "Dana", created_at: "2025-06-02T12:00:00Z" },
+        { id: 2, parent_id: 1, body: "Follow up Friday", created_at: "2025-06-03T12:00:00Z" },
+      ],
+      projectUrl: "https://app.example.com/#/project/1",
+    });
+    expect(html).toContain("<h1>New hotel &lt;5 story&gt;</h1>");
+    expect(html).toContain("<div class=\"sub\">10 King St");
+    expect(html).toContain("Acme Builders, Beta Electric");
+    expect(html).toContain("Related permits (1)");
+    expect(html).toContain("EL-2");
+    expect(html).toContain("Met the super");
+    expect(html).toContain("Follow up Friday");
+    expect(html).toContain("https://app.example.com/#/project/1");
+    expect(html).not.toContain("<h2>Parcel</h2>");
+  });
+
+  it("includes parcel details when known", () => {
+    const parcel = { ...hotel, id: "parcel-1", source_id: "parcel-opportunity", value: 0, parcel: { tms: "4580101001", owner: "King LLC", land: 800000 } };
+    const html = leadSheetHtml(groupByAddress([parcel])[0], { estValue: 1200000 });
+    expect(html).toContain("<h2>Parcel</h2>");
+    expect(html).toContain("4580101001");
+    expect(html).toContain("~$1.2M");
+  });
+});
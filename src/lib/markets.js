@@ -0,0 +1,113 @@
+import { SOURCES, REGIONS } from "./sources";
+
+// Markets a user can switch between from the header. Only cities listed in
+// MARKETS have scanned feeds; the rest of CITIES render as "Soon".
+//
+//   center  initial map center [lat, lng]
+//   zoom    initial zoom; minZoom keeps the whole bbox on screen at most
+//   bbox    parcel-opportunity fetch bounds, and how far the map may pan
+//   region  key into REGIONS — drives the region filter chip
+//   state   statewide feeds (SCBO) only apply to markets in that state
+
+export const MARKETS = {
+  "charleston-sc": {
+    center: [32.7765, -79.9311],
+    zoom: 12,
+    minZoom: 10,
+    bbox: { west: -80.2, south: 32.55, east: -79.7, north: 33.05 },
+    region: "lowcountry",
+    state: "SC",
+  },
+  "charlotte-nc": {
+    center: [35.2271, -80.8431],
+    zoom: 12,
+    minZoom: 10,
+    bbox: { west: -81.06, south: 35.0, east: -80.55, north: 35.45 },
+    region: "charlotte",
+    state: "NC",
+  },
+};
+
+export const DEFAULT_MARKET = "charleston-sc";
+
+export const CITIES = [
+  // Southeast
+  { id: "charleston-sc",  label: "Charleston, SC",   icon: "🌊" },
+  { id: "columbia-sc",    label: "Columbia, SC",     icon: "🏛️" },
+  { id: "greenville-sc",  label: "Greenville, SC",   icon: "🌿" },
+  { id: "charlotte-nc",   label: "Charlotte, NC",    icon: "🏙️" },
+  { id: "raleigh-nc",     label: "Raleigh, NC",      icon: "🔬" },
+  { id: "atlanta-ga",     label: "Atlanta, GA",      icon: "🍑" },
+  { id: "savannah-ga",    label: "Savannah, GA",     icon: "🌳" },
+  { id: "jacksonville-fl",label: "Jacksonville, FL", icon: "🌞" },
+  { id: "orlando-fl",     label: "Orlando, FL",      icon: "🎡" },
+  { id: "tampa-fl",       label: "Tampa, FL",        icon: "⚡" },
+  { id: "miami-fl",       label: "Miami, FL",        icon: "🌴" },
+  { id: "nashville-tn",   label: "Nashville, TN",    icon: "🎸" },
+  { id: "memphis-tn",     label: "Memphis, TN",      icon: "🎵" },
+  { id: "birmingham-al",  label: "Birmingham, AL",   icon: "🔩" },
+  { id: "new-orleans-la", label: "New Orleans, LA",  icon: "🎷" },
+  // Northeast
+  { id: "new-york-ny",    label: "New York, NY",     icon: "🗽" },
+  { id: "boston-ma",      label: "Boston, MA",       icon: "🦞" },
+  { id: "philadelphia-pa",label: "Philadelphia, PA", icon: "🔔" },
+  { id: "washington-dc",  label: "Washington, DC",   icon: "🏛️" },
+  { id: "baltimore-md",   label: "Baltimore, MD",    icon: "🦀" },
+  // Midwest
+  { id: "chicago-il",     label: "Chicago, IL",      icon: "🌬️" },
+  { id: "detroit-mi",     label: "Detroit, MI",      icon: "🚗" },
+  { id: "columbus-oh",    label: "Columbus, OH",     icon: "🌰" },
+  { id: "indianapolis-in",label: "Indianapolis, IN", icon: "🏎️" },
+  { id: "minneapolis-mn", label: "Minneapolis, MN",  icon: "❄️" },
+  { id: "kansas-city-mo", label: "Kansas City, MO",  icon: "🥩" },
+  { id: "st-louis-mo",    label: "St. Louis, MO",    icon: "⚾" },
+  // South / Southwest
+  { id: "dallas-tx",      label: "Dallas, TX",       icon: "🤠" },
+  { id: "houston-tx",     label: "Houston, TX",      icon: "⭐" },
+  { id: "san-antonio-tx", label: "San Antonio, TX",  icon: "🌵" },
+  { id: "austin-tx",      label: "Austin, TX",       icon: "🎶" },
+  { id: "oklahoma-city-ok",label:"Oklahoma City, OK",icon: "🌪️" },
+  { id: "phoenix-az",     label: "Phoenix, AZ",      icon: "☀️" },
+  { id: "tucson-az",      label: "Tucson, AZ",       icon: "🌵" },
+  { id: "las-vegas-nv",   label: "Las Vegas, NV",    icon: "🎰" },
+  { id: "albuquerque-nm", label: "Albuquerque, NM",  icon: "🎈" },
+  // West
+  { id: "los-angeles-ca", label: "Los Angeles, CA",  icon: "🎬" },
+  { id: "san-diego-ca",   label: "San Diego, CA",    icon: "🌮" },
+  { id: "san-francisco-ca",label:"San Francisco, CA",icon: "🌉" },
+  { id: "sacramento-ca",  label: "Sacramento, CA",   icon: "🌾" },
+  { id: "portland-or",    label: "Portland, OR",     icon: "🌲" },
+  { id: "seattle-wa",     label: "Seattle, WA",      icon: "☕" },
+  { id: "denver-co",      label: "Denver, CO",       icon: "⛰️" },
+  { id: "salt-lake-city-ut",label:"Salt Lake City, UT",icon:"⛷️" },
+];
+
+// Resolved market: CITIES entry + MARKETS config + region label.
+// Unknown or inactive ids fall back to the default market.
+export function getMarket(id) {
+  const key = MARKETS[id] ? id : DEFAULT_MARKET;
+  const city = CITIES.find((c) => c.id === key);
+  return { id: key, ...city, ...MARKETS[key], regionLabel: REGIONS[MARKETS[key].region].label };
+}
+
+// Scanned feeds that cover a market: its own regional feeds plus statewide
+// and federal feeds for its state.
+export function marketSourceIds(market) {
+  return Object.keys(SOURCES).filter((id) => {
+    const s = SOURCES[id];
+    if (s.kind === "parcel") return false;
+    if (s.region) return s.region === market.region;
+    return !s.state || s.state === market.state;
+  });
+}
+
+export function bboxParams(bbox) {
+  return `west=${bbox.west}&south=${bbox.south}&east=${bbox.east}&north=${bbox.north}`;
+}
+
+// Leaflet [[south, west], [north, east]] for the market's bbox, padded by
+// `pad` degrees so pins on the edge aren't pinned against the frame
+export function marketBounds(market, pad = 0.05) {
+  const { west, south, east, north } = market.bbox;
+  return [[south - pad, west - pad], [north + pad, east + pad]];
+}
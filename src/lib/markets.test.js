@@ -0,0 +1,52 @@
+import { describe, it, expect } from "vitest";
+import { MARKETS, CITIES, DEFAULT_MARKET, getMarket, marketSourceIds, bboxParams, marketBounds } from "./markets";
+
+describe("getMarket", () => {
+  it("merges the city entry with its market config", () => {
+    const m = getMarket("charlotte-nc");
+    expect(m.label).toBe("Charlotte, NC");
+    expect(m.region).toBe("charlotte");
+    expect(m.regionLabel).toBe("Charlotte Metro");
+    expect(m.center).toEqual(MARKETS["charlotte-nc"].center);
+  });
+
+  it("falls back to the default for cities without feeds", () => {
+    expect(getMarket("atlanta-ga").id).toBe(DEFAULT_MARKET);
+    expect(getMarket(null).id).toBe(DEFAULT_MARKET);
+  });
+
+  it("only configures markets that appear in CITIES", () => {
+    for (const id of Object.keys(MARKETS)) {
+      expect(CITIES.some((c) => c.id === id), id).toBe(true);
+    }
+  });
+});
+
+describe("marketSourceIds", () => {
+  it("lists regional, statewide and federal feeds for Charleston", () => {
+    expect(marketSourceIds(getMarket("charleston-sc"))).toEqual([
+      "sam-gov", "charleston-permits", "north-charleston-permits", "mt-pleasant-permits",
+      "scbo", "charleston-city-bids",
+    ]);
+  });
+
+  it("drops South Carolina feeds for Charlotte", () => {
+    expect(marketSourceIds(getMarket("charlotte-nc"))).toEqual([
+      "sam-gov", "charlotte-permits", "charlotte-land-dev", "charlotte-cip", "charlotte-ncdot",
+    ]);
+  });
+});
+
+describe("bboxParams", () => {
+  it("serialises bounds for the parcels endpoint", () => {
+    expect(bboxParams({ west: -81, south: 35, east: -80.5, north: 35.5 }))
+      .toBe("west=-81&south=35&east=-80.5&north=35.5");
+  });
+});
+
+describe("marketBounds", () => {
+  it("pads the bbox into Leaflet corner order", () => {
+    expect(marketBounds({ bbox: { west: -81, south: 35, east: -80.5, north: 35.5 } }, 0.1))
+      .toEqual([[34.9, -81.1], [35.6, -80.4]]);
+  });
+});
@@ -0,0 +1,85 @@
+// Neighborhood lookup against per-market GeoJSON outlines in src/data/neighborhoods.
+// Features are checked in file order, so list enclaves (Daniel Island) before
+// the larger areas that surround them (North Charleston).
+
+import charlestonSc from "../data/neighborhoods/charleston-sc.json";
+import charlotteNc from "../data/neighborhoods/charlotte-nc.json";
+
+export const NEIGHBORHOODS = {
+  "charleston-sc": charlestonSc,
+  "charlotte-nc": charlotteNc,
+};
+
+// ─── GEOMETRY ───────────────────────────────────────────────────────────────
+
+// Ray casting on one [lng, lat] ring
+function inRing(lng, lat, ring) {
+  let inside = false;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const [xi, yi] = ring[i];
+    const [xj, yj] = ring[j];
+    if ((yi > lat) !== (yj > lat) && lng < ((xj - xi) * (lat - yi)) / (yj - yi) + xi) {
+      inside = !inside;
+    }
+  }
+  return inside;
+}
+
+// Outer ring in, every hole out
+function inPolygon(lng, lat, rings) {
+  if (!inRing(lng, lat, rings[0])) return false;
+  return !rings.slice(1).some((hole) => inRing(lng, lat, hole));
+}
+
+export function pointInGeometry(lng, lat, geometry) {
+  if (geometry?.type === "Polygon") return inPolygon(lng, lat, geometry.coordinates);
+  if (geometry?.type === "MultiPolygon") return geometry.coordinates.some((rings) => inPolygon(lng, lat, rings));
+  return false;
+}
+
+function bounds(geometry) {
+  const polys = geometry.type === "Polygon" ? [geometry.coordinates] : geometry.coordinates;
+  const b = { west: Infinity, south: Infinity, east: -Infinity, north: -Infinity };
+  for (const rings of polys) {
+    for (const [lng, lat] of rings[0]) {
+      b.west = Math.min(b.west, lng); b.east = Math.max(b.east, lng);
+      b.south = Math.min(b.south, lat); b.north = Math.max(b.north, lat);
+    }
+  }
+  return b;
+}
+
+// Flattened once at load: bbox pre-check keeps the per-card lookup cheap
+const _INDEX = Object.entries(NEIGHBORHOODS).flatMap(([marketId, fc]) =>
+  fc.features.map((f) => ({ marketId, name: f.properties.name, geometry: f.geometry, bbox: bounds(f.geometry) }))
+);
+
+// ─── LOOKUP ─────────────────────────────────────────────────────────────────
+
+export function getNeighborhood(lat, lng) {
+  if (lat == null || lng == null) return null;
+  lat = Number(lat); lng = Number(lng);
+  for (const { name, geometry, bbox } of _INDEX) {
+    if (lng < bbox.west || lng > bbox.east || lat < bbox.south || lat > bbox.north) continue;
+    if (pointInGeometry(lng, lat, geometry)) return name;
+  }
+  return null;
+}
+
+// Names for a market's filter chips, in file order
+export function neighborhoodNames(marketId) {
+  return (NEIGHBORHOODS[marketId]?.features || []).map((f) => f.properties.name);
+}
+
+// Union bbox of the named neighborhoods, so the server can pre-filter a
+// neighborhood search before the exact polygon test runs client-side.
+export function neighborhoodBounds(marketId, names) {
+  const hits = _INDEX.filter((n) => n.marketId === marketId && names?.includes(n.name));
+  if (!hits.length) return null;
+  return {
+    west: Math.min(...hits.map((n) => n.bbox.west)),
+    south: Math.min(...hits.map((n) => n.bbox.south)),
+    east: Math.max(...hits.map((n) => n.bbox.east)),
+    north: Math.max(...hits.map((n) => n.bbox.north)),
+  };
+}
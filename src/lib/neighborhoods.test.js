@@ -0,0 +1,94 @@
+import { describe, it, expect } from "vitest";
+import { NEIGHBORHOODS, getNeighborhood, neighborhoodNames, neighborhoodBounds, pointInGeometry } from "./neighborhoods";
+import { MARKETS } from "./markets";
+
+describe("neighborhood data", () => {
+  it("ships outlines for every active market", () => {
+    for (const id of Object.keys(MARKETS)) {
+      expect(NEIGHBORHOODS[id]?.features.length, id).toBeGreaterThan(0);
+    }
+  });
+
+  it("names every feature and closes every ring", () => {
+    for (const [id, fc] of Object.entries(NEIGHBORHOODS)) {
+      for (const f of fc.features) {
+        expect(typeof f.properties.name, id).toBe("string");
+        const ring = f.geometry.coordinates[0];
+        expect(ring[0], f.properties.name).toEqual(ring[ring.length - 1]);
+      }
+    }
+  });
+});
+
+describe("getNeighborhood", () => {
+  it("resolves Charleston points", () => {
+    expect(getNeighborhood(32.7800, -79.9350)).toBe("Downtown");
+    expect(getNeighborhood(32.7900, -80.0200)).toBe("West Ashley");
+    expect(getNeighborhood(32.8300, -79.8300)).toBe("Mt Pleasant");
+  });
+
+  it("puts Daniel Island ahead of the North Charleston box around it", () => {
+    expect(getNeighborhood(32.8600, -79.9150)).toBe("Daniel Island");
+    expect(getNeighborhood(32.9000, -80.0500)).toBe("North Charleston");
+  });
+
+  it("resolves Charlotte points", () => {
+    expect(getNeighborhood(35.2270, -80.8430)).toBe("Uptown");
+    expect(getNeighborhood(35.2050, -80.8600)).toBe("South End");
+    expect(getNeighborhood(35.0500, -80.8500)).toBe("Ballantyne");
+  });
+
+  it("accepts numeric strings", () => {
+    expect(getNeighborhood("32.7800", "-79.9350")).toBe("Downtown");
+  });
+
+  it("returns null outside every outline or without coordinates", () => {
+    expect(getNeighborhood(33.5, -79.0)).toBeNull();
+    expect(getNeighborhood(null, -79.93)).toBeNull();
+    expect(getNeighborhood(32.78, undefined)).toBeNull();
+  });
+});
+
+describe("pointInGeometry", () => {
+  const square = [[0, 0], [10, 0], [10, 10], [0, 10], [0, 0]];
+  const hole = [[4, 4], [6, 4], [6, 6], [4, 6], [4, 4]];
+
+  it("excludes holes", () => {
+    const poly = { type: "Polygon", coordinates: [square, hole] };
+    expect(pointInGeometry(2, 2, poly)).toBe(true);
+    expect(pointInGeometry(5, 5, poly)).toBe(false);
+  });
+
+  it("checks each part of a MultiPolygon", () => {
+    const shifted = square.map(([x, y]) => [x + 20, y]);
+    const multi = { type: "MultiPolygon", coordinates: [[square], [shifted]] };
+    expect(pointInGeometry(25, 5, multi)).toBe(true);
+    expect(pointInGeometry(15, 5, multi)).toBe(false);
+  });
+
+  it("ignores unsupported geometry", () => {
+    expect(pointInGeometry(0, 0, { type: "Point", coordinates: [0, 0] })).toBe(false);
+    expect(pointInGeometry(0, 0, null)).toBe(false);
+  });
+});
+
+describe("neighborhoodNames", () => {
+  it("lists a market's neighborhoods in file order", () => {
+    expect(neighborhoodNames("charlotte-nc")[0]).toBe("Uptown");
+    expect(neighborhoodNames("charleston-sc")).toContain("Daniel Island");
+    expect(neighborhoodNames("atlanta-ga")).toEqual([]);
+  });
+});
+
+describe("neighborhoodBounds", () => {
+  it("spans every named neighborhood in the market", () => {
+    expect(neighborhoodBounds("charlotte-nc", ["Uptown", "NoDa"]))
+      .toEqual({ west: -80.86, south: 35.214, east: -80.785, north: 35.26 });
+  });
+
+  it("returns null when nothing matches", () => {
+    expect(neighborhoodBounds("charlotte-nc", [])).toBeNull();
+    expect(neighborhoodBounds("charlotte-nc", ["West Ashley"])).toBeNull();
+    expect(neighborhoodBounds("charlotte-nc", undefined)).toBeNull();
+  });
+});
@@ -0,0 +1,136 @@
+// Notification center feed. Digests are stored server-side (scripts/send-digests.js
+// posts them to /notifications); everything else is derived here from data the
+// app already polls — scan history and the saved list — so each notification
+// has a stable id that read state can be keyed on.
+
+import { DEFAULT_FILTERS } from "./filters";
+import { sourceLabel } from "./sources";
+import { getDisplayTitle } from "./projects";
+import { buildHash } from "./url";
+
+export const DEADLINE_WARN_DAYS = 7;
+// Read ids and status-change events kept client-side; older entries drop off
+export const NOTIFICATION_LOG_MAX = 200;
+
+const DAY_MS = 24 * 3600 * 1000;
+
+// localStorage keys for read ids, the saved-status snapshot and status events.
+// Scoped to the user and workspace so people sharing a browser don't share
+// read state.
+export function notificationKeys(userId, workspaceId = null) {
+  const scope = `${userId}:${workspaceId ?? "personal"}`;
+  return {
+    read: `sitescan_notifications_read:${scope}`,
+    statuses: `sitescan_saved_statuses:${scope}`,
+    events: `sitescan_status_events:${scope}`,
+  };
+}
+
+export const NOTIFICATION_KINDS = {
+  scan:       { icon: "⚡", color: "#22c55e" },
+  scan_error: { icon: "⚠️", color: "#ef4444" },
+  status:     { icon: "🔄", color: "#38bdf8" },
+  deadline:   { icon: "⏱", color: "#eab308" },
+  task:       { icon: "☑️", color: "#a78bfa" },
+  digest:     { icon: "🔔", color: "#f97316" },
+};
+
+// Finished scan runs: new projects per source link to the feed narrowed to
+// that source; failures link to the History tab row
+export function scanNotifications(history) {
+  const out = [];
+  for (const h of history) {
+    if (!h.finished_at || h.status === "running") continue;
+    if (h.status === "error") {
+      out.push({
+        id: `scan:${h.id}`,
+        kind: "scan_error",
+        title: `${sourceLabel(h.source_id)} scan failed`,
+        body: h.error_message || null,
+        created_at: h.finished_at,
+        href: buildHash({ tab: "history" }),
+      });
+    } else if (h.projects_new > 0) {
+      out.push({
+        id: `scan:${h.id}`,
+        kind: "scan",
+        title: `${h.projects_new} new project${h.projects_new === 1 ? "" : "s"} from ${sourceLabel(h.source_id)}`,
+        body: `${h.projects_found} found in this scan`,
+        created_at: h.finished_at,
+        href: buildHash({ filters: { ...DEFAULT_FILTERS, sources: [h.source_id] } }),
+      });
+    }
+  }
+  return out;
+}
+
+// Compares saved projects against the statuses seen last time. Returns the
+// change events plus the snapshot to store; a project seen for the first time
+// only seeds the snapshot.
+export function diffSavedStatuses(saved, snapshot, now = new Date()) {
+  const next = {};
+  const events = [];
+  for (const s of saved) {
+    const p = s.project;
+    if (!p) continue;
+    const status = p.status || null;
+    next[p.id] = status;
+    if (!(p.id in snapshot) || snapshot[p.id] === status) continue;
+    events.push({
+      id: `status:${p.id}:${status}:${now.getTime()}`,
+      kind: "status",
+      title: `${getDisplayTitle(p)}: ${snapshot[p.id] || "no status"} → ${status || "no status"}`,
+      body: null,
+      created_at: now.toISOString(),
+      href: buildHash({ projectId: p.id }),
+    });
+  }
+  return { events, snapshot: next };
+}
+
+// Saved projects whose deadline falls within the warning window. The id
+// includes the deadline so a pushed-back date raises a fresh notification.
+export function deadlineNotifications(saved, now = new Date()) {
+  const out = [];
+  for (const s of saved) {
+    const p = s.project;
+    if (!p?.deadline) continue;
+    const due = new Date(p.deadline);
+    const days = Math.ceil((due - now) / DAY_MS);
+    if (Number.isNaN(days) || days < 0 || days > DEADLINE_WARN_DAYS) continue;
+    out.push({
+      id: `deadline:${p.id}:${p.deadline.slice(0, 10)}`,
+      kind: "deadline",
+      title: `${getDisplayTitle(p)} — bid due ${days === 0 ? "today" : `in ${days} day${days === 1 ? "" : "s"}`}`,
+      body: null,
+      // Sorted as if it arrived when it entered the window
+      created_at: new Date(due - DEADLINE_WARN_DAYS * DAY_MS).toISOString(),
+      href: buildHash({ projectId: p.id }),
+    });
+  }
+  return out;
+}
+
+// /notifications rows carry their own read flag and linked items
+export function digestNotifications(rows) {
+  return rows.map((n) => ({
+    id: `digest:${n.id}`,
+    serverId: n.id,
+    kind: n.kind || "digest",
+    title: n.title,
+    body: null,
+    created_at: n.created_at,
+    href: null,
+    items: (n.items || []).map((i) => ({ ...i, href: buildHash({ projectId: i.id }) })),
+    read: !!n.read,
+  }));
+}
+
+// Newest first, with the client-side read ids applied
+export function mergeNotifications(lists, readIds) {
+  const read = new Set(readIds);
+  return lists
+    .flat()
+    .map((n) => ({ ...n, read: n.read || read.has(n.id) }))
+    .sort((a, b) => new Date(b.created_at) - new Date(a.created_at));
+}
@@ -0,0 +1,81 @@
+import { describe, it, expect } from "vitest";
+import {
+  scanNotifications, diffSavedStatuses, deadlineNotifications,
+  digestNotifications, mergeNotifications, notificationKeys,
+} from "./notifications";
+
+const now = new Date("2025-06-10T12:00:00Z");
+const daysFromNow = (d) => new Date(now.getTime() + d * 24 * 3600 * 1000).toISOString();
+const saved = (id, project) => ({ id: `s${id}`, project_id: id, project: { id, source_id: "sam-gov", title: `Project ${id}`, ...project } });
+
+describe("notificationKeys", () => {
+  it("scopes stored read state to the user and workspace", () => {
+    expect(notificationKeys(4, 9).read).toBe("sitescan_notifications_read:4:9");
+    expect(notificationKeys(4).events).toBe("sitescan_status_events:4:personal");
+    expect(notificationKeys(5, 9).statuses).not.toBe(notificationKeys(4, 9).statuses);
+  });
+});
+
+describe("scanNotifications", () => {
+  const history = [
+    { id: 1, source_id: "sam-gov", status: "success", projects_found: 40, projects_new: 3, finished_at: "2025-06-10T10:00:00Z" },
+    { id: 2, source_id: "charleston-permits", status: "error", error_message: "timeout", finished_at: "2025-06-10T10:01:00Z" },
+    { id: 3, source_id: "sam-gov", status: "success", projects_found: 40, projects_new: 0, finished_at: "2025-06-09T10:00:00Z" },
+    { id: 4, source_id: "sam-gov", status: "running", finished_at: null },
+  ];
+
+  it("reports new projects and failures from finished runs only", () => {
+    const ns = scanNotifications(history);
+    expect(ns.map((n) => n.id)).toEqual(["scan:1", "scan:2"]);
+    expect(ns[0]).toMatchObject({ kind: "scan", title: "3 new projects from SAM.gov", href: "#/scanner?source=sam-gov" });
+    expect(ns[1]).toMatchObject({ kind: "scan_error", body: "timeout", href: "#/history" });
+  });
+});
+
+describe("diffSavedStatuses", () => {
+  it("seeds unseen projects without raising anything", () => {
+    const { events, snapshot } = diffSavedStatuses([saved(1, { status: "Open" })], {}, now);
+    expect(events).toEqual([]);
+    expect(snapshot).toEqual({ 1: "Open" });
+  });
+
+  it("raises a linked event when a status changes", () => {
+    const { events, snapshot } = diffSavedStatuses(
+      [saved(1, { status: "Awarded" }), saved(2, { status: "Open" })],
+      { 1: "Open", 2: "Open", 9: "Open" },
+      now,
+    );
+    expect(events).toHaveLength(1);
+    expect(events[0]).toMatchObject({ kind: "status", title: "Project 1: Open → Awarded", href: "#/project/1" });
+    // Unsaved projects drop out of the snapshot
+    expect(snapshot).toEqual({ 1: "Awarded", 2: "Open" });
+  });
+});
+
+describe("deadlineNotifications", () => {
+  it("warns about deadlines inside the window", () => {
+    const ns = deadlineNotifications([
+      saved(1, { deadline: daysFromNow(2) }),
+      saved(2, { deadline: daysFromNow(30) }),
+      saved(3, { deadline: daysFromNow(-1) }),
+      saved(4, {}),
+    ], now);
+    expect(ns).toHaveLength(1);
+    expect(ns[0]).toMatchObject({ kind: "deadline", title: "Project 1 — bid due in 2 days", href: "#/project/1" });
+    expect(ns[0].id).toBe(`deadline:1:${daysFromNow(2).slice(0, 10)}`);
+  });
+});
+
+describe("mergeNotifications", () => {
+  it("sorts newest first and applies client and server read state", () => {
+    const digests = digestNotifications([
+      { id: 5, title: "2 new matches", created_at: "2025-06-10T13:00:00Z", read: true, items: [{ id: 201, title: "Hotel" }] },
+    ]);
+    expect(digests[0].items[0].href).toBe("#/project/201");
+    const merged = mergeNotifications([
+      [{ id: "scan:1", created_at: "2025-06-10T10:00:00Z" }, { id: "scan:2", created_at: "2025-06-10T11:00:00Z" }],
+      digests,
+    ], ["scan:1"]);
+    expect(merged.map((n) => [n.id, n.read])).toEqual([["digest:5", true], ["scan:2", false], ["scan:1", true]]);
+  });
+});
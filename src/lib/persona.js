@@ -0,0 +1,103 @@
+// User persona (Settings → Your Role). It sets the feed's starting filters —
+// a GC never sees trade pulls by default, a trade sub starts in Trade view —
+// and picks the StatsBar metrics.
+
+import { C } from "./theme";
+import { DEFAULT_FILTERS, TRADE_CATEGORIES } from "./filters";
+import { SOURCES } from "./sources";
+import { getPrimaryPermit, isSubpermit } from "./projects";
+import { fmt$ } from "./format";
+
+//   feed   filter overrides applied when the persona is picked or on login
+//   stats  StatsBar metric ids, see METRICS
+export const PERSONAS = {
+  gc: {
+    label: "General contractor",
+    detail: "GC-level projects. Trade pulls and civil work stay out of the default feed.",
+    feed: {},
+    stats: ["projects", "pipeline", "newThisWeek", "bidsOpen"],
+  },
+  trade: {
+    label: "Trade subcontractor",
+    detail: "Trade and sub-permits are leads of their own, with the GC holding the master permit at each address.",
+    feed: { tradeView: true },
+    stats: ["projects", "tradePermits", "gcsOnSite", "newThisWeek"],
+  },
+  developer: {
+    label: "Developer",
+    detail: "Permits and parcel opportunities; public bids stay out of the default feed.",
+    feed: { clientTypes: ["developer"] },
+    stats: ["projects", "pipeline", "parcels", "newThisWeek"],
+  },
+  broker: {
+    label: "Broker",
+    detail: "Commercial, office and retail projects.",
+    feed: { clientTypes: ["broker"] },
+    stats: ["projects", "pipeline", "officeRetail", "newThisWeek"],
+  },
+};
+
+export const DEFAULT_PERSONA = "gc";
+
+export const getPersona = (id) => PERSONAS[id] || PERSONAS[DEFAULT_PERSONA];
+
+// Swaps the previous persona's feed overrides for the new one's, leaving the
+// rest of the user's filters alone
+export function applyPersona(filters, persona, previous = null) {
+  const reset = Object.fromEntries(Object.keys(getPersona(previous).feed).map((k) => [k, DEFAULT_FILTERS[k]]));
+  return { ...filters, ...reset, ...getPersona(persona).feed };
+}
+
+const addressKey = (p) => (p.address || "").trim().toUpperCase().replace(/\s+/g, " ");
+const isTrade = (p) => TRADE_CATEGORIES.has(p.category) || isSubpermit(p);
+
+// Address → the contractor on the site's master (non-trade) permit, so a sub
+// knows whom to call. `lineage` from linkSubpermits resolves sub-permits whose
+// master is filed under a different address string.
+export function gcByAddress(projects, lineage = null) {
+  const masters = new Map();
+  for (const p of projects) {
+    if (SOURCES[p.source_id]?.kind !== "permit" || isTrade(p) || lineage?.parentOf.has(p.id)) continue;
+    if (!p.contractor || !addressKey(p)) continue;
+    if (!masters.has(addressKey(p))) masters.set(addressKey(p), []);
+    masters.get(addressKey(p)).push(p);
+  }
+  const gcs = new Map();
+  for (const [key, list] of masters) gcs.set(key, getPrimaryPermit(list).contractor.split("|")[0].trim());
+  for (const child of projects) {
+    const master = lineage?.parentOf.get(child.id);
+    if (master?.contractor && !gcs.has(addressKey(child))) gcs.set(addressKey(child), master.contractor.split("|")[0].trim());
+  }
+  return gcs;
+}
+
+export const gcFor = (gcs, project) => gcs.get(addressKey(project)) || null;
+
+// `color` is the box accent; `valueColor` overrides it for the number.
+// `basis` says what a metric counts: "totals" (the feed totals) or "rows"
+// (only the loaded pages).
+//   stats  /stats response merged with the feed totals (see liveStats)
+//   rows   the loaded feed rows
+//   gcs    gcByAddress over the loaded projects
+const METRICS = {
+  projects:     { label: "Active Projects", color: C.blue, valueColor: C.text, basis: "totals", value: ({ stats }) => stats.total_projects },
+  pipeline:     { label: "Pipeline Value",  color: C.orange, basis: "totals", value: ({ stats }) => fmt$(stats.total_pipeline_value) },
+  newThisWeek:  { label: "New This Week",   color: C.sky,    value: ({ stats }) => stats.new_this_week },
+  bidsOpen:     { label: "Bids Open",       color: "#22c55e", value: ({ stats }) => stats.bids_open, action: "bids" },
+  tradePermits: { label: "Trade Permits",   color: C.orange, basis: "rows", value: ({ rows }) => rows.filter(isTrade).length },
+  gcsOnSite:    { label: "GCs On Site",     color: "#22c55e", basis: "rows", value: ({ gcs }) => new Set(gcs.values()).size },
+  parcels:      { label: "Parcel Opportunities", color: "#22c55e", basis: "rows",
+    value: ({ rows }) => rows.filter((p) => SOURCES[p.source_id]?.kind === "parcel").length },
+  officeRetail: { label: "Office & Retail", color: "#22c55e", basis: "rows",
+    value: ({ rows }) => rows.filter((p) => ["office", "retail", "commercial"].includes(p.category)).length },
+};
+
+// [{ id, label, value, color, action?, partial }] for the StatsBar. `partial`
+// ({ totals, rows }) flags which bases are only a lower bound so far.
+export function personaStats(persona, { stats, rows = [], gcs = new Map(), partial = {} }) {
+  if (!stats) return [];
+  return getPersona(persona).stats.map((id) => {
+    const { basis, ...metric } = METRICS[id];
+    return { id, ...metric, value: metric.value({ stats, rows, gcs }), partial: !!partial[basis] };
+  });
+}
@@ -0,0 +1,50 @@
+import { describe, it, expect } from "vitest";
+import { applyPersona, gcByAddress, gcFor, personaStats, getPersona } from "./persona";
+import { DEFAULT_FILTERS } from "./filters";
+import { linkSubpermits } from "./projects";
+
+const building = { id: 1, source_id: "charlotte-permits", permit_number: "B25-100", address: "1 Trade St", category: "office", value: 4e6, contractor: "Rodgers Builders | Acme Steel" };
+const mech = { id: 2, source_id: "charlotte-permits", permit_number: "B25-100-M1", address: "1 TRADE ST", category: "mechanical" };
+const plumbing = { id: 3, source_id: "charlotte-permits", permit_number: "B25-200-P1", address: "9 Elm St", category: "plumbing", contractor: "Pipe Co" };
+
+describe("applyPersona", () => {
+  it("swaps one persona's feed overrides for another's", () => {
+    const trade = applyPersona({ ...DEFAULT_FILTERS, minValue: 0 }, "trade");
+    expect(trade).toMatchObject({ tradeView: true, minValue: 0 });
+    const developer = applyPersona(trade, "developer", "trade");
+    expect(developer).toMatchObject({ tradeView: false, clientTypes: ["developer"], minValue: 0 });
+    expect(applyPersona(developer, "gc", "developer").clientTypes).toEqual([]);
+    expect(getPersona("nope")).toBe(getPersona("gc"));
+  });
+});
+
+describe("gcByAddress", () => {
+  it("names the contractor on each site's master permit", () => {
+    const gcs = gcByAddress([building, mech, plumbing], linkSubpermits([building, mech, plumbing]));
+    expect(gcFor(gcs, mech)).toBe("Rodgers Builders");
+    expect(gcFor(gcs, plumbing)).toBeNull();
+  });
+});
+
+describe("personaStats", () => {
+  const stats = { total_projects: 12, total_pipeline_value: 3e6, new_this_week: 4, bids_open: 2 };
+
+  it("picks metrics by persona", () => {
+    expect(personaStats("gc", { stats }).map((m) => m.value)).toEqual([12, "$3.0M", 4, 2]);
+    expect(personaStats("gc", { stats }).at(-1).action).toBe("bids");
+    const rows = [building, mech, plumbing];
+    const trade = personaStats("trade", { stats, rows, gcs: gcByAddress(rows) });
+    expect(trade.map((m) => [m.label, m.value])).toEqual([
+      ["Active Projects", 12], ["Trade Permits", 2], ["GCs On Site", 1], ["New This Week", 4],
+    ]);
+    expect(personaStats("gc", { stats: null })).toEqual([]);
+  });
+
+  it("flags metrics whose basis is still partial", () => {
+    const rows = [building, mech, plumbing];
+    const flags = (partial) => personaStats("trade", { stats, rows, gcs: gcByAddress(rows), partial }).map((m) => m.partial);
+    expect(flags({ rows: true })).toEqual([false, true, true, false]);
+    expect(flags({ totals: true, rows: true })).toEqual([true, true, true, false]);
+    expect(flags(undefined)).toEqual([false, false, false, false]);
+  });
+});
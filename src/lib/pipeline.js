@@ -0,0 +1,64 @@
+// Sales pipeline for saved projects. The stage and its history live on the
+// saved row (/projects/saved/:id); a row saved before stages existed is
+// "watching".
+
+export const STAGES = [
+  { id: "watching",  label: "Watching",           color: "#8b9bb4" },
+  { id: "contacted", label: "Contacted Owner",    color: "#38bdf8" },
+  { id: "prequal",   label: "Pre-qual Submitted", color: "#a78bfa" },
+  { id: "bidding",   label: "Bidding",            color: "#f97316" },
+  { id: "won",       label: "Won",                color: "#22c55e", closed: true },
+  { id: "lost",      label: "Lost",               color: "#ef4444", closed: true },
+];
+
+const STAGE_IDS = new Set(STAGES.map((s) => s.id));
+
+// Suggestions for the close-out prompt; any free text is accepted too
+export const CLOSE_REASONS = {
+  won:  ["Lowest price", "Relationship", "Schedule", "Qualifications"],
+  lost: ["Price", "Went with incumbent", "Schedule", "Not qualified", "Project cancelled", "No bid"],
+};
+
+export function getStage(id) {
+  return STAGES.find((s) => s.id === id) || STAGES[0];
+}
+
+export function savedStage(saved) {
+  return STAGE_IDS.has(saved.stage) ? saved.stage : "watching";
+}
+
+export function isClosedStage(id) {
+  return !!getStage(id).closed;
+}
+
+// { stageId: saved[] } in STAGES order, every stage present
+export function groupByStage(saved) {
+  const groups = Object.fromEntries(STAGES.map((s) => [s.id, []]));
+  for (const s of saved) groups[savedStage(s)].push(s);
+  return groups;
+}
+
+export function stageTotals(groups) {
+  return Object.fromEntries(
+    Object.entries(groups).map(([id, rows]) => [
+      id,
+      { count: rows.length, value: rows.reduce((sum, s) => sum + (s.project?.value || 0), 0) },
+    ]),
+  );
+}
+
+// Optimistic copy of a saved row after a move; mirrors what the PATCH
+// returns. Reasons only apply to closed stages.
+export function moveToStage(saved, stage, reason = null, now = new Date()) {
+  if (savedStage(saved) === stage) return saved;
+  const closeReason = isClosedStage(stage) ? reason || null : null;
+  const history = saved.stage_history?.length
+    ? saved.stage_history
+    : [{ stage: savedStage(saved), at: saved.saved_at, reason: null }];
+  return {
+    ...saved,
+    stage,
+    close_reason: closeReason,
+    stage_history: [...history, { stage, at: now.toISOString(), reason: closeReason }],
+  };
+}
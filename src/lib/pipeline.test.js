@@ -0,0 +1,49 @@
+import { describe, it, expect } from "vitest";
+import { savedStage, groupByStage, stageTotals, moveToStage, isClosedStage } from "./pipeline";
+
+const row = (id, stage, value) => ({ id, stage, saved_at: "2025-06-01T00:00:00Z", project: { id: id * 10, value } });
+
+describe("savedStage", () => {
+  it("defaults unknown or missing stages to watching", () => {
+    expect(savedStage({})).toBe("watching");
+    expect(savedStage({ stage: "negotiating" })).toBe("watching");
+    expect(savedStage({ stage: "bidding" })).toBe("bidding");
+  });
+});
+
+describe("groupByStage / stageTotals", () => {
+  it("buckets rows and sums values per stage", () => {
+    const groups = groupByStage([row(1, "bidding", 2e6), row(2, "bidding", null), row(3, undefined, 5e5)]);
+    expect(Object.keys(groups)).toEqual(["watching", "contacted", "prequal", "bidding", "won", "lost"]);
+    const totals = stageTotals(groups);
+    expect(totals.bidding).toEqual({ count: 2, value: 2e6 });
+    expect(totals.watching).toEqual({ count: 1, value: 5e5 });
+    expect(totals.won).toEqual({ count: 0, value: 0 });
+  });
+});
+
+describe("moveToStage", () => {
+  const now = new Date("2025-06-10T12:00:00Z");
+
+  it("appends to the history, seeding it from the save", () => {
+    const moved = moveToStage(row(1, undefined, 1), "contacted", "ignored", now);
+    expect(moved.stage).toBe("contacted");
+    expect(moved.close_reason).toBeNull();
+    expect(moved.stage_history).toEqual([
+      { stage: "watching", at: "2025-06-01T00:00:00Z", reason: null },
+      { stage: "contacted", at: now.toISOString(), reason: null },
+    ]);
+  });
+
+  it("records the reason when closing out", () => {
+    const moved = moveToStage(row(1, "bidding", 1), "lost", "Price", now);
+    expect(isClosedStage("lost")).toBe(true);
+    expect(moved.close_reason).toBe("Price");
+    expect(moved.stage_history.at(-1)).toEqual({ stage: "lost", at: now.toISOString(), reason: "Price" });
+  });
+
+  it("leaves a row alone when the stage doesn't change", () => {
+    const r = row(1, "bidding", 1);
+    expect(moveToStage(r, "bidding", null, now)).toBe(r);
+  });
+});
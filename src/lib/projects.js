@@ -0,0 +1,211 @@
+// Pure helpers that shape raw /projects rows into feed cards.
+// No React, no fetches — everything here is covered by projects.test.js.
+// Per-source cleaning rules live in the registry in sources.js.
+
+import { getSource, plainDescription } from "./sources";
+
+// ─── VALUES ─────────────────────────────────────────────────────────────────
+
+export function buildValueMedians(projects) {
+  const buckets = {};
+  for (const p of projects) {
+    if (!p.value || p.value <= 0) continue;
+    const key = `${p.category || "unknown"}__${p.work_class || "unknown"}`;
+    if (!buckets[key]) buckets[key] = [];
+    buckets[key].push(p.value);
+  }
+  const medians = {};
+  for (const [key, vals] of Object.entries(buckets)) {
+    const sorted = [...vals].sort((a, b) => a - b);
+    medians[key] = sorted[Math.floor(sorted.length / 2)];
+  }
+  return medians;
+}
+
+// ─── ADDRESSES ──────────────────────────────────────────────────────────────
+
+// Strip trailing city/state from a raw address string
+export function cleanAddress(address) {
+  if (!address) return null;
+  return address
+    .replace(/,?\s*charleston,?\s*sc\b.*$/i, "")
+    .replace(/,?\s*south carolina\b.*$/i, "")
+    .trim() || null;
+}
+
+// ─── PERMIT TEXT ────────────────────────────────────────────────────────────
+
+// Charleston permit helpers
+export function isSubpermit(project) {
+  if (project.source_id !== "charleston-permits") return false;
+  const text = `${project.title} ${project.description}`.toLowerCase();
+  return text.includes("subpermit") || text.includes("sub-permit") || text.includes("sub permit");
+}
+
+// ─── SUB-PERMIT LINEAGE ─────────────────────────────────────────────────────
+
+// Trailing segment that marks a child permit number: "-01", ".2", "-E1",
+// "-ELEC", " SUB 3"
+const _CHILD_SUFFIX = /[-.\s/](?:SUB\s*)?(?:[A-Z]{1,4}\d{0,3}|\d{1,3})$/;
+
+const _permitKey = (p, number = p.permit_number) =>
+  number ? `${p.source_id}|${String(number).trim().toUpperCase().replace(/\s+/g, " ")}` : null;
+
+// Links child permits to their master, across every permit source: by permit
+// number (the child's number is the master's plus a suffix, same source), or
+// for Charleston's textual "subpermit" marker, by a master at the same address.
+// Returns { parentOf: Map(child id → master), children: Map(master id → [child]) }
+export function linkSubpermits(projects) {
+  const byNumber = new Map();
+  for (const p of projects) {
+    const key = _permitKey(p);
+    if (key) byNumber.set(key, p);
+  }
+  const parentOf = new Map();
+  for (const p of projects) {
+    let number = p.permit_number ? String(p.permit_number).trim().toUpperCase() : "";
+    while (_CHILD_SUFFIX.test(number)) {
+      number = number.replace(_CHILD_SUFFIX, "");
+      const master = byNumber.get(_permitKey(p, number));
+      if (master && master !== p) {
+        parentOf.set(p.id, master);
+        break;
+      }
+    }
+  }
+  const atAddress = new Map();
+  for (const p of projects) {
+    if (isSubpermit(p) || parentOf.has(p.id) || !p.address?.trim()) continue;
+    const key = `${p.source_id}|${p.address.trim().toUpperCase()}`;
+    if (!atAddress.has(key)) atAddress.set(key, []);
+    atAddress.get(key).push(p);
+  }
+  for (const p of projects) {
+    if (parentOf.has(p.id) || !isSubpermit(p) || !p.address?.trim()) continue;
+    const masters = atAddress.get(`${p.source_id}|${p.address.trim().toUpperCase()}`);
+    if (masters) parentOf.set(p.id, getPrimaryPermit(masters));
+  }
+  const children = new Map();
+  for (const p of projects) {
+    const master = parentOf.get(p.id);
+    if (!master) continue;
+    if (!children.has(master.id)) children.set(master.id, []);
+    children.get(master.id).push(p);
+  }
+  return { parentOf, children };
+}
+
+// The rows of an address lookup that are children of `masters`. The feed
+// leaves sub-permits out, so cards fetch their sites to find them.
+export function subpermitsOf(masters, rows) {
+  const ids = new Set(masters.map((p) => p.id));
+  const extra = rows.filter((p) => !ids.has(p.id));
+  const { parentOf } = linkSubpermits([...masters, ...extra]);
+  return extra.filter((p) => ids.has(parentOf.get(p.id)?.id));
+}
+
+export function getWorkClass(project) {
+  if (project.source_id !== "charleston-permits") return null;
+  // Description format: "description | work_class | permit_type"
+  const parts = (project.description || "").split(" | ");
+  if (parts.length >= 2) {
+    const wc = parts[1].trim();
+    if (wc) return wc;
+  }
+  return null;
+}
+
+// Generic permit descriptions that carry no useful info beyond the category
+const _GENERIC_TITLE = /^(new construction|building permit|commercial|residential|renovation|tenant improvement|addition|alteration|remodel|repair|demolition|interior|exterior|miscellaneous|other)[\s.]*$/i;
+
+export function getDisplayTitle(project) {
+  if (!project.title) return project.title;
+
+  const cleanTitle = getSource(project.source_id)?.cleanTitle;
+  const title = cleanTitle ? cleanTitle(project.title) : project.title;
+
+  // Fall back to category+workclass only if the description is truly generic
+  if (_GENERIC_TITLE.test(title)) {
+    const wc = getWorkClass(project);
+    const cat = project.category;
+    if (cat && cat !== "residential") {
+      const catLabel = cat.replace(/-/g, " ").replace(/\b\w/g, (c) => c.toUpperCase());
+      return wc ? `${catLabel} — ${wc}` : catLabel;
+    }
+  }
+
+  return title;
+}
+
+export function getDescText(project) {
+  if (!project.description) return null;
+  const describe = getSource(project.source_id)?.describe || plainDescription;
+  return describe(project.description);
+}
+
+// ─── GROUPING ───────────────────────────────────────────────────────────────
+
+// Category priority for picking the most informative permit from a group
+const _CAT_PRIORITY = [
+  "office", "hotel", "multi-family", "restaurant", "industrial",
+  "institutional", "retail", "mixed-use", "commercial",
+  "structural", "masonry", "historic-restoration", "government",
+];
+
+export function getPrimaryPermit(projects) {
+  const withValue = [...projects].sort((a, b) => (b.value || 0) - (a.value || 0));
+  if (withValue[0]?.value) return withValue[0];
+  return [...projects].sort((a, b) => {
+    const ai = _CAT_PRIORITY.indexOf(a.category);
+    const bi = _CAT_PRIORITY.indexOf(b.category);
+    return (ai === -1 ? 99 : ai) - (bi === -1 ? 99 : bi);
+  })[0];
+}
+
+// Group a sorted project list by normalised address.
+// Returns an array of { address, displayAddress, lat, lng, projects[] } objects.
+// Single-project "groups" are included — callers decide how to render them.
+export function groupByAddress(projects) {
+  const order = [];
+  const map = new Map();
+
+  for (const p of projects) {
+    const raw = (p.address || "").trim();
+    const key = raw.toUpperCase().replace(/\s+/g, " ");
+    if (key.length > 3) {
+      if (map.has(key)) {
+        map.get(key).projects.push(p);
+      } else {
+        const grp = { address: key, displayAddress: raw, lat: p.latitude, lng: p.longitude, projects: [p] };
+        map.set(key, grp);
+        order.push(grp);
+      }
+    } else {
+      // No usable address — treat as its own group with null address
+      order.push({ address: null, displayAddress: null, lat: p.latitude, lng: p.longitude, projects: [p] });
+    }
+  }
+  return order;
+}
+
+// Group address-groups that share the same normalized title + source into one
+// card, so multi-building phased permits don't flood the feed.
+export function groupByTitle(addressGroups) {
+  const order = [];
+  const map = new Map();
+  for (const grp of addressGroups) {
+    const primary = getPrimaryPermit(grp.projects);
+    const title = (getDisplayTitle(primary) || primary.title || "").toLowerCase().trim().replace(/\s+/g, " ");
+    const key = `${primary.source_id}||${title}`;
+    if (map.has(key)) {
+      const existing = map.get(key);
+      existing.projects = [...existing.projects, ...grp.projects];
+      existing.phaseCount += 1;
+    } else {
+      const sg = { ...grp, phaseCount: 1 };
+      map.set(key, sg);
+      order.push(sg);
+    }
+  }
+  return order;
+}
@@ -0,0 +1,191 @@
+import { describe, it, expect } from "vitest";
+import {
+  buildValueMedians, cleanAddress, isSubpermit, getWorkClass,
+  getDisplayTitle, getDescText, getPrimaryPermit, groupByAddress, groupByTitle, linkSubpermits, subpermitsOf,
+} from "./projects";
+import { ALL_SOURCES } from "./sources";
+import { SOURCE_FIXTURES } from "./__fixtures__/projects";
+
+describe("source fixtures", () => {
+  it("cover every source in ALL_SOURCES", () => {
+    for (const { id } of ALL_SOURCES) {
+      expect(SOURCE_FIXTURES[id]?.length, id).toBeGreaterThan(0);
+    }
+  });
+
+  for (const [sourceId, cases] of Object.entries(SOURCE_FIXTURES)) {
+    describe(sourceId, () => {
+      cases.forEach(({ project, title, desc }) => {
+        it(`cleans "${project.title.slice(0, 48)}"`, () => {
+          expect(getDisplayTitle(project)).toBe(title);
+          expect(getDescText(project)).toBe(desc);
+        });
+      });
+    });
+  }
+});
+
+describe("getDisplayTitle", () => {
+  it("leaves non-permit titles containing an em dash intact", () => {
+    const p = { source_id: "sam-gov", title: "Dredging — Cooper River" };
+    expect(getDisplayTitle(p)).toBe("Dredging — Cooper River");
+  });
+
+  it("returns a missing title as-is", () => {
+    expect(getDisplayTitle({ source_id: "charleston-permits", title: null })).toBeNull();
+  });
+
+  it("keeps generic residential titles rather than inventing a category label", () => {
+    const p = { source_id: "charlotte-permits", category: "residential", title: "Repair — 1 MAIN ST" };
+    expect(getDisplayTitle(p)).toBe("Repair");
+  });
+});
+
+describe("getDescText", () => {
+  it("truncates long bid sentences to 300 characters", () => {
+    const long = `Construct ${"a very long scope item, ".repeat(20)}done.`;
+    const out = getDescText({ source_id: "scbo", description: long });
+    expect(out).toHaveLength(298);
+    expect(out.endsWith("…")).toBe(true);
+  });
+
+  it("drops descriptions too short to be useful", () => {
+    expect(getDescText({ source_id: "charlotte-permits", description: "TI" })).toBeNull();
+    expect(getDescText({ source_id: "charleston-permits", description: " | Alteration" })).toBeNull();
+    expect(getDescText({ source_id: "charlotte-permits", description: "" })).toBeNull();
+  });
+});
+
+describe("getWorkClass", () => {
+  it("reads the second pipe-delimited field on Charleston permits", () => {
+    expect(getWorkClass({ source_id: "charleston-permits", description: "Upfit | Alteration | Commercial" })).toBe("Alteration");
+  });
+
+  it("ignores other sources and blank fields", () => {
+    expect(getWorkClass({ source_id: "charlotte-permits", description: "Upfit | Alteration" })).toBeNull();
+    expect(getWorkClass({ source_id: "charleston-permits", description: "Upfit |  | Commercial" })).toBeNull();
+    expect(getWorkClass({ source_id: "charleston-permits" })).toBeNull();
+  });
+});
+
+describe("isSubpermit", () => {
+  it("recognises each spelling of the Charleston marker", () => {
+    for (const word of ["subpermit", "sub-permit", "Sub Permit"]) {
+      expect(isSubpermit({ source_id: "charleston-permits", title: `Plumbing ${word}`, description: "" })).toBe(true);
+    }
+  });
+
+  it("only applies to charleston-permits", () => {
+    expect(isSubpermit({ source_id: "charlotte-permits", title: "Plumbing subpermit", description: "" })).toBe(false);
+    expect(isSubpermit(SOURCE_FIXTURES["charleston-permits"][0].project)).toBe(false);
+  });
+});
+
+describe("linkSubpermits", () => {
+  const master = { id: 1, source_id: "charlotte-permits", permit_number: "B2025-00123", address: "1 Trade St", value: 5e6 };
+  const elec = { id: 2, source_id: "charlotte-permits", permit_number: "B2025-00123-E1", address: "1 Trade St" };
+  const plumb = { id: 3, source_id: "charlotte-permits", permit_number: "b2025-00123.2", address: "1 Trade St" };
+
+  it("links children by permit-number lineage within a source", () => {
+    const other = { id: 4, source_id: "charlotte-land-dev", permit_number: "B2025-00123-01" };
+    const { parentOf, children } = linkSubpermits([elec, master, plumb, other]);
+    expect(parentOf.get(2)).toBe(master);
+    expect(parentOf.get(3)).toBe(master);
+    expect(parentOf.has(4)).toBe(false);
+    expect(children.get(1).map((p) => p.id)).toEqual([2, 3]);
+  });
+
+  it("attaches Charleston subpermits to the master at the same address", () => {
+    const bp = { id: 5, source_id: "charleston-permits", title: "New hotel", description: "", address: "10 King St" };
+    const sub = { id: 6, source_id: "charleston-permits", title: "Electrical subpermit", description: "", address: "10 king st" };
+    const orphan = { ...sub, id: 7, address: "99 Elsewhere" };
+    const { parentOf } = linkSubpermits([bp, sub, orphan]);
+    expect(parentOf.get(6)).toBe(bp);
+    expect(parentOf.has(7)).toBe(false);
+  });
+
+  it("picks a master's children out of its site's rows", () => {
+    const neighbour = { id: 8, source_id: "charlotte-permits", permit_number: "B2025-00999-E1", address: "1 Trade St" };
+    expect(subpermitsOf([master], [{ ...master }, elec, plumb, neighbour]).map((p) => p.id)).toEqual([2, 3]);
+    expect(subpermitsOf([], [elec])).toEqual([]);
+  });
+});
+
+describe("cleanAddress", () => {
+  it("strips the trailing city and state", () => {
+    expect(cleanAddress("109 Bee St, Charleston, SC 29401")).toBe("109 Bee St");
+    expect(cleanAddress("54 St Philip St, South Carolina")).toBe("54 St Philip St");
+    expect(cleanAddress("2100 S TRYON ST")).toBe("2100 S TRYON ST");
+  });
+
+  it("returns null for empty input", () => {
+    expect(cleanAddress("")).toBeNull();
+    expect(cleanAddress(null)).toBeNull();
+    expect(cleanAddress(", Charleston, SC")).toBeNull();
+  });
+});
+
+describe("buildValueMedians", () => {
+  it("takes the upper median per category and work class", () => {
+    const medians = buildValueMedians([
+      { category: "office", work_class: "Alteration", value: 100 },
+      { category: "office", work_class: "Alteration", value: 300 },
+      { category: "office", work_class: "Alteration", value: 200 },
+      { category: "office", work_class: "Alteration", value: 400 },
+      { category: "hotel", value: 50 },
+      { category: "hotel", value: 0 },
+      { value: -5 },
+    ]);
+    expect(medians).toEqual({ office__Alteration: 300, hotel__unknown: 50 });
+  });
+});
+
+describe("getPrimaryPermit", () => {
+  it("prefers the highest value", () => {
+    const permits = SOURCE_FIXTURES["charleston-permits"].map((f) => f.project);
+    expect(getPrimaryPermit(permits).id).toBe(201);
+  });
+
+  it("falls back to category priority when nothing has a value", () => {
+    const primary = getPrimaryPermit([
+      { id: 1, category: "government" },
+      { id: 2, category: "fire-sprinkler" },
+      { id: 3, category: "hotel" },
+    ]);
+    expect(primary.id).toBe(3);
+  });
+});
+
+describe("groupByAddress", () => {
+  it("merges permits at the same normalised address and keeps first-seen order", () => {
+    const groups = groupByAddress([
+      { id: 1, address: "288 Meeting St", latitude: 32.78, longitude: -79.93 },
+      { id: 2, address: "12 KING ST" },
+      { id: 3, address: " 288  MEETING ST " },
+    ]);
+    expect(groups.map((g) => g.address)).toEqual(["288 MEETING ST", "12 KING ST"]);
+    expect(groups[0].projects.map((p) => p.id)).toEqual([1, 3]);
+    expect(groups[0].displayAddress).toBe("288 Meeting St");
+    expect(groups[0].lat).toBe(32.78);
+  });
+
+  it("gives address-less projects their own group", () => {
+    const groups = groupByAddress([{ id: 1, address: "" }, { id: 2 }, { id: 3, address: "N/A" }]);
+    expect(groups).toHaveLength(3);
+    expect(groups.every((g) => g.address === null)).toBe(true);
+  });
+});
+
+describe("groupByTitle", () => {
+  it("folds phased permits with the same cleaned title and source into one card", () => {
+    const groups = groupByTitle(groupByAddress([
+      { id: 1, source_id: "charleston-permits", title: "BUILDING 1 Apartments — 1 A ST", address: "1 A ST" },
+      { id: 2, source_id: "charleston-permits", title: "BUILDING 2 apartments — 2 A ST", address: "2 A ST" },
+      { id: 3, source_id: "mt-pleasant-permits", title: "Apartments — 3 A ST", address: "3 A ST" },
+    ]));
+    expect(groups).toHaveLength(2);
+    expect(groups[0].phaseCount).toBe(2);
+    expect(groups[0].projects.map((p) => p.id)).toEqual([1, 2]);
+    expect(groups[1].phaseCount).toBe(1);
+  });
+});
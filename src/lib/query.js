@@ -0,0 +1,208 @@
+// Search box query syntax:
+//
+//   hotel renovation          both words, anywhere
+//   "mixed use"               the phrase
+//   contractor:"Choate"       scoped to one field (see SEARCH_FIELDS)
+//   -roof  NOT roof           must not match
+//   hotel OR motel            either one
+//   value>2M  value<=500k     numeric comparisons (K / M / B suffixes)
+//
+// Terms are AND-ed; OR binds the terms either side of it. The backend gets the
+// plain positive words (serverSearch) to narrow the page; matchesQuery applies
+// the full query to each row client-side.
+
+import { getDisplayTitle } from "./projects";
+import { sourceLabel } from "./sources";
+
+//   get      project → text the field searches
+//   aliases  other names accepted before the colon
+export const SEARCH_FIELDS = {
+  title:       { label: "Title",       get: (p) => `${p.title || ""} ${getDisplayTitle(p) || ""}` },
+  description: { label: "Description", get: (p) => p.description || "", aliases: ["desc"] },
+  address:     { label: "Address",     get: (p) => `${p.address || ""} ${p.location || ""}`, aliases: ["addr"] },
+  contractor:  { label: "Contractor",  get: (p) => p.contractor || "", aliases: ["gc"] },
+  agency:      { label: "Agency",      get: (p) => p.agency || "" },
+  permit:      { label: "Permit #",    get: (p) => `${p.permit_number || ""} ${p.solicitation_number || ""}`, aliases: ["number", "solicitation"] },
+  category:    { label: "Category",    get: (p) => p.category || "", aliases: ["type"] },
+  status:      { label: "Status",      get: (p) => p.status || "" },
+  source:      { label: "Source",      get: (p) => `${p.source_id || ""} ${sourceLabel(p.source_id)}` },
+};
+
+// Numeric fields for > < >= <= =
+export const NUMERIC_FIELDS = {
+  value: (p) => p.value || null,
+};
+
+// Fields an unscoped term searches
+const FREE_TEXT = ["title", "description", "address", "contractor", "agency", "permit"];
+
+const FIELD_NAMES = Object.fromEntries(
+  Object.entries(SEARCH_FIELDS).flatMap(([id, f]) => [[id, id], ...(f.aliases || []).map((a) => [a, id])]),
+);
+
+const UNITS = { k: 1e3, m: 1e6, b: 1e9 };
+
+export function parseAmount(s) {
+  const m = /^\$?([\d,]*\.?\d+)\s*([kmb])?$/i.exec(s.trim());
+  if (!m) return null;
+  return Number(m[1].replace(/,/g, "")) * (UNITS[m[2]?.toLowerCase()] || 1);
+}
+
+// Splits on whitespace, keeping quoted phrases (and field:"quoted phrases")
+function tokenize(q) {
+  return q.match(/-?[\w#]*[:<>=]*"[^"]*"?|\S+/g) || [];
+}
+
+function parseAtom(token) {
+  let negate = false;
+  if (token.startsWith("-") && token.length > 1) {
+    negate = true;
+    token = token.slice(1);
+  }
+  const cmp = /^(\w+)(>=|<=|>|<|=)(.+)$/.exec(token);
+  if (cmp && NUMERIC_FIELDS[cmp[1].toLowerCase()]) {
+    const amount = parseAmount(cmp[3]);
+    if (amount != null) return { field: cmp[1].toLowerCase(), op: cmp[2], amount, negate };
+  }
+  const scoped = /^(\w+):(.*)$/.exec(token);
+  let field = null;
+  if (scoped && FIELD_NAMES[scoped[1].toLowerCase()]) {
+    field = FIELD_NAMES[scoped[1].toLowerCase()];
+    token = scoped[2];
+  }
+  const text = token.replace(/^"|"$/g, "").trim();
+  if (!text) return null;
+  return { field, text: text.toLowerCase(), negate };
+}
+
+// → [[atom, atom…], …] — an AND of OR-groups
+export function parseQuery(q) {
+  const groups = [];
+  let joinNext = false;
+  let negateNext = false;
+  for (const token of tokenize(q || "")) {
+    if (token === "OR") {
+      joinNext = groups.length > 0;
+      continue;
+    }
+    if (token === "AND") continue;
+    if (token === "NOT") {
+      negateNext = true;
+      continue;
+    }
+    const atom = parseAtom(token);
+    if (!atom) continue;
+    if (negateNext) atom.negate = !atom.negate;
+    negateNext = false;
+    if (joinNext) groups.at(-1).push(atom);
+    else groups.push([atom]);
+    joinNext = false;
+  }
+  return groups;
+}
+
+const COMPARE = {
+  ">": (a, b) => a > b,
+  "<": (a, b) => a < b,
+  ">=": (a, b) => a >= b,
+  "<=": (a, b) => a <= b,
+  "=": (a, b) => a === b,
+};
+
+function atomMatches(atom, project) {
+  let hit;
+  if (atom.op) {
+    const v = NUMERIC_FIELDS[atom.field](project);
+    hit = v != null && COMPARE[atom.op](v, atom.amount);
+  } else {
+    const fields = atom.field ? [atom.field] : FREE_TEXT;
+    hit = fields.some((f) => SEARCH_FIELDS[f].get(project).toLowerCase().includes(atom.text));
+  }
+  return atom.negate ? !hit : hit;
+}
+
+export function matchesQuery(project, groups) {
+  return groups.every((group) => group.some((atom) => atomMatches(atom, project)));
+}
+
+// Words the backend's `search` param can safely narrow by: unscoped,
+// positive, and not part of an OR
+export function serverSearch(groups) {
+  return groups
+    .filter((g) => g.length === 1 && !g[0].negate && !g[0].op && !g[0].field)
+    .map((g) => g[0].text)
+    .join(" ");
+}
+
+// Whether serverSearch and queryMinValue carry the whole query — plain words
+// and value>= only — so the backend's total is the query's total
+export function serverCoversQuery(groups) {
+  return groups.every(([atom, ...rest]) => !rest.length && !atom.negate && (atom.op
+    ? atom.field === "value" && atom.op === ">="
+    : !atom.field && !atom.text.includes(" ")));
+}
+
+// Lowest value a value>/>=/= term requires, for the backend's min_value
+export function queryMinValue(groups) {
+  const mins = groups
+    .filter((g) => g.length === 1 && g[0].field === "value" && !g[0].negate && [">", ">=", "="].includes(g[0].op))
+    .map((g) => g[0].amount);
+  return mins.length ? Math.max(...mins) : 0;
+}
+
+// [start, end) spans in `text` to highlight for `field` (null for text that
+// unscoped terms search), merged and sorted
+export function highlightRanges(text, groups, field = null) {
+  if (!text) return [];
+  const lower = text.toLowerCase();
+  const spans = [];
+  for (const atom of groups.flat()) {
+    if (atom.negate || atom.op || !atom.text) continue;
+    if (atom.field && atom.field !== field) continue;
+    if (!atom.field && field && !FREE_TEXT.includes(field)) continue;
+    for (let i = lower.indexOf(atom.text); i !== -1; i = lower.indexOf(atom.text, i + atom.text.length)) {
+      spans.push([i, i + atom.text.length]);
+    }
+  }
+  spans.sort((a, b) => a[0] - b[0]);
+  const merged = [];
+  for (const s of spans) {
+    if (merged.length && s[0] <= merged.at(-1)[1]) merged.at(-1)[1] = Math.max(merged.at(-1)[1], s[1]);
+    else merged.push([...s]);
+  }
+  return merged;
+}
+
+// ─── AUTOCOMPLETE ───────────────────────────────────────────────────────────
+
+export const RECENT_SEARCHES_KEY = "sitescan_recent_searches";
+export const RECENT_SEARCHES_MAX = 10;
+
+export function rememberSearch(recent, q) {
+  const query = q.trim();
+  if (!query) return recent;
+  return [query, ...recent.filter((r) => r !== query)].slice(0, RECENT_SEARCHES_MAX);
+}
+
+// Suggestions for the text typed so far: field names while the last word
+// looks like one, else recent queries that start with (then contain) it.
+// Each is { label, value } where value replaces the whole input.
+export function searchSuggestions(input, recent) {
+  const q = input || "";
+  const last = /(?:^|\s)(-?)(\w+)$/.exec(q);
+  if (last && !q.endsWith(" ")) {
+    const prefix = q.slice(0, q.length - last[2].length);
+    const fields = [...Object.keys(SEARCH_FIELDS), ...Object.keys(NUMERIC_FIELDS)]
+      .filter((f) => f.startsWith(last[2].toLowerCase()) && f !== last[2].toLowerCase());
+    if (fields.length) {
+      return fields.map((f) => ({
+        label: NUMERIC_FIELDS[f] ? `${f}>…` : `${f}:`,
+        value: `${prefix}${f}${NUMERIC_FIELDS[f] ? ">" : ":"}`,
+      }));
+    }
+  }
+  const lower = q.trim().toLowerCase();
+  const starts = recent.filter((r) => r.toLowerCase().startsWith(lower) && r !== q.trim());
+  const contains = lower ? recent.filter((r) => !starts.includes(r) && r.toLowerCase().includes(lower) && r !== q.trim()) : [];
+  return [...starts, ...contains].slice(0, 6).map((r) => ({ label: r, value: r, recent: true }));
+}
@@ -0,0 +1,75 @@
+import { describe, it, expect } from "vitest";
+import {
+  parseQuery, matchesQuery, serverSearch, serverCoversQuery, queryMinValue, highlightRanges, parseAmount, rememberSearch, searchSuggestions,
+} from "./query";
+
+const hotel = {
+  id: 1, source_id: "charleston-permits", title: "New hotel with rooftop bar", description: "Six story hotel",
+  address: "10 King St", contractor: "Choate Construction | Beta Electric", category: "hotel", status: "Issued",
+  value: 4e6, permit_number: "BP-2025-001",
+};
+
+describe("parseQuery", () => {
+  it("reads fields, phrases, negation, OR and comparisons", () => {
+    expect(parseQuery('contractor:"Choate Construction" category:hotel value>2M -roof')).toEqual([
+      [{ field: "contractor", text: "choate construction", negate: false }],
+      [{ field: "category", text: "hotel", negate: false }],
+      [{ field: "value", op: ">", amount: 2e6, negate: false }],
+      [{ field: null, text: "roof", negate: true }],
+    ]);
+    expect(parseQuery("hotel OR motel NOT garage").map((g) => g.length)).toEqual([2, 1]);
+    expect(parseQuery("hotel OR motel NOT garage")[1][0].negate).toBe(true);
+    expect(parseQuery("foo:bar")[0][0]).toEqual({ field: null, text: "foo:bar", negate: false });
+    expect(parseAmount("$1,500k")).toBe(1.5e6);
+  });
+});
+
+describe("matchesQuery", () => {
+  const match = (q) => matchesQuery(hotel, parseQuery(q));
+
+  it("applies the query to each field", () => {
+    expect(match('contractor:"Choate" category:hotel value>2M -garage')).toBe(true);
+    expect(match("-rooftop")).toBe(false);
+    expect(match("value<=1m")).toBe(false);
+    expect(match("permit:bp-2025")).toBe(true);
+    expect(match("motel OR hotel")).toBe(true);
+    expect(match("agency:city")).toBe(false);
+    expect(match("source:chs")).toBe(true);
+    expect(match("")).toBe(true);
+  });
+});
+
+describe("serverSearch / queryMinValue", () => {
+  it("sends the backend only what it can narrow by", () => {
+    const q = parseQuery('hotel "king st" contractor:choate -roof motel OR inn value>=2M');
+    expect(serverSearch(q)).toBe("hotel king st");
+    expect(queryMinValue(q)).toBe(2e6);
+  });
+
+  it("knows when the backend saw the whole query", () => {
+    expect(serverCoversQuery(parseQuery("hotel king value>=2M"))).toBe(true);
+    expect(serverCoversQuery(parseQuery(""))).toBe(true);
+    for (const q of ['"king st"', "contractor:choate", "-roof", "hotel OR motel", "value>2M", "value<1M"]) {
+      expect(serverCoversQuery(parseQuery(q))).toBe(false);
+    }
+  });
+});
+
+describe("highlightRanges", () => {
+  it("marks positive terms in the fields they search", () => {
+    const q = parseQuery("hotel contractor:choate -bar");
+    expect(highlightRanges(hotel.title, q, "title")).toEqual([[4, 9]]);
+    expect(highlightRanges(hotel.contractor, q, "contractor")).toEqual([[0, 6]]);
+    expect(highlightRanges("Hotel hotel", parseQuery("hotel OR hot"), "title")).toEqual([[0, 5], [6, 11]]);
+  });
+});
+
+describe("autocomplete", () => {
+  it("suggests field names, then recent queries", () => {
+    expect(searchSuggestions("hotel con", [])).toEqual([{ label: "contractor:", value: "hotel contractor:" }]);
+    expect(searchSuggestions("val", [])[0].value).toBe("value>");
+    const recent = rememberSearch(rememberSearch(["old"], "category:hotel"), "hotel value>2M");
+    expect(recent).toEqual(["hotel value>2M", "category:hotel", "old"]);
+    expect(searchSuggestions("hot", recent).map((s) => s.value)).toEqual(["hotel value>2M", "category:hotel"]);
+  });
+});
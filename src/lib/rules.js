@@ -0,0 +1,145 @@
+// Feed exclusion rules (Settings → Feed Rules). Exclude rules hide matching
+// projects from the default feed; include rules win over them, so a user can
+// rescue e.g. "roof permit for" hotels without dropping the whole rule.
+//
+//   { id, label, action: "exclude" | "include", field, enabled, ...field data }
+//   keyword   terms: [phrase], match: "contains" | "starts" — against the title
+//   category  values: [category]
+//   source    values: [source id]
+//   value     min, max — either may be null; projects without a value never match
+//
+// Keyword phrases are plain text: spaces match any run of whitespace, "#" a
+// number, "*" any letters, and " - " a dash with optional space around it.
+
+export const RULE_FIELDS = {
+  keyword:  "Title keywords",
+  category: "Category",
+  source:   "Source",
+  value:    "Value range",
+};
+
+export const RULE_ACTIONS = {
+  exclude: "Hide",
+  include: "Always show",
+};
+
+// The title filter that used to be hard-coded as CIVIL_INFRA_RE
+export const DEFAULT_RULES = [
+  {
+    id: "civil-infra",
+    label: "Civil and infrastructure work",
+    action: "exclude",
+    field: "keyword",
+    match: "contains",
+    enabled: true,
+    terms: [
+      "culvert", "resurfacing", "road resurface", "road widening", "road repair", "road improvement",
+      "highway construction", "roundabout", "bridge repair", "bridge replacement", "bridge construction",
+      "bridge project", "pavement marking", "pavement replacement", "traffic signal", "water main", "sewer main",
+      "utility relocation", "utility undergrounding",
+    ],
+  },
+  {
+    id: "permit-fragments",
+    label: "Phasing and partial permits",
+    action: "exclude",
+    field: "keyword",
+    match: "starts",
+    enabled: true,
+    terms: [
+      "phasing permit", "phased permit", "phasing floor #", "level #", "parking garage for",
+      "roof permit for", "overall master permit", "master permit for", "retail floor #", "leasing office",
+      "a internal parking garage", "an internal parking garage", "hotel rooms level #", "pool area and",
+      "test permit", "this permit to serve for", "mockup panel for", "site *mprovement* -",
+    ],
+  },
+];
+
+const escape = (s) => s.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// Regex source for one keyword phrase
+export function termPattern(term) {
+  const words = term.trim().toLowerCase().split(/\s+/).filter(Boolean);
+  let out = "";
+  words.forEach((w, i) => {
+    if (w === "-") {
+      out += "\\s*[-–]";
+      return;
+    }
+    if (i > 0) out += "\\s+";
+    out += w.split(/([#*])/).map((part) => (part === "#" ? "[\\d.]+" : part === "*" ? "\\w*" : escape(part))).join("");
+  });
+  // Whole words only, unless the phrase ends in a dash
+  return words.at(-1) === "-" ? out : `${out}\\b`;
+}
+
+const keywordRegex = (rule) => {
+  const terms = (rule.terms || []).filter((t) => t.trim());
+  if (!terms.length) return null;
+  const body = terms.map(termPattern).join("|");
+  return new RegExp(rule.match === "starts" ? `^\\s*(?:${body})` : `\\b(?:${body})`, "i");
+};
+
+// Compiled keyword regexes, keyed by the rule object
+const compiled = new WeakMap();
+
+export function ruleMatches(rule, project) {
+  switch (rule.field) {
+    case "keyword": {
+      if (!compiled.has(rule)) compiled.set(rule, keywordRegex(rule));
+      const re = compiled.get(rule);
+      return !!re && re.test(project.title || "");
+    }
+    case "category": return (rule.values || []).includes(project.category);
+    case "source": return (rule.values || []).includes(project.source_id);
+    case "value": {
+      if (!project.value) return false;
+      if (rule.min != null && project.value < rule.min) return false;
+      if (rule.max != null && project.value > rule.max) return false;
+      return rule.min != null || rule.max != null;
+    }
+    default: return false;
+  }
+}
+
+// The exclude rule hiding this project, or null when it stays (no exclude
+// matched, or an include rule rescued it)
+export function hidingRule(project, rules) {
+  const active = rules.filter((r) => r.enabled !== false);
+  if (active.some((r) => r.action === "include" && ruleMatches(r, project))) return null;
+  return active.find((r) => r.action === "exclude" && ruleMatches(r, project)) || null;
+}
+
+// Live preview: { [rule id]: count } — projects each exclude rule hides
+// (first matching rule gets the credit), and projects each include rule
+// rescues from an exclude rule
+export function ruleImpact(rules, projects) {
+  const counts = Object.fromEntries(rules.map((r) => [r.id, 0]));
+  const active = rules.filter((r) => r.enabled !== false);
+  for (const p of projects) {
+    const excluder = active.find((r) => r.action === "exclude" && ruleMatches(r, p));
+    if (!excluder) continue;
+    const rescuers = active.filter((r) => r.action === "include" && ruleMatches(r, p));
+    if (rescuers.length) for (const r of rescuers) counts[r.id] += 1;
+    else counts[excluder.id] += 1;
+  }
+  return counts;
+}
+
+export function newRule(field, action = "exclude") {
+  const base = { id: `${field}-${Date.now().toString(36)}`, label: "", action, field, enabled: true };
+  if (field === "keyword") return { ...base, match: "contains", terms: [] };
+  if (field === "value") return { ...base, min: null, max: null };
+  return { ...base, values: [] };
+}
+
+// Error message, or null when the rule can be saved
+export function ruleError(rule) {
+  if (rule.field === "keyword" && !(rule.terms || []).some((t) => t.trim())) return "Add at least one keyword";
+  if ((rule.field === "category" || rule.field === "source") && !(rule.values || []).length) return "Pick at least one";
+  if (rule.field === "value") {
+    if (rule.min == null && rule.max == null) return "Set a minimum, a maximum or both";
+    if (rule.min != null && rule.max != null && rule.min > rule.max) return "Minimum is above the maximum";
+  }
+  return null;
+}
@@ -0,0 +1,60 @@
+import { describe, it, expect } from "vitest";
+import { DEFAULT_RULES, termPattern, ruleMatches, hidingRule, ruleImpact, newRule, ruleError } from "./rules";
+
+const titled = (title, extra = {}) => ({ id: title, title, ...extra });
+
+describe("termPattern", () => {
+  it("turns phrases into whole-word patterns", () => {
+    expect(new RegExp(termPattern("road  widening"), "i").test("Road\twidening")).toBe(true);
+    expect(new RegExp(`^${termPattern("level #")}`, "i").test("Level 12 fit-out")).toBe(true);
+    expect(new RegExp(`^${termPattern("leasing office")}`, "i").test("Leasing officer")).toBe(false);
+    expect(new RegExp(`^${termPattern("site *mprovement* -")}`, "i").test("Site Iomprovements – lot")).toBe(true);
+  });
+});
+
+describe("DEFAULT_RULES", () => {
+  it("hide what CIVIL_INFRA_RE hid", () => {
+    for (const t of ["Culvert replacement", "Traffic signal upgrade", "Phasing permit for tower", "Retail floor 2.5 buildout", "Site Improvements - Phase 2"]) {
+      expect(hidingRule(titled(t), DEFAULT_RULES), t).not.toBeNull();
+    }
+    for (const t of ["New hotel", "Waterfront bridge", "Site improvements for school", "Leasing officer hub"]) {
+      expect(hidingRule(titled(t), DEFAULT_RULES), t).toBeNull();
+    }
+  });
+});
+
+describe("ruleMatches", () => {
+  it("matches categories, sources and value ranges", () => {
+    const p = titled("Dorm", { category: "education", source_id: "scbo", value: 2e6 });
+    expect(ruleMatches({ ...newRule("category"), values: ["education"] }, p)).toBe(true);
+    expect(ruleMatches({ ...newRule("source"), values: ["sam-gov"] }, p)).toBe(false);
+    expect(ruleMatches({ ...newRule("value"), max: 5e6 }, p)).toBe(true);
+    expect(ruleMatches({ ...newRule("value"), min: 5e6 }, p)).toBe(false);
+    expect(ruleMatches({ ...newRule("value"), max: 5e6 }, { ...p, value: null })).toBe(false);
+  });
+});
+
+describe("hidingRule / ruleImpact", () => {
+  const rescue = { ...newRule("keyword", "include"), id: "hotels", terms: ["hotel"] };
+  const rules = [...DEFAULT_RULES, rescue];
+  const rows = [titled("Roof permit for hotel"), titled("Roof permit for garage"), titled("Culvert at Elm"), titled("New office")];
+
+  it("lets include rules win over exclude rules", () => {
+    expect(hidingRule(rows[0], rules)).toBeNull();
+    expect(hidingRule(rows[1], rules).id).toBe("permit-fragments");
+    expect(hidingRule(rows[1], rules.map((r) => ({ ...r, enabled: false })))).toBeNull();
+  });
+
+  it("counts what each rule hides or rescues", () => {
+    expect(ruleImpact(rules, rows)).toEqual({ "civil-infra": 1, "permit-fragments": 1, hotels: 1 });
+  });
+});
+
+describe("ruleError", () => {
+  it("flags rules that can't match anything", () => {
+    expect(ruleError(newRule("keyword"))).toBe("Add at least one keyword");
+    expect(ruleError(newRule("category"))).toBe("Pick at least one");
+    expect(ruleError({ ...newRule("value"), min: 5, max: 1 })).toBe("Minimum is above the maximum");
+    expect(ruleError(DEFAULT_RULES[0])).toBeNull();
+  });
+});
@@ -0,0 +1,131 @@
+// Personalized match score. Computed client-side from the user's Settings
+// criteria, their saved and dismissed projects, and their office location, so
+// every point can be explained factor by factor.
+
+import { chipMatch, projectMatchesClientTypes, TRADE_CATEGORIES } from "./filters";
+import { getNeighborhood } from "./neighborhoods";
+
+// Weights add up to 100; each factor scores 0–1 and contributes weight × that
+export const SCORE_FACTORS = {
+  criteria: { label: "Your criteria",  weight: 30 },
+  history:  { label: "Saved vs hidden", weight: 20 },
+  value:    { label: "Project size",   weight: 20 },
+  category: { label: "Category",       weight: 15 },
+  distance: { label: "Distance",       weight: 15 },
+};
+
+// Beyond this the distance factor bottoms out
+export const MAX_DISTANCE_MI = 50;
+
+const clamp = (v) => Math.max(0, Math.min(1, v));
+const lat = (p) => p.latitude ?? p.lat;
+const lng = (p) => p.longitude ?? p.lng;
+const areaOf = (p) => (lat(p) != null && lng(p) != null && getNeighborhood(lat(p), lng(p))) || p.location || null;
+
+export function distanceMiles(a, b) {
+  const R = 3958.8;
+  const rad = (d) => (d * Math.PI) / 180;
+  const dLat = rad(b.lat - a.lat);
+  const dLng = rad(b.lng - a.lng);
+  const h = Math.sin(dLat / 2) ** 2 + Math.cos(rad(a.lat)) * Math.cos(rad(b.lat)) * Math.sin(dLng / 2) ** 2;
+  return 2 * R * Math.asin(Math.sqrt(h));
+}
+
+function countBy(projects, key) {
+  const counts = new Map();
+  for (const p of projects) {
+    const k = key(p);
+    if (k) counts.set(k, (counts.get(k) || 0) + 1);
+  }
+  return counts;
+}
+
+// Precomputes everything per-project scoring needs.
+//   criteria    Settings defaults: { clientTypes, categories, categoryMode, statuses, statusMode, minValue }
+//   saved       saved rows ({ project })
+//   dismissals  dismissal rows ({ project, reason })
+//   office      { lat, lng, label } — the office, or the market center as a stand-in
+export function buildScoreContext({ criteria = {}, saved = [], dismissals = [], office = null }) {
+  const savedProjects = saved.map((s) => s.project).filter(Boolean);
+  // "Already bidding" hides a project we're pursuing — not evidence against it
+  const dismissedProjects = dismissals
+    .filter((d) => d.project && d.reason !== "already_bidding")
+    .map((d) => d.project);
+  const savedValues = savedProjects.map((p) => p.value).filter((v) => v > 0).sort((a, b) => a - b);
+  return {
+    criteria,
+    office,
+    savedCategories: countBy(savedProjects, (p) => p.category),
+    savedAreas: countBy(savedProjects, areaOf),
+    dismissedCategories: countBy(dismissedProjects, (p) => p.category),
+    dismissedAreas: countBy(dismissedProjects, areaOf),
+    typicalValue: savedValues.length ? savedValues[Math.floor(savedValues.length / 2)] : null,
+  };
+}
+
+function criteriaFactor(p, { criteria: c }) {
+  const checks = [];
+  if (c.clientTypes?.length) checks.push(["client type", projectMatchesClientTypes(p, c.clientTypes)]);
+  if (c.categories?.length) checks.push(["category", chipMatch(c.categories, c.categoryMode, p.category)]);
+  if (c.statuses?.length) checks.push(["status", chipMatch(c.statuses, c.statusMode, p.status)]);
+  if (c.minValue > 0) checks.push(["minimum value", !p.value || p.value >= c.minValue]);
+  if (!checks.length) return [0.5, "No default criteria set in Settings"];
+  const met = checks.filter(([, ok]) => ok);
+  const missed = checks.filter(([, ok]) => !ok).map(([name]) => name);
+  return [met.length / checks.length, missed.length ? `Misses ${missed.join(", ")}` : `Meets all ${checks.length} criteria`];
+}
+
+// Laplace-smoothed share of saves among similar saved + hidden projects
+function historyFactor(p, ctx) {
+  const area = areaOf(p);
+  const saves = (ctx.savedCategories.get(p.category) || 0) + (area ? ctx.savedAreas.get(area) || 0 : 0);
+  const hides = (ctx.dismissedCategories.get(p.category) || 0) + (area ? ctx.dismissedAreas.get(area) || 0 : 0);
+  if (!saves && !hides) return [0.5, "Nothing similar saved or hidden yet"];
+  return [(saves + 1) / (saves + hides + 2), `${saves} similar saved, ${hides} hidden`];
+}
+
+// Closeness to the size we usually save, on a log scale; 10× off scores 0
+function valueFactor(p, { criteria, typicalValue }) {
+  if (!p.value) return [0.3, "No declared value"];
+  if (criteria.minValue > 0 && p.value < criteria.minValue) return [0, "Below your minimum value"];
+  const target = typicalValue || criteria.minValue * 5 || 1e6;
+  const score = clamp(1 - Math.abs(Math.log10(p.value / target)));
+  return [score, typicalValue ? "Compared with your typical saved project" : "Compared with your minimum value"];
+}
+
+function categoryFactor(p, { criteria, savedCategories }) {
+  if (criteria.categories?.length && criteria.categoryMode === "exclude" && criteria.categories.includes(p.category)) {
+    return [0, "A category you exclude"];
+  }
+  if (criteria.categories?.length && criteria.categoryMode !== "exclude" && criteria.categories.includes(p.category)) {
+    return [1, "One of your categories"];
+  }
+  if (savedCategories.has(p.category)) return [0.8, "You've saved this category before"];
+  if (TRADE_CATEGORIES.has(p.category)) return [0.2, "Trade-level work"];
+  return [0.5, "Neutral category"];
+}
+
+function distanceFactor(p, { office }) {
+  if (!office) return [0.5, "Set your office in Settings"];
+  if (lat(p) == null || lng(p) == null) return [0.4, "No location"];
+  const miles = distanceMiles(office, { lat: lat(p), lng: lng(p) });
+  return [clamp(1 - miles / MAX_DISTANCE_MI), `${miles.toFixed(1)} mi from ${office.label || "the office"}`];
+}
+
+const FACTOR_FNS = {
+  criteria: criteriaFactor,
+  history: historyFactor,
+  value: valueFactor,
+  category: categoryFactor,
+  distance: distanceFactor,
+};
+
+// { score: 0–100, factors: [{ id, label, weight, points, detail }] }
+export function matchScore(project, ctx) {
+  const factors = Object.entries(SCORE_FACTORS).map(([id, { label, weight }]) => {
+    const [share, detail] = FACTOR_FNS[id](project, ctx);
+    return { id, label, weight, points: Math.round(share * weight * 10) / 10, detail };
+  });
+  const score = Math.round(factors.reduce((sum, f) => sum + f.points, 0));
+  return { score, factors };
+}
@@ -0,0 +1,58 @@
+import { describe, it, expect } from "vitest";
+import { buildScoreContext, matchScore, distanceMiles, SCORE_FACTORS } from "./score";
+
+const office = { lat: 32.7765, lng: -79.9311, label: "the office" };
+const hotel = { id: 1, source_id: "charleston-permits", category: "hotel", status: "Issued", value: 4e6, latitude: 32.78, longitude: -79.93, location: "Downtown" };
+const factor = (result, id) => result.factors.find((f) => f.id === id);
+
+describe("distanceMiles", () => {
+  it("measures great-circle miles", () => {
+    // Charleston → Charlotte is roughly 177 miles as the crow flies
+    expect(distanceMiles(office, { lat: 35.2271, lng: -80.8431 })).toBeGreaterThan(170);
+    expect(distanceMiles(office, { lat: 35.2271, lng: -80.8431 })).toBeLessThan(185);
+  });
+});
+
+describe("matchScore", () => {
+  it("weights factors to a 0–100 score", () => {
+    expect(Object.values(SCORE_FACTORS).reduce((s, f) => s + f.weight, 0)).toBe(100);
+    const { score, factors } = matchScore(hotel, buildScoreContext({}));
+    expect(factors.map((f) => f.id)).toEqual(["criteria", "history", "value", "category", "distance"]);
+    expect(score).toBe(Math.round(factors.reduce((s, f) => s + f.points, 0)));
+    expect(factor(matchScore(hotel, buildScoreContext({})), "distance").detail).toBe("Set your office in Settings");
+  });
+
+  it("rewards criteria matches and penalizes misses", () => {
+    const ctx = buildScoreContext({ criteria: { categories: ["hotel"], minValue: 1e6 }, office });
+    const good = matchScore(hotel, ctx);
+    const bad = matchScore({ ...hotel, category: "office", value: 5e5 }, ctx);
+    expect(factor(good, "criteria")).toMatchObject({ points: 30, detail: "Meets all 2 criteria" });
+    expect(factor(bad, "criteria")).toMatchObject({ points: 0, detail: "Misses category, minimum value" });
+    expect(factor(good, "category").detail).toBe("One of your categories");
+    expect(factor(bad, "value").points).toBe(0);
+    expect(good.score).toBeGreaterThan(bad.score);
+  });
+
+  it("learns from saved and dismissed history", () => {
+    const ctx = buildScoreContext({
+      saved: [{ project: { ...hotel, id: 2, value: 4e6 } }],
+      dismissals: [
+        { reason: "not_trade", project: { ...hotel, id: 3, category: "roofing", location: "Summerville", latitude: null } },
+        { reason: "already_bidding", project: { ...hotel, id: 4 } },
+      ],
+    });
+    expect(factor(matchScore(hotel, ctx), "history")).toMatchObject({ detail: "2 similar saved, 0 hidden" });
+    expect(factor(matchScore(hotel, ctx), "value").points).toBe(20);
+    const roof = matchScore({ ...hotel, category: "roofing", location: "Summerville", latitude: null }, ctx);
+    expect(factor(roof, "history").detail).toBe("0 similar saved, 2 hidden");
+    expect(factor(roof, "history").points).toBeLessThan(10);
+  });
+
+  it("scores distance from the office", () => {
+    const ctx = buildScoreContext({ office });
+    expect(factor(matchScore(hotel, ctx), "distance").points).toBeGreaterThan(14.5);
+    const far = matchScore({ ...hotel, latitude: 35.2271, longitude: -80.8431 }, ctx);
+    expect(factor(far, "distance").points).toBe(0);
+    expect(factor(far, "distance").detail).toMatch(/^17\d\.\d mi from the office$/);
+  });
+});
@@ -0,0 +1,25 @@
+// Saved searches: named FilterBar presets stored on /searches.
+// A search row is { id, name, market, filters, is_default }, where `filters`
+// holds only the keys that differ from DEFAULT_FILTERS so old presets pick up
+// new defaults instead of freezing them.
+
+import { DEFAULT_FILTERS } from "./filters";
+import { filtersToParams, paramsToFilters } from "./url";
+
+export function compactFilters(filters) {
+  return paramsToFilters(filtersToParams(filters));
+}
+
+export function expandFilters(compact) {
+  return { ...DEFAULT_FILTERS, ...compact };
+}
+
+// Whether the FilterBar is currently showing this search
+export function isActiveSearch(search, filters, marketId) {
+  if (search.market && search.market !== marketId) return false;
+  return JSON.stringify(compactFilters(expandFilters(search.filters))) === JSON.stringify(compactFilters(filters));
+}
+
+export function defaultSearch(searches) {
+  return searches.find((s) => s.is_default) || null;
+}
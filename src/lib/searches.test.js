@@ -0,0 +1,45 @@
+import { describe, it, expect } from "vitest";
+import { compactFilters, expandFilters, isActiveSearch, defaultSearch } from "./searches";
+import { DEFAULT_FILTERS } from "./filters";
+
+const hotels = { id: 1, name: "Lowcountry hotels", market: "charleston-sc", filters: { categories: ["hotel"], inRegion: true } };
+
+describe("compactFilters", () => {
+  it("keeps only what differs from the defaults", () => {
+    expect(compactFilters({ ...DEFAULT_FILTERS, minValue: 5000000, sources: ["sam-gov"] }))
+      .toEqual({ minValue: 5000000, sources: ["sam-gov"] });
+    expect(compactFilters(DEFAULT_FILTERS)).toEqual({});
+  });
+
+  it("round-trips through expandFilters", () => {
+    const f = { ...DEFAULT_FILTERS, clientTypes: ["government"], statusMode: "exclude", statuses: ["Finaled"] };
+    expect(expandFilters(compactFilters(f))).toEqual(f);
+  });
+
+  it("keeps multi-key sorts and the home base", () => {
+    const f = { ...DEFAULT_FILTERS, sortBy: "deadline", sortDir: "asc", thenBy: ["value:desc"], homeBase: "here" };
+    expect(compactFilters(f)).toEqual({ sortBy: "deadline", sortDir: "asc", thenBy: ["value:desc"], homeBase: "here" });
+    expect(expandFilters(compactFilters(f))).toEqual(f);
+  });
+});
+
+describe("isActiveSearch", () => {
+  it("matches the FilterBar state in the same market", () => {
+    const current = { ...DEFAULT_FILTERS, categories: ["hotel"], inRegion: true };
+    expect(isActiveSearch(hotels, current, "charleston-sc")).toBe(true);
+    expect(isActiveSearch(hotels, current, "charlotte-nc")).toBe(false);
+    expect(isActiveSearch(hotels, { ...current, minValue: 0 }, "charleston-sc")).toBe(false);
+  });
+
+  it("ignores key order in the stored filters", () => {
+    const reordered = { ...hotels, filters: { inRegion: true, categories: ["hotel"] } };
+    expect(isActiveSearch(reordered, { ...DEFAULT_FILTERS, categories: ["hotel"], inRegion: true }, "charleston-sc")).toBe(true);
+  });
+});
+
+describe("defaultSearch", () => {
+  it("picks the flagged search", () => {
+    expect(defaultSearch([hotels, { id: 2, is_default: true }]).id).toBe(2);
+    expect(defaultSearch([hotels])).toBeNull();
+  });
+});
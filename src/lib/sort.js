@@ -0,0 +1,73 @@
+// Feed ordering. The FilterBar keeps the primary key in sortBy/sortDir and any
+// tie-breakers in thenBy as "key:dir" strings, e.g. sortBy "deadline" then
+// ["value:desc"]. The backend pages by the primary key when it can sort by
+// it; the full multi-key order is applied client-side to what's loaded.
+
+import { distanceMiles } from "./score";
+
+//   server      /projects accepts it as sort_by
+//   defaultDir  direction picked when the key is added
+export const SORT_KEYS = {
+  value:       { label: "Value",     defaultDir: "desc", server: true },
+  posted_date: { label: "Freshness", defaultDir: "desc", server: true },
+  deadline:    { label: "Deadline",  defaultDir: "asc",  server: true },
+  distance:    { label: "Distance",  defaultDir: "asc" },
+  match:       { label: "Match",     defaultDir: "desc" },
+};
+
+// Where "distance" is measured from
+export const HOME_BASES = {
+  office: "Office",
+  here:   "My location",
+  market: "Market center",
+};
+
+export function sortKeys(filters) {
+  const primary = { key: SORT_KEYS[filters.sortBy] ? filters.sortBy : "value", dir: filters.sortDir === "asc" ? "asc" : "desc" };
+  const rest = (filters.thenBy || [])
+    .map((s) => {
+      const [key, dir] = s.split(":");
+      return { key, dir: dir === "asc" ? "asc" : "desc" };
+    })
+    .filter((k) => SORT_KEYS[k.key] && k.key !== primary.key);
+  return [primary, ...rest];
+}
+
+// sort_by/sort_dir for /projects: the primary key, or value order when only
+// the client can evaluate it
+export function serverSort(filters) {
+  const [primary] = sortKeys(filters);
+  return SORT_KEYS[primary.key].server ? { sort_by: primary.key, sort_dir: primary.dir } : { sort_by: "value", sort_dir: "desc" };
+}
+
+// Sort value for one key, or null when the project has none
+function sortValue(key, p, ctx) {
+  const lat = p.latitude ?? p.lat;
+  const lng = p.longitude ?? p.lng;
+  switch (key) {
+    case "value": return p.value || null;
+    case "posted_date": return p.posted_date ? Date.parse(p.posted_date) : null;
+    case "deadline": return p.deadline ? Date.parse(p.deadline) : null;
+    case "distance": return ctx.home && lat != null && lng != null ? distanceMiles(ctx.home, { lat, lng }) : null;
+    case "match": return ctx.score ? ctx.score(p) : null;
+    default: return null;
+  }
+}
+
+// Comparator over sortKeys(filters). Projects missing a key's value sink below
+// the ones that have it, whichever direction that key runs.
+//   ctx.home   { lat, lng } for distance
+//   ctx.score  project → match score
+export function compareProjects(keys, ctx = {}) {
+  return (a, b) => {
+    for (const { key, dir } of keys) {
+      const va = sortValue(key, a, ctx);
+      const vb = sortValue(key, b, ctx);
+      if (va === vb) continue;
+      if (va == null) return 1;
+      if (vb == null) return -1;
+      return dir === "asc" ? va - vb : vb - va;
+    }
+    return 0;
+  };
+}
@@ -0,0 +1,42 @@
+import { describe, it, expect } from "vitest";
+import { sortKeys, serverSort, compareProjects } from "./sort";
+
+const rows = [
+  { id: 1, value: 5e6, deadline: "2025-07-01", posted_date: "2025-05-01", latitude: 32.9, longitude: -79.9 },
+  { id: 2, value: 1e6, deadline: "2025-06-15", posted_date: "2025-06-01", latitude: 32.78, longitude: -79.93 },
+  { id: 3, value: 9e6, deadline: null, posted_date: "2025-04-01" },
+  { id: 4, value: 2e6, deadline: "2025-06-15", posted_date: "2025-03-01", latitude: 33.5, longitude: -80.5 },
+];
+const order = (filters, ctx) => [...rows].sort(compareProjects(sortKeys(filters), ctx)).map((r) => r.id);
+
+describe("sortKeys", () => {
+  it("reads the primary key and tie-breakers, dropping unknown and repeated keys", () => {
+    expect(sortKeys({ sortBy: "deadline", sortDir: "asc", thenBy: ["value:desc", "deadline:desc", "bogus:asc"] }))
+      .toEqual([{ key: "deadline", dir: "asc" }, { key: "value", dir: "desc" }]);
+    expect(sortKeys({})).toEqual([{ key: "value", dir: "desc" }]);
+  });
+});
+
+describe("serverSort", () => {
+  it("passes server-sortable primaries through", () => {
+    expect(serverSort({ sortBy: "posted_date", sortDir: "asc" })).toEqual({ sort_by: "posted_date", sort_dir: "asc" });
+    expect(serverSort({ sortBy: "distance", sortDir: "asc" })).toEqual({ sort_by: "value", sort_dir: "desc" });
+  });
+});
+
+describe("compareProjects", () => {
+  it("breaks deadline ties by value and sinks missing deadlines", () => {
+    expect(order({ sortBy: "deadline", sortDir: "asc", thenBy: ["value:desc"] })).toEqual([4, 2, 1, 3]);
+    expect(order({ sortBy: "deadline", sortDir: "desc" })).toEqual([1, 2, 4, 3]);
+  });
+
+  it("sorts by distance from the home base", () => {
+    expect(order({ sortBy: "distance", sortDir: "asc" }, { home: { lat: 32.7765, lng: -79.9311 } })).toEqual([2, 1, 4, 3]);
+  });
+
+  it("sorts by match score and freshness", () => {
+    const score = (p) => ({ 1: 40, 2: 90, 3: 70, 4: 10 })[p.id];
+    expect(order({ sortBy: "match", sortDir: "desc" }, { score })).toEqual([2, 3, 1, 4]);
+    expect(order({ sortBy: "posted_date", sortDir: "desc" })).toEqual([2, 1, 3, 4]);
+  });
+});
@@ -0,0 +1,135 @@
+import { C } from "./theme";
+
+// Source registry — the one place a backend feed is described.
+// Adding a feed: add an entry here (and a fixture in __fixtures__/projects.js).
+//
+//   label        badge text on cards / history rows
+//   filterLabel  longer name for filter chips (defaults to label)
+//   color        card accent + badge color
+//   region       "lowcountry" | "charlotte" | null (statewide/federal — matched on text)
+//   state        two-letter state the feed covers, or null for federal feeds
+//   kind         "permit" | "bid" | "parcel"
+//   cleanTitle   (title) => title shown on the card
+//   describe     (description) => description shown when expanded, or null
+
+// ─── CLEANERS ───────────────────────────────────────────────────────────────
+
+// Strip the " — address" suffix the backend appends to permit titles (address
+// is already shown in the location tag) plus permit-office boilerplate.
+export function cleanPermitTitle(title) {
+  title = title.split(" — ")[0].trim();
+  // Strip internal permit-office prefixes that precede the real project description
+  title = title.replace(/^(WILL\s+REQUIRE\s+GC\s+(INFO(?:RMATION)?)\s+BEFORE\s+ISSUANCE\s*[-=*]+\s*)/i, "").trim();
+  title = title.replace(/^NEED\s+(CONTRACTOR\s+)?INFORMATION\s*:\s*/i, "").trim();
+  title = title.replace(/^BAR\s+APP\s+REQUESTED\s*[–-]+\s*/i, "").trim();
+  title = title.replace(/^\(still\s+need\s+to\s+create[^)]*\)\s*/i, "").trim();
+  title = title.replace(/^BUILDING\s+\d+\s+/i, "").trim();
+  title = title.replace(/^MASTER:\s*/i, "").trim();
+  // Strip TRC/zoning/conditions boilerplate appended to the real project description
+  title = title.replace(/[.*]?\s*(ZONING CONDITIONS|TRC CONDITIONS|TRC CONDITION|CONDITIONS:)[^]*/i, "").trim();
+  title = title.replace(/\.\s*TRC[^]*$/i, "").trim();
+  // Strip administrative suffixes
+  title = title.replace(/\s*[.\s]*Fire\s+District\s*[-–]\s*ALT[\w-]+/i, "").trim();
+  title = title.replace(/\s*\(Replaced\s+CA\w+\)/i, "").trim();
+  return title;
+}
+
+export function plainDescription(description) {
+  return description.length > 4 ? description : null;
+}
+
+// Charleston packs "description | work_class | permit_type" into one field
+export function charlestonPermitDescription(description) {
+  const text = description.split(" | ")[0].trim();
+  return text && text.length > 4 ? text : null;
+}
+
+// Procurement boilerplate openers that add no useful info for a GC
+const _BID_BOILERPLATE = /^(this is (a |an )?(combined synopsis|sources sought|pre-?solicitation|request for (proposal|quote|information)|rfp|rfq|rfi|notice of intent|amendment)|the (government|department|agency|city|county|state) is (requesting|seeking|issuing|soliciting)|synopsis\/solicitation|pre-solicitation notice|combined synopsis\/solicitation|notice type:|set-aside:|naics code:|product service code:|response date:|solicitation number:)/i;
+
+// Skip boilerplate opener sentences, show first meaningful content
+export function bidDescription(description) {
+  // Split on sentence boundaries and skip boilerplate openers
+  const sentences = description.split(/(?<=[.!?])\s+/);
+  const meaningful = sentences.find(s => s.length > 20 && !_BID_BOILERPLATE.test(s.trim()));
+  if (meaningful) {
+    // Return first ~300 chars of useful content
+    return meaningful.length > 300 ? meaningful.slice(0, 297) + "…" : meaningful;
+  }
+  // Fall back to first 300 chars if no clean sentence found
+  return description.slice(0, 300) + (description.length > 300 ? "…" : "");
+}
+
+const identity = (s) => s;
+
+// ─── REGISTRY ───────────────────────────────────────────────────────────────
+
+const permit = (region, state, extra = {}) => ({
+  kind: "permit", region, state, color: C.orange,
+  cleanTitle: cleanPermitTitle, describe: plainDescription, ...extra,
+});
+const bid = (region, state, color, extra = {}) => ({
+  kind: "bid", region, state, color,
+  cleanTitle: identity, describe: bidDescription, ...extra,
+});
+
+export const SOURCES = {
+  "sam-gov":                  bid(null, null, C.blue, { label: "SAM.gov" }),
+  "charleston-permits":       permit("lowcountry", "SC", { label: "CHS Permits", describe: charlestonPermitDescription }),
+  "north-charleston-permits": permit("lowcountry", "SC", { label: "N. Charleston" }),
+  "mt-pleasant-permits":      permit("lowcountry", "SC", { label: "Mt. Pleasant" }),
+  scbo:                       bid(null, "SC", C.blue, { label: "SCBO" }),
+  "charleston-city-bids":     bid("lowcountry", "SC", C.blue, { label: "CHS Bids", filterLabel: "CHS City Bids" }),
+  "charlotte-permits":        permit("charlotte", "NC", { label: "Charlotte" }),
+  "charlotte-land-dev":       permit("charlotte", "NC", { label: "CLT Land Dev" }),
+  "charlotte-cip":            bid("charlotte", "NC", C.sky, { label: "CLT CIP" }),
+  "charlotte-ncdot":          bid("charlotte", "NC", C.sky, { label: "CLT NCDOT" }),
+  // Synthesised client-side from the parcel layer, never returned by /projects
+  "parcel-opportunity": {
+    label: "Opportunity", kind: "parcel", region: null, state: null, color: "#22c55e",
+    cleanTitle: identity, describe: plainDescription,
+  },
+};
+
+export function getSource(id) {
+  return SOURCES[id] || null;
+}
+
+export function sourceLabel(id) {
+  return SOURCES[id]?.label || id;
+}
+
+export function sourceColor(id) {
+  return SOURCES[id]?.color || null;
+}
+
+export function sourceIdsWhere(pred) {
+  return Object.keys(SOURCES).filter((id) => pred(SOURCES[id], id));
+}
+
+// Scanned feeds (everything the backend returns), for filter chips and fixtures
+export const ALL_SOURCES = sourceIdsWhere((s) => s.kind !== "parcel")
+  .map((id) => ({ id, label: SOURCES[id].filterLabel || SOURCES[id].label }));
+
+// ─── REGIONS ────────────────────────────────────────────────────────────────
+
+// Place names that put a statewide/federal listing inside a region
+export const REGIONS = {
+  lowcountry: {
+    label: "Lowcountry",
+    re: /\b(charleston|mt\.?\s*pleasant|mount\s+pleasant|goose\s+creek|summerville|hanahan|isle\s+of\s+palms|sullivan'?s\s+island|james\s+island|johns\s+island|daniel\s+island|folly\s+beach|ladson|moncks\s+corner|berkeley\s+county|dorchester\s+county|north\s+charleston|seabrook|kiawah)\b/i,
+  },
+  charlotte: {
+    label: "Charlotte Metro",
+    re: /\b(charlotte|mecklenburg|matthews|mint\s+hill|huntersville|cornelius|davidson|pineville|ballantyne|concord|gastonia|kannapolis|mooresville|fort\s+mill|rock\s+hill|union\s+county|cabarrus\s+county|gaston\s+county)\b/i,
+  },
+};
+
+export function projectInRegion(project, region) {
+  const own = SOURCES[project.source_id]?.region;
+  if (own) return own === region;
+  const re = REGIONS[region]?.re;
+  if (!re) return false;
+  const text = `${project.title || ""} ${project.description || ""}`;
+  return re.test(text);
+}
@@ -0,0 +1,57 @@
+import { describe, it, expect } from "vitest";
+import {
+  SOURCES, ALL_SOURCES, getSource, sourceLabel, sourceColor, sourceIdsWhere,
+  projectInRegion,
+} from "./sources";
+
+describe("SOURCES registry", () => {
+  it("declares every field for every source", () => {
+    for (const [id, s] of Object.entries(SOURCES)) {
+      expect(typeof s.label, id).toBe("string");
+      expect(s.color, id).toMatch(/^#[0-9a-f]{6}$/i);
+      expect(["permit", "bid", "parcel"], id).toContain(s.kind);
+      expect([null, "lowcountry", "charlotte"], id).toContain(s.region);
+      expect([null, "SC", "NC"], id).toContain(s.state);
+      expect(typeof s.cleanTitle, id).toBe("function");
+      expect(typeof s.describe, id).toBe("function");
+    }
+  });
+
+  it("keeps the client-only parcel feed out of ALL_SOURCES", () => {
+    expect(ALL_SOURCES.map((s) => s.id)).not.toContain("parcel-opportunity");
+    expect(ALL_SOURCES.find((s) => s.id === "charleston-city-bids").label).toBe("CHS City Bids");
+  });
+
+  it("looks up labels and colors, falling back for unknown feeds", () => {
+    expect(sourceLabel("charlotte-cip")).toBe("CLT CIP");
+    expect(sourceLabel("new-feed")).toBe("new-feed");
+    expect(sourceColor("new-feed")).toBeNull();
+    expect(getSource("new-feed")).toBeNull();
+  });
+
+  it("selects sources by kind", () => {
+    expect(sourceIdsWhere((s) => s.kind === "permit")).toEqual([
+      "charleston-permits", "north-charleston-permits", "mt-pleasant-permits",
+      "charlotte-permits", "charlotte-land-dev",
+    ]);
+  });
+});
+
+describe("projectInRegion", () => {
+  it("trusts the source region when there is one", () => {
+    expect(projectInRegion({ source_id: "charleston-city-bids", title: "Anything" }, "lowcountry")).toBe(true);
+    expect(projectInRegion({ source_id: "charlotte-cip", title: "Charleston Ave repaving" }, "lowcountry")).toBe(false);
+    expect(projectInRegion({ source_id: "charlotte-cip", title: "Anything" }, "charlotte")).toBe(true);
+  });
+
+  it("matches place names for statewide and federal feeds", () => {
+    expect(projectInRegion({ source_id: "sam-gov", title: "Hangar, JB Charleston" }, "lowcountry")).toBe(true);
+    expect(projectInRegion({ source_id: "scbo", title: "Clemson dorm", description: "Upstate" }, "lowcountry")).toBe(false);
+    expect(projectInRegion({ source_id: "scbo", title: "Library", description: "Town of Mount Pleasant" }, "lowcountry")).toBe(true);
+    expect(projectInRegion({ source_id: "sam-gov", title: "USARC, Concord NC" }, "charlotte")).toBe(true);
+  });
+
+  it("rejects unknown regions", () => {
+    expect(projectInRegion({ source_id: "sam-gov", title: "Charleston" }, "atlanta")).toBe(false);
+  });
+});
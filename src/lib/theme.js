@@ -0,0 +1,16 @@
+// ─── BRAND COLORS ────────────────────────────────────────────────────────────
+export const C = {
+  bg:        "#080f1a",   // near-black navy
+  surface:   "#0c1524",  // card background
+  surfaceHi: "#101d30",  // elevated card
+  border:    "#1a2f50",  // subtle border
+  borderHi:  "#1e3a64",  // hover border
+  navy:      "#1e3a6e",  // deep navy
+  blue:      "#4a9fd4",  // mid blue
+  sky:       "#7ec8e3",  // sky blue (logo highlight)
+  orange:    "#f0a030",  // orange accent (logo)
+  orangeHi:  "#f7b84b",  // orange hover
+  text:      "#e8f0fa",  // primary text
+  textSub:   "#6b8aaa",  // secondary text
+  textMuted: "#3d5a7a",  // muted
+};
@@ -0,0 +1,80 @@
+// Site timeline: every permit at an address in lifecycle order — land
+// development, the building permit, trade sub-permits, finals — with each
+// permit's status changes. The stage it adds up to tells whether the site is
+// still pre-GC (our window) or already being built.
+
+import { getDisplayTitle, isSubpermit } from "./projects";
+import { TRADE_CATEGORIES } from "./filters";
+
+export const PHASES = {
+  land:     { label: "Land development", color: "#22c55e" },
+  building: { label: "Building permit",  color: "#4a9fd4" },
+  trade:    { label: "Trade sub-permit", color: "#c9943a" },
+  final:    { label: "Final",            color: "#6b8aaa" },
+};
+
+export const SITE_STAGES = {
+  "pre-gc":       { label: "Pre-GC",             detail: "No building permit issued yet — still our window", color: "#22c55e" },
+  construction:   { label: "Under construction", detail: "Building permit issued or trades pulling permits",  color: "#f0a030" },
+  complete:       { label: "Complete",           detail: "Building permit finaled",                          color: "#6b8aaa" },
+};
+
+const LAND_SOURCES = new Set(["charlotte-land-dev"]);
+const LAND_RE = /\b(land\s+dev|site\s+(plan|development|work)|grading|subdivision|plat|rezoning|land\s+disturb)/i;
+const FINAL_RE = /^(finaled|final|closed|completed?|c\.?\s*o\.?|certificate of occupancy)$/i;
+const ISSUED_RE = /^(issued|under construction|inspections?)$/i;
+
+export function permitPhase(project) {
+  const text = `${project.title || ""} ${project.description || ""}`;
+  if (LAND_SOURCES.has(project.source_id) || LAND_RE.test(text)) return "land";
+  if (isSubpermit(project) || TRADE_CATEGORIES.has(project.category)) return "trade";
+  if (/\b(final inspection|certificate of occupancy)\b/i.test(text)) return "final";
+  return "building";
+}
+
+// [{ status, date }] oldest first. Uses the backend's status_history when
+// present, else what the row itself records: filed on posted_date, current
+// status as of status_date.
+export function statusEvents(project) {
+  const history = (project.status_history || [])
+    .filter((e) => e.status && e.date)
+    .map(({ status, date }) => ({ status, date }));
+  if (history.length) return history.sort((a, b) => Date.parse(a.date) - Date.parse(b.date));
+  const events = [];
+  if (project.posted_date) events.push({ status: "Filed", date: project.posted_date });
+  if (project.status) events.push({ status: project.status, date: project.status_date || null });
+  return events;
+}
+
+const PHASE_ORDER = Object.keys(PHASES);
+
+// Entries sorted by their first dated event; undated permits fall back to
+// lifecycle order at the end
+export function buildTimeline(projects) {
+  return projects
+    .map((project) => {
+      const events = statusEvents(project);
+      const dated = events.filter((e) => e.date);
+      return {
+        project,
+        title: getDisplayTitle(project) || project.title,
+        phase: permitPhase(project),
+        events,
+        start: dated[0]?.date || null,
+        end: dated.at(-1)?.date || null,
+      };
+    })
+    .sort((a, b) => {
+      if (a.start && b.start) return Date.parse(a.start) - Date.parse(b.start);
+      if (a.start || b.start) return a.start ? -1 : 1;
+      return PHASE_ORDER.indexOf(a.phase) - PHASE_ORDER.indexOf(b.phase);
+    });
+}
+
+export function siteStage(timeline) {
+  const buildings = timeline.filter((e) => e.phase === "building");
+  const status = (e) => e.project.status || "";
+  if (timeline.some((e) => e.phase === "final") || buildings.some((e) => FINAL_RE.test(status(e)))) return "complete";
+  if (timeline.some((e) => e.phase === "trade") || buildings.some((e) => ISSUED_RE.test(status(e)))) return "construction";
+  return "pre-gc";
+}
@@ -0,0 +1,38 @@
+import { describe, it, expect } from "vitest";
+import { buildTimeline, permitPhase, siteStage, statusEvents } from "./timeline";
+
+const site = "100 Meeting St";
+const landDev = { id: 1, source_id: "charlotte-land-dev", title: "Grading and site plan", address: site, status: "Issued", posted_date: "2024-11-02" };
+const building = {
+  id: 2, source_id: "charleston-permits", title: "New office building", address: site, category: "office", status: "In Review",
+  posted_date: "2025-02-10",
+};
+const electrical = { id: 3, source_id: "charleston-permits", title: "Electrical subpermit", address: site, category: "electrical", status: "Issued", posted_date: "2025-05-01" };
+
+describe("permitPhase", () => {
+  it("classifies land, building, trade and final permits", () => {
+    expect(permitPhase(landDev)).toBe("land");
+    expect(permitPhase(building)).toBe("building");
+    expect(permitPhase(electrical)).toBe("trade");
+    expect(permitPhase({ title: "Certificate of Occupancy" })).toBe("final");
+  });
+});
+
+describe("statusEvents", () => {
+  it("prefers the status history, oldest first", () => {
+    const history = [{ status: "Issued", date: "2025-04-01" }, { status: "In Review", date: "2025-02-10" }];
+    expect(statusEvents({ ...building, status_history: history }).map((e) => e.status)).toEqual(["In Review", "Issued"]);
+    expect(statusEvents(building)).toEqual([{ status: "Filed", date: "2025-02-10" }, { status: "In Review", date: null }]);
+  });
+});
+
+describe("buildTimeline / siteStage", () => {
+  it("orders permits by date and reads the site stage", () => {
+    const timeline = buildTimeline([electrical, building, landDev]);
+    expect(timeline.map((e) => e.phase)).toEqual(["land", "building", "trade"]);
+    expect(siteStage(buildTimeline([landDev, building]))).toBe("pre-gc");
+    expect(siteStage(timeline)).toBe("construction");
+    expect(siteStage(buildTimeline([{ ...building, status: "Issued" }]))).toBe("construction");
+    expect(siteStage(buildTimeline([{ ...building, status: "Finaled" }]))).toBe("complete");
+  });
+});
@@ -0,0 +1,108 @@
+// Hash routes for the app. Hash rather than path routing because the site is
+// served from GitHub Pages, which can't rewrite deep paths to index.html.
+//
+//   #/scanner?min=1000000&type=multi-family&sort=posted_date   scanner + filters
+//   #/saved, #/history, …                                      other tabs
+//   #/project/123                                              one project's card
+//   #/contractors/Pipe%20Co                                    a contractor's profile
+//
+// `map=1` opens the map overlay on any route, `market=` pins the market so a
+// link opens the same city for whoever receives it.
+
+import { DEFAULT_FILTERS } from "./filters";
+
+export const TABS = ["scanner", "saved", "calendar", "contractors", "company", "team", "history", "profile"];
+
+// FilterBar key → [query param, type]
+const FILTER_PARAMS = {
+  search:        ["q", "string"],
+  minValue:      ["min", "number"],
+  categories:    ["type", "list"],
+  categoryMode:  ["type_mode", "string"],
+  statuses:      ["status", "list"],
+  statusMode:    ["status_mode", "string"],
+  sources:       ["source", "list"],
+  clientTypes:   ["client", "list"],
+  neighborhoods: ["hood", "list"],
+  inRegion:      ["region", "bool"],
+  sortBy:        ["sort", "string"],
+  sortDir:       ["dir", "string"],
+  thenBy:        ["then", "list"],
+  homeBase:      ["from", "string"],
+  tradeView:     ["trade", "bool"],
+};
+
+const same = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+function encodeValue(type, value) {
+  if (type === "list") return value.join(",");
+  if (type === "bool") return value ? "1" : "0";
+  return String(value);
+}
+
+function decodeValue(type, raw) {
+  if (type === "list") return raw ? raw.split(",") : [];
+  if (type === "bool") return raw === "1";
+  if (type === "number") return Number(raw) || 0;
+  return raw;
+}
+
+// Only filters that differ from DEFAULT_FILTERS make it into the link
+export function filtersToParams(filters) {
+  const params = new URLSearchParams();
+  for (const [key, [param, type]] of Object.entries(FILTER_PARAMS)) {
+    const value = filters[key] ?? DEFAULT_FILTERS[key];
+    if (!same(value, DEFAULT_FILTERS[key])) params.set(param, encodeValue(type, value));
+  }
+  return params;
+}
+
+// Returns only the filters present in the query, so callers can tell a
+// shared link apart from a bare URL
+export function paramsToFilters(params) {
+  const filters = {};
+  for (const [key, [param, type]] of Object.entries(FILTER_PARAMS)) {
+    if (params.has(param)) filters[key] = decodeValue(type, params.get(param));
+  }
+  return filters;
+}
+
+export function parseHash(hash) {
+  const [path, query = ""] = (hash || "").replace(/^#/, "").split("?");
+  const parts = path.split("/").filter(Boolean);
+  const params = new URLSearchParams(query);
+  const route = {
+    tab: "scanner",
+    projectId: null,
+    contractor: null,
+    showMap: params.get("map") === "1",
+    marketId: params.get("market") || null,
+    filters: paramsToFilters(params),
+  };
+  if (parts[0] === "project" && parts[1]) route.projectId = decodeURIComponent(parts[1]);
+  else if (TABS.includes(parts[0])) route.tab = parts[0];
+  if (parts[0] === "contractors" && parts[1]) route.contractor = decodeURIComponent(parts[1]);
+  return route;
+}
+
+export function buildHash({ tab = "scanner", projectId = null, contractor = null, showMap = false, marketId = null, filters = {} }) {
+  let path = `/${tab}`;
+  if (projectId != null) path = `/project/${encodeURIComponent(projectId)}`;
+  else if (tab === "contractors" && contractor) path = `/contractors/${encodeURIComponent(contractor)}`;
+  // Filters only mean something on the scanner feed
+  const params = tab === "scanner" && projectId == null ? filtersToParams(filters) : new URLSearchParams();
+  if (marketId) params.set("market", marketId);
+  if (showMap) params.set("map", "1");
+  const query = params.toString();
+  return `#${path}${query ? `?${query}` : ""}`;
+}
+
+// Path part of a hash — a change here is a navigation, anything else is a tweak
+export function routePath(hash) {
+  return (hash || "").replace(/^#/, "").split("?")[0] || "/scanner";
+}
+
+export function projectLink(projectId) {
+  const { origin, pathname } = window.location;
+  return `${origin}${pathname}${buildHash({ projectId })}`;
+}
@@ -0,0 +1,89 @@
+import { describe, it, expect } from "vitest";
+import { parseHash, buildHash, filtersToParams, paramsToFilters, routePath } from "./url";
+import { DEFAULT_FILTERS } from "./filters";
+
+describe("filtersToParams", () => {
+  it("leaves defaults out of the link", () => {
+    expect(filtersToParams(DEFAULT_FILTERS).toString()).toBe("");
+  });
+
+  it("serializes the filters that differ", () => {
+    const params = filtersToParams({
+      ...DEFAULT_FILTERS, minValue: 1000000, categories: ["multi-family"], neighborhoods: ["Mt Pleasant"],
+      sortBy: "posted_date", inRegion: true, statusMode: "exclude", statuses: ["Finaled"],
+    });
+    expect(params.get("min")).toBe("1000000");
+    expect(params.get("type")).toBe("multi-family");
+    expect(params.get("hood")).toBe("Mt Pleasant");
+    expect(params.get("sort")).toBe("posted_date");
+    expect(params.get("region")).toBe("1");
+    expect(params.get("status_mode")).toBe("exclude");
+    expect(params.get("status")).toBe("Finaled");
+  });
+
+  it("keeps an explicit 'Any' minimum, since the default is not zero", () => {
+    expect(filtersToParams({ ...DEFAULT_FILTERS, minValue: 0 }).get("min")).toBe("0");
+  });
+});
+
+describe("paramsToFilters", () => {
+  it("round-trips through filtersToParams", () => {
+    const filters = {
+      ...DEFAULT_FILTERS, search: "hotel", minValue: 500000, sources: ["charleston-permits", "scbo"],
+      clientTypes: ["developer"], categoryMode: "exclude", categories: ["retail"], sortDir: "asc",
+    };
+    expect({ ...DEFAULT_FILTERS, ...paramsToFilters(filtersToParams(filters)) }).toEqual(filters);
+  });
+
+  it("only returns keys present in the query", () => {
+    expect(paramsToFilters(new URLSearchParams("min=0&type="))).toEqual({ minValue: 0, categories: [] });
+    expect(paramsToFilters(new URLSearchParams(""))).toEqual({});
+  });
+});
+
+describe("parseHash", () => {
+  it("defaults to the scanner", () => {
+    expect(parseHash("")).toMatchObject({ tab: "scanner", projectId: null, showMap: false, marketId: null, filters: {} });
+    expect(parseHash("#/nowhere").tab).toBe("scanner");
+  });
+
+  it("reads tabs, the map overlay and the market", () => {
+    expect(parseHash("#/history?map=1&market=charlotte-nc"))
+      .toMatchObject({ tab: "history", showMap: true, marketId: "charlotte-nc" });
+  });
+
+  it("reads project routes", () => {
+    expect(parseHash("#/project/parcel-123%2F4").projectId).toBe("parcel-123/4");
+    expect(parseHash("#/project/42").tab).toBe("scanner");
+  });
+
+  it("reads contractor profile routes", () => {
+    expect(parseHash("#/contractors/Pipe%20Co")).toMatchObject({ tab: "contractors", contractor: "Pipe Co" });
+    expect(parseHash("#/contractors").contractor).toBeNull();
+  });
+});
+
+describe("buildHash", () => {
+  it("writes scanner filters into the query", () => {
+    const hash = buildHash({ tab: "scanner", marketId: "charleston-sc", filters: { ...DEFAULT_FILTERS, minValue: 1000000 } });
+    expect(hash).toBe("#/scanner?min=1000000&market=charleston-sc");
+    expect(parseHash(hash).filters).toEqual({ minValue: 1000000 });
+  });
+
+  it("drops filters off the scanner", () => {
+    expect(buildHash({ tab: "saved", filters: { ...DEFAULT_FILTERS, minValue: 0 } })).toBe("#/saved");
+    expect(buildHash({ projectId: 42, showMap: true })).toBe("#/project/42?map=1");
+  });
+
+  it("writes contractor profiles under the contractors tab only", () => {
+    expect(buildHash({ tab: "contractors", contractor: "Smith & Sons" })).toBe("#/contractors/Smith%20%26%20Sons");
+    expect(buildHash({ tab: "saved", contractor: "Smith & Sons" })).toBe("#/saved");
+  });
+});
+
+describe("routePath", () => {
+  it("ignores the query", () => {
+    expect(routePath("#/scanner?min=0")).toBe("/scanner");
+    expect(routePath("")).toBe("/scanner");
+  });
+});
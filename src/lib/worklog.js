@@ -0,0 +1,77 @@
+// Notes, tasks and attachments kept against a saved project
+// (/projects/saved/:id/{notes,tasks,attachments}). Task reminders also feed
+// the notification center.
+
+import { buildHash } from "./url";
+
+const DAY_MS = 24 * 3600 * 1000;
+
+// Upload limit the backend enforces; checked client-side to fail fast
+export const ATTACHMENT_MAX_BYTES = 25 * 1024 * 1024;
+export const ATTACHMENT_ACCEPT = ".pdf,.dwg,.dxf,.png,.jpg,.jpeg,.xlsx,.xls,.csv,.doc,.docx,.zip";
+
+// Days before the due date; null = no reminder
+export const REMINDER_OPTIONS = [
+  { days: null, label: "No reminder" },
+  { days: 0,    label: "On the day" },
+  { days: 1,    label: "1 day before" },
+  { days: 3,    label: "3 days before" },
+  { days: 7,    label: "1 week before" },
+];
+
+// Top-level notes newest first, replies oldest first under their parent.
+// Replies whose parent is gone are promoted so nothing disappears.
+export function threadNotes(notes) {
+  const ids = new Set(notes.map((n) => n.id));
+  const byTime = (a, b) => new Date(a.created_at) - new Date(b.created_at);
+  const roots = notes.filter((n) => n.parent_id == null || !ids.has(n.parent_id));
+  return roots
+    .sort((a, b) => byTime(b, a))
+    .map((n) => ({ ...n, replies: notes.filter((r) => r.parent_id === n.id).sort(byTime) }));
+}
+
+// Reminders fire at 8am local on the chosen day
+export function reminderAt(dueDate, daysBefore) {
+  if (!dueDate || daysBefore == null) return null;
+  const [y, m, d] = dueDate.split("-").map(Number);
+  return new Date(y, m - 1, d - daysBefore, 8).toISOString();
+}
+
+// "overdue" | "today" | "soon" (within 3 days) | null
+export function taskUrgency(task, now = new Date()) {
+  if (task.done || !task.due_date) return null;
+  const [y, m, d] = task.due_date.split("-").map(Number);
+  const today = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+  const days = Math.round((new Date(y, m - 1, d) - today) / DAY_MS);
+  if (days < 0) return "overdue";
+  if (days === 0) return "today";
+  return days <= 3 ? "soon" : null;
+}
+
+// Open tasks left first, soonest due first, undated last
+export function sortTasks(tasks) {
+  return [...tasks].sort((a, b) =>
+    (!!a.done - !!b.done) ||
+    ((a.due_date || "9999") < (b.due_date || "9999") ? -1 : (a.due_date || "9999") > (b.due_date || "9999") ? 1 : 0));
+}
+
+// Open tasks whose reminder time has passed, for the notification center
+export function taskNotifications(tasks, now = new Date()) {
+  return tasks
+    .filter((t) => !t.done && t.remind_at && new Date(t.remind_at) <= now)
+    .map((t) => ({
+      id: `task:${t.id}:${t.remind_at}`,
+      kind: "task",
+      title: `Task due ${t.due_date}: ${t.title}`,
+      body: t.project_title || null,
+      created_at: t.remind_at,
+      href: t.project_id != null ? buildHash({ projectId: t.project_id }) : buildHash({ tab: "saved" }),
+    }));
+}
+
+export function fmtBytes(n) {
+  if (n == null) return "";
+  if (n >= 1024 * 1024) return `${(n / 1024 / 1024).toFixed(1)} MB`;
+  if (n >= 1024) return `${Math.round(n / 1024)} KB`;
+  return `${n} B`;
+}
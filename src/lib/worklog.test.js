@@ -0,0 +1,78 @@
+import { describe, it, expect } from "vitest";
+import { threadNotes, reminderAt, taskUrgency, sortTasks, taskNotifications, fmtBytes } from "./worklog";
+
+describe("threadNotes", () => {
+  it("nests replies under their note and promotes orphans", () => {
+    const threads = threadNotes([
+      { id: 1, parent_id: null, created_at: "2025-06-01T10:00:00Z" },
+      { id: 2, parent_id: null, created_at: "2025-06-02T10:00:00Z" },
+      { id: 3, parent_id: 1, created_at: "2025-06-03T10:00:00Z" },
+      { id: 4, parent_id: 1, created_at: "2025-06-02T12:00:00Z" },
+      { id: 5, parent_id: 99, created_at: "2025-06-01T09:00:00Z" },
+    ]);
+    expect(threads.map((t) => t.id)).toEqual([2, 1, 5]);
+    expect(threads[1].replies.map((r) => r.id)).toEqual([4, 3]);
+  });
+});
+
+describe("reminderAt", () => {
+  it("lands at 8am local the chosen number of days before", () => {
+    expect(reminderAt("2025-06-10", 1)).toBe(new Date(2025, 5, 9, 8).toISOString());
+    expect(reminderAt("2025-06-10", null)).toBeNull();
+    expect(reminderAt("", 1)).toBeNull();
+  });
+});
+
+describe("taskUrgency / sortTasks", () => {
+  const now = new Date(2025, 5, 10, 15);
+
+  it("grades open tasks by due date", () => {
+    expect(taskUrgency({ due_date: "2025-06-09" }, now)).toBe("overdue");
+    expect(taskUrgency({ due_date: "2025-06-10" }, now)).toBe("today");
+    expect(taskUrgency({ due_date: "2025-06-12" }, now)).toBe("soon");
+    expect(taskUrgency({ due_date: "2025-06-20" }, now)).toBeNull();
+    expect(taskUrgency({ due_date: "2025-06-09", done: true }, now)).toBeNull();
+  });
+
+  it("puts open tasks first, soonest due first", () => {
+    const sorted = sortTasks([
+      { id: 1, done: true, due_date: "2025-06-01" },
+      { id: 2, done: false, due_date: null },
+      { id: 3, done: false, due_date: "2025-06-20" },
+      { id: 4, done: false, due_date: "2025-06-11" },
+    ]);
+    expect(sorted.map((t) => t.id)).toEqual([4, 3, 2, 1]);
+  });
+
+  it("treats a task without `done` as open", () => {
+    const sorted = sortTasks([
+      { id: 1, done: true, due_date: "2025-06-01" },
+      { id: 2, due_date: "2025-06-20" },
+      { id: 3, done: false, due_date: "2025-06-11" },
+    ]);
+    expect(sorted.map((t) => t.id)).toEqual([3, 2, 1]);
+  });
+});
+
+describe("taskNotifications", () => {
+  it("raises open tasks whose reminder has passed", () => {
+    const now = new Date("2025-06-10T12:00:00Z");
+    const ns = taskNotifications([
+      { id: 1, title: "Call owner", due_date: "2025-06-11", remind_at: "2025-06-10T08:00:00Z", project_id: 201, project_title: "Hotel" },
+      { id: 2, title: "Later", due_date: "2025-06-20", remind_at: "2025-06-19T08:00:00Z" },
+      { id: 3, title: "Done", due_date: "2025-06-09", remind_at: "2025-06-08T08:00:00Z", done: true },
+    ], now);
+    expect(ns).toEqual([{
+      id: "task:1:2025-06-10T08:00:00Z", kind: "task", title: "Task due 2025-06-11: Call owner",
+      body: "Hotel", created_at: "2025-06-10T08:00:00Z", href: "#/project/201",
+    }]);
+  });
+});
+
+describe("fmtBytes", () => {
+  it("picks a readable unit", () => {
+    expect(fmtBytes(512)).toBe("512 B");
+    expect(fmtBytes(2048)).toBe("2 KB");
+    expect(fmtBytes(3.5 * 1024 * 1024)).toBe("3.5 MB");
+  });
+});
@@ -0,0 +1,66 @@
+// Team workspaces. Saved projects, the pipeline and the company profile belong
+// to the workspace; requests are scoped by the X-Workspace-Id header, with the
+// active workspace remembered per browser.
+
+export const WORKSPACE_KEY = "sitescan_workspace";
+
+export const ROLES = {
+  admin:     { label: "Admin",     description: "Manages members and the company profile" },
+  estimator: { label: "Estimator", description: "Saves, assigns and works leads" },
+  viewer:    { label: "Viewer",    description: "Read-only access to leads and the pipeline" },
+};
+
+const PERMISSIONS = {
+  manageTeam:  ["admin"],
+  editCompany: ["admin"],
+  editLeads:   ["admin", "estimator"],
+};
+
+export function can(role, action) {
+  return (PERMISSIONS[action] || []).includes(role);
+}
+
+// The remembered workspace if the user still belongs to it, else their first
+export function pickWorkspace(workspaces, remembered) {
+  if (!workspaces?.length) return null;
+  return workspaces.find((w) => String(w.id) === String(remembered)) || workspaces[0];
+}
+
+// Role in the active workspace. A solo account owns everything; until
+// /auth/me loads, nobody gets more than a viewer.
+export function workspaceRole(me, workspace) {
+  if (!me) return "viewer";
+  if (!me.workspaces?.length) return "admin";
+  return workspace?.role || "viewer";
+}
+
+export function myLeads(saved, userId) {
+  return saved.filter((s) => s.assignee_id != null && s.assignee_id === userId);
+}
+
+const EMAIL_RE = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Error message for an invite, or null when it can be sent
+export function inviteError(email, { members = [], invites = [] }) {
+  const e = email.trim().toLowerCase();
+  if (!EMAIL_RE.test(e)) return "Enter a valid email address";
+  if (members.some((m) => m.email?.toLowerCase() === e)) return "Already a member";
+  if (invites.some((i) => i.email?.toLowerCase() === e)) return "Already invited";
+  return null;
+}
+
+// At least one admin has to remain
+export function isLastAdmin(member, members) {
+  return member.role === "admin" && members.filter((m) => m.role === "admin").length === 1;
+}
+
+export function memberName(member) {
+  return member?.full_name || member?.email || "Unassigned";
+}
+
+export function initials(member) {
+  if (!member) return "?";
+  const name = memberName(member);
+  const parts = name.split(/[\s@.]+/).filter(Boolean);
+  return ((parts[0]?.[0] || "") + (parts[1]?.[0] || "")).toUpperCase() || "?";
+}
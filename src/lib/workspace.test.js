@@ -0,0 +1,62 @@
+import { describe, it, expect } from "vitest";
+import { can, pickWorkspace, workspaceRole, myLeads, inviteError, isLastAdmin, initials } from "./workspace";
+
+describe("can", () => {
+  it("grants actions by role", () => {
+    expect(can("admin", "manageTeam")).toBe(true);
+    expect(can("estimator", "manageTeam")).toBe(false);
+    expect(can("estimator", "editLeads")).toBe(true);
+    expect(can("viewer", "editLeads")).toBe(false);
+    expect(can(undefined, "editLeads")).toBe(false);
+  });
+});
+
+describe("pickWorkspace", () => {
+  const ws = [{ id: 1, name: "Acme" }, { id: 2, name: "Beta" }];
+  it("keeps the remembered workspace while the user still belongs to it", () => {
+    expect(pickWorkspace(ws, "2").name).toBe("Beta");
+    expect(pickWorkspace(ws, "9").name).toBe("Acme");
+    expect(pickWorkspace([], "1")).toBeNull();
+  });
+});
+
+describe("workspaceRole", () => {
+  it("grants nothing until /auth/me loads", () => {
+    expect(workspaceRole(null, null)).toBe("viewer");
+    expect(workspaceRole({ workspaces: [] }, null)).toBe("admin");
+    expect(workspaceRole({ workspaces: [{ id: 1, role: "estimator" }] }, { id: 1, role: "estimator" })).toBe("estimator");
+    expect(workspaceRole({ workspaces: [{ id: 1 }] }, { id: 1 })).toBe("viewer");
+  });
+});
+
+describe("myLeads", () => {
+  it("keeps rows assigned to the user", () => {
+    const saved = [{ id: 1, assignee_id: 5 }, { id: 2, assignee_id: 6 }, { id: 3 }];
+    expect(myLeads(saved, 5).map((s) => s.id)).toEqual([1]);
+  });
+});
+
+describe("inviteError", () => {
+  const team = { members: [{ email: "Pat@acme.com" }], invites: [{ email: "sam@acme.com" }] };
+  it("rejects bad, existing and pending addresses", () => {
+    expect(inviteError("nope", team)).toBe("Enter a valid email address");
+    expect(inviteError(" pat@ACME.com ", team)).toBe("Already a member");
+    expect(inviteError("sam@acme.com", team)).toBe("Already invited");
+    expect(inviteError("lee@acme.com", team)).toBeNull();
+  });
+});
+
+describe("isLastAdmin / initials", () => {
+  it("protects the only admin", () => {
+    const members = [{ id: 1, role: "admin" }, { id: 2, role: "estimator" }];
+    expect(isLastAdmin(members[0], members)).toBe(true);
+    expect(isLastAdmin(members[1], members)).toBe(false);
+    expect(isLastAdmin(members[0], [...members, { id: 3, role: "admin" }])).toBe(false);
+  });
+
+  it("abbreviates names or emails", () => {
+    expect(initials({ full_name: "Jordan Lee" })).toBe("JL");
+    expect(initials({ email: "estimating@acme.com" })).toBe("EA");
+    expect(initials(null)).toBe("?");
+  });
+});